@@ -0,0 +1,162 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { persistent, dataPath } = require('./data-dir');
+
+/**
+ * Signed Attestations (Ed25519)
+ *
+ * The server holds one signing keypair and signs every commitment and every
+ * verification result. A signed bundle looks like:
+ *
+ *   { payload: {...}, algorithm: 'Ed25519', keyId: '3f2a...', signature: '<base64>' }
+ *
+ * The signature covers the canonical JSON of `payload` (keys sorted), so anyone
+ * with the public key can check a bundle with verifyAttestation() alone.
+ */
+
+const ALGORITHM = 'Ed25519';
+
+/**
+ * Deterministic JSON: object keys sorted, undefined values dropped
+ */
+function canonicalize(value) {
+  if (value === null || typeof value !== 'object') {
+    return JSON.stringify(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(v => (v === undefined ? 'null' : canonicalize(v))).join(',')}]`;
+  }
+  const entries = Object.keys(value)
+    .filter(key => value[key] !== undefined && typeof value[key] !== 'function')
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+  return `{${entries.join(',')}}`;
+}
+
+/**
+ * SHA-256 of the canonical JSON of a value
+ */
+function digest(value) {
+  return crypto.createHash('sha256').update(canonicalize(value)).digest('hex');
+}
+
+/**
+ * Short stable identifier for a public key (first 16 hex chars of its SHA-256)
+ */
+function keyIdFor(publicKey) {
+  const der = publicKey.export({ type: 'spki', format: 'der' });
+  return crypto.createHash('sha256').update(der).digest('hex').substring(0, 16);
+}
+
+class Signer {
+
+  constructor(options = {}) {
+    // persist: false (or dataDir: false) uses a throwaway key (tests, read-only filesystems)
+    this.persist = persistent(options, options.keyFile);
+    this.keyFile = options.keyFile || process.env.SIGNING_KEY_FILE || dataPath(options, 'signing-key.pem');
+
+    this.privateKey = this.loadPrivateKey(options.privateKey || process.env.SIGNING_PRIVATE_KEY);
+    this.publicKey = crypto.createPublicKey(this.privateKey);
+    this.keyId = keyIdFor(this.publicKey);
+  }
+
+  /**
+   * Load the private key from options/env, then from disk, else generate one
+   */
+  loadPrivateKey(pem) {
+    if (pem) {
+      return crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+    }
+
+    if (this.persist) {
+      try {
+        if (fs.existsSync(this.keyFile)) {
+          console.log('🔑 Loaded signing key from disk');
+          return crypto.createPrivateKey(fs.readFileSync(this.keyFile, 'utf8'));
+        }
+      } catch (error) {
+        console.log('⚠️  Could not load signing key:', error.message);
+      }
+    }
+
+    const { privateKey } = crypto.generateKeyPairSync('ed25519');
+
+    if (this.persist) {
+      try {
+        fs.mkdirSync(path.dirname(this.keyFile), { recursive: true });
+        fs.writeFileSync(this.keyFile, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+        console.log(`🔑 Generated new signing key (${this.keyFile})`);
+      } catch (error) {
+        console.error('Could not save signing key, signatures will not survive a restart:', error.message);
+      }
+    }
+
+    return privateKey;
+  }
+
+  /**
+   * Sign a payload and return the self-contained bundle
+   */
+  sign(payload) {
+    // Sign exactly what a client will receive after JSON transport
+    const transported = JSON.parse(JSON.stringify(payload));
+    const signature = crypto.sign(null, Buffer.from(canonicalize(transported)), this.privateKey);
+    return {
+      payload: transported,
+      algorithm: ALGORITHM,
+      keyId: this.keyId,
+      signature: signature.toString('base64')
+    };
+  }
+
+  /**
+   * Public key descriptor served at the well-known endpoint
+   */
+  getPublicKey() {
+    return {
+      algorithm: ALGORITHM,
+      keyId: this.keyId,
+      publicKey: this.publicKey.export({ type: 'spki', format: 'pem' }),
+      jwk: this.publicKey.export({ format: 'jwk' })
+    };
+  }
+}
+
+/**
+ * Check a signed bundle against a public key (PEM string, JWK or KeyObject)
+ * Standalone: needs nothing but Node's crypto module
+ */
+function verifyAttestation(bundle, publicKey) {
+  if (!bundle || bundle.algorithm !== ALGORITHM || !bundle.signature || bundle.payload === undefined) {
+    return false;
+  }
+
+  try {
+    const key = publicKey instanceof crypto.KeyObject
+      ? publicKey
+      : typeof publicKey === 'string'
+        ? crypto.createPublicKey(publicKey)
+        : crypto.createPublicKey({ key: publicKey, format: 'jwk' });
+
+    if (bundle.keyId && bundle.keyId !== keyIdFor(key)) {
+      return false;
+    }
+
+    return crypto.verify(
+      null,
+      Buffer.from(canonicalize(bundle.payload)),
+      key,
+      Buffer.from(bundle.signature, 'base64')
+    );
+  } catch {
+    return false;
+  }
+}
+
+module.exports = {
+  Signer,
+  verifyAttestation,
+  canonicalize,
+  digest
+};
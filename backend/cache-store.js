@@ -0,0 +1,495 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Cache Stores
+ *
+ * Generated responses, verdicts and search results are cached through one
+ * contract:
+ *   get(namespace, key) → value | undefined
+ *   set(namespace, key, value)
+ *   delete(namespace, key), clear(namespace?), stats()
+ *   flush(), close()
+ *
+ * Each namespace has its own TTL (search results go stale faster than
+ * verdicts); a TTL of 0 turns caching off for that namespace. A store holds
+ * at most maxEntries entries and evicts the least recently used first.
+ *
+ * Backends (CACHE_BACKEND):
+ * - memory: in-process only (default on serverless, where files don't persist);
+ *   values are copied in and out, so callers can't change cached entries
+ * - file: memory plus a JSON file, written atomically (temp file + rename)
+ *   shortly after changes instead of on every call, and on exit, SIGINT or
+ *   SIGTERM; a flat cache.json from before namespaces is migrated when loaded
+ * - sqlite: one table in a SQLite database (node:sqlite, Node.js 22.5+)
+ */
+
+const NAMESPACES = ['generation', 'verification', 'search'];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_TTLS_MS = {
+  generation: 7 * 24 * HOUR_MS,
+  verification: 24 * HOUR_MS,
+  search: HOUR_MS
+};
+const DEFAULT_MAX_ENTRIES = 1000;
+
+const FILE_FORMAT_VERSION = 1;
+
+// ============================================================================
+// BASE STORE
+// ============================================================================
+
+class CacheStore {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.ttls = { ...DEFAULT_TTLS_MS, ...ttlsFromEnv(), ...options.ttls };
+    this.maxEntries = options.maxEntries ?? (Number(process.env.CACHE_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES);
+    this.now = options.now || Date.now; // Injectable clock for tests
+    this.counters = {};
+  }
+
+  /**
+   * Cached value, or undefined when missing or expired
+   */
+  get(namespace, key) {
+    const counters = this.countersOf(namespace);
+    const entry = this.read(namespace, key);
+    if (entry && entry.expiresAt <= this.now()) {
+      this.remove(namespace, key);
+      counters.expired++;
+    } else if (entry) {
+      counters.hits++;
+      return entry.value;
+    }
+    counters.misses++;
+    return undefined;
+  }
+
+  has(namespace, key) {
+    const entry = this.read(namespace, key);
+    return Boolean(entry) && entry.expiresAt > this.now();
+  }
+
+  set(namespace, key, value) {
+    const ttl = this.ttlOf(namespace);
+    if (ttl <= 0) return;
+    this.write(namespace, key, { value, expiresAt: this.now() + ttl });
+    this.countersOf(namespace).sets++;
+    this.evict().forEach(evicted => this.countersOf(evicted).evictions++);
+  }
+
+  delete(namespace, key) {
+    this.ttlOf(namespace);
+    this.remove(namespace, key);
+  }
+
+  /**
+   * Drop one namespace, or everything when no namespace is given
+   */
+  clear(namespace) {
+    if (namespace) this.ttlOf(namespace);
+    this.clearEntries(namespace || null);
+  }
+
+  /**
+   * { backend, maxEntries, entries, namespaces: { name: { entries, ttlMs, hits, misses, expired, sets, evictions, hitRate } } }
+   */
+  stats() {
+    const namespaces = {};
+    NAMESPACES.forEach(namespace => {
+      const counters = this.countersOf(namespace);
+      const lookups = counters.hits + counters.misses;
+      namespaces[namespace] = {
+        entries: this.count(namespace),
+        ttlMs: this.ttlOf(namespace),
+        ...counters,
+        hitRate: lookups > 0 ? Math.round((counters.hits / lookups) * 100) / 100 : null
+      };
+    });
+    return {
+      backend: this.name,
+      maxEntries: this.maxEntries,
+      entries: Object.values(namespaces).reduce((total, ns) => total + ns.entries, 0),
+      namespaces
+    };
+  }
+
+  /**
+   * Write pending changes (stores that persist lazily override this)
+   */
+  flush() {}
+
+  /**
+   * Write pending changes and release the store
+   */
+  close() {
+    this.flush();
+  }
+
+  ttlOf(namespace) {
+    if (!NAMESPACES.includes(namespace)) {
+      throw new Error(`Unknown cache namespace: ${namespace}`);
+    }
+    return this.ttls[namespace];
+  }
+
+  countersOf(namespace) {
+    this.ttlOf(namespace);
+    if (!this.counters[namespace]) {
+      this.counters[namespace] = { hits: 0, misses: 0, expired: 0, sets: 0, evictions: 0 };
+    }
+    return this.counters[namespace];
+  }
+
+  // Backend hooks: entries are { value, expiresAt }; evict() returns the evicted entries' namespaces
+  read(namespace, key) { throw new Error(`Cache store "${this.name}" does not implement read()`); }
+  write(namespace, key, entry) { throw new Error(`Cache store "${this.name}" does not implement write()`); }
+  remove(namespace, key) { throw new Error(`Cache store "${this.name}" does not implement remove()`); }
+  clearEntries(namespace) { throw new Error(`Cache store "${this.name}" does not implement clearEntries()`); }
+  count(namespace) { throw new Error(`Cache store "${this.name}" does not implement count()`); }
+  evict() { throw new Error(`Cache store "${this.name}" does not implement evict()`); }
+}
+
+// ============================================================================
+// MEMORY (LRU)
+// ============================================================================
+
+/**
+ * In-process LRU: one Map in least-recently-used order
+ * Values are stored and returned as copies, like the other backends' serialized ones.
+ */
+class MemoryCacheStore extends CacheStore {
+  constructor(options = {}, name = 'memory') {
+    super(name, options);
+    this.entries = new Map(); // "namespace\0key" → { namespace, key, value, expiresAt }, oldest first
+  }
+
+  read(namespace, key) {
+    const id = entryId(namespace, key);
+    const entry = this.entries.get(id);
+    if (entry) {
+      // Re-insert so the Map stays in least-recently-used order
+      this.entries.delete(id);
+      this.entries.set(id, entry);
+    }
+    return entry ? { ...entry, value: copy(entry.value) } : null;
+  }
+
+  write(namespace, key, entry) {
+    const id = entryId(namespace, key);
+    this.entries.delete(id);
+    this.entries.set(id, { namespace, key, ...entry, value: copy(entry.value) });
+  }
+
+  remove(namespace, key) {
+    this.entries.delete(entryId(namespace, key));
+  }
+
+  clearEntries(namespace) {
+    if (!namespace) {
+      this.entries.clear();
+      return;
+    }
+    [...this.entries.values()]
+      .filter(entry => entry.namespace === namespace)
+      .forEach(entry => this.entries.delete(entryId(entry.namespace, entry.key)));
+  }
+
+  count(namespace) {
+    let count = 0;
+    this.entries.forEach(entry => {
+      if (entry.namespace === namespace) count++;
+    });
+    return count;
+  }
+
+  evict() {
+    const evicted = [];
+    while (this.entries.size > this.maxEntries) {
+      const [id, entry] = this.entries.entries().next().value;
+      this.entries.delete(id);
+      evicted.push(entry.namespace);
+    }
+    return evicted;
+  }
+}
+
+// ============================================================================
+// FILE
+// ============================================================================
+
+/**
+ * Memory store backed by a JSON file
+ *
+ * Changes are written at most flushDelayMs after they happen, and on exit,
+ * SIGINT or SIGTERM until the store is closed, to a temp file that is renamed
+ * over the cache file, so a crash mid-write never leaves a truncated cache behind.
+ */
+class FileCacheStore extends MemoryCacheStore {
+  constructor(options = {}) {
+    super(options, 'file');
+    this.file = options.file || process.env.CACHE_FILE || './cache.json';
+    this.flushDelayMs = options.flushDelayMs ?? 1000;
+    this.timer = null;
+    this.dirty = false;
+    this.load();
+    openFileStores.add(this);
+    watchExit();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.file)) return;
+      const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      if (data && typeof data === 'object' && !Array.isArray(data) && data.version === undefined) {
+        this.migrate(data);
+        return;
+      }
+      if (data.version !== FILE_FORMAT_VERSION || !Array.isArray(data.entries)) {
+        console.log(`⚠️  Ignoring cache file in an unknown format: ${this.file}`);
+        return;
+      }
+      const now = this.now();
+      data.entries
+        .filter(entry => NAMESPACES.includes(entry.namespace) && entry.expiresAt > now)
+        .forEach(entry => this.entries.set(entryId(entry.namespace, entry.key), entry));
+      console.log(`💾 Loaded ${this.entries.size} cache entries from disk`);
+    } catch (error) {
+      console.log('⚠️  Could not load cache:', error.message);
+    }
+  }
+
+  /**
+   * Import a cache.json from before namespaces: a flat { key: value } object.
+   * Responses ("model:prompt") keep their key under generation; verdicts
+   * ("verify:mode:claim:context") are dropped, since their keys don't pin the
+   * claim's offsets and reusing them would skip that check.
+   */
+  migrate(data) {
+    const keys = Object.keys(data);
+    const verdicts = keys.filter(key => key.startsWith('verify:'));
+    keys
+      .filter(key => !key.startsWith('verify:') && data[key] && typeof data[key] === 'object')
+      .forEach(key => this.set('generation', key, data[key]));
+    console.log(`💾 Migrated ${this.entries.size} cached responses from an older cache file: ${this.file}`);
+    if (verdicts.length > 0) console.log(`⚠️  Dropped ${verdicts.length} cached verdicts from the older cache file; they will be verified again`);
+  }
+
+  write(namespace, key, entry) {
+    super.write(namespace, key, entry);
+    this.scheduleFlush();
+  }
+
+  remove(namespace, key) {
+    super.remove(namespace, key);
+    this.scheduleFlush();
+  }
+
+  clearEntries(namespace) {
+    super.clearEntries(namespace);
+    this.dirty = true;
+    this.flush();
+  }
+
+  scheduleFlush() {
+    this.dirty = true;
+    if (this.timer) return;
+    this.timer = setTimeout(() => this.flush(), this.flushDelayMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Write pending changes now (atomically)
+   */
+  flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (!this.dirty) return;
+    this.dirty = false;
+    const temp = path.join(path.dirname(this.file), `.${path.basename(this.file)}.${process.pid}.tmp`);
+    try {
+      fs.writeFileSync(temp, JSON.stringify({ version: FILE_FORMAT_VERSION, entries: [...this.entries.values()] }));
+      fs.renameSync(temp, this.file);
+    } catch (error) {
+      console.error('⚠️  Could not save cache:', error.message);
+      fs.rmSync(temp, { force: true });
+    }
+  }
+
+  /**
+   * Write pending changes and stop flushing this store on exit
+   */
+  close() {
+    this.flush();
+    openFileStores.delete(this);
+    if (openFileStores.size === 0) unwatchExit();
+  }
+}
+
+// Open file stores share one set of process listeners, however many there are
+const openFileStores = new Set();
+const EXIT_SIGNALS = ['SIGINT', 'SIGTERM'];
+let watchingExit = false;
+
+function flushOpenFileStores() {
+  openFileStores.forEach(store => store.flush());
+}
+
+function onExitSignal(signal) {
+  flushOpenFileStores();
+  // Listening stops the signal's default exit; restore it unless someone else handles the signal
+  if (process.listenerCount(signal) === 1) {
+    unwatchExit();
+    process.kill(process.pid, signal);
+  }
+}
+
+function watchExit() {
+  if (watchingExit) return;
+  watchingExit = true;
+  process.on('exit', flushOpenFileStores);
+  EXIT_SIGNALS.forEach(signal => process.on(signal, onExitSignal));
+}
+
+function unwatchExit() {
+  watchingExit = false;
+  process.removeListener('exit', flushOpenFileStores);
+  EXIT_SIGNALS.forEach(signal => process.removeListener(signal, onExitSignal));
+}
+
+// ============================================================================
+// SQLITE
+// ============================================================================
+
+/**
+ * One SQLite table; every write is its own transaction
+ * Recency is a counter bumped on every read and write, so LRU order survives restarts.
+ */
+class SqliteCacheStore extends CacheStore {
+  constructor(options = {}) {
+    super('sqlite', options);
+    this.file = options.file || process.env.CACHE_SQLITE_FILE || './cache.sqlite';
+
+    let DatabaseSync;
+    try {
+      ({ DatabaseSync } = require('node:sqlite'));
+    } catch (error) {
+      throw new Error(`The sqlite cache backend needs node:sqlite (Node.js 22.5 or later), running ${process.version}`);
+    }
+    this.db = new DatabaseSync(this.file);
+    this.db.exec(`CREATE TABLE IF NOT EXISTS cache (
+      namespace TEXT NOT NULL,
+      key TEXT NOT NULL,
+      value TEXT NOT NULL,
+      expires_at INTEGER NOT NULL,
+      used INTEGER NOT NULL,
+      PRIMARY KEY (namespace, key)
+    )`);
+    this.db.exec('CREATE INDEX IF NOT EXISTS cache_used ON cache (used)');
+    this.used = this.db.prepare('SELECT COALESCE(MAX(used), 0) AS used FROM cache').get().used;
+  }
+
+  read(namespace, key) {
+    const row = this.db.prepare('SELECT value, expires_at FROM cache WHERE namespace = ? AND key = ?').get(namespace, key);
+    if (!row) return null;
+    this.db.prepare('UPDATE cache SET used = ? WHERE namespace = ? AND key = ?').run(++this.used, namespace, key);
+    return { value: JSON.parse(row.value), expiresAt: row.expires_at };
+  }
+
+  write(namespace, key, entry) {
+    this.db.prepare(`INSERT INTO cache (namespace, key, value, expires_at, used) VALUES (?, ?, ?, ?, ?)
+      ON CONFLICT (namespace, key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at, used = excluded.used`)
+      .run(namespace, key, JSON.stringify(entry.value), entry.expiresAt, ++this.used);
+  }
+
+  remove(namespace, key) {
+    this.db.prepare('DELETE FROM cache WHERE namespace = ? AND key = ?').run(namespace, key);
+  }
+
+  clearEntries(namespace) {
+    if (namespace) {
+      this.db.prepare('DELETE FROM cache WHERE namespace = ?').run(namespace);
+    } else {
+      this.db.exec('DELETE FROM cache');
+    }
+  }
+
+  count(namespace) {
+    return this.db.prepare('SELECT COUNT(*) AS count FROM cache WHERE namespace = ?').get(namespace).count;
+  }
+
+  evict() {
+    const excess = this.db.prepare('SELECT COUNT(*) AS count FROM cache').get().count - this.maxEntries;
+    if (excess <= 0) return [];
+    const oldest = this.db.prepare('SELECT namespace, key FROM cache ORDER BY used LIMIT ?').all(excess);
+    const remove = this.db.prepare('DELETE FROM cache WHERE namespace = ? AND key = ?');
+    oldest.forEach(row => remove.run(row.namespace, row.key));
+    return oldest.map(row => row.namespace);
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+// ============================================================================
+// FACTORY
+// ============================================================================
+
+/**
+ * Build a cache store from options ({ backend, ...store options }) or the environment
+ * Passing a CacheStore returns it unchanged.
+ */
+function createCacheStore(options = {}) {
+  if (options instanceof CacheStore) return options;
+
+  const backend = options.backend || process.env.CACHE_BACKEND || (process.env.VERCEL ? 'memory' : 'file');
+  switch (backend) {
+    case 'memory':
+      return new MemoryCacheStore(options);
+    case 'file':
+      return new FileCacheStore(options);
+    case 'sqlite':
+      return new SqliteCacheStore(options);
+    default:
+      throw new Error(`Unknown cache backend: ${backend}`);
+  }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function entryId(namespace, key) {
+  return `${namespace}\u0000${key}`;
+}
+
+// Detached from the caller's objects
+function copy(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Per-namespace TTLs from CACHE_TTL_<NAMESPACE>_MS
+ */
+function ttlsFromEnv() {
+  const ttls = {};
+  NAMESPACES.forEach(namespace => {
+    const value = process.env[`CACHE_TTL_${namespace.toUpperCase()}_MS`];
+    if (value !== undefined && value !== '') ttls[namespace] = Number(value);
+  });
+  return ttls;
+}
+
+module.exports = {
+  CacheStore,
+  MemoryCacheStore,
+  FileCacheStore,
+  SqliteCacheStore,
+  createCacheStore,
+  NAMESPACES,
+  DEFAULT_TTLS_MS
+};
@@ -0,0 +1,144 @@
+const fs = require('fs');
+
+/**
+ * Check Registry
+ *
+ * The deterministic checks are registered here instead of being hard-coded in
+ * DeterministicVerifier, so a deployment can add its own (style rules,
+ * regulatory terms, ...) without forking the verifier. Each check has:
+ * - name:      shown in results and used as the key in profiles
+ * - run:       async (claim, evidence, context) => { passed, reason, evidence, notApplicable?, critical? }
+ * - weight:    contribution to the weighted score (default 1)
+ * - critical:  a failure proves fraud regardless of the score (default false;
+ *              a check may also mark an individual result critical, but a
+ *              result can't make a critical check non-critical; only a
+ *              profile can, and a check that throws is never critical)
+ * - appliesTo: (claim, evidence) => boolean; skipped checks are reported as not applicable
+ *
+ * A profile sets the verdict thresholds and can override weights and
+ * criticality per check, or disable checks, per deployment.
+ */
+const BUILTIN_PROFILES = {
+  default: {
+    name: 'default',
+    thresholds: { verified: 0.6, uncertain: 0.3 },
+    weights: {},
+    critical: {},
+    disabled: []
+  },
+  strict: {
+    name: 'strict',
+    thresholds: { verified: 0.8, uncertain: 0.5 },
+    weights: { 'Quote Exact Match': 2, 'Entity Consistency': 2, 'Temporal Consistency': 2 },
+    critical: {},
+    disabled: []
+  },
+  lenient: {
+    name: 'lenient',
+    thresholds: { verified: 0.5, uncertain: 0.25 },
+    weights: { 'URL Validity': 0.5 },
+    critical: {},
+    disabled: []
+  }
+};
+
+/**
+ * Resolve a profile from a built-in name, a JSON file path or an object
+ * File and object profiles may `extends` a built-in profile (default: "default").
+ */
+function loadProfile(profile = process.env.VERIFICATION_PROFILE || 'default') {
+  if (typeof profile === 'string') {
+    if (BUILTIN_PROFILES[profile]) {
+      return normalizeProfile(BUILTIN_PROFILES[profile]);
+    }
+    if (!fs.existsSync(profile)) {
+      throw new Error(`Unknown verification profile: ${profile}`);
+    }
+    profile = { name: profile, ...JSON.parse(fs.readFileSync(profile, 'utf8')) };
+  }
+
+  const base = BUILTIN_PROFILES[profile.extends || 'default'];
+  if (!base) {
+    throw new Error(`Unknown base profile: ${profile.extends}`);
+  }
+
+  return normalizeProfile({
+    name: profile.name || 'custom',
+    thresholds: { ...base.thresholds, ...profile.thresholds },
+    weights: { ...base.weights, ...profile.weights },
+    critical: { ...base.critical, ...profile.critical },
+    disabled: [...base.disabled, ...(profile.disabled || [])]
+  });
+}
+
+function normalizeProfile(profile) {
+  const { verified, uncertain } = profile.thresholds;
+  if (!(verified > 0 && verified <= 1) || !(uncertain >= 0 && uncertain <= verified)) {
+    throw new Error(`Invalid thresholds in profile ${profile.name}: need 0 ≤ uncertain ≤ verified ≤ 1`);
+  }
+  return JSON.parse(JSON.stringify(profile)); // Plain copy, safe to snapshot
+}
+
+class CheckRegistry {
+
+  constructor() {
+    this.checks = new Map();
+  }
+
+  /**
+   * Register a check (replaces an existing check with the same name)
+   */
+  register({ name, run, weight = 1, critical = false, appliesTo = null }) {
+    if (!name || typeof run !== 'function') {
+      throw new Error('A check needs a name and a run(claim, evidence, context) function');
+    }
+    if (!(weight >= 0)) {
+      throw new Error(`Check ${name} has an invalid weight: ${weight}`);
+    }
+
+    this.checks.set(name, { name, run, weight, critical, appliesTo });
+    return this;
+  }
+
+  /**
+   * A copy of this registry with more checks (a verification strategy's extra checks)
+   */
+  extend(checks = []) {
+    const registry = new CheckRegistry();
+    [...this.checks.values(), ...checks].forEach(check => registry.register(check));
+    return registry;
+  }
+
+  unregister(name) {
+    return this.checks.delete(name);
+  }
+
+  has(name) {
+    return this.checks.has(name);
+  }
+
+  /**
+   * Registered checks in registration order, with the profile applied
+   * criticalOverride is the profile's say on criticality (undefined = keep the check's own)
+   */
+  resolve(profile) {
+    return [...this.checks.values()]
+      .filter(check => !profile.disabled.includes(check.name))
+      .map(check => ({
+        ...check,
+        weight: profile.weights[check.name] ?? check.weight,
+        criticalOverride: profile.critical[check.name]
+      }));
+  }
+
+  list(profile = loadProfile('default')) {
+    return this.resolve(profile).map(({ name, weight, critical, criticalOverride, appliesTo }) => ({
+      name,
+      weight,
+      critical: criticalOverride ?? critical,
+      conditional: typeof appliesTo === 'function'
+    }));
+  }
+}
+
+module.exports = { CheckRegistry, loadProfile, BUILTIN_PROFILES };
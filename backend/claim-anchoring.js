@@ -0,0 +1,190 @@
+const { tokenize } = require('./entity-resolver');
+
+/**
+ * Claim Anchoring
+ *
+ * Every claim is tied to the exact characters of the response it came from:
+ * { start, end } offsets into the response text and the index of the sentence
+ * it starts in. The extraction model is told to copy claims word for word, but
+ * it drops markdown, fixes punctuation and sometimes rewords, so its text is
+ * reconciled against the response:
+ * - exact: the claim text occurs verbatim
+ * - aligned: the response span whose words are closest to the claim's (word
+ *   edit distance), if at least MIN_ALIGNMENT of them line up
+ * The claim's text becomes the response span, so what is highlighted, committed
+ * and verified is what the model actually said (claim-canonicalizer.js then
+ * strips its markdown, keeping the span as sourceText). Claims that can't be
+ * anchored are dropped. A claim extracted twice is anchored to the next occurrence.
+ *
+ * Anchored commitments (leafFormat "anchored") hash the response span and its
+ * offsets together, so a highlight can't be moved without breaking the Merkle
+ * proof, and anyone holding the response can check text.slice(start, end).
+ */
+
+// Leaf format of commitments whose leaves include the offsets (missing = claim text only)
+const ANCHORED_LEAF_FORMAT = 'anchored';
+
+// Share of words that must line up for a reworded claim to be anchored
+const MIN_ALIGNMENT = 0.7;
+
+// How much longer or shorter than the claim a matching span may be (share of its words)
+const LENGTH_SLACK = 0.3;
+
+// Abbreviations whose period doesn't end a sentence
+const ABBREVIATIONS = new Set(['mr', 'mrs', 'ms', 'dr', 'prof', 'st', 'jr', 'sr', 'vs', 'etc', 'inc', 'ltd', 'co', 'no', 'vol', 'approx']);
+
+/**
+ * Anchor claims to the response text
+ * Returns { claims: anchored claims in text order, dropped: claims that could not be anchored }
+ * Anchored claims gain start, end, sentence and alignment { method, score };
+ * extractedText keeps the model's wording when it differed.
+ */
+function anchorClaims(text, claims) {
+  const words = tokenize(text);
+  const sentences = sentenceSpans(text);
+  const taken = new Set();
+  const anchored = [];
+  const dropped = [];
+
+  claims.forEach(claim => {
+    const span = findExact(text, claim.text, taken) || findAligned(words, claim.text, taken);
+    if (!span) {
+      dropped.push(claim);
+      return;
+    }
+
+    taken.add(`${span.start}:${span.end}`);
+    const sourceText = text.slice(span.start, span.end);
+    anchored.push({
+      ...claim,
+      text: sourceText,
+      ...(sourceText !== claim.text && { extractedText: claim.text }),
+      start: span.start,
+      end: span.end,
+      sentence: sentenceIndex(sentences, span.start),
+      alignment: { method: span.method, score: span.score }
+    });
+  });
+
+  anchored.sort((a, b) => a.start - b.start || a.end - b.end);
+  return { claims: anchored, dropped };
+}
+
+/**
+ * The data committed in a claim's Merkle leaf
+ * Anchored leaves hold the exact response span (sourceText; claims from before
+ * it was kept committed their normalized text).
+ */
+function claimLeaf(claim, leafFormat = null) {
+  if (leafFormat === ANCHORED_LEAF_FORMAT) {
+    return JSON.stringify({ text: claim.sourceText ?? claim.text, start: claim.start, end: claim.end });
+  }
+  return claim.text;
+}
+
+/**
+ * Sentence spans [{ start, end }] of a text; line breaks end sentences too
+ */
+function sentenceSpans(text) {
+  const spans = [];
+  let start = 0;
+  for (const match of text.matchAll(/[.!?]+["'”’)\]]*(?=\s|$)|\n+/g)) {
+    if (match[0][0] !== '\n' && !endsSentence(text, match.index)) continue;
+    const end = match.index + match[0].length;
+    if (text.slice(start, end).trim()) spans.push({ start, end });
+    start = end;
+  }
+  if (text.slice(start).trim()) spans.push({ start, end: text.length });
+  return spans;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * First verbatim occurrence of the claim that isn't anchored yet (else the first)
+ */
+function findExact(text, claimText, taken) {
+  const needle = (claimText || '').trim();
+  if (!needle) return null;
+
+  let first = null;
+  for (let index = text.indexOf(needle); index !== -1; index = text.indexOf(needle, index + 1)) {
+    const span = { start: index, end: index + needle.length, method: 'exact', score: 1 };
+    if (!taken.has(`${span.start}:${span.end}`)) return span;
+    first = first || span;
+  }
+  return first;
+}
+
+/**
+ * The span of response words closest to the claim's words
+ * Candidate spans start and end on one of the claim's words and are within
+ * LENGTH_SLACK of its length. Spans not anchored yet win, then higher scores,
+ * then earlier spans.
+ */
+function findAligned(words, claimText, taken) {
+  const claim = tokenize(claimText).map(t => t.token);
+  if (claim.length === 0) return null;
+
+  const wanted = new Set(claim);
+  const slack = Math.max(1, Math.ceil(claim.length * LENGTH_SLACK));
+  let best = null;
+
+  for (let i = 0; i < words.length; i++) {
+    if (!wanted.has(words[i].token)) continue;
+
+    for (let length = Math.max(1, claim.length - slack); length <= claim.length + slack && i + length <= words.length; length++) {
+      const last = words[i + length - 1];
+      if (!wanted.has(last.token)) continue;
+
+      const window = words.slice(i, i + length).map(t => t.token);
+      const score = 1 - editDistance(claim, window) / Math.max(claim.length, length);
+      if (score < MIN_ALIGNMENT) continue;
+
+      const span = { start: words[i].index, end: last.end, method: 'aligned', score: Math.round(score * 100) / 100 };
+      const free = !taken.has(`${span.start}:${span.end}`);
+      if (!best || (free && !best.free) || (free === best.free && span.score > best.span.score)) {
+        best = { span, free };
+      }
+    }
+  }
+  return best ? best.span : null;
+}
+
+/**
+ * Word-level Levenshtein distance
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Whether the punctuation at index ends a sentence (not "K. Le Guin" or "Dr. Ride")
+ */
+function endsSentence(text, index) {
+  if (text[index] !== '.') return true;
+  const word = text.slice(0, index).match(/([\p{L}]+)$/u);
+  if (!word) return true;
+  return !(word[1].length === 1 && /\p{Lu}/u.test(word[1])) && !ABBREVIATIONS.has(word[1].toLowerCase());
+}
+
+function sentenceIndex(sentences, offset) {
+  const index = sentences.findIndex(span => offset < span.end);
+  return index === -1 ? Math.max(0, sentences.length - 1) : index;
+}
+
+module.exports = { anchorClaims, claimLeaf, sentenceSpans, ANCHORED_LEAF_FORMAT, MIN_ALIGNMENT };
@@ -0,0 +1,178 @@
+const { tokenize } = require('./entity-resolver');
+
+/**
+ * Claim Canonicalization
+ *
+ * Extraction returns overlapping claims: "Plasma whitepaper in 2017" next to
+ * the full attribution sentence it came from, or the same fact twice. Each
+ * one would get its own Merkle leaf, search and verification. Before the
+ * commitment is built, claims are canonicalized:
+ * - normalized: markdown and extra whitespace are removed from the text;
+ *   anchored claims keep the exact response span in sourceText, which is
+ *   what their Merkle leaf commits to
+ * - merged: a claim with the same text as an overlapping one, or contained in
+ *   a larger claim that isn't split into parts, is dropped; the larger claim
+ *   lists it in `merged`
+ * - related: a compound claim mostly covered by two or more contained claims
+ *   keeps them as its atomic parts (`children` / `parent`), and its verdict
+ *   can be derived from theirs
+ * - repeated: the same claim at another place in the response stays (it is
+ *   highlighted there too) with `duplicateOf` pointing at the first
+ *
+ * Claims are renumbered (claim_0, claim_1, ...) in text order and the
+ * relations use the new ids. Relations are one level deep.
+ */
+
+// Share of a compound claim's words its parts must cover for them to stand in for it
+const COMPOUND_COVERAGE = 0.8;
+
+/**
+ * Canonicalize detected claims
+ * Returns { claims, merged: number of claims folded into others }
+ */
+function canonicalizeClaims(claims) {
+  const entries = claims
+    .map((claim, order) => ({ claim: canonicalClaim(claim), raw: claim.text || '', key: claimKey(claim.text), order }))
+    .filter(entry => entry.key);
+  const dropped = new Set();
+  const mergedInto = new Map(); // entry → [merged claim texts]
+
+  // 1. Same claim twice: overlapping spans are one claim, separate spans are repeats
+  const firstByKey = new Map();
+  entries.forEach(entry => {
+    const first = firstByKey.get(entry.key);
+    if (!first) {
+      firstByKey.set(entry.key, entry);
+      return;
+    }
+    if (!hasSpan(entry.claim) || overlaps(first.claim, entry.claim)) {
+      dropped.add(entry);
+      merge(mergedInto, first, entry);
+    } else {
+      entry.duplicateOf = first;
+    }
+  });
+
+  // 2. Contained claims: parts of a compound claim, or fragments merged into it
+  const parentOf = new Map();
+  const children = new Map();
+  const live = () => entries.filter(entry => !dropped.has(entry));
+  [...live()].sort((a, b) => size(b.claim) - size(a.claim)).forEach(outer => {
+    if (dropped.has(outer)) return;
+    const inside = live().filter(inner => inner !== outer && !parentOf.has(inner) && contains(outer.claim, inner.claim));
+    // Parts are the largest contained claims; fragments of a part are merged into it later
+    const parts = inside.filter(inner => !inside.some(other => other !== inner && contains(other.claim, inner.claim)));
+
+    if (!parentOf.has(outer) && parts.length >= 2 && coverage(outer, parts) >= COMPOUND_COVERAGE) {
+      children.set(outer, parts);
+      parts.forEach(part => parentOf.set(part, outer));
+    } else {
+      inside.forEach(inner => {
+        dropped.add(inner);
+        merge(mergedInto, outer, inner);
+      });
+    }
+  });
+
+  // 3. Renumber in text order and write the relations with the new ids
+  const kept = live().sort((a, b) => position(a) - position(b) || size(b.claim) - size(a.claim) || a.order - b.order);
+  const ids = new Map(kept.map((entry, index) => [entry, `claim_${index}`]));
+  const result = kept.map(entry => {
+    const claim = { ...entry.claim, id: ids.get(entry) };
+    if (parentOf.has(entry)) claim.parent = ids.get(parentOf.get(entry));
+    if (children.has(entry)) claim.children = children.get(entry).sort((a, b) => position(a) - position(b)).map(child => ids.get(child));
+    if (entry.duplicateOf && ids.has(entry.duplicateOf)) claim.duplicateOf = ids.get(entry.duplicateOf);
+    if (mergedInto.has(entry) && mergedInto.get(entry).length > 0) claim.merged = mergedInto.get(entry);
+    return claim;
+  });
+
+  return { claims: result, merged: claims.length - result.length };
+}
+
+/**
+ * Claim text without markdown emphasis, list markers or runs of whitespace
+ */
+function normalizeClaimText(text) {
+  return (text || '')
+    .replace(/\*\*|__|`/g, '')
+    .replace(/^\s*(#+|[-•*]|\d+\.)\s+/, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * The claim with normalized text; an anchored claim keeps its response span as sourceText
+ */
+function canonicalClaim(claim) {
+  const sourceText = claim.sourceText ?? claim.text;
+  return {
+    ...claim,
+    text: normalizeClaimText(claim.text),
+    ...(hasSpan(claim) && typeof sourceText === 'string' && { sourceText })
+  };
+}
+
+/**
+ * Comparison key: the claim's words, lowercased
+ */
+function claimKey(text) {
+  return tokenize(normalizeClaimText(text)).map(t => t.token).join(' ');
+}
+
+function merge(mergedInto, into, entry) {
+  if (!mergedInto.has(into)) mergedInto.set(into, []);
+  const texts = [entry.claim.text, ...(mergedInto.get(entry) || [])];
+  const merged = mergedInto.get(into);
+  texts.filter(text => text !== into.claim.text && !merged.includes(text)).forEach(text => merged.push(text));
+}
+
+function hasSpan(claim) {
+  return Number.isInteger(claim.start) && Number.isInteger(claim.end);
+}
+
+function overlaps(a, b) {
+  return a.start < b.end && b.start < a.end;
+}
+
+function size(claim) {
+  return hasSpan(claim) ? claim.end - claim.start : claim.text.length;
+}
+
+function position(entry) {
+  return hasSpan(entry.claim) ? entry.claim.start : entry.order;
+}
+
+/**
+ * Whether claim a contains claim b: by span when both are anchored, else by words
+ */
+function contains(a, b) {
+  if (hasSpan(a) && hasSpan(b)) {
+    return a.start <= b.start && b.end <= a.end && size(b) < size(a);
+  }
+  const outer = ` ${claimKey(a.text)} `;
+  const inner = claimKey(b.text);
+  return inner.length < outer.length - 2 && outer.includes(` ${inner} `);
+}
+
+/**
+ * Share of the outer claim's words that fall inside one of the parts:
+ * by position when anchored, else by word
+ */
+function coverage(outer, parts) {
+  const words = tokenize(outer.raw);
+  if (words.length === 0) return 0;
+
+  if (hasSpan(outer.claim) && parts.every(part => hasSpan(part.claim))) {
+    const inPart = (word) => parts.some(part =>
+      part.claim.start <= outer.claim.start + word.index && outer.claim.start + word.end <= part.claim.end);
+    return words.filter(inPart).length / words.length;
+  }
+  const inParts = new Set(parts.flatMap(part => tokenize(part.raw).map(t => t.token)));
+  return words.filter(word => inParts.has(word.token)).length / words.length;
+}
+
+module.exports = { canonicalizeClaims, normalizeClaimText, COMPOUND_COVERAGE };
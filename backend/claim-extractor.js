@@ -0,0 +1,220 @@
+const nlp = require('compromise');
+const { parseDates } = require('./temporal');
+const { sentenceSpans } = require('./claim-anchoring');
+
+/**
+ * Rule-based Claim Extractor
+ *
+ * Extracts atomic factual claims offline, with compromise instead of a model:
+ * 1. sentences are split into clauses at ";" and at conjunctions ("and",
+ *    "but", "while", ...) that start a new subject–verb clause, so "Armstrong
+ *    walked on the Moon and Collins stayed in orbit" gives two claims. Verbs
+ *    sharing a subject stay together, and so does a clause that points back
+ *    with a pronoun ("Curie won the prize in 1903, and she won it again in
+ *    1911"), so every claim names what it is about.
+ * 2. questions, first-person statements, hedged clauses ("probably", "might",
+ *    "I think"), opinions ("the greatest novel") and clauses about a bare
+ *    pronoun ("It sold 100 million copies", with "it" named in another
+ *    sentence) are skipped
+ * 3. a clause is a claim when it has a verb and something checkable: a name,
+ *    a number, a date or a quoted title
+ * 4. claims are typed like the model's: attribution (who made a work), date,
+ *    number, relationship (two names linked by a verb), name (what something
+ *    is called or is), else event
+ *
+ * Claim text is copied from the response, so claims anchor exactly.
+ */
+
+const CLAIM_TYPES = ['date', 'name', 'number', 'event', 'relationship', 'attribution'];
+
+// Words that make a clause a hedge or an opinion rather than a checkable fact
+const HEDGES = /\b(perhaps|maybe|possibly|probably|likely|arguably|presumably|apparently|seemingly|supposedly|allegedly|seems?|seemed|appears? to|in my (opinion|view)|some (say|believe|argue)|it is (said|believed|thought))\b/i;
+const OPINIONS = /\b(best|worst|greatest|finest|beautiful|fascinating|interesting|amazing|wonderful|terrible|brilliant|remarkable|important|influential|iconic|masterpiece|overrated|underrated)\b/i;
+// First and second person; not "US", nor the "I" in "World War I"
+const FIRST_PERSON = /(?<!\p{Lu}\p{L}*\s)\bI\b|\b(me|[Mm]y|[Ww]e|[Oo]ur|[Yy]ou|[Yy]our)\b/u;
+
+// Where clauses may be split: ";" always, a conjunction when a subject and verb follow
+const CLAUSE_BREAK = /;\s+|,?\s+(and|but|while|whereas|although|though|yet|so)\s+/gi;
+
+// Pronouns standing for someone or something named earlier: a clause using one isn't split off
+const BACK_REFERENCE = /\b(he|she|it|they|him|her|them)\b/i;
+// A clause whose subject is one, which names nothing to check
+const PRONOUN_SUBJECT = /^\s*(he|she|it|they)\b/i;
+
+// Making a work: the maker is the subject ("Le Guin wrote", not "NASA was founded") or follows "by"
+const ATTRIBUTION = /(?<!\b(?:was|were|is|are|been|being)\s+)\b(wrote|writes|authored|composed|painted|directed|invented|discovered|founded|co-?founded|created|proposed|coined|designed|formalized|formalised|developed|sculpted|illustrated)\b|\b(written|authored|composed|painted|directed|invented|discovered|founded|created|proposed|coined|designed|formalized|developed|published|illustrated)\s+by\b|\bauthor of\b/i;
+
+// Verbs compromise reads as nouns ("the program cost $25 billion")
+const MISTAGGED_VERBS = /\b(cost|costs|weighs|weighed|measures|measured|totals|totaled|totalled)\b/i;
+
+// What something is called
+const NAMING = /\b(named|called|known as|nicknamed|titled|stands for)\b/i;
+
+// Tags of words that may come before the head of a subject ("the first three astronauts")
+const SUBJECT_LEAD = new Set(['Determiner', 'Adjective', 'Possessive', 'Value']);
+
+class RuleBasedClaimExtractor {
+
+  /**
+   * Extract claims: [{ text, type, start, end }] in text order
+   */
+  extract(text) {
+    const claims = [];
+    sentenceSpans(text).forEach(span => {
+      const sentence = text.slice(span.start, span.end);
+      const masked = mask(sentence);
+      // Headings, questions, and sentences in the first person ("I think ..., and ...")
+      if (/^\s*#/.test(sentence) || /\?\s*$/.test(masked) || /^\s*(I|we)\b/i.test(masked)) return;
+
+      clauseSpans(masked).forEach(([start, end]) => {
+        const clause = masked.slice(start, end);
+        if (!isClaim(clause)) return;
+        claims.push({
+          text: sentence.slice(start, end),
+          type: classify(clause),
+          start: span.start + start,
+          end: span.start + end
+        });
+      });
+    });
+    return claims;
+  }
+
+  /**
+   * Type of a claim found elsewhere, e.g. one the model typed outside CLAIM_TYPES
+   */
+  classify(text) {
+    return classify(mask(text));
+  }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Blank out markdown (emphasis, headings, list markers) without moving offsets
+ */
+function mask(text) {
+  return text
+    .replace(/[*_`#]/g, ' ')
+    .replace(/^(\s*)([-•]|\d+\.)\s/gm, (match, indent, marker) => indent + ' '.repeat(marker.length) + ' ');
+}
+
+/**
+ * Clause spans [start, end] of a (masked) sentence, trimmed of spaces and
+ * trailing punctuation
+ */
+function clauseSpans(sentence) {
+  const cuts = [];
+  let from = 0;
+  for (const match of sentence.matchAll(CLAUSE_BREAK)) {
+    const left = sentence.slice(from, match.index);
+    const right = sentence.slice(match.index + match[0].length);
+    const next = right.split(CLAUSE_BREAK)[0];
+    if (hasVerb(left) && startsWithClause(right) && !BACK_REFERENCE.test(next)) {
+      cuts.push([from, match.index]);
+      from = match.index + match[0].length;
+    }
+  }
+  cuts.push([from, sentence.length]);
+
+  return cuts.map(([start, end]) => {
+    while (start < end && /\s/.test(sentence[start])) start++;
+    while (end > start && /[\s.,;:!]/.test(sentence[end - 1])) end--;
+    return [start, end];
+  }).filter(([start, end]) => end > start);
+}
+
+/**
+ * Terms with their tags; capitalized words mid-clause count as proper nouns
+ * (compromise tags "Buzz" in "Buzz Aldrin" as a verb)
+ */
+function termsOf(text) {
+  const terms = nlp(text).json().flatMap(sentence => sentence.terms);
+  return terms.map((term, i) => {
+    const tags = new Set(term.tags);
+    if (i > 0 && /^\p{Lu}/u.test(term.text) && !tags.has('Pronoun')) {
+      tags.add('ProperNoun');
+      tags.add('Noun');
+      tags.delete('Verb');
+    }
+    return { text: term.text, tags };
+  });
+}
+
+function hasVerb(text) {
+  return termsOf(text).some(term => term.tags.has('Verb'));
+}
+
+/**
+ * Whether text opens with a subject and its verb ("Collins stayed", "the crew returned", "it was")
+ */
+function startsWithClause(text) {
+  const terms = termsOf(text);
+  const name = (term) => /^\p{Lu}/u.test(term.text) && !term.tags.has('Pronoun');
+  let i = 0;
+  while (i < terms.length && SUBJECT_LEAD.has([...terms[i].tags].find(tag => SUBJECT_LEAD.has(tag)))) i++;
+  const subjectStart = i;
+  while (i < terms.length && (terms[i].tags.has('Noun') || terms[i].tags.has('Pronoun') || name(terms[i]))) i++;
+  if (i === subjectStart) return false;
+  if (i < terms.length && terms[i].tags.has('Adverb')) i++;
+  return i < terms.length && terms[i].tags.has('Verb');
+}
+
+/**
+ * A checkable factual clause: a verb, no hedge or opinion, and a name, number, date or title
+ */
+function isClaim(clause) {
+  if (clause.split(/\s+/).filter(Boolean).length < 3) return false;
+  if (PRONOUN_SUBJECT.test(clause)) return false;
+  if (HEDGES.test(clause) || OPINIONS.test(clause) || FIRST_PERSON.test(clause)) return false;
+
+  const terms = termsOf(clause);
+  if (!terms.some(term => term.tags.has('Verb')) && !MISTAGGED_VERBS.test(clause)) return false;
+  if (terms.some(term => term.tags.has('Modal'))) return false;
+
+  return /["“][^"”]+["”]/.test(clause) ||
+    terms.some(term => term.tags.has('ProperNoun') || term.tags.has('Value') || term.tags.has('Date'));
+}
+
+/**
+ * One of CLAIM_TYPES
+ */
+function classify(clause) {
+  const terms = termsOf(clause);
+  const names = nameGroups(terms);
+
+  if (ATTRIBUTION.test(clause) && names >= 1) return 'attribution';
+  if (parseDates(clause).length > 0) return 'date';
+  if (hasQuantity(terms)) return 'number';
+  if (NAMING.test(clause)) return 'name';
+  if (names >= 2) return 'relationship';
+  if (names === 1 && terms.some(term => term.tags.has('Copula'))) return 'name';
+  return 'event';
+}
+
+/**
+ * Runs of proper nouns ("Neil Armstrong", "The Left Hand of Darkness" joined over "of")
+ */
+function nameGroups(terms) {
+  let groups = 0;
+  let inName = false;
+  terms.forEach((term, i) => {
+    const proper = term.tags.has('ProperNoun') || term.tags.has('Person') || term.tags.has('Place') || term.tags.has('Organization');
+    const joiner = inName && /^(of|the|and|de|von|van)$/i.test(term.text) && terms[i + 1] && terms[i + 1].tags.has('ProperNoun');
+    if (proper && !inName) groups++;
+    inName = proper || joiner || (inName && term.tags.has('Value'));
+  });
+  return groups;
+}
+
+/**
+ * A number that isn't part of a name ("Apollo 11") or an ordinal ("first")
+ */
+function hasQuantity(terms) {
+  return terms.some((term, i) => term.tags.has('Value') && !term.tags.has('Ordinal') &&
+    !(i > 0 && /^\p{Lu}/u.test(terms[i - 1].text)));
+}
+
+module.exports = { RuleBasedClaimExtractor, CLAIM_TYPES };
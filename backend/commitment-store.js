@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const { persistent, dataPath } = require('./data-dir');
+
+/**
+ * Commitment Registry
+ *
+ * Records every Merkle commitment issued by generate() together with the
+ * claims, response text, model and timestamp it commits to. verify() resolves
+ * roots here instead of trusting the root and proof a client sends, so
+ * "claim was not in original commitment" is checked against what this
+ * server actually issued.
+ */
+class CommitmentStore {
+
+  constructor(options = {}) {
+    // persist: false (or dataDir: false) keeps the registry in memory only (tests, serverless)
+    this.persist = persistent(options, options.file);
+    this.file = options.file || process.env.COMMITMENT_STORE_FILE || dataPath(options, 'commitments.json');
+    this.commitments = this.load();
+  }
+
+  /**
+   * Load the registry from disk
+   */
+  load() {
+    if (!this.persist) return {};
+
+    try {
+      if (fs.existsSync(this.file)) {
+        const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        console.log(`🗄️  Loaded ${Object.keys(data).length} commitments from disk`);
+        return data;
+      }
+    } catch (error) {
+      console.log('⚠️  Could not load commitment registry:', error.message);
+    }
+    return {};
+  }
+
+  /**
+   * Save the registry to disk
+   */
+  save() {
+    if (!this.persist) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(this.file, JSON.stringify(this.commitments, null, 2));
+    } catch (error) {
+      // The registry stays in memory, so this process still resolves its commitments
+      console.error('Could not save commitment registry, keeping it in memory:', error.message);
+    }
+  }
+
+  /**
+   * Record a commitment and the claims it commits to
+   * Re-recording an existing root is a no-op: a commitment never changes
+   */
+  record({ commitment, claims, text, model, prompt }) {
+    if (this.commitments[commitment.root]) {
+      return this.commitments[commitment.root];
+    }
+
+    const entry = {
+      ...commitment,
+      prompt: prompt || null,
+      model: model || null,
+      text,
+      claims: claims.map((claim, index) => ({
+        id: claim.id,
+        text: claim.text,
+        type: claim.type || null,
+        ...(Number.isInteger(claim.start) && { start: claim.start, end: claim.end, sentence: claim.sentence }),
+        ...(claim.sourceText !== undefined && { sourceText: claim.sourceText }),
+        ...(claim.parent && { parent: claim.parent }),
+        ...(claim.children && { children: claim.children }),
+        ...(claim.duplicateOf && { duplicateOf: claim.duplicateOf }),
+        merkleIndex: claim.merkleIndex ?? index
+      }))
+    };
+
+    this.commitments[commitment.root] = entry;
+    this.save();
+    return entry;
+  }
+
+  /**
+   * Look up a commitment by Merkle root
+   */
+  get(root) {
+    return this.commitments[root] || null;
+  }
+
+  has(root) {
+    return Boolean(this.commitments[root]);
+  }
+
+  /**
+   * Summaries of all commitments, newest first
+   */
+  list() {
+    return Object.values(this.commitments)
+      .map(({ root, timestamp, claimCount, model, prompt }) => ({ root, timestamp, claimCount, model, prompt }))
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+  }
+}
+
+module.exports = CommitmentStore;
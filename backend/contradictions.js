@@ -0,0 +1,228 @@
+const nlp = require('compromise');
+const { parseDates } = require('./temporal');
+const { extractQuantities, sameKind, sameFigure } = require('./quantities');
+
+/**
+ * Contradiction and negation detection
+ *
+ * The presence checks only ask whether an entity, date or quote appears in a
+ * snippet, so "Armstrong did not land in 1972" reads as confirming 1972.
+ * This module reads evidence clause by clause (compromise sentences, split
+ * on ";" and "but") and decides, for each clause that talks about the claim:
+ * - negation:       the clause negates what the claim asserts ("did not land in 1972")
+ * - competing value: the clause fills the same slot (year, person, place) with a
+ *                    different value, or states a figure of the same kind that
+ *                    doesn't match ("5 million people" vs "9 million people")
+ * - support:        the clause asserts the claim's value with the claim's polarity
+ */
+
+const NEGATION = '(#Negative|nobody|neither|nor|none)';
+const SLOTS = ['year', 'person', 'place', 'quantity'];
+
+// Terms that carry meaning (roots are compared, so "landed" and "landing" match)
+const CONTENT_TAGS = new Set(['Noun', 'Verb', 'Adjective']);
+const SKIP_TAGS = new Set(['Pronoun', 'Auxiliary', 'Copula', 'Negative', 'Value', 'Determiner', 'Modal']);
+
+/**
+ * Split text into clauses: sentences, then ";" / "but" / "whereas"
+ */
+function clauses(text) {
+  return nlp(text || '').sentences().out('array')
+    .flatMap(sentence => sentence.split(/;|\s+(?:but|whereas)\s+/i))
+    .map(clause => clause.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Slot values mentioned in text: { year: [...], person: [...], place: [...], quantity: [...] }
+ * Quantities are kept as written ("5 million", "384,400 km") and compared by value.
+ */
+function slotValues(text) {
+  const doc = nlp(text);
+  // compromise returns "Ulm, Germany." or "first person"; keep clean proper names
+  const names = (list) => [...new Set(list
+    .flatMap(value => value.split(/,\s*/))
+    .map(value => value.replace(/['’]s$/, '').replace(/[.,;:!?"]+$/, '').trim())
+    .filter(value => /^[A-Z]/.test(value)))];
+
+  return {
+    // Years of dates that fall within one year ("July 20, 1969" → 1969); not "2000 km"
+    year: [...new Set(parseDates(text)
+      .filter(date => date.start.slice(0, 4) === date.end.slice(0, 4))
+      .map(date => date.start.slice(0, 4)))],
+    person: names(doc.people().out('array')),
+    place: names(doc.places().out('array')),
+    quantity: [...new Set(extractQuantities(text).map(quantity => quantity.raw))]
+  };
+}
+
+/**
+ * Same slot value? Names match on token containment ("Armstrong" = "Neil Armstrong"),
+ * figures within rounding ("3.8 million" = "3,794,000")
+ */
+function sameValue(slot, a, b) {
+  if (slot === 'year') return a === b;
+  if (slot === 'quantity') return sameFigure(quantityOf(a), quantityOf(b));
+  const tokens = (value) => value.toLowerCase().split(/\s+/);
+  const [shorter, longer] = [tokens(a), tokens(b)].sort((x, y) => x.length - y.length);
+  return shorter.every(token => longer.includes(token));
+}
+
+/**
+ * Can two values of a slot disagree? Only figures of the same kind (both
+ * lengths, both counts of people, ...) can; names and years always can.
+ */
+function comparable(slot, a, b) {
+  return slot !== 'quantity' || sameKind(quantityOf(a), quantityOf(b));
+}
+
+function quantityOf(raw) {
+  return extractQuantities(raw)[0] || {};
+}
+
+/**
+ * Stemmed content words of a text
+ */
+function stems(text) {
+  return new Set(contentTerms(text).map(term => term.stem));
+}
+
+/**
+ * Content words with their offsets: [{ stem, start }]
+ */
+function contentTerms(text) {
+  const doc = nlp(text);
+  doc.compute('root');
+  return doc.json({ offset: true })
+    .flatMap(sentence => sentence.terms)
+    .filter(term => term.tags.some(tag => CONTENT_TAGS.has(tag)) && !term.tags.some(tag => SKIP_TAGS.has(tag)))
+    .map(term => ({ stem: stem(term.root || term.normal), start: term.offset.start }))
+    .filter(term => term.stem.length > 2);
+}
+
+function stem(word) {
+  const clean = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (clean.length > 5 && clean.endsWith('ing')) return clean.slice(0, -3);
+  if (clean.length > 4 && clean.endsWith('ed')) return clean.slice(0, -2);
+  if (clean.length > 3 && clean.endsWith('s') && !clean.endsWith('ss')) return clean.slice(0, -1);
+  return clean;
+}
+
+/**
+ * Offsets of negation words in a clause
+ */
+function negationOffsets(text) {
+  return nlp(text).match(NEGATION).json({ offset: true }).map(match => match.offset.start);
+}
+
+/**
+ * Is the value at `index` inside the scope of a negation? ("not in 1972")
+ * Negation scope is approximated as "anything after the negation word".
+ */
+function negatedAt(text, index) {
+  return negationOffsets(text).some(offset => offset <= index);
+}
+
+/**
+ * Does the text mention `value` without negating it?
+ */
+function affirms(text, value) {
+  return clauses(text).some(clause => {
+    const index = clause.indexOf(value);
+    return index !== -1 && !negatedAt(clause, index);
+  });
+}
+
+/**
+ * What the claim asserts: its slot values, polarity and remaining content words
+ */
+function analyzeClaim(text) {
+  const slots = slotValues(text);
+  const slotWords = new Set(SLOTS.flatMap(slot => slots[slot]).flatMap(value => [...stems(value)]));
+
+  return {
+    text,
+    slots,
+    slotCount: SLOTS.reduce((sum, slot) => sum + slots[slot].length, 0),
+    negated: negationOffsets(text).length > 0,
+    keywords: [...stems(text)].filter(word => !slotWords.has(word))
+  };
+}
+
+/**
+ * Read one source against an analyzed claim
+ * `source` is a text, or a list of { text, ...location } parts (snippet, page
+ * passages); each finding carries the location of the part it came from.
+ * Returns { stance: 'supports' | 'contradicts' | 'neutral', supporting, contradicting }
+ * where supporting/contradicting list the clauses that decided it.
+ */
+function assessSource(claim, source) {
+  const supporting = [];
+  const contradicting = [];
+  if (claim.keywords.length === 0) return { stance: 'neutral', supporting, contradicting };
+
+  const parts = typeof source === 'string' ? [{ text: source }] : source;
+  for (const { text, ...location } of parts) {
+    assessText(claim, text, location, supporting, contradicting);
+  }
+
+  let stance = 'neutral';
+  if (contradicting.length > 0 && supporting.length === 0) stance = 'contradicts';
+  if (supporting.length > 0 && contradicting.length === 0) stance = 'supports';
+
+  return { stance, supporting, contradicting };
+}
+
+function assessText(claim, text, location, supporting, contradicting) {
+  for (const clause of clauses(text)) {
+    const words = stems(clause);
+    const overlap = claim.keywords.filter(word => words.has(word)).length;
+    const full = overlap === claim.keywords.length;
+    if (overlap < Math.ceil(claim.keywords.length / 2)) continue; // Not about the claim
+
+    const values = slotValues(clause);
+    const mentioned = [];
+    const competing = [];
+    SLOTS.forEach(slot => {
+      const claimed = claim.slots[slot];
+      if (claimed.length === 0) return;
+      claimed.forEach(value => {
+        const found = values[slot].find(v => sameValue(slot, value, v));
+        if (found) mentioned.push({ slot, value, index: clause.indexOf(found) });
+      });
+      const reported = values[slot].filter(v => claimed.some(value => comparable(slot, value, v)));
+      if (reported.length > 0 && !reported.some(v => claimed.some(value => sameValue(slot, value, v)))) {
+        competing.push({ slot, claimed: claimed.join(', '), reported: reported.join(', ') });
+      }
+    });
+
+    // The clause must be anchored to the claim: a shared value, or every content word
+    if (mentioned.length === 0 && !full) continue;
+
+    // Negation scope is approximated as "everything after the negation word":
+    // "did not land in 1972" negates the landing and 1972, "1969, not 1972" only 1972
+    const negations = negationOffsets(clause);
+    const inScope = (index) => negations.some(offset => offset <= index);
+    const negatedValue = mentioned.find(m => inScope(m.index));
+    const negatedPredicate = contentTerms(clause).some(term => claim.keywords.includes(term.stem) && inScope(term.start));
+
+    if (claim.negated) {
+      // "X did not happen": a source asserting it, with every claimed value, contradicts
+      if (!negatedValue && !negatedPredicate && mentioned.length === claim.slotCount) {
+        contradicting.push({ type: 'negation', snippet: clause, ...location });
+      } else if (negatedValue || negatedPredicate) {
+        supporting.push({ snippet: clause, ...location });
+      }
+    } else if (negatedValue) {
+      contradicting.push({ type: 'negation', slot: negatedValue.slot, claimed: negatedValue.value, snippet: clause, ...location });
+    } else if (negatedPredicate && competing.length === 0) {
+      contradicting.push({ type: 'negation', snippet: clause, ...location });
+    } else if (competing.length > 0 && !negatedPredicate) {
+      contradicting.push({ type: 'competing-value', ...competing[0], snippet: clause, ...location });
+    } else if (!negatedPredicate) {
+      supporting.push({ snippet: clause, ...location });
+    }
+  }
+}
+
+module.exports = { analyzeClaim, assessSource, affirms, clauses, negatedAt, slotValues };
@@ -0,0 +1,209 @@
+const fs = require('fs');
+const path = require('path');
+const { digest } = require('./attestation');
+const { PublicSuffixList, normalizeHost } = require('./public-suffix');
+
+/**
+ * Source Credibility Policy
+ *
+ * Which sources count, and how much, is a compliance decision, so it lives in
+ * a policy file (CREDIBILITY_POLICY_FILE, default credibility-policy.json)
+ * instead of code:
+ *
+ *   {
+ *     "name": "default",
+ *     "defaultScore": 60,                        // unlisted domains (0 = allow-list only)
+ *     "domains": { "wikipedia.org": 90, "edu": 90, "=blog.example.com": 30 },
+ *     "deny": ["content-farm.example"],          // always score 0
+ *     "claimTypes": {                            // keyed by claim.type
+ *       "event": { "domains": { "arxiv.org": 50 }, "deny": [], "defaultScore": 50 }
+ *     }
+ *   }
+ *
+ * A rule matches that domain and its subdomains on label boundaries
+ * ("wikipedia.org" matches "en.wikipedia.org", never "notwikipedia.org" or
+ * "wikipedia.org.evil.io"); "=host" matches the host only. A rule naming a
+ * public suffix ("edu", "gov.uk", "blogspot.com") covers every site registered
+ * under it. The most specific rule wins, and a claim type's rule wins over a
+ * base rule that is just as specific. A deny rule beats any score.
+ *
+ * reload() re-reads the file; an invalid file is rejected and the current
+ * policy stays in force.
+ */
+
+const DEFAULT_POLICY_FILE = path.join(__dirname, 'credibility-policy.json');
+
+class CredibilityPolicy {
+
+  constructor(options = {}) {
+    this.file = options.policyFile || process.env.CREDIBILITY_POLICY_FILE || DEFAULT_POLICY_FILE;
+    this.suffixes = options.publicSuffixList instanceof PublicSuffixList
+      ? options.publicSuffixList
+      : new PublicSuffixList(options.publicSuffixList);
+
+    this.policy = options.policy ? compilePolicy(options.policy) : this.read();
+    this.loadedAt = new Date().toISOString();
+  }
+
+  /**
+   * Parse and validate the policy file (throws on a missing or invalid file)
+   */
+  read() {
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read credibility policy ${this.file}: ${error.message}`);
+    }
+    return compilePolicy({ name: path.basename(this.file, '.json'), ...raw });
+  }
+
+  /**
+   * Re-read the policy file; the current policy stays in force if it is invalid
+   */
+  reload() {
+    this.policy = this.read();
+    this.loadedAt = new Date().toISOString();
+    console.log(`🛂 Credibility policy ${this.policy.name} reloaded (version ${this.policy.version})`);
+    return this.describe();
+  }
+
+  /**
+   * Summary of the active policy: { name, version, file, loadedAt, defaultScore, domains, deny, claimTypes }
+   */
+  describe() {
+    const { name, version, defaultScore, base, claimTypes } = this.policy;
+    return {
+      name,
+      version,
+      file: this.file,
+      loadedAt: this.loadedAt,
+      defaultScore,
+      domains: base.domains.length,
+      deny: base.deny.length,
+      claimTypes: Object.keys(claimTypes)
+    };
+  }
+
+  /**
+   * Score a source URL for a claim type
+   * Returns { url, domain, registrableDomain, score, rule, denied, claimType, policy }
+   * (rule is the matching rule, null when the default score applied)
+   */
+  score(url, claimType = null) {
+    const domain = hostnameOf(url);
+    const typed = (claimType && this.policy.claimTypes[claimType]) || null;
+    const record = {
+      url,
+      domain,
+      registrableDomain: domain ? this.suffixes.registrableDomain(domain) : null,
+      score: typed && typed.defaultScore !== undefined ? typed.defaultScore : this.policy.defaultScore,
+      rule: null,
+      denied: false,
+      claimType: typed ? claimType : null,
+      policy: `${this.policy.name}@${this.policy.version}`
+    };
+    if (!domain) return record;
+
+    const deny = mostSpecific(domain, [...(typed ? typed.deny : []), ...this.policy.base.deny]);
+    if (deny) {
+      return { ...record, score: 0, rule: deny.pattern, denied: true };
+    }
+
+    // Claim-type rules first, so they win ties
+    const rule = mostSpecific(domain, [...(typed ? typed.domains : []), ...this.policy.base.domains]);
+    return rule ? { ...record, score: rule.score, rule: rule.pattern } : record;
+  }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Validate a policy object and turn its rules into matchers
+ */
+function compilePolicy(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('A credibility policy must be a JSON object');
+  }
+
+  const defaultScore = raw.defaultScore ?? 60;
+  checkScore(defaultScore, 'defaultScore');
+
+  const claimTypes = {};
+  Object.entries(raw.claimTypes || {}).forEach(([type, section]) => {
+    if (section.defaultScore !== undefined) checkScore(section.defaultScore, `claimTypes.${type}.defaultScore`);
+    claimTypes[type] = { ...compileSection(section, `claimTypes.${type}`), defaultScore: section.defaultScore };
+  });
+
+  const policy = {
+    name: raw.name || 'custom',
+    defaultScore,
+    base: compileSection(raw, ''),
+    claimTypes
+  };
+  policy.version = digest(raw).substring(0, 12);
+  return policy;
+}
+
+function compileSection(section, label) {
+  const prefix = label ? `${label}.` : '';
+  if (section.domains !== undefined && (typeof section.domains !== 'object' || Array.isArray(section.domains))) {
+    throw new Error(`${prefix}domains must map domains to scores`);
+  }
+  if (section.deny !== undefined && !Array.isArray(section.deny)) {
+    throw new Error(`${prefix}deny must be a list of domains`);
+  }
+
+  return {
+    domains: Object.entries(section.domains || {}).map(([pattern, score]) => {
+      checkScore(score, `${prefix}domains["${pattern}"]`);
+      return { ...compileRule(pattern), score };
+    }),
+    deny: (section.deny || []).map(compileRule)
+  };
+}
+
+/**
+ * "example.com" (domain and subdomains) or "=www.example.com" (that host only)
+ */
+function compileRule(pattern) {
+  const exact = String(pattern).startsWith('=');
+  const host = normalizeHost(String(pattern).replace(/^=/, ''));
+  if (!host || !/^[a-z0-9-]+(\.[a-z0-9-]+)*$/.test(host)) {
+    throw new Error(`Invalid domain rule: ${pattern}`);
+  }
+  return { pattern: String(pattern), host, exact, labels: host.split('.').length };
+}
+
+function checkScore(score, label) {
+  if (typeof score !== 'number' || !(score >= 0 && score <= 100)) {
+    throw new Error(`${label} must be a score from 0 to 100`);
+  }
+}
+
+/**
+ * The matching rule with the most labels (exact rules win ties, then list order)
+ */
+function mostSpecific(domain, rules) {
+  let best = null;
+  for (const rule of rules) {
+    const matches = rule.exact ? domain === rule.host : domain === rule.host || domain.endsWith(`.${rule.host}`);
+    if (!matches) continue;
+    if (!best || rule.labels > best.labels || (rule.labels === best.labels && rule.exact && !best.exact)) {
+      best = rule;
+    }
+  }
+  return best;
+}
+
+function hostnameOf(url) {
+  try {
+    return normalizeHost(new URL(url).hostname.replace(/^\[|\]$/g, ''));
+  } catch {
+    return null;
+  }
+}
+
+module.exports = { CredibilityPolicy, compilePolicy };
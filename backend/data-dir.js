@@ -0,0 +1,29 @@
+const path = require('path');
+
+/**
+ * Data Directory
+ *
+ * The stores that outlive a restart (commitment registry, signing key,
+ * transparency log, disputes, evidence snapshots) keep their files in one
+ * directory: options.dataDir, else DATA_DIR, else the working directory.
+ * dataDir: false keeps every store in memory (tests, serverless, read-only
+ * filesystems). A store's own persist and file options, and its file variable,
+ * still win.
+ */
+
+/**
+ * Whether a store writes to disk: persist if given, else when the store was
+ * given its own location (options.file, ...) or dataDir isn't false
+ */
+function persistent(options = {}, location) {
+  return options.persist ?? (Boolean(location) || options.dataDir !== false);
+}
+
+/**
+ * Default path of a store's file or directory inside the data directory
+ */
+function dataPath(options = {}, name) {
+  return path.join(options.dataDir || process.env.DATA_DIR || '.', name);
+}
+
+module.exports = { persistent, dataPath };
@@ -1,6 +1,37 @@
 const https = require('https');
 const http = require('http');
+const fs = require('fs');
+const { fileURLToPath } = require('url');
 const nlp = require('compromise');
+const { digest } = require('./attestation');
+const { CheckRegistry, loadProfile } = require('./check-registry');
+const { extractQuantities, sameKind, sameFigure, contextWords, keywords } = require('./quantities');
+const { analyzeClaim, assessSource, clauses, negatedAt } = require('./contradictions');
+const { parseDates, compareDates } = require('./temporal');
+const { PageFetcher, splitPassages } = require('./page-fetcher');
+const { EntityResolver } = require('./entity-resolver');
+const { CredibilityPolicy } = require('./credibility-policy');
+const { groupSources } = require('./source-independence');
+const { StrategyRegistry, workOf, mentionsWork } = require('./verification-strategies');
+const { KnowledgeBase } = require('./knowledge-base');
+
+// Bump when the snapshot layout changes
+// (2: snapshots record the verification profile, 3: bodies hold the extracted page text,
+//  4: credibility holds the source scores the policy gave at the time,
+//  5: strategy names the verification strategy applied,
+//  6: knowledge holds the knowledge-base answers for the claim,
+//  7: entities holds the entity resolver's answers, checks the check set that ran,
+//     pages how source pages were read)
+const SNAPSHOT_VERSION = 7;
+
+// Page passages the numeric and contradiction checks read per source (best keyword matches)
+const MAX_PAGE_PASSAGES = 3;
+
+// A figure or statement is contradicted (critical) when this many independent sources dispute it and none agree
+const MIN_CONTRADICTING_SOURCES = 2;
+
+// Evidence needs this many independent sources (distinct sites, not copies of one story)
+const MIN_INDEPENDENT_SOURCES = 2;
 
 /**
  * Deterministic Claim Verifier
@@ -14,61 +45,548 @@ const nlp = require('compromise');
  */
 class DeterministicVerifier {
 
+  constructor(options = {}) {
+    // Where evidence snapshots are kept for replay() (optional)
+    this.snapshots = options.snapshotStore || null;
+
+    // Full-page evidence: download source pages so checks see more than the snippet
+    // (FETCH_FULL_PAGES=false or fetchPages: false keeps snippet-only checks)
+    this.fetchPages = options.fetchPages ?? process.env.FETCH_FULL_PAGES !== 'false';
+    this.pages = options.pageFetcher instanceof PageFetcher
+      ? options.pageFetcher
+      : new PageFetcher(options.pageFetcher);
+
+    // Canonical IDs and aliases for named entities (ENTITY_ALIAS_FILE)
+    this.entities = options.entityResolver instanceof EntityResolver
+      ? options.entityResolver
+      : new EntityResolver(options.entityResolver);
+
+    // Local subject–predicate–object facts (KNOWLEDGE_BASE_FILE); its entity
+    // names are added to the resolver above
+    this.knowledge = options.knowledgeBase instanceof KnowledgeBase
+      ? options.knowledgeBase
+      : new KnowledgeBase({ entityResolver: this.entities, ...options.knowledgeBase });
+
+    // Source scores, allow/deny lists and per-claim-type trust (CREDIBILITY_POLICY_FILE)
+    this.credibility = options.credibilityPolicy instanceof CredibilityPolicy
+      ? options.credibilityPolicy
+      : new CredibilityPolicy(options.credibilityPolicy);
+
+    // Thresholds, weights and criticality overrides (VERIFICATION_PROFILE)
+    this.profile = loadProfile(options.profile);
+
+    // Built-in checks first, then any deployment-specific ones
+    this.registry = new CheckRegistry();
+    this.registerDefaultChecks();
+    (options.checks || []).forEach(check => this.registerCheck(check));
+
+    // Per-claim-type strategies (extra checks and overrides, selected by claim.type)
+    this.strategies = new StrategyRegistry();
+    this.registerDefaultStrategies();
+    (options.strategies || []).forEach(strategy => this.registerStrategy(strategy));
+  }
+
+  /**
+   * Register the built-in checks
+   */
+  registerDefaultChecks() {
+    this.registry
+      .register({
+        name: 'URL Validity',
+        run: (claim, evidence, context) => this.checkURLValidity(claim, evidence, context.recorder)
+      })
+      .register({
+        name: 'Quote Exact Match',
+        critical: true,
+        run: (claim, evidence) => this.checkQuoteExactMatch(claim, evidence)
+      })
+      .register({
+        name: 'Entity Consistency',
+        run: (claim, evidence, context) => this.checkEntityConsistency(claim, evidence, context.recorder)
+      })
+      .register({
+        name: 'Source Credibility',
+        run: (claim, evidence, context) => this.checkSourceCredibility(claim, evidence, context.recorder)
+      })
+      .register({
+        name: 'Temporal Consistency',
+        run: (claim, evidence) => this.checkTemporalConsistency(claim, evidence)
+      })
+      .register({
+        name: 'Numeric Consistency',
+        run: (claim, evidence) => this.checkNumericConsistency(claim, evidence)
+      })
+      .register({
+        name: 'Contradiction Detection',
+        run: (claim, evidence) => this.checkContradictions(claim, evidence)
+      })
+      .register({
+        name: 'Source Independence',
+        run: (claim, evidence) => this.checkSourceIndependence(evidence)
+      })
+      .register({
+        name: 'KB Agreement',
+        run: (claim, evidence, context) => this.checkKnowledgeBase(claim, context.recorder)
+      });
+  }
+
+  /**
+   * Register the built-in verification strategies
+   */
+  registerDefaultStrategies() {
+    this.strategies
+      .register({
+        name: 'default',
+        description: 'The registered checks as the profile configures them'
+      })
+      .register({
+        name: 'attribution',
+        description: 'The author and the work must be named together in a source',
+        types: ['attribution'],
+        checks: [{
+          name: 'Attribution Co-occurrence',
+          weight: 2,
+          run: (claim, evidence, context) => this.checkAttribution(claim, evidence, context.recorder)
+        }]
+      })
+      .register({
+        name: 'relationship',
+        description: 'Both ends of the relationship must appear in the same passage',
+        types: ['relationship'],
+        checks: [{
+          name: 'Relationship Endpoints',
+          weight: 2,
+          run: (claim, evidence, context) => this.checkRelationship(claim, evidence, context.recorder)
+        }]
+      })
+      .register({
+        name: 'date',
+        description: 'An unconfirmed date is a critical failure',
+        types: ['date'],
+        critical: { 'Temporal Consistency': true }
+      });
+  }
+
+  /**
+   * Add (or replace) a strategy: { name, types, checks, weights, critical }
+   * See verification-strategies.js for the contract.
+   */
+  registerStrategy(strategy) {
+    this.strategies.register(strategy);
+    return this;
+  }
+
+  /**
+   * The checks to run under a profile and strategy: registered checks plus the
+   * strategy's own, with the strategy's weight and criticality overrides on top
+   */
+  resolveChecks(profile, strategy) {
+    return this.registry.extend(strategy.checks).resolve(profile).map(check => ({
+      ...check,
+      weight: strategy.weights[check.name] ?? check.weight,
+      criticalOverride: strategy.critical[check.name] ?? check.criticalOverride
+    }));
+  }
+
+  /**
+   * Add (or replace) a check: { name, run, weight, critical, appliesTo }
+   * See check-registry.js for the contract.
+   */
+  registerCheck(check) {
+    this.registry.register(check);
+    return this;
+  }
+
   /**
    * Verify a claim using deterministic rules
    * Returns a verification result that can be cryptographically proven
+   *
+   * Everything read from outside (search results, URL check outcomes, page
+   * bodies) is captured in an evidence snapshot whose hash is returned as
+   * snapshotHash. Passing options.snapshot re-runs the checks against a
+   * recorded snapshot instead of the network (see replay()).
+   *
+   * options.onProgress receives each check result as soon as it completes,
+   * so fast checks are reported while slow ones (URL requests) still run.
    */
-  async verifyClaim(claim, evidence) {
+  async verifyClaim(claim, evidence, options = {}) {
+    const recorder = this.evidenceRecorder(options.snapshot);
+    const capturedAt = options.snapshot ? options.snapshot.capturedAt : new Date().toISOString();
+
     const results = {
       claim: claim.text,
       claimHash: this.hashClaim(claim.text),
-      timestamp: new Date().toISOString(),
+      timestamp: capturedAt,
       checks: [],
       verdict: null,
       fraudProof: null
     };
 
-    // Run deterministic checks
-    const checks = [
-      await this.checkURLValidity(claim, evidence),
-      await this.checkQuoteExactMatch(claim, evidence),
-      await this.checkEntityConsistency(claim, evidence),
-      await this.checkSourceCredibility(evidence),
-      await this.checkTemporalConsistency(claim, evidence)
-    ];
+    const emit = (status, data) => {
+      if (typeof options.onProgress !== 'function') return;
+      try {
+        options.onProgress({ stage: 'deterministicChecks', status, data, timestamp: new Date().toISOString() });
+      } catch (error) {
+        console.error('Progress listener failed:', error.message);
+      }
+    };
+
+    // Replays use the profile recorded with the evidence (pre-profile snapshots: default)
+    const profile = options.snapshot
+      ? options.snapshot.profile || loadProfile('default')
+      : this.profile;
+    // ... and its strategy (snapshots from before version 5 ran without one)
+    const strategy = this.strategies.select(claim, options.snapshot ? options.snapshot.strategy || 'default' : options.strategy);
+
+    // Run the registered checks concurrently; results keep registration order
+    emit('in-progress');
+    const reportWhenDone = (pending) => pending.then(check => {
+      emit('check', check);
+      return check;
+    });
+    const context = { recorder, profile, strategy };
+    const pages = this.pageSettings(options.snapshot);
+    const withPages = await this.attachPages(evidence, recorder, pages);
+    const grouped = this.attachSourceGroups(withPages);
+    const checkSet = this.checkSet(profile, strategy, options.snapshot);
+    const checks = await Promise.all(
+      checkSet.map(check => reportWhenDone(this.runCheck(check, claim, grouped, context)))
+    );
 
     results.checks = checks;
+    emit('completed', checks);
 
-    // Aggregate verdict (deterministic logic)
-    // Filter out N/A checks from the calculation
+    // Aggregate verdict: weighted share of passed checks (N/A checks don't count)
     const applicableChecks = checks.filter(c => !c.notApplicable);
-    const passedChecks = applicableChecks.filter(c => c.passed).length;
-    const totalChecks = applicableChecks.length;
     const criticalFailures = applicableChecks.filter(c => c.critical && !c.passed);
+    const totalWeight = applicableChecks.reduce((sum, c) => sum + c.weight, 0);
+    const passedWeight = applicableChecks.filter(c => c.passed).reduce((sum, c) => sum + c.weight, 0);
+    const score = totalWeight > 0 ? passedWeight / totalWeight : 0;
+    const { verified, uncertain } = profile.thresholds;
+    const breakdown = this.describeScore(applicableChecks, score, profile, grouped);
+
+    results.score = Math.round(score * 1000) / 1000;
+    results.profile = profile.name;
+    results.strategy = strategy.name;
+    results.totalSources = grouped.results.length;
+    results.independentSources = grouped.independence.independent;
 
     if (criticalFailures.length > 0) {
       results.verdict = 'FRAUD_PROVEN';
-      results.fraudProof = this.generateFraudProof(claim, criticalFailures[0]);
+      results.fraudProof = this.generateFraudProof(claim, criticalFailures[0], capturedAt);
       results.confidence = 10;
       results.reasoning = `Critical check failed: ${criticalFailures[0].name}. ${criticalFailures[0].reason}`;
-    } else if (passedChecks / totalChecks >= 0.6) {
+    } else if (totalWeight === 0) {
+      results.verdict = 'UNCERTAIN';
+      results.confidence = 0;
+      results.reasoning = 'No applicable checks with weight. Insufficient evidence to verify or disprove this claim.';
+    } else if (score >= verified) {
       results.verdict = 'VERIFIED';
-      results.confidence = Math.round((passedChecks / totalChecks) * 100);
-      results.reasoning = `${passedChecks}/${totalChecks} deterministic checks passed. ${checks.filter(c => c.passed).map(c => c.name).join(', ')} all confirmed.`;
-    } else if (passedChecks / totalChecks >= 0.3) {
+      results.confidence = Math.round(score * 100);
+      results.reasoning = `${breakdown} Meets the ${formatPercent(verified)} needed to verify.`;
+    } else if (score >= uncertain) {
       results.verdict = 'UNCERTAIN';
-      results.confidence = Math.round((passedChecks / totalChecks) * 100);
-      results.reasoning = `Only ${passedChecks}/${totalChecks} checks passed. Insufficient evidence to verify or disprove this claim.`;
+      results.confidence = Math.round(score * 100);
+      results.reasoning = `${breakdown} Below the ${formatPercent(verified)} needed to verify. Insufficient evidence to verify or disprove this claim.`;
     } else {
+      const firstFailure = applicableChecks.find(c => !c.passed) || checks[0];
       results.verdict = 'FRAUD_PROVEN';
-      results.fraudProof = this.generateFraudProof(claim, checks[0]);
+      results.fraudProof = this.generateFraudProof(claim, firstFailure, capturedAt);
       results.confidence = 10;
-      results.reasoning = `Most checks failed (${totalChecks - passedChecks}/${totalChecks}). Evidence does not support this claim.`;
+      results.reasoning = `${breakdown} Below the ${formatPercent(uncertain)} floor. Evidence does not support this claim.`;
     }
 
+    const snapshot = options.snapshot || {
+      version: SNAPSHOT_VERSION,
+      claim: { text: claim.text, type: claim.type || null },
+      evidence: {
+        query: evidence.query || null,
+        provider: evidence.provider || null,
+        results: evidence.results || []
+      },
+      urlChecks: recorder.urlChecks,
+      bodies: recorder.bodies,
+      credibility: recorder.credibility,
+      knowledge: recorder.knowledge,
+      entities: recorder.entities,
+      checks: checkSet.map(({ name, weight, critical, criticalOverride }) =>
+        ({ name, weight, critical: Boolean(critical), criticalOverride: criticalOverride ?? null })),
+      pages,
+      merkleRoot: options.merkleRoot || null,
+      profile,
+      strategy: strategy.name,
+      capturedAt
+    };
+    results.snapshotHash = this.snapshots ? this.snapshots.put(snapshot) : digest(snapshot);
+
     return results;
   }
 
+  /**
+   * How source pages are read: live settings, or the ones recorded in a
+   * snapshot (snapshots from before version 7 read whatever bodies they hold)
+   */
+  pageSettings(snapshot = null) {
+    if (snapshot) {
+      return snapshot.pages || { fetch: true, maxPassageLength: this.pages.maxPassageLength };
+    }
+    return { fetch: this.fetchPages, maxPassageLength: this.pages.maxPassageLength };
+  }
+
+  /**
+   * The checks to run: the profile's and strategy's, or, when replaying, exactly
+   * the ones recorded with their weights and criticality (snapshots from before
+   * version 7 run the current set)
+   */
+  checkSet(profile, strategy, snapshot = null) {
+    if (!snapshot || !snapshot.checks) return this.resolveChecks(profile, strategy);
+
+    const registered = this.registry.extend(strategy.checks).checks;
+    return snapshot.checks.map(recorded => {
+      const check = registered.get(recorded.name);
+      if (!check) {
+        throw new Error(`The snapshot was verified with a check that is no longer registered: ${recorded.name}`);
+      }
+      return { ...check, weight: recorded.weight, critical: recorded.critical, criticalOverride: recorded.criticalOverride ?? undefined };
+    });
+  }
+
+  /**
+   * Run one registered check and stamp it with its name, weight and criticality
+   * A check that throws counts as a (non-critical) failure.
+   */
+  async runCheck(check, claim, evidence, context) {
+    if (check.appliesTo && !check.appliesTo(claim, evidence)) {
+      return {
+        name: check.name,
+        passed: true,
+        notApplicable: true,
+        critical: false,
+        weight: check.weight,
+        reason: 'Not applicable to this claim',
+        evidence: []
+      };
+    }
+
+    let outcome;
+    try {
+      outcome = await check.run(claim, evidence, context);
+    } catch (error) {
+      console.error(`Check ${check.name} failed:`, error.message);
+      return {
+        name: check.name,
+        passed: false,
+        critical: false, // A check that can't run proves nothing
+        weight: check.weight,
+        reason: `Check could not run: ${error.message}`,
+        evidence: []
+      };
+    }
+
+    // The profile decides when it says so; otherwise a check registered as critical stays critical
+    // even when its outcome reports critical: false
+    return {
+      ...outcome,
+      name: check.name,
+      passed: Boolean(outcome.passed),
+      critical: Boolean(check.criticalOverride ?? (outcome.critical || check.critical)),
+      weight: check.weight
+    };
+  }
+
+  /**
+   * "Weighted score 75% (default profile). Passed: A (×1), B (×2). Failed: C (×1).
+   * 3 independent sources of 5."
+   */
+  describeScore(applicableChecks, score, profile, evidence = null) {
+    const list = (checks) => checks.map(c => `${c.name} (×${c.weight})`).join(', ');
+    const passed = applicableChecks.filter(c => c.passed);
+    const failed = applicableChecks.filter(c => !c.passed);
+
+    let text = `Weighted score ${formatPercent(score)} (${profile.name} profile).`;
+    if (passed.length > 0) text += ` Passed: ${list(passed)}.`;
+    if (failed.length > 0) text += ` Failed: ${list(failed)}.`;
+    if (evidence && evidence.independence) {
+      text += ` ${evidence.independence.independent} independent source(s) of ${evidence.results.length}.`;
+    }
+    return text;
+  }
+
+  /**
+   * Re-run the checks of a recorded verification offline
+   * Reproduces the original checks, verdict and proofHash exactly.
+   */
+  async replay(snapshotHash, options = {}) {
+    if (!this.snapshots) {
+      throw new Error('replay() needs a snapshot store');
+    }
+
+    const snapshot = this.snapshots.get(snapshotHash);
+    return this.verifyClaim(snapshot.claim, snapshot.evidence, { ...options, snapshot });
+  }
+
+  /**
+   * Records (or, when replaying, answers from the snapshot) every outside read
+   * the checks make
+   */
+  evidenceRecorder(snapshot = null) {
+    const urlChecks = {};
+    const bodies = {};
+    const credibility = {};
+    const knowledge = [];
+    const entities = { extracted: {}, found: {} }; // Keyed by text / "entity id:text hash"
+    const fetching = new Map(); // One download per URL per verification
+    // Entity answers come from the snapshot when it has them (version 7+), so an
+    // edited alias file doesn't change a replay
+    const recordedEntities = snapshot && snapshot.entities;
+
+    const fetchPage = async (url) => {
+      if (snapshot) {
+        return (snapshot.bodies || {})[url] || null;
+      }
+
+      if (!fetching.has(url)) {
+        fetching.set(url, this.pages.fetch(url).then(({ ok, status, contentType, text, truncated, error }) => {
+          bodies[url] = { ok, status, contentType, text, truncated, ...(error && { error }) };
+          return bodies[url];
+        }));
+      }
+      return fetching.get(url);
+    };
+
+    return {
+      urlChecks,
+      bodies,
+      credibility,
+      knowledge,
+      entities,
+      fetchPage,
+      // Entities named in a text (EntityResolver.extract)
+      extractEntities: (text) => {
+        if (recordedEntities) {
+          return recordedEntities.extracted[text] || [];
+        }
+        entities.extracted[text] = this.entities.extract(text);
+        return entities.extracted[text];
+      },
+      // Where a text mentions an entity (EntityResolver.find), or null
+      findEntity: (text, entity) => {
+        const key = `${entity.id}:${this.hashClaim(text)}`;
+        if (recordedEntities) {
+          return recordedEntities.found[key] || null;
+        }
+        entities.found[key] = this.entities.find(text, entity) || null;
+        return entities.found[key];
+      },
+      // Replays keep the scores the policy gave then, even after it is reloaded
+      // (snapshots from before version 4 are scored with the current policy)
+      scoreSource: (url, claimType) => {
+        if (snapshot && snapshot.credibility) {
+          return snapshot.credibility[url] || this.credibility.score(url, claimType);
+        }
+        credibility[url] = this.credibility.score(url, claimType);
+        return credibility[url];
+      },
+      // Knowledge-base answers for the claim; replays use the recorded ones, since
+      // the file (and the entity names it adds) may have changed since
+      assessKnowledge: (text) => {
+        if (snapshot) {
+          return snapshot.knowledge || [];
+        }
+        knowledge.push(...this.knowledge.assess(text));
+        return knowledge;
+      },
+      checkUrl: async (url) => {
+        if (snapshot) {
+          return snapshot.urlChecks[url] || { exists: false, error: 'URL not in snapshot' };
+        }
+
+        let outcome;
+        try {
+          // A page that was downloaded exists; otherwise probe (some servers only answer HEAD)
+          const page = this.fetchPages ? await fetchPage(url) : null;
+          outcome = { exists: (page && page.ok) || await this.urlExists(url) };
+        } catch (err) {
+          outcome = { exists: false, error: err.message };
+        }
+        urlChecks[url] = outcome;
+        return outcome;
+      }
+    };
+  }
+
+  /**
+   * Add the full text of each source page to the evidence, as passages
+   * result.passages = [{ index, start, text }] (empty when the page could not be read)
+   * Replays read the page text recorded in the snapshot.
+   */
+  async attachPages(evidence, recorder, pages = this.pageSettings()) {
+    if (!pages.fetch) return evidence;
+
+    const results = await Promise.all((evidence.results || []).map(async (result) => {
+      const page = result.url ? await recorder.fetchPage(result.url) : null;
+      const passages = page && page.text ? splitPassages(page.text, pages.maxPassageLength) : [];
+      return { ...result, passages };
+    }));
+    return { ...evidence, results };
+  }
+
+  /**
+   * Group the evidence into independent sources (see source-independence.js)
+   * evidence.independence = { independent, groups, groupOf }; result.sourceGroup
+   * is the group each result belongs to
+   */
+  attachSourceGroups(evidence) {
+    const results = evidence.results || [];
+    const independence = groupSources(results, { suffixes: this.credibility.suffixes });
+    return {
+      ...evidence,
+      results: results.map((result, i) => ({ ...result, sourceGroup: independence.groupOf[i] })),
+      independence
+    };
+  }
+
+  /**
+   * How many independent sources are among the given URLs
+   * (results that were not grouped count once per URL)
+   */
+  independentCount(evidence, urls) {
+    const groupOf = new Map((evidence.results || []).map(result => [result.url, result.sourceGroup ?? result.url]));
+    return new Set(urls.map(url => (groupOf.has(url) ? groupOf.get(url) : url))).size;
+  }
+
+  /**
+   * Find where in a source something matches: title, snippet, then page passages
+   * Returns { url, location, passage?, text } for the first match, or null.
+   */
+  locateInSource(result, test) {
+    const parts = [
+      { location: 'title', text: result.title || '' },
+      { location: 'snippet', text: result.snippet || '' },
+      ...(result.passages || []).map(p => ({ location: 'passage', passage: p.index, text: p.text }))
+    ];
+    const match = parts.find(part => part.text && test(part.text));
+    return match ? { url: result.url, ...match } : null;
+  }
+
+  /**
+   * Texts of a source worth reading closely for a claim: title + snippet, then
+   * the page passages sharing the most words with the claim
+   */
+  relevantTexts(result, claimText) {
+    const words = new Set(keywords(claimText));
+    const ranked = (result.passages || [])
+      .map(p => ({ passage: p, hits: keywords(p.text).filter(word => words.has(word)).length }))
+      .filter(p => p.hits > 0)
+      .sort((a, b) => b.hits - a.hits || a.passage.index - b.passage.index)
+      .slice(0, MAX_PAGE_PASSAGES);
+
+    return [
+      { location: 'snippet', text: `${result.title || ''}. ${result.snippet || ''}` },
+      ...ranked.map(({ passage }) => ({ location: 'passage', passage: passage.index, text: passage.text }))
+    ];
+  }
+
   /**
    * Hash a claim for cryptographic commitment
    */
@@ -81,7 +599,7 @@ class DeterministicVerifier {
    * CHECK 1: URL Validity
    * Verify that all URLs in evidence actually exist and return 200
    */
-  async checkURLValidity(claim, evidence) {
+  async checkURLValidity(claim, evidence, recorder = this.evidenceRecorder()) {
     if (!evidence.results || evidence.results.length === 0) {
       return {
         name: 'URL Validity',
@@ -93,14 +611,7 @@ class DeterministicVerifier {
     }
 
     const urlChecks = await Promise.all(
-      evidence.results.map(async (result) => {
-        try {
-          const exists = await this.urlExists(result.url);
-          return { url: result.url, exists };
-        } catch (err) {
-          return { url: result.url, exists: false, error: err.message };
-        }
-      })
+      evidence.results.map(async (result) => ({ url: result.url, ...await recorder.checkUrl(result.url) }))
     );
 
     const validURLs = urlChecks.filter(c => c.exists).length;
@@ -135,11 +646,13 @@ class DeterministicVerifier {
       };
     }
 
+    // location points at the paragraph that contains the quote
     const matches = quotedText.map(quote => {
-      const found = evidence.results.some(result =>
-        result.snippet.toLowerCase().includes(quote.toLowerCase())
-      );
-      return { quote, found };
+      const needle = quote.toLowerCase();
+      const location = evidence.results
+        .map(result => this.locateInSource(result, text => text.toLowerCase().includes(needle)))
+        .find(Boolean);
+      return location ? { quote, found: true, location } : { quote, found: false };
     });
 
     const allMatched = matches.every(m => m.found);
@@ -158,9 +671,11 @@ class DeterministicVerifier {
   /**
    * CHECK 3: Entity Consistency
    * Extract named entities and verify they appear consistently across sources
+   * Entities are resolved to canonical IDs, so a source writing "Le Guin" counts
+   * for "Ursula K. Le Guin" (see entity-resolver.js)
    */
-  async checkEntityConsistency(claim, evidence) {
-    const entities = this.extractEntities(claim.text);
+  async checkEntityConsistency(claim, evidence, recorder = this.evidenceRecorder()) {
+    const entities = recorder.extractEntities(claim.text);
 
     if (entities.length === 0) {
       return {
@@ -174,20 +689,29 @@ class DeterministicVerifier {
     }
 
     const entityChecks = entities.map(entity => {
-      const sourcesMentioning = evidence.results.filter(result =>
-        result.snippet.toLowerCase().includes(entity.toLowerCase()) ||
-        result.title.toLowerCase().includes(entity.toLowerCase())
-      ).length;
+      const locations = evidence.results
+        .map(result => {
+          let match = null;
+          const location = this.locateInSource(result, text => (match = recorder.findEntity(text, entity)));
+          return location && { ...location, matched: match.form };
+        })
+        .filter(Boolean);
 
       return {
-        entity,
-        sourcesMentioning,
-        totalSources: evidence.results.length
+        entity: entity.mentions[0],
+        id: entity.id,
+        canonical: entity.name,
+        type: entity.type,
+        source: entity.source,
+        sourcesMentioning: locations.length,
+        independentSourcesMentioning: this.independentCount(evidence, locations.map(l => l.url)),
+        totalSources: evidence.results.length,
+        locations
       };
     });
 
-    // At least 50% of entities should appear in at least 2 sources
-    const consistentEntities = entityChecks.filter(e => e.sourcesMentioning >= 2).length;
+    // At least 50% of entities should appear in at least 2 independent sources
+    const consistentEntities = entityChecks.filter(e => e.independentSourcesMentioning >= 2).length;
     const passed = consistentEntities >= Math.ceil(entities.length * 0.5);
 
     return {
@@ -195,43 +719,47 @@ class DeterministicVerifier {
       passed,
       critical: false,
       reason: passed
-        ? `${consistentEntities}/${entities.length} entities found in multiple sources`
-        : `Only ${consistentEntities}/${entities.length} entities found in multiple sources`,
+        ? `${consistentEntities}/${entities.length} entities found in multiple independent sources`
+        : `Only ${consistentEntities}/${entities.length} entities found in multiple independent sources`,
       evidence: entityChecks
     };
   }
 
   /**
    * CHECK 4: Source Credibility
-   * Score sources based on domain reputation (deterministic scoring)
+   * Score sources with the credibility policy (see credibility-policy.js),
+   * using the claim type's overrides when it has any
    */
-  async checkSourceCredibility(evidence) {
-    const credibilityScores = evidence.results.map(result => {
-      const domain = this.extractDomain(result.url);
-      const score = this.getDomainCredibilityScore(domain);
-      return { domain, score, url: result.url };
-    });
+  async checkSourceCredibility(claim, evidence, recorder) {
+    const credibilityScores = evidence.results.map(result => recorder.scoreSource(result.url, claim.type || null));
 
     const avgScore = credibilityScores.reduce((sum, s) => sum + s.score, 0) / credibilityScores.length;
     const passed = avgScore >= 60; // 60/100 threshold
+    const denied = credibilityScores.filter(s => s.denied);
+    const deniedNote = denied.length > 0
+      ? ` (${denied.length} denied by policy: ${denied.map(s => s.domain).join(', ')})`
+      : '';
 
     return {
       name: 'Source Credibility',
       passed,
       critical: false,
       reason: passed
-        ? `Average credibility score: ${avgScore.toFixed(0)}/100`
-        : `Low credibility score: ${avgScore.toFixed(0)}/100`,
+        ? `Average credibility score: ${avgScore.toFixed(0)}/100${deniedNote}`
+        : `Low credibility score: ${avgScore.toFixed(0)}/100${deniedNote}`,
       evidence: credibilityScores
     };
   }
 
   /**
    * CHECK 5: Temporal Consistency
-   * Verify dates and temporal claims are consistent
+   * Normalize the claim's dates, ranges, decades and centuries to intervals and
+   * compare them with every date the sources state, however it is phrased
+   * A source confirms a date when it states one as precise or more that falls
+   * inside it ("July 20, 1969" confirms "1969", not the other way round).
    */
   async checkTemporalConsistency(claim, evidence) {
-    const dates = this.extractDates(claim.text);
+    const dates = parseDates(claim.text);
 
     if (dates.length === 0) {
       return {
@@ -244,38 +772,400 @@ class DeterministicVerifier {
       };
     }
 
+    const sourceDates = evidence.results.map(result => this.datesInSource(result));
     const dateChecks = dates.map(date => {
-      const sourcesConfirming = evidence.results.filter(result =>
-        result.snippet.includes(date) || result.title.includes(date)
-      ).length;
+      const locations = [];
+      let sourcesCompatible = 0;
+      let sourcesConflicting = 0;
+
+      sourceDates.forEach(found => {
+        const relations = found.map(reported => ({ reported, relation: compareDates(date, reported) }));
+        const confirming = relations.find(r => r.relation === 'confirms');
+        if (confirming) {
+          const { reported } = confirming;
+          locations.push({ ...reported.location, matched: reported.raw, normalized: reported.normalized });
+        } else if (relations.some(r => r.relation === 'compatible')) {
+          sourcesCompatible++;
+        } else if (relations.length > 0) {
+          sourcesConflicting++;
+        }
+      });
 
       return {
-        date,
-        sourcesConfirming,
-        totalSources: evidence.results.length
+        date: date.raw,
+        normalized: date.normalized,
+        precision: date.precision,
+        interval: { start: date.start, end: date.end },
+        sourcesConfirming: locations.length,
+        independentSourcesConfirming: this.independentCount(evidence, locations.map(l => l.url)),
+        sourcesCompatible,
+        sourcesConflicting,
+        totalSources: evidence.results.length,
+        locations
       };
     });
 
-    // At least 50% of dates should appear in sources
+    // At least 50% of dates should be confirmed by a source
     const confirmedDates = dateChecks.filter(d => d.sourcesConfirming > 0).length;
     const passed = confirmedDates >= Math.ceil(dates.length * 0.5);
+    const normalized = dateChecks.map(d => d.normalized).join(', ');
 
     return {
       name: 'Temporal Consistency',
       passed,
       critical: false,
       reason: passed
-        ? `${confirmedDates}/${dates.length} dates confirmed in sources`
-        : `Only ${confirmedDates}/${dates.length} dates confirmed in sources`,
+        ? `${confirmedDates}/${dates.length} dates confirmed in sources (${normalized})`
+        : `Only ${confirmedDates}/${dates.length} dates confirmed in sources (${normalized})`,
       evidence: dateChecks
     };
   }
 
+  /**
+   * Every date a source states (title, snippet, page passages), with where it was
+   * found. Dates inside a negation ("did not land in 1972") are left out.
+   */
+  datesInSource(result) {
+    const parts = [
+      { location: 'title', text: result.title || '' },
+      { location: 'snippet', text: result.snippet || '' },
+      ...(result.passages || []).map(p => ({ location: 'passage', passage: p.index, text: p.text }))
+    ];
+
+    // Cheap pre-filter: only parse passages with something that could be a date
+    return parts
+      .filter(part => /\d{4}|['’]\d0s|century/i.test(part.text))
+      .flatMap(({ text, ...location }) => clauses(text).flatMap(clause =>
+        parseDates(clause)
+          .filter(date => !negatedAt(clause, date.index))
+          .map(date => ({ ...date, location: { url: result.url, ...location, text } }))
+      ));
+  }
+
+  /**
+   * CHECK 6: Numeric Consistency
+   * Compare the claim's figures (units, percentages, currency, counts) with
+   * the figures sources report about the same thing, within tolerance
+   */
+  async checkNumericConsistency(claim, evidence) {
+    const claimed = extractQuantities(claim.text);
+
+    if (claimed.length === 0) {
+      return {
+        name: 'Numeric Consistency',
+        passed: true,
+        notApplicable: true,
+        critical: false,
+        reason: 'No quantities in claim',
+        evidence: []
+      };
+    }
+
+    const sources = evidence.results || [];
+    const figureChecks = claimed.map(quantity => {
+      const about = contextWords(claim.text, quantity.index);
+      const supporting = [];
+      const contradicting = [];
+
+      sources.forEach(result => {
+        // Only figures of the same kind, mentioned near words the claim uses
+        const comparable = this.relevantTexts(result, claim.text).flatMap(({ text, ...location }) =>
+          extractQuantities(text)
+            .filter(q =>
+              sameKind(q, quantity) &&
+              [...contextWords(text, q.index)].some(word => about.has(word))
+            )
+            .map(q => ({ ...q, location }))
+        );
+        if (comparable.length === 0) return;
+
+        const agreeing = comparable.find(q => sameFigure(quantity, q));
+        if (agreeing) {
+          supporting.push({ url: result.url, figure: agreeing.raw, ...agreeing.location });
+        } else {
+          contradicting.push({ url: result.url, figures: [...new Set(comparable.map(q => q.raw))], ...comparable[0].location });
+        }
+      });
+
+      return { figure: quantity.raw, dimension: quantity.dimension, supporting, contradicting };
+    });
+
+    const confirmed = figureChecks.filter(f => f.supporting.length > 0);
+    const disputed = figureChecks.filter(f => f.supporting.length === 0 && f.contradicting.length > 0);
+    const contradicted = disputed.filter(f =>
+      this.independentCount(evidence, f.contradicting.map(c => c.url)) >= MIN_CONTRADICTING_SOURCES);
+    const passed = disputed.length === 0 && confirmed.length >= Math.ceil(claimed.length * 0.5);
+
+    let reason;
+    if (contradicted.length > 0) {
+      const { figure, contradicting } = contradicted[0];
+      reason = `Sources consistently report a different figure: claim says ${figure}, ` +
+        `${contradicting.length} sources report ${contradicting.map(c => c.figures[0]).join(', ')}`;
+    } else if (disputed.length > 0) {
+      reason = `${disputed.map(f => f.figure).join(', ')} differs from the figure in ${disputed[0].contradicting.length} source(s)`;
+    } else {
+      reason = passed
+        ? `${confirmed.length}/${claimed.length} figures confirmed in sources`
+        : `Only ${confirmed.length}/${claimed.length} figures found in sources`;
+    }
+
+    return {
+      name: 'Numeric Consistency',
+      passed,
+      critical: contradicted.length > 0,
+      reason,
+      evidence: figureChecks
+    };
+  }
+
+  /**
+   * CHECK 7: Contradiction Detection
+   * Look for sources that negate the claim or give a different value for the
+   * same slot (year, person, place, figure); cites the contradicting snippets
+   */
+  async checkContradictions(claim, evidence) {
+    const analysis = analyzeClaim(claim.text);
+    const assessments = (evidence.results || []).map(result => ({
+      url: result.url,
+      ...assessSource(analysis, this.relevantTexts(result, claim.text))
+    }));
+
+    const supporting = assessments.filter(a => a.stance === 'supports');
+    const contradicting = assessments.filter(a => a.stance === 'contradicts');
+
+    if (supporting.length === 0 && contradicting.length === 0) {
+      return {
+        name: 'Contradiction Detection',
+        passed: true,
+        notApplicable: true,
+        critical: false,
+        reason: 'No source makes a statement about this claim',
+        evidence: []
+      };
+    }
+
+    const citations = contradicting.map(a => ({
+      url: a.url,
+      ...a.contradicting[0]
+    }));
+    const passed = contradicting.length === 0;
+    const critical = supporting.length === 0 &&
+      this.independentCount(evidence, contradicting.map(a => a.url)) >= MIN_CONTRADICTING_SOURCES;
+
+    let reason = `${supporting.length} source(s) agree, none contradict the claim`;
+    if (!passed) {
+      const first = citations[0];
+      reason = `${contradicting.length} source(s) contradict the claim` +
+        (first.type === 'competing-value' ? ` (${first.slot}: ${first.reported} instead of ${first.claimed})` : '') +
+        `: "${first.snippet}" (${first.url})`;
+    }
+
+    return {
+      name: 'Contradiction Detection',
+      passed,
+      critical,
+      reason,
+      evidence: [
+        ...citations.map(c => ({ stance: 'contradicts', ...c })),
+        ...supporting.map(a => ({ stance: 'supports', url: a.url, ...a.supporting[0] }))
+      ]
+    };
+  }
+
+  /**
+   * CHECK 8: Source Independence
+   * Sources on one registrable domain, or carrying near-identical text
+   * (syndicated copies), count as one source
+   */
+  async checkSourceIndependence(evidence) {
+    const results = evidence.results || [];
+    if (results.length < 2) {
+      return {
+        name: 'Source Independence',
+        passed: true,
+        notApplicable: true,
+        critical: false,
+        reason: 'Fewer than 2 sources to compare',
+        evidence: []
+      };
+    }
+
+    const independence = evidence.independence || groupSources(results, { suffixes: this.credibility.suffixes });
+    const { independent, groups } = independence;
+    const passed = independent >= MIN_INDEPENDENT_SOURCES;
+    const repeated = groups.filter(g => g.urls.length > 1).map(g => {
+      const sameDomain = g.reasons.find(r => r.type === 'same-domain');
+      return sameDomain ? `${g.urls.length} from ${sameDomain.domain}` : `${g.urls.length} near-duplicates`;
+    });
+
+    return {
+      name: 'Source Independence',
+      passed,
+      critical: false,
+      reason: `${independent} independent source(s) of ${results.length}` +
+        (repeated.length > 0 ? ` (${repeated.join(', ')})` : '') +
+        (passed ? '' : `; need ${MIN_INDEPENDENT_SOURCES}`),
+      evidence: groups.map(g => ({ ...g, independent: g.urls.length === 1 }))
+    };
+  }
+
+  /**
+   * CHECK 9: Attribution Co-occurrence (attribution strategy)
+   * Each credited author must be named together with the work in one part of
+   * a source (title, snippet or passage); mentions on different pages don't count
+   */
+  async checkAttribution(claim, evidence, recorder = this.evidenceRecorder()) {
+    const authors = recorder.extractEntities(claim.text).filter(e => e.type === 'person' || e.type === 'organization');
+    const spans = authors.flatMap(author => author.mentions.map(mention => {
+      const index = claim.text.indexOf(mention);
+      return [index, index + mention.length];
+    }));
+    const { work, words } = workOf(claim.text, spans);
+
+    if (authors.length === 0 || !work) {
+      return {
+        name: 'Attribution Co-occurrence',
+        passed: true,
+        notApplicable: true,
+        critical: false,
+        reason: authors.length === 0 ? 'No author named in the claim' : 'No work named in the claim',
+        evidence: []
+      };
+    }
+
+    const pairs = authors.map(author => {
+      const locations = evidence.results
+        .map(result => {
+          let match = null;
+          const location = this.locateInSource(result, text =>
+            mentionsWork(text, words) && (match = recorder.findEntity(text, author)));
+          return location && { ...location, matched: match.form };
+        })
+        .filter(Boolean);
+
+      return {
+        author: author.mentions[0],
+        id: author.id,
+        work,
+        sourcesCoOccurring: locations.length,
+        independentSourcesCoOccurring: this.independentCount(evidence, locations.map(l => l.url)),
+        totalSources: evidence.results.length,
+        locations
+      };
+    });
+
+    const unattributed = pairs.filter(p => p.sourcesCoOccurring === 0);
+    const passed = unattributed.length === 0;
+
+    return {
+      name: 'Attribution Co-occurrence',
+      passed,
+      critical: false,
+      reason: passed
+        ? `${pairs.map(p => p.author).join(', ')} named together with "${work}" in sources`
+        : `No source names ${unattributed.map(p => p.author).join(', ')} together with "${work}"`,
+      evidence: pairs
+    };
+  }
+
+  /**
+   * CHECK 10: Relationship Endpoints (relationship strategy)
+   * The first two entities of the claim (the two ends of the relationship)
+   * must appear in the same passage of a source
+   */
+  async checkRelationship(claim, evidence, recorder = this.evidenceRecorder()) {
+    const endpoints = recorder.extractEntities(claim.text).slice(0, 2);
+
+    if (endpoints.length < 2) {
+      return {
+        name: 'Relationship Endpoints',
+        passed: true,
+        notApplicable: true,
+        critical: false,
+        reason: 'Fewer than two entities in the claim',
+        evidence: []
+      };
+    }
+
+    const [from, to] = endpoints;
+    const locations = evidence.results
+      .map(result => {
+        let matches = null;
+        const location = this.locateInSource(result, text => {
+          const a = recorder.findEntity(text, from);
+          const b = a && recorder.findEntity(text, to);
+          return b && (matches = [a.form, b.form]);
+        });
+        return location && { ...location, matched: matches };
+      })
+      .filter(Boolean);
+
+    const passed = locations.length > 0;
+    const names = `${from.mentions[0]} and ${to.mentions[0]}`;
+
+    return {
+      name: 'Relationship Endpoints',
+      passed,
+      critical: false,
+      reason: passed
+        ? `${names} appear together in ${locations.length}/${evidence.results.length} sources`
+        : `No source mentions ${names} in the same passage`,
+      evidence: [{
+        endpoints: endpoints.map(e => ({ entity: e.mentions[0], id: e.id, canonical: e.name })),
+        sourcesLinking: locations.length,
+        independentSourcesLinking: this.independentCount(evidence, locations.map(l => l.url)),
+        totalSources: evidence.results.length,
+        locations
+      }]
+    };
+  }
+
+  /**
+   * CHECK 11: KB Agreement
+   * Map the claim to subject–predicate–object triples (birth and death dates,
+   * birthplaces, authorship, capitals) and answer them from the local
+   * knowledge base. A contradiction is exact, so it is critical.
+   */
+  async checkKnowledgeBase(claim, recorder = this.evidenceRecorder()) {
+    const answers = recorder.assessKnowledge(claim.text);
+    const decided = answers.filter(a => a.answer !== 'unknown');
+
+    if (decided.length === 0) {
+      return {
+        name: 'KB Agreement',
+        passed: true,
+        notApplicable: true,
+        critical: false,
+        reason: answers.length > 0
+          ? 'The knowledge base is less precise than the claim'
+          : 'No knowledge-base facts about this claim',
+        evidence: answers
+      };
+    }
+
+    const describe = (values) => values.map(v => v.normalized || v.name || v.id).join(' / ');
+    const contradicted = decided.filter(a => a.answer === 'contradicts');
+    const passed = contradicted.length === 0;
+    const reason = passed
+      ? `Knowledge base agrees: ${decided.map(a => `${a.subject.name} ${a.predicate} ${describe(a.kb)}`).join('; ')}`
+      : `Knowledge base contradicts the claim: ${contradicted.map(a => a.negated
+        ? `${a.subject.name} ${a.predicate} is ${describe(a.kb)}, which the claim denies`
+        : `${a.subject.name} ${a.predicate} is ${describe(a.kb)}, not ${describe(a.claimed)}`).join('; ')}`;
+
+    return {
+      name: 'KB Agreement',
+      passed,
+      critical: !passed,
+      reason,
+      evidence: answers
+    };
+  }
+
   /**
    * Generate a fraud proof when a check fails
    * This cryptographically proves which step was invalid
    */
-  generateFraudProof(claim, failedCheck) {
+  generateFraudProof(claim, failedCheck, timestamp = new Date().toISOString()) {
     const crypto = require('crypto');
 
     return {
@@ -283,7 +1173,7 @@ class DeterministicVerifier {
       failedCheck: failedCheck.name,
       reason: failedCheck.reason,
       evidence: failedCheck.evidence,
-      timestamp: new Date().toISOString(),
+      timestamp,
       proofHash: crypto.createHash('sha256')
         .update(JSON.stringify({
           claim: claim.text,
@@ -300,8 +1190,13 @@ class DeterministicVerifier {
 
   /**
    * Check if URL exists (HEAD request with fallback to GET)
+   * Local corpus results (file://) are checked on disk instead
    */
   async urlExists(url) {
+    if (url.startsWith('file://')) {
+      return fs.existsSync(fileURLToPath(url));
+    }
+
     // Try HEAD first
     const headResult = await this.tryUrlRequest(url, 'HEAD');
     if (headResult) return true;
@@ -373,39 +1268,17 @@ class DeterministicVerifier {
   }
 
   /**
-   * Extract named entities using NLP
+   * Extract named entities (canonical names; aliases of one entity are merged)
    */
   extractEntities(text) {
-    const doc = nlp(text);
-
-    // Extract people, places, and organizations
-    const people = doc.people().out('array');
-    const places = doc.places().out('array');
-    const organizations = doc.organizations().out('array');
-
-    // Combine and deduplicate
-    const entities = [...new Set([...people, ...places, ...organizations])];
-
-    return entities;
+    return this.entities.extract(text).map(entity => entity.name);
   }
 
   /**
-   * Extract dates from text
+   * Extract dates from text (as written; see temporal.js for the normalized intervals)
    */
   extractDates(text) {
-    const patterns = [
-      /\b\d{4}\b/g,                    // Years: 2024
-      /\b\d{1,2}\/\d{1,2}\/\d{2,4}\b/g, // Dates: 1/1/2024
-      /\b(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\s+\d{1,2},?\s+\d{4}\b/gi // Jan 1, 2024
-    ];
-
-    const dates = [];
-    patterns.forEach(pattern => {
-      const matches = text.match(pattern);
-      if (matches) dates.push(...matches);
-    });
-
-    return [...new Set(dates)];
+    return [...new Set(parseDates(text).map(date => date.raw))];
   }
 
   /**
@@ -420,43 +1293,10 @@ class DeterministicVerifier {
     }
   }
 
-  /**
-   * Get credibility score for domain (deterministic scoring)
-   */
-  getDomainCredibilityScore(domain) {
-    const highCredibility = [
-      'wikipedia.org', 'edu', 'gov', 'nature.com', 'science.org',
-      'bbc.com', 'reuters.com', 'apnews.com', 'pbs.org',
-      'arxiv.org', 'britannica.com', 'nih.gov', 'cdc.gov'
-    ];
-
-    const mediumCredibility = [
-      'nytimes.com', 'forbes.com', 'bloomberg.com', 'wsj.com',
-      'theguardian.com', 'washingtonpost.com', 'cnn.com'
-    ];
-
-    const lowCredibility = [
-      'medium.com', 'blogspot.com', 'wordpress.com', 'tumblr.com'
-    ];
-
-    // Check high credibility
-    if (highCredibility.some(d => domain.includes(d))) {
-      return 90;
-    }
-
-    // Check medium credibility
-    if (mediumCredibility.some(d => domain.includes(d))) {
-      return 70;
-    }
-
-    // Check low credibility
-    if (lowCredibility.some(d => domain.includes(d))) {
-      return 40;
-    }
+}
 
-    // Unknown domain
-    return 60;
-  }
+function formatPercent(ratio) {
+  return `${Math.round(ratio * 100)}%`;
 }
 
 module.exports = DeterministicVerifier;
@@ -0,0 +1,353 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { persistent, dataPath } = require('./data-dir');
+
+/**
+ * Dispute Registry (challenge period)
+ *
+ * Every committed claim starts optimistic. While the commitment's challenge
+ * window is open anyone can challenge a claim with evidence, and anyone can
+ * answer a challenge with counter-evidence. A challenged claim is resolved by
+ * a server-side verification that reads the submitted snippets alongside its
+ * own search results; a claim nobody challenged finalizes on its own once the
+ * window closes.
+ *
+ *   optimistic ──challenge──▶ challenged ──resolve──▶ resolved
+ *        │
+ *        └──window closes──▶ finalized
+ *
+ * Finalization is applied lazily on every read, so no timer has to run
+ * (works the same on a long-lived server and on serverless).
+ */
+const STATUS = {
+  OPTIMISTIC: 'optimistic',
+  CHALLENGED: 'challenged',
+  RESOLVED: 'resolved',
+  FINALIZED: 'finalized'
+};
+
+const DEFAULT_CHALLENGE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Verdicts that mean the challenger was right
+const UPHELD_VERDICTS = ['FALSE', 'FRAUD_PROVEN'];
+
+class DisputeError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'DisputeError';
+    this.code = code; // NOT_FOUND | WINDOW_CLOSED | INVALID_STATE | INVALID_SUBMISSION
+  }
+}
+
+class DisputeRegistry {
+
+  constructor(options = {}) {
+    // persist: false (or dataDir: false) keeps disputes in memory only (tests, serverless)
+    this.persist = persistent(options, options.file);
+    this.file = options.file || process.env.DISPUTE_STORE_FILE || dataPath(options, 'disputes.json');
+    this.windowMs = options.windowMs
+      ?? (process.env.CHALLENGE_WINDOW_MS ? Number(process.env.CHALLENGE_WINDOW_MS) : DEFAULT_CHALLENGE_WINDOW_MS);
+    this.now = options.now || (() => Date.now()); // Injectable clock for tests
+    this.disputes = this.load();
+  }
+
+  /**
+   * Load disputes from disk
+   */
+  load() {
+    if (!this.persist) return {};
+
+    try {
+      if (fs.existsSync(this.file)) {
+        const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        console.log(`⚖️  Loaded disputes for ${Object.keys(data).length} commitments`);
+        return data;
+      }
+    } catch (error) {
+      console.log('⚠️  Could not load dispute registry:', error.message);
+    }
+    return {};
+  }
+
+  /**
+   * Save disputes to disk
+   */
+  save() {
+    if (!this.persist) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(this.file, JSON.stringify(this.disputes, null, 2));
+    } catch (error) {
+      // Disputes stay in memory, so this process still accepts challenges and resolutions
+      console.error('Could not save dispute registry, keeping it in memory:', error.message);
+    }
+  }
+
+  /**
+   * Open the challenge window for a commitment (idempotent)
+   * The window starts at the commitment's timestamp.
+   */
+  open(root, claims, timestamp = new Date(this.now()).toISOString()) {
+    if (this.disputes[root]) {
+      return this.get(root);
+    }
+
+    const openedAt = new Date(timestamp).toISOString();
+    this.disputes[root] = {
+      root,
+      openedAt,
+      windowClosesAt: new Date(Date.parse(openedAt) + this.windowMs).toISOString(),
+      claims: claims.map((claim, index) => ({
+        claimIndex: claim.merkleIndex ?? index,
+        text: claim.text,
+        status: STATUS.OPTIMISTIC,
+        challenges: [],
+        resolution: null
+      })),
+      history: [{ type: 'opened', at: openedAt, claimCount: claims.length }]
+    };
+    this.save();
+    return this.get(root);
+  }
+
+  has(root) {
+    return Boolean(this.disputes[root]);
+  }
+
+  /**
+   * Full dispute record for a commitment, including its history
+   */
+  get(root) {
+    this.finalizeExpired();
+    return this.disputes[root] || null;
+  }
+
+  /**
+   * Challenges that are still waiting for a resolution, oldest first
+   */
+  listOpen() {
+    this.finalizeExpired();
+
+    const open = [];
+    for (const dispute of Object.values(this.disputes)) {
+      for (const claim of dispute.claims) {
+        if (claim.status !== STATUS.CHALLENGED) continue;
+        for (const challenge of claim.challenges) {
+          open.push({
+            root: dispute.root,
+            claimIndex: claim.claimIndex,
+            claim: claim.text,
+            windowClosesAt: dispute.windowClosesAt,
+            ...challenge
+          });
+        }
+      }
+    }
+    return open.sort((a, b) => a.submittedAt.localeCompare(b.submittedAt));
+  }
+
+  /**
+   * Record a challenge against a claim
+   * Only allowed while the window is open and the claim is not yet resolved.
+   */
+  challenge(root, claimIndex, { challenger, evidence, reason } = {}) {
+    const dispute = this.requireDispute(root);
+    const claim = this.requireClaim(dispute, claimIndex);
+
+    if (!challenger || typeof challenger !== 'string') {
+      throw new DisputeError('challenger is required', 'INVALID_SUBMISSION');
+    }
+    if (this.isWindowClosed(dispute)) {
+      throw new DisputeError(`Challenge window closed at ${dispute.windowClosesAt}`, 'WINDOW_CLOSED');
+    }
+    if (claim.status !== STATUS.OPTIMISTIC && claim.status !== STATUS.CHALLENGED) {
+      throw new DisputeError(`Claim #${claimIndex} is already ${claim.status}`, 'INVALID_STATE');
+    }
+
+    const submittedAt = new Date(this.now()).toISOString();
+    const challenge = {
+      id: crypto.randomUUID(),
+      challenger,
+      reason: reason || null,
+      evidence: normalizeEvidence(evidence),
+      submittedAt,
+      counterEvidence: []
+    };
+
+    claim.challenges.push(challenge);
+    claim.status = STATUS.CHALLENGED;
+    dispute.history.push({ type: 'challenged', at: submittedAt, claimIndex, challengeId: challenge.id, challenger });
+    this.save();
+
+    console.log(`⚖️  Claim #${claimIndex} of ${root.substring(0, 16)}... challenged by ${challenger}`);
+    return challenge;
+  }
+
+  /**
+   * Answer an open challenge with counter-evidence
+   */
+  addCounterEvidence(root, challengeId, { submitter, evidence, note } = {}) {
+    const dispute = this.requireDispute(root);
+    const claim = dispute.claims.find(c => c.challenges.some(ch => ch.id === challengeId));
+    if (!claim) {
+      throw new DisputeError(`Challenge not found: ${challengeId}`, 'NOT_FOUND');
+    }
+    if (!submitter || typeof submitter !== 'string') {
+      throw new DisputeError('submitter is required', 'INVALID_SUBMISSION');
+    }
+    if (claim.status !== STATUS.CHALLENGED) {
+      throw new DisputeError(`Claim #${claim.claimIndex} is already ${claim.status}`, 'INVALID_STATE');
+    }
+
+    const submittedAt = new Date(this.now()).toISOString();
+    const counter = {
+      submitter,
+      note: note || null,
+      evidence: normalizeEvidence(evidence),
+      submittedAt
+    };
+
+    claim.challenges.find(ch => ch.id === challengeId).counterEvidence.push(counter);
+    dispute.history.push({ type: 'counter-evidence', at: submittedAt, claimIndex: claim.claimIndex, challengeId, submitter });
+    this.save();
+    return counter;
+  }
+
+  /**
+   * Evidence submitted about a claim, by challengers and in counter-evidence:
+   * [{ url, title, snippet, side: 'challenge' | 'counter', submittedBy, challengeId }]
+   */
+  submittedEvidence(root, claimIndex) {
+    const claim = this.requireClaim(this.requireDispute(root), claimIndex);
+    return claim.challenges.flatMap(challenge => [
+      ...challenge.evidence.map(item => ({ ...item, side: 'challenge', submittedBy: challenge.challenger, challengeId: challenge.id })),
+      ...challenge.counterEvidence.flatMap(counter => counter.evidence.map(item =>
+        ({ ...item, side: 'counter', submittedBy: counter.submitter, challengeId: challenge.id })))
+    ]);
+  }
+
+  /**
+   * Close a challenged claim with the outcome of a server-side verification
+   * Each submitted item is recorded as considered (its snippet was part of the
+   * verification's evidence) and cited (the verdict's checks, fraud proof or
+   * reasoning quote it); decidedBy lists the cited ones.
+   */
+  resolve(root, claimIndex, verification) {
+    const dispute = this.requireDispute(root);
+    const claim = this.requireChallenged(root, claimIndex);
+    const submitted = this.submittedEvidence(root, claimIndex).map(item => weighSubmission(item, verification));
+
+    const resolvedAt = new Date(this.now()).toISOString();
+    claim.status = STATUS.RESOLVED;
+    claim.resolution = {
+      outcome: UPHELD_VERDICTS.includes(verification.verdict) ? 'upheld' : 'rejected',
+      verdict: verification.verdict,
+      confidence: verification.confidence ?? null,
+      reasoning: verification.reasoning || null,
+      fraudProof: verification.fraudProof || null,
+      attestation: verification.attestation || null,
+      submittedEvidence: submitted,
+      decidedBy: submitted.filter(item => item.cited),
+      resolvedAt
+    };
+    dispute.history.push({
+      type: 'resolved',
+      at: resolvedAt,
+      claimIndex,
+      outcome: claim.resolution.outcome,
+      verdict: verification.verdict
+    });
+    this.save();
+
+    console.log(`⚖️  Claim #${claimIndex} of ${root.substring(0, 16)}... resolved: challenge ${claim.resolution.outcome}`);
+    return claim.resolution;
+  }
+
+  /**
+   * Finalize every unchallenged claim whose window has closed
+   */
+  finalizeExpired() {
+    let changed = false;
+
+    for (const dispute of Object.values(this.disputes)) {
+      if (!this.isWindowClosed(dispute)) continue;
+
+      for (const claim of dispute.claims) {
+        if (claim.status !== STATUS.OPTIMISTIC) continue;
+        claim.status = STATUS.FINALIZED;
+        dispute.history.push({ type: 'finalized', at: dispute.windowClosesAt, claimIndex: claim.claimIndex });
+        changed = true;
+      }
+    }
+
+    if (changed) this.save();
+  }
+
+  isWindowClosed(dispute) {
+    return this.now() >= Date.parse(dispute.windowClosesAt);
+  }
+
+  requireDispute(root) {
+    const dispute = this.get(root);
+    if (!dispute) {
+      throw new DisputeError(`No dispute record for commitment ${root}`, 'NOT_FOUND');
+    }
+    return dispute;
+  }
+
+  /**
+   * The claim at claimIndex, if it has a challenge awaiting resolution
+   */
+  requireChallenged(root, claimIndex) {
+    const claim = this.requireClaim(this.requireDispute(root), claimIndex);
+    if (claim.status !== STATUS.CHALLENGED) {
+      throw new DisputeError(`Claim #${claimIndex} is ${claim.status}, not challenged`, 'INVALID_STATE');
+    }
+    return claim;
+  }
+
+  requireClaim(dispute, claimIndex) {
+    const claim = dispute.claims.find(c => c.claimIndex === claimIndex);
+    if (!claim) {
+      throw new DisputeError(`Commitment ${dispute.root.substring(0, 16)}... has no claim at index ${claimIndex}`, 'NOT_FOUND');
+    }
+    return claim;
+  }
+}
+
+/**
+ * Whether a verification read a submitted item and whether its outcome cites it
+ * A bare URL has no text to check, so it is never considered.
+ */
+function weighSubmission(item, verification) {
+  const considered = Boolean(item.snippet) &&
+    (verification.evidence || []).some(result => result.submitted && result.snippet === item.snippet);
+  const decisive = JSON.stringify([verification.checks || null, verification.fraudProof || null, verification.reasoning || null]);
+  return { ...item, considered, cited: considered && decisive.includes(JSON.stringify(item.snippet).slice(1, -1)) };
+}
+
+/**
+ * Evidence items as { url, title, snippet } (bare strings are taken as URLs)
+ */
+function normalizeEvidence(evidence) {
+  if (evidence === undefined || evidence === null) return [];
+  if (!Array.isArray(evidence)) {
+    throw new DisputeError('evidence must be an array', 'INVALID_SUBMISSION');
+  }
+
+  return evidence.map(item => {
+    if (typeof item === 'string') {
+      return { url: item, title: null, snippet: null };
+    }
+    if (!item || (!item.url && !item.snippet)) {
+      throw new DisputeError('each evidence item needs a url or a snippet', 'INVALID_SUBMISSION');
+    }
+    return { url: item.url || null, title: item.title || null, snippet: item.snippet || null };
+  });
+}
+
+DisputeRegistry.STATUS = STATUS;
+
+module.exports = { DisputeRegistry, DisputeError, STATUS };
@@ -0,0 +1,354 @@
+const fs = require('fs');
+const path = require('path');
+const nlp = require('compromise');
+
+/**
+ * Entity Resolution
+ *
+ * "Le Guin", "Ursula K. Le Guin" and "Ursula Kroeber Le Guin" are one person,
+ * and "US" must not match inside "status". The resolver gives every entity a
+ * canonical ID and the surface forms it may appear under:
+ * - a local alias dictionary (ENTITY_ALIAS_FILE, JSON or CSV, maintained per domain)
+ * - derived forms for people: surname ("Le Guin"), first name + surname,
+ *   initials + surname ("U. K. Le Guin")
+ *
+ * Matching works on word tokens, so forms only match on token boundaries and
+ * periods don't matter ("U. K." = "U K"). Short all-caps forms ("US", "UN")
+ * only match in capitals, and a place alias doesn't match inside a longer
+ * place name ("Mexico" in "New Mexico").
+ *
+ * Names outside the dictionary are found with compromise, which misses some
+ * without context: in "Le Guin was born in Berkeley." it finds neither name.
+ * Add the entities a domain relies on to the alias file.
+ *
+ * Alias file (JSON):
+ *   [{ "id": "Q181659", "name": "Ursula K. Le Guin", "type": "person", "aliases": ["Ursula Kroeber Le Guin"] }]
+ * or CSV with a header row, aliases separated by "|":
+ *   id,name,type,aliases
+ *   Q181659,Ursula K. Le Guin,person,Ursula Kroeber Le Guin|Ursula Le Guin
+ */
+
+const DEFAULT_ALIAS_FILE = path.join(__dirname, 'entity-aliases.json');
+
+// Lowercase words that belong to a surname ("Ursula K. Le Guin", "Ludwig van Beethoven")
+const SURNAME_PARTICLES = new Set(['le', 'la', 'de', 'du', 'des', 'van', 'von', 'der', 'den', 'da', 'di', 'del', 'della', 'bin', 'ibn', 'al', 'st']);
+
+class EntityResolver {
+
+  constructor(options = {}) {
+    this.file = options.aliasFile || process.env.ENTITY_ALIAS_FILE || DEFAULT_ALIAS_FILE;
+    this.load();
+    (options.aliases || []).forEach(entry => this.addEntity(entry));
+  }
+
+  /**
+   * (Re)load the alias dictionary from the alias file
+   */
+  load() {
+    this.entities = new Map(); // id → { id, name, type, aliases }
+    this.aliasIndex = new Map(); // normalized form → id
+    this.longestAlias = 1;
+
+    if (!fs.existsSync(this.file)) {
+      if (this.file !== DEFAULT_ALIAS_FILE) {
+        console.log(`⚠️  Entity alias file not found: ${this.file}`);
+      }
+      return;
+    }
+
+    try {
+      const raw = fs.readFileSync(this.file, 'utf8');
+      const entries = path.extname(this.file).toLowerCase() === '.csv' ? parseCsv(raw) : parseJson(raw);
+      entries.forEach(entry => this.addEntity(entry));
+      console.log(`🏷️  Loaded ${this.entities.size} entities from ${this.file}`);
+    } catch (error) {
+      console.log('⚠️  Could not load entity aliases:', error.message);
+    }
+  }
+
+  /**
+   * Add a dictionary entity: { id, name, type?, aliases? }
+   */
+  addEntity({ id, name, type = 'entity', aliases = [] }) {
+    if (!id || !name) {
+      throw new Error('An alias entry needs an id and a name');
+    }
+
+    const entity = { id: String(id), name, type, aliases: [...new Set(aliases)] };
+    this.entities.set(entity.id, entity);
+    // Listed forms always index; derived forms ("Le Guin") only where no other entry claims them
+    const listed = new Set([name, ...entity.aliases].map(keyOf).filter(Boolean));
+    this.forms(entity).forEach(form => {
+      const key = form.map(t => t.token).join(' ');
+      if (!listed.has(key) && this.aliasIndex.has(key)) return;
+      this.aliasIndex.set(key, entity.id);
+      this.longestAlias = Math.max(this.longestAlias, form.length);
+    });
+    return entity;
+  }
+
+  /**
+   * Entities mentioned in text, merged by canonical ID
+   * Returns [{ id, name, type, source: 'dictionary' | 'derived', mentions, forms }]
+   */
+  extract(text) {
+    const tokens = tokenize(text);
+    const found = [];
+    const covered = new Set(); // token positions already matched from the dictionary
+    const named = namedEntities(text, tokens);
+
+    // 1. Dictionary forms, longest first
+    for (let i = 0; i < tokens.length; i++) {
+      for (let length = Math.min(this.longestAlias, tokens.length - i); length > 0; length--) {
+        const span = tokens.slice(i, i + length);
+        const key = span.map(t => t.token).join(' ');
+        const id = this.aliasIndex.get(key);
+        const form = id && this.forms(this.entities.get(id)).find(f => f.map(t => t.token).join(' ') === key);
+        if (form && caseMatches(form, span)) {
+          // A place alias inside a longer place name ("Mexico" in "New Mexico") is left to step 2
+          if (this.entities.get(id).type === 'place' && insidePlace(named, i, length)) break;
+          found.push({ id, mention: text.slice(span[0].index, span[length - 1].end) });
+          for (let j = i; j < i + length; j++) covered.add(j);
+          i += length - 1;
+          break;
+        }
+      }
+    }
+
+    // 2. Names compromise recognises that the dictionary doesn't know
+    named
+      .filter(({ first, last }) => ![...Array(last - first + 1).keys()].some(k => covered.has(first + k)))
+      .sort((a, b) => b.name.length - a.name.length)
+      .forEach(({ name, type }) => {
+        const key = keyOf(name);
+        const known = this.aliasIndex.get(key);
+        if (known) {
+          found.push({ id: known, mention: name });
+          return;
+        }
+        // A surname or short form of a person already found ("Armstrong" after "Neil Armstrong")
+        const same = found.find(f => f.derived && f.derived.type === type &&
+          this.forms(f.derived).some(form => form.map(t => t.token).join(' ') === key));
+        if (same) {
+          found.push({ id: same.id, mention: name });
+          return;
+        }
+        const derived = { id: `${type}:${key.replace(/ /g, '-')}`, name, type, aliases: [] };
+        found.push({ id: derived.id, mention: name, derived });
+      });
+
+    // Merge mentions by ID, in order of first mention
+    const merged = new Map();
+    found
+      .sort((a, b) => text.indexOf(a.mention) - text.indexOf(b.mention))
+      .forEach(({ id, mention, derived }) => {
+        if (!merged.has(id)) {
+          const entity = this.entities.get(id) || derived;
+          merged.set(id, {
+            id,
+            name: entity.name,
+            type: entity.type,
+            source: this.entities.has(id) ? 'dictionary' : 'derived',
+            mentions: [],
+            forms: this.forms(entity).map(form => form.map(t => t.raw).join(' '))
+          });
+        }
+        const entry = merged.get(id);
+        if (!entry.mentions.includes(mention)) entry.mentions.push(mention);
+      });
+
+    return [...merged.values()];
+  }
+
+  /**
+   * Find an entity in text; returns { form, index } for the first match or null
+   */
+  find(text, entity) {
+    const tokens = tokenize(text);
+    const record = this.entities.get(entity.id) || entity;
+    const forms = this.forms(record);
+    const named = record.type === 'place' ? namedEntities(text, tokens) : [];
+
+    for (let i = 0; i < tokens.length; i++) {
+      for (const form of forms) {
+        const span = tokens.slice(i, i + form.length);
+        if (span.length === form.length && span.every((t, k) => t.token === form[k].token) && caseMatches(form, span) &&
+          !insidePlace(named, i, form.length)) {
+          return { form: text.slice(span[0].index, span[span.length - 1].end), index: span[0].index };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * The dictionary entity a name or alias refers to (exact form, any case), or null
+   */
+  lookup(name) {
+    const id = this.aliasIndex.get(keyOf(name));
+    return id ? this.entities.get(id) : null;
+  }
+
+  /**
+   * Every surface form of an entity as token lists, longest first
+   */
+  forms(entity) {
+    const names = [entity.name, ...(entity.aliases || [])];
+    const forms = names.map(tokenize);
+    if (entity.type === 'person') {
+      names.forEach(name => forms.push(...personForms(tokenize(name))));
+    }
+
+    const seen = new Set();
+    return forms
+      .filter(form => form.length > 0)
+      .filter(form => {
+        const key = form.map(t => t.token).join(' ');
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .sort((a, b) => b.length - a.length);
+  }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Word tokens with positions: [{ token (lowercase), raw, index, end }]
+ */
+function tokenize(text) {
+  return [...(text || '').matchAll(/[\p{L}\p{N}]+(?:['’]\p{L}+)*/gu)].map(match => ({
+    token: match[0].toLowerCase().replace(/’/g, "'"),
+    raw: match[0],
+    index: match.index,
+    end: match.index + match[0].length
+  }));
+}
+
+function keyOf(text) {
+  return tokenize(text).map(t => t.token).join(' ');
+}
+
+/**
+ * Short all-caps forms ("US", "UN") only match text written in capitals
+ */
+function caseMatches(form, span) {
+  return form.every((t, k) => !isAcronym(t) || span[k].raw === span[k].raw.toUpperCase());
+}
+
+/**
+ * Whether tokens first..first+length-1 are part of a longer place name
+ */
+function insidePlace(named, first, length) {
+  return named.some(n => n.type === 'place' && n.first <= first && n.last >= first + length - 1 && n.last - n.first + 1 > length);
+}
+
+function isAcronym(token) {
+  return token.raw.length <= 3 && /^\p{Lu}+$/u.test(token.raw);
+}
+
+/**
+ * Derived forms of a person's name: surname, first + surname, initials + surname
+ */
+function personForms(tokens) {
+  if (tokens.length < 2) return [];
+
+  let split = tokens.length - 1;
+  while (split > 1 && SURNAME_PARTICLES.has(tokens[split - 1].token)) split--;
+  const surname = tokens.slice(split);
+  const given = tokens.slice(0, split);
+  const initial = (t) => ({ token: t.token[0], raw: `${t.raw[0]}.`, index: 0, end: 0 });
+
+  const forms = [
+    [given[0], ...surname],
+    [initial(given[0]), ...surname],
+    [...given.map(initial), ...surname]
+  ];
+  // A surname on its own is only distinctive if it isn't a lone initial or particle
+  if (surname.map(t => t.token).join('').length >= 3) forms.push(surname);
+  return forms;
+}
+
+/**
+ * People, places and organizations according to compromise, cleaned up:
+ * trailing punctuation dropped, lowercase phrases ("first person") skipped,
+ * "Berkeley, California" split, and truncated names ("Ursula K. Le") extended
+ * over the capitalized words that follow.
+ * Returns [{ name, type, first, last }] with first/last token positions.
+ */
+function namedEntities(text, tokens) {
+  const doc = nlp(text);
+  const groups = [
+    ['person', doc.people().out('array')],
+    ['place', doc.places().out('array')],
+    ['organization', doc.organizations().out('array')]
+  ];
+
+  const results = [];
+  groups.forEach(([type, names]) => {
+    names
+      .flatMap(name => type === 'place' ? name.split(/,\s*/) : [name])
+      .map(name => name.replace(/['’]s$/, '').replace(/[.,;:!?"]+$/, '').trim())
+      .filter(name => /^\p{Lu}/u.test(name))
+      .forEach(name => {
+        const nameTokens = tokenize(name);
+        const first = tokens.findIndex((t, i) =>
+          nameTokens.every((n, k) => tokens[i + k] && tokens[i + k].token === n.token));
+        if (first === -1) return;
+
+        let last = first + nameTokens.length - 1;
+        while (type === 'person' && tokens[last + 1] && /^\p{Lu}\p{Ll}/u.test(tokens[last + 1].raw) &&
+          !/[.!?]\s*$/.test(text.slice(tokens[last].end, tokens[last + 1].index))) {
+          last++;
+        }
+        results.push({ name: text.slice(tokens[first].index, tokens[last].end), type, first, last });
+      });
+  });
+  return results;
+}
+
+function parseJson(raw) {
+  const data = JSON.parse(raw);
+  return Array.isArray(data) ? data : data.entities || [];
+}
+
+function parseCsv(raw) {
+  const rows = raw.split(/\r?\n/).filter(line => line.trim()).map(splitCsvLine);
+  const header = rows.shift().map(column => column.trim().toLowerCase());
+  return rows.map(row => {
+    const entry = Object.fromEntries(header.map((column, i) => [column, (row[i] || '').trim()]));
+    return {
+      id: entry.id,
+      name: entry.name,
+      type: entry.type || undefined,
+      aliases: entry.aliases ? entry.aliases.split('|').map(a => a.trim()).filter(Boolean) : []
+    };
+  });
+}
+
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"' && quoted && line[i + 1] === '"') {
+      cell += '"';
+      i++;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === ',' && !quoted) {
+      cells.push(cell);
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell);
+  return cells;
+}
+
+module.exports = { EntityResolver, tokenize, splitCsvLine };
@@ -0,0 +1,300 @@
+const fs = require('fs');
+const path = require('path');
+const { EntityResolver, splitCsvLine } = require('./entity-resolver');
+const { parseDates, compareDates } = require('./temporal');
+const { clauses, negatedAt } = require('./contradictions');
+
+/**
+ * Local Knowledge Base
+ *
+ * Search snippets only ever suggest an answer; a curated knowledge base gives
+ * an exact one. Facts are subject–predicate–object triples loaded from
+ * KNOWLEDGE_BASE_FILE, offline:
+ * - CSV with a header row: subject,predicate,object
+ *     The Left Hand of Darkness,author,Ursula K. Le Guin
+ *     Ursula K. Le Guin,birthDate,1929-10-21
+ *   Subjects and objects are entity IDs ("Q181659") or names; unknown names
+ *   become new entities typed by the predicate.
+ * - JSON: { "entities": [{ id, name, type, aliases }], "triples": [{ subject, predicate, object }] }
+ * - a subset of a Wikidata JSON dump (an array of entities with labels,
+ *   aliases and claims); P31 gives the entity type, and the properties in
+ *   PREDICATES become triples
+ *
+ * Entity names and aliases are added to the entity resolver, so a claim
+ * mentioning "Le Guin" maps to the same ID as the knowledge base.
+ *
+ * Negation is read as in contradiction detection: a value inside a negation's
+ * scope is not a claimed value ("born in 1929, not 1931"), and a negated
+ * predicate flips the answer ("Melbourne is not the capital of Australia"
+ * agrees with Canberra).
+ */
+
+/**
+ * Predicates the knowledge base understands, and how a claim states them:
+ * the subject and object types, and the cue words that signal the predicate
+ */
+const PREDICATES = {
+  birthDate: { subject: 'person', object: 'date', cue: /\b(born|birth)\b/i, wikidata: 'P569' },
+  deathDate: { subject: 'person', object: 'date', cue: /\b(died|dies|death|passed away)\b/i, wikidata: 'P570' },
+  birthPlace: { subject: 'person', object: 'place', cue: /\b(born|birthplace|native of)\b/i, wikidata: 'P19' },
+  author: { subject: 'work', object: 'person', cue: /\b(wrote|writes|written|authored|author|penned)\b/i, wikidata: 'P50' },
+  capital: { subject: 'place', object: 'place', cue: /\bcapital\b/i, wikidata: 'P36' }
+};
+
+// Wikidata "instance of" (P31) classes → entity types
+const WIKIDATA_TYPES = {
+  Q5: 'person',
+  Q6256: 'place', Q3624078: 'place', Q515: 'place', Q5119: 'place', Q1549591: 'place',
+  Q571: 'work', Q7725634: 'work', Q47461344: 'work', Q8261: 'work'
+};
+
+// Wikidata time precision → how much of the timestamp is meaningful
+const TIME_PRECISION = { 11: 10, 10: 7, 9: 4 }; // day, month, year (ISO prefix length)
+
+class KnowledgeBase {
+
+  constructor(options = {}) {
+    this.file = options.file || process.env.KNOWLEDGE_BASE_FILE || null;
+    this.entities = options.entityResolver instanceof EntityResolver
+      ? options.entityResolver
+      : new EntityResolver(options.entityResolver);
+    this.predicates = { ...PREDICATES, ...options.predicates };
+
+    this.load();
+    (options.entities || []).forEach(entity => this.entities.addEntity(entity));
+    (options.triples || []).forEach(triple => this.addTriple(triple));
+  }
+
+  /**
+   * (Re)load facts from the knowledge base file
+   */
+  load() {
+    this.facts = new Map(); // "subject|predicate" → [value]
+    this.size = 0;
+    if (!this.file) return;
+
+    if (!fs.existsSync(this.file)) {
+      console.log(`⚠️  Knowledge base file not found: ${this.file}`);
+      return;
+    }
+
+    try {
+      const raw = fs.readFileSync(this.file, 'utf8');
+      const { entities, triples } = path.extname(this.file).toLowerCase() === '.csv' ? parseCsv(raw) : parseJson(raw);
+      entities.forEach(entity => this.entities.addEntity(entity));
+      triples.forEach(triple => this.addTriple(triple));
+      console.log(`📚 Loaded ${this.size} facts from ${this.file}`);
+    } catch (error) {
+      console.log('⚠️  Could not load knowledge base:', error.message);
+    }
+  }
+
+  /**
+   * Add a fact: { subject, predicate, object } (IDs or names; dates as text)
+   */
+  addTriple({ subject, predicate, object }) {
+    const definition = this.predicates[predicate];
+    if (!definition) {
+      throw new Error(`Unknown predicate: ${predicate}`);
+    }
+
+    const subjectId = this.entityId(subject, definition.subject);
+    const value = definition.object === 'date' ? dateValue(object) : { id: this.entityId(object, definition.object) };
+    const key = `${subjectId}|${predicate}`;
+    if (!this.facts.has(key)) this.facts.set(key, []);
+    this.facts.get(key).push(value);
+    this.size++;
+  }
+
+  /**
+   * What the knowledge base says about a subject's predicate: [{ date, normalized, start, end, precision } | { id, name }]
+   * (name is null for entities the knowledge base has no label for)
+   */
+  lookup(subjectId, predicate) {
+    return (this.facts.get(`${subjectId}|${predicate}`) || []).map(value => {
+      if (!value.id) return value;
+      const entity = this.entities.entities.get(value.id);
+      return { id: value.id, name: entity ? entity.name : null };
+    });
+  }
+
+  /**
+   * Map a claim to triples and answer each from the knowledge base
+   * Returns [{ predicate, subject: { id, name }, claimed, kb, negated, answer: 'agrees' | 'contradicts' | 'unknown' }]
+   */
+  assess(text) {
+    return this.triplesIn(text).map(triple => {
+      const answer = this.predicates[triple.predicate].object === 'date'
+        ? compareDateValues(triple.claimed, triple.kb)
+        : compareEntityValues(triple.claimed, triple.kb);
+      return { ...triple, answer: triple.negated ? FLIPPED[answer] : answer };
+    });
+  }
+
+  /**
+   * Triples a claim states about subjects the knowledge base has facts for
+   * A predicate applies when its cue word is in the claim; every date or
+   * entity of the object type outside a negation is a candidate value ("born
+   * in Berkeley, California"). The predicate is negated when its cue word is
+   * in a negation's scope and the negation didn't already exclude a value.
+   */
+  triplesIn(text) {
+    const entities = this.entities.extract(text);
+    const dates = parseDates(text);
+    const triples = [];
+
+    Object.entries(this.predicates).forEach(([predicate, definition]) => {
+      const cue = text.search(definition.cue);
+      if (cue === -1) return;
+
+      entities
+        .filter(subject => typeMatches(subject, definition.subject))
+        .forEach(subject => {
+          const kb = this.lookup(subject.id, predicate);
+          if (kb.length === 0) return;
+
+          const candidates = definition.object === 'date'
+            ? dates.map(({ raw, normalized, start, end, precision, index }) => ({ date: raw, normalized, start, end, precision, index }))
+            : entities
+              .filter(object => object.id !== subject.id && typeMatches(object, definition.object))
+              .map(object => ({ id: object.id, name: object.name, index: text.indexOf(object.mentions[0]) }));
+          const claimed = candidates.filter(value => !negatedIn(text, value.index)).map(({ index, ...value }) => value);
+          const negated = claimed.length === candidates.length && negatedIn(text, cue);
+          if (claimed.length > 0) {
+            triples.push({ predicate, subject: { id: subject.id, name: subject.name }, claimed, kb, negated });
+          }
+        });
+    });
+    return triples;
+  }
+
+  /**
+   * ID for a subject or object given as an ID or a name; unknown names become entities
+   */
+  entityId(ref, type) {
+    const name = String(ref).trim();
+    if (this.entities.entities.has(name) || /^Q\d+$/.test(name)) return name;
+
+    const known = this.entities.lookup(name);
+    if (known) return known.id;
+    return this.entities.addEntity({ id: `kb:${slug(name)}`, name, type }).id;
+  }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+const FLIPPED = { agrees: 'contradicts', contradicts: 'agrees', unknown: 'unknown' };
+
+/**
+ * Is the text at `index` in the scope of a negation within its clause?
+ */
+function negatedIn(text, index) {
+  let offset = 0;
+  for (const clause of clauses(text)) {
+    const start = text.indexOf(clause, offset);
+    if (start === -1) continue;
+    if (index >= start && index < start + clause.length) return negatedAt(clause, index - start);
+    offset = start + clause.length;
+  }
+  return false;
+}
+
+function typeMatches(entity, type) {
+  return entity.type === type || entity.type === 'entity';
+}
+
+/**
+ * Agrees when a claimed date falls inside a KB date or is confirmed by one
+ * (KB "1929-10-21" confirms a claimed "1929"); contradicts when every claimed
+ * date conflicts with every KB date; unknown when the claim is more precise
+ * than the KB
+ */
+function compareDateValues(claimed, kb) {
+  const relations = claimed.flatMap(c => kb.map(k => compareDates(c, k)));
+  if (relations.includes('confirms')) return 'agrees';
+  return relations.every(r => r === 'conflicts') ? 'contradicts' : 'unknown';
+}
+
+/**
+ * Agrees when a claimed entity is among the KB values; contradicts only when
+ * every KB value is a labelled entity (an unlabelled ID can't be told apart
+ * from a name the claim resolved differently)
+ */
+function compareEntityValues(claimed, kb) {
+  if (claimed.some(c => kb.some(k => k.id === c.id))) return 'agrees';
+  return kb.every(k => k.name) ? 'contradicts' : 'unknown';
+}
+
+function dateValue(text) {
+  const date = parseDates(String(text))[0];
+  if (!date) {
+    throw new Error(`Not a date: ${text}`);
+  }
+  const { raw, normalized, start, end, precision } = date;
+  return { date: raw, normalized, start, end, precision };
+}
+
+function slug(name) {
+  return name.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '');
+}
+
+function parseCsv(raw) {
+  const rows = raw.split(/\r?\n/).filter(line => line.trim()).map(splitCsvLine);
+  const header = rows.shift().map(column => column.trim().toLowerCase());
+  const triples = rows.map(row => Object.fromEntries(header.map((column, i) => [column, (row[i] || '').trim()])));
+  return { entities: [], triples };
+}
+
+/**
+ * { entities, triples } JSON, or a Wikidata dump subset (array of entities with claims)
+ */
+function parseJson(raw) {
+  const data = JSON.parse(raw);
+  const items = Array.isArray(data) ? data : data.entities || [];
+  if (!items.some(item => item && item.claims)) {
+    return { entities: items, triples: data.triples || [] };
+  }
+
+  const entities = [];
+  const triples = [];
+  items.forEach(item => {
+    const label = (item.labels && item.labels.en && item.labels.en.value) || item.id;
+    const classes = snakValues(item, 'P31').map(value => value.id);
+    entities.push({
+      id: item.id,
+      name: label,
+      type: classes.map(id => WIKIDATA_TYPES[id]).find(Boolean) || 'entity',
+      aliases: ((item.aliases && item.aliases.en) || []).map(alias => alias.value)
+    });
+
+    Object.entries(PREDICATES).forEach(([predicate, { wikidata }]) => {
+      snakValues(item, wikidata).forEach(value => {
+        const object = value.id || wikidataTime(value) || null;
+        if (object) triples.push({ subject: item.id, predicate, object });
+      });
+    });
+  });
+  return { entities, triples };
+}
+
+/**
+ * Values of a Wikidata property: claims[P].mainsnak.datavalue.value
+ */
+function snakValues(item, property) {
+  return ((item.claims && item.claims[property]) || [])
+    .map(claim => claim.mainsnak && claim.mainsnak.datavalue && claim.mainsnak.datavalue.value)
+    .filter(Boolean);
+}
+
+/**
+ * "+1929-10-21T00:00:00Z" at precision 11 → "1929-10-21", at 9 → "1929"
+ */
+function wikidataTime(value) {
+  const length = TIME_PRECISION[value.precision];
+  if (!value.time || !length) return null;
+  return value.time.replace(/^\+/, '').substring(0, length);
+}
+
+module.exports = { KnowledgeBase, PREDICATES };
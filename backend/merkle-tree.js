@@ -3,20 +3,58 @@ const crypto = require('crypto');
 /**
  * Merkle Tree implementation for fraud proofs
  * Allows us to commit to reasoning steps and later prove specific steps are invalid
+ *
+ * Hashing schemes (recorded as `merkleVersion` in every commitment):
+ * - Version 1 (legacy): leaves and nodes hashed alike as SHA-256 over hex strings,
+ *   odd nodes paired with themselves. Kept so old roots stay verifiable.
+ * - Version 2 (RFC 6962): leaf = SHA-256(0x00 || data), node = SHA-256(0x01 || left || right)
+ *   over raw digests; an odd node is promoted to the next level unchanged, which
+ *   gives the same root as RFC 6962's largest-power-of-two split.
  */
+const LEGACY_VERSION = 1;
+const RFC6962_VERSION = 2;
+const CURRENT_VERSION = RFC6962_VERSION;
+
+const LEAF_PREFIX = Buffer.from([0x00]);
+const NODE_PREFIX = Buffer.from([0x01]);
+
 class MerkleTree {
-  constructor(leaves) {
-    this.leaves = leaves.map(leaf => this.hash(leaf));
+  constructor(leaves, options = {}) {
+    this.version = options.version || CURRENT_VERSION;
+    if (this.version !== LEGACY_VERSION && this.version !== RFC6962_VERSION) {
+      throw new Error(`Unsupported Merkle hashing version: ${this.version}`);
+    }
+
+    this.leaves = leaves.map(leaf => MerkleTree.hashLeaf(leaf, this.version));
     this.tree = this.buildTree(this.leaves);
     this.root = this.tree[this.tree.length - 1][0];
   }
 
   /**
-   * Hash function (SHA-256)
+   * Hash a leaf's data under the given version
    */
-  hash(data) {
+  static hashLeaf(data, version = CURRENT_VERSION) {
     const str = typeof data === 'string' ? data : JSON.stringify(data);
-    return crypto.createHash('sha256').update(str).digest('hex');
+    const hash = crypto.createHash('sha256');
+    if (version === RFC6962_VERSION) {
+      hash.update(LEAF_PREFIX);
+    }
+    return hash.update(str).digest('hex');
+  }
+
+  /**
+   * Hash two child hashes into their parent under the given version
+   */
+  static hashNode(left, right, version = CURRENT_VERSION) {
+    const hash = crypto.createHash('sha256');
+    if (version === RFC6962_VERSION) {
+      return hash
+        .update(NODE_PREFIX)
+        .update(Buffer.from(left, 'hex'))
+        .update(Buffer.from(right, 'hex'))
+        .digest('hex');
+    }
+    return hash.update(left + right).digest('hex');
   }
 
   /**
@@ -33,9 +71,16 @@ class MerkleTree {
 
       for (let i = 0; i < currentLevel.length; i += 2) {
         const left = currentLevel[i];
-        const right = i + 1 < currentLevel.length ? currentLevel[i + 1] : left;
-        const parent = this.hash(left + right);
-        nextLevel.push(parent);
+
+        if (i + 1 < currentLevel.length) {
+          nextLevel.push(MerkleTree.hashNode(left, currentLevel[i + 1], this.version));
+        } else if (this.version === RFC6962_VERSION) {
+          // Promote the lone node unchanged (RFC 6962 unbalanced tree)
+          nextLevel.push(left);
+        } else {
+          // Legacy: pair the lone node with itself
+          nextLevel.push(MerkleTree.hashNode(left, left, this.version));
+        }
       }
 
       tree.push(nextLevel);
@@ -75,13 +120,14 @@ class MerkleTree {
           hash: levelNodes[siblingIndex],
           position: isRightNode ? 'left' : 'right'
         });
-      } else {
+      } else if (this.version === LEGACY_VERSION) {
         // Odd node at end of level — paired with itself during tree build
         proof.push({
           hash: levelNodes[currentIndex],
           position: 'right'
         });
       }
+      // RFC 6962: a promoted node has no sibling at this level, so no proof step
 
       currentIndex = Math.floor(currentIndex / 2);
       currentLevel++;
@@ -92,17 +138,20 @@ class MerkleTree {
 
   /**
    * Verify a Merkle proof
-   * Returns true if the leaf is part of the tree with the given root
+   * Returns true if the leaf is part of the tree with the given root.
+   * The version is required: pass the commitment's merkleVersion, or
+   * LEGACY_VERSION for commitments without one.
    */
-  static verifyProof(leafHash, proof, root) {
+  static verifyProof(leafHash, proof, root, version) {
+    if (version !== LEGACY_VERSION && version !== RFC6962_VERSION) {
+      throw new Error(`Unsupported Merkle hashing version: ${version}`);
+    }
     let currentHash = leafHash;
 
     for (const step of proof) {
-      const combined = step.position === 'left'
-        ? step.hash + currentHash
-        : currentHash + step.hash;
-
-      currentHash = crypto.createHash('sha256').update(combined).digest('hex');
+      currentHash = step.position === 'left'
+        ? MerkleTree.hashNode(step.hash, currentHash, version)
+        : MerkleTree.hashNode(currentHash, step.hash, version);
     }
 
     return currentHash === root;
@@ -116,4 +165,8 @@ class MerkleTree {
   }
 }
 
+MerkleTree.LEGACY_VERSION = LEGACY_VERSION;
+MerkleTree.RFC6962_VERSION = RFC6962_VERSION;
+MerkleTree.CURRENT_VERSION = CURRENT_VERSION;
+
 module.exports = MerkleTree;
@@ -0,0 +1,268 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const Anthropic = require('@anthropic-ai/sdk');
+
+/**
+ * Model Providers
+ *
+ * Every LLM call goes through a provider with the same contract:
+ *   complete({ role, model, system, prompt, maxTokens, metadata }) → { text, model, usage }
+ *
+ * `role` is one of generation | extraction | judging, so a deployment can pick
+ * a different model per role and a mock can answer each role differently.
+ * `metadata` carries the structured inputs behind the prompt (the response
+ * text, the claim and its evidence); real providers ignore it.
+ */
+
+const DEFAULT_MODEL = 'claude-sonnet-4-20250514';
+
+const ROLES = ['generation', 'extraction', 'judging'];
+
+/**
+ * Resolve the model used for each role
+ * Explicit options win, then MODEL_GENERATION / MODEL_EXTRACTION / MODEL_JUDGING, then the default
+ */
+function resolveModels(models = {}) {
+  const resolved = {};
+  ROLES.forEach(role => {
+    resolved[role] = models[role] || process.env[`MODEL_${role.toUpperCase()}`] || models.default || DEFAULT_MODEL;
+  });
+  return resolved;
+}
+
+// ============================================================================
+// BASE PROVIDER
+// ============================================================================
+
+class ModelProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  async complete(request) {
+    throw new Error(`Model provider "${this.name}" does not implement complete()`);
+  }
+}
+
+// ============================================================================
+// ANTHROPIC
+// ============================================================================
+
+/**
+ * Claude via the Anthropic Messages API
+ */
+class AnthropicModelProvider extends ModelProvider {
+  constructor(options = {}) {
+    super('anthropic');
+    this.client = options.client || new Anthropic({
+      apiKey: options.apiKey || process.env.ANTHROPIC_API_KEY,
+    });
+  }
+
+  async complete({ model, system, prompt, maxTokens }) {
+    const response = await this.client.messages.create({
+      model: model || DEFAULT_MODEL,
+      max_tokens: maxTokens || 2000,
+      ...(system ? { system } : {}),
+      messages: [{
+        role: 'user',
+        content: prompt
+      }]
+    });
+
+    return {
+      text: response.content[0].text,
+      model: response.model,
+      usage: response.usage
+    };
+  }
+}
+
+// ============================================================================
+// MOCK (SCRIPTED)
+// ============================================================================
+
+/**
+ * Deterministic mock model for offline runs and tests
+ *
+ * `responses` maps a role to a string, an array of strings (answered in order,
+ * the last one repeats) or a function(request) → string. Roles without a script
+ * fall back to simple deterministic answers built from `metadata`.
+ */
+class MockModelProvider extends ModelProvider {
+  constructor(options = {}) {
+    super('mock');
+    this.responses = options.responses || {};
+    this.calls = [];
+  }
+
+  async complete(request) {
+    this.calls.push(request);
+    const roleCalls = this.calls.filter(c => c.role === request.role).length;
+
+    const script = this.responses[request.role];
+    let text;
+    if (typeof script === 'function') {
+      text = await script(request);
+    } else if (Array.isArray(script) && script.length > 0) {
+      text = script[Math.min(roleCalls - 1, script.length - 1)];
+    } else if (typeof script === 'string') {
+      text = script;
+    } else {
+      text = this.defaultResponse(request);
+    }
+
+    return {
+      text,
+      model: `mock:${request.model || DEFAULT_MODEL}`,
+      usage: { input_tokens: 0, output_tokens: 0 }
+    };
+  }
+
+  defaultResponse({ role, metadata = {} }) {
+    switch (role) {
+      case 'generation':
+        return mockGeneration(metadata);
+      case 'extraction':
+        return mockExtraction(metadata);
+      case 'judging':
+        return mockJudging(metadata);
+      default:
+        return '';
+    }
+  }
+}
+
+/**
+ * Answer from the top search snippets, or admit there is nothing to go on
+ */
+function mockGeneration({ prompt, searchContext }) {
+  const results = searchContext?.results || [];
+  if (results.length === 0) {
+    return `I have no sources to answer "${prompt}" reliably.`;
+  }
+  return results
+    .slice(0, 3)
+    .map(r => r.snippet.trim().replace(/([^.!?])$/, '$1.'))
+    .join(' ');
+}
+
+/**
+ * Treat every short sentence as one claim
+ */
+function mockExtraction({ text = '' }) {
+  const sentences = (text.match(/[^.!?\n]+[.!?]+/g) || [])
+    .map(s => s.trim())
+    .filter(s => s.split(/\s+/).length <= 30);
+
+  const claims = sentences.map(sentence => ({
+    text: sentence,
+    type: /\b\d{4}\b/.test(sentence) ? 'date' : /\d/.test(sentence) ? 'number' : 'event'
+  }));
+
+  return JSON.stringify({ claims });
+}
+
+/**
+ * VERIFIED when at least two snippets contain most of the claim's words
+ */
+function mockJudging({ claim = '', evidence = [] }) {
+  const words = (claim.toLowerCase().match(/[a-z0-9]{4,}/g) || []);
+  if (evidence.length === 0 || words.length === 0) {
+    return JSON.stringify({ status: 'UNCERTAIN', confidence: 0, reasoning: 'Mock judge: nothing to compare' });
+  }
+
+  const supporting = evidence.filter(r => {
+    const haystack = `${r.title} ${r.snippet}`.toLowerCase();
+    return words.filter(w => haystack.includes(w)).length / words.length >= 0.6;
+  }).length;
+
+  return JSON.stringify(supporting >= 2
+    ? { status: 'VERIFIED', confidence: 75, reasoning: `Mock judge: ${supporting}/${evidence.length} sources contain the claim terms` }
+    : { status: 'UNCERTAIN', confidence: 40, reasoning: `Mock judge: only ${supporting}/${evidence.length} sources contain the claim terms` });
+}
+
+// ============================================================================
+// FIXTURE REPLAY
+// ============================================================================
+
+/**
+ * Replays recorded model responses from a JSON fixture file
+ *
+ * Requests are keyed by a hash of role, model, system and prompt. With a
+ * `delegate` provider, misses are forwarded to it and recorded, so a suite can
+ * be recorded once against the real API and replayed offline afterwards.
+ */
+class FixtureModelProvider extends ModelProvider {
+  constructor(options = {}) {
+    super('fixture');
+    this.file = options.file || process.env.MODEL_FIXTURES || './model-fixtures.json';
+    this.delegate = options.delegate || null;
+    this.fixtures = this.loadFixtures();
+  }
+
+  loadFixtures() {
+    if (!fs.existsSync(this.file)) return {};
+    return JSON.parse(fs.readFileSync(this.file, 'utf8'));
+  }
+
+  saveFixtures() {
+    fs.writeFileSync(this.file, JSON.stringify(this.fixtures, null, 2));
+  }
+
+  fixtureKey({ role, model, system, prompt }) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify({ role, model: model || DEFAULT_MODEL, system: system || '', prompt }))
+      .digest('hex');
+  }
+
+  async complete(request) {
+    const key = this.fixtureKey(request);
+    if (this.fixtures[key]) {
+      return this.fixtures[key].response;
+    }
+
+    if (!this.delegate) {
+      throw new Error(`No recorded ${request.role} response for this prompt (fixture ${key.substring(0, 12)})`);
+    }
+
+    const response = await this.delegate.complete(request);
+    this.fixtures[key] = { role: request.role, response };
+    this.saveFixtures();
+    console.log(`📼 Recorded ${request.role} fixture ${key.substring(0, 12)}`);
+    return response;
+  }
+}
+
+/**
+ * Build a provider from options or environment
+ * MODEL_PROVIDER=anthropic (default) | mock | fixture
+ */
+function createModelProvider(options = {}) {
+  if (options instanceof ModelProvider) return options;
+
+  const type = options.type || process.env.MODEL_PROVIDER || 'anthropic';
+  switch (type) {
+    case 'anthropic':
+      return new AnthropicModelProvider(options);
+    case 'mock':
+      return new MockModelProvider(options);
+    case 'fixture':
+      return new FixtureModelProvider({
+        ...options,
+        delegate: options.record ? createModelProvider({ type: 'anthropic' }) : options.delegate
+      });
+    default:
+      throw new Error(`Unknown model provider: ${type}`);
+  }
+}
+
+module.exports = {
+  DEFAULT_MODEL,
+  ModelProvider,
+  AnthropicModelProvider,
+  MockModelProvider,
+  FixtureModelProvider,
+  createModelProvider,
+  resolveModels
+};
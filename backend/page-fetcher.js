@@ -0,0 +1,320 @@
+const https = require('https');
+const http = require('http');
+const dns = require('dns');
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { fileURLToPath } = require('url');
+const { htmlToText } = require('./search-providers');
+
+/**
+ * Full-page evidence retrieval
+ *
+ * Search snippets are ~200 characters, so quotes and dates further down an
+ * article were reported as missing. PageFetcher downloads a source page,
+ * extracts its readable main text and splits it into passages (paragraphs),
+ * so checks can search the whole article and cite the paragraph that matched.
+ *
+ * Limits: downloads and local files stop at maxBytes (PAGE_MAX_BYTES, default
+ * 1 MB) and the extracted text is cut at maxChars (default 100,000). A download
+ * fails when the connection is idle for timeoutMs (default 10 s) or the whole
+ * fetch, redirects included, takes longer than deadlineMs (PAGE_DEADLINE_MS,
+ * default 20 s). Pages are cached in memory for cacheTtlMs (PAGE_CACHE_TTL_MS,
+ * default 1 hour), cacheSize pages at most, and concurrent fetches of the same
+ * URL share one request.
+ *
+ * Source URLs come from search results and disputes, so hosts that resolve to
+ * private, loopback or link-local addresses are refused unless
+ * allowPrivateHosts (PAGE_ALLOW_PRIVATE_HOSTS=true) is set.
+ */
+
+const TEXT_TYPES = /^(text\/html|application\/xhtml\+xml|text\/plain|text\/markdown)/i;
+const MAX_REDIRECTS = 3;
+
+// Unspecified, private, shared (CGNAT), loopback and link-local ranges
+const PRIVATE_NETWORKS = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]]
+  .forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]
+  .forEach(([network, prefix]) => PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv6'));
+
+class PageFetcher {
+
+  constructor(options = {}) {
+    this.maxBytes = options.maxBytes || Number(process.env.PAGE_MAX_BYTES) || 1024 * 1024;
+    this.maxChars = options.maxChars || 100000;
+    this.maxPassageLength = options.maxPassageLength || 800;
+    this.timeoutMs = options.timeoutMs || 10000;
+    this.deadlineMs = options.deadlineMs || Number(process.env.PAGE_DEADLINE_MS) || 20000;
+    this.allowPrivateHosts = options.allowPrivateHosts ?? process.env.PAGE_ALLOW_PRIVATE_HOSTS === 'true';
+    this.cacheTtlMs = options.cacheTtlMs ?? (Number(process.env.PAGE_CACHE_TTL_MS) || 60 * 60 * 1000);
+    this.cacheSize = options.cacheSize || 200;
+    this.now = options.now || Date.now;
+
+    this.cache = new Map(); // url → { page, expiresAt }, oldest first
+    this.pending = new Map();
+  }
+
+  /**
+   * Fetch a page and extract its main text
+   * Returns { url, ok, status, contentType, text, truncated, error? }; never throws
+   */
+  async fetch(url) {
+    const cached = this.cache.get(url);
+    if (cached && cached.expiresAt > this.now()) {
+      // Re-insert so the Map stays in least-recently-used order
+      this.cache.delete(url);
+      this.cache.set(url, cached);
+      return cached.page;
+    }
+    if (this.pending.has(url)) {
+      return this.pending.get(url);
+    }
+
+    const pending = this.load(url)
+      .catch(err => ({ url, ok: false, status: null, contentType: null, text: '', truncated: false, error: err.message }))
+      .then(page => {
+        this.remember(url, page);
+        return page;
+      })
+      .finally(() => this.pending.delete(url));
+    this.pending.set(url, pending);
+    return pending;
+  }
+
+  remember(url, page) {
+    if (this.cacheTtlMs <= 0) return;
+    this.cache.delete(url);
+    this.cache.set(url, { page, expiresAt: this.now() + this.cacheTtlMs });
+    while (this.cache.size > this.cacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+
+  async load(url) {
+    const { body, status, contentType, truncated } = url.startsWith('file://')
+      ? this.readFile(url)
+      : await this.download(url);
+
+    const ok = status >= 200 && status < 400;
+    if (!ok || !TEXT_TYPES.test(contentType || '')) {
+      return {
+        url, ok, status, contentType, text: '', truncated,
+        error: ok ? `Unsupported content type: ${contentType}` : `HTTP ${status}`
+      };
+    }
+
+    let text = /html/i.test(contentType) ? extractMainText(body) : normalizeText(body);
+    if (text.length > this.maxChars) {
+      text = text.substring(0, this.maxChars);
+      return { url, ok, status, contentType, text, truncated: true };
+    }
+    return { url, ok, status, contentType, text, truncated };
+  }
+
+  /**
+   * Read a local file, only its first maxBytes
+   */
+  readFile(url) {
+    const file = fileURLToPath(url);
+    if (!fs.existsSync(file)) {
+      return { body: '', status: 404, contentType: null, truncated: false };
+    }
+
+    const fd = fs.openSync(file, 'r');
+    try {
+      const { size } = fs.fstatSync(fd);
+      const buffer = Buffer.alloc(Math.min(size, this.maxBytes));
+      const read = fs.readSync(fd, buffer, 0, buffer.length, 0);
+      const ext = path.extname(file).toLowerCase();
+      return {
+        body: buffer.subarray(0, read).toString('utf8'),
+        status: 200,
+        contentType: ext === '.html' || ext === '.htm' ? 'text/html' : ext === '.md' ? 'text/markdown' : 'text/plain',
+        truncated: size > this.maxBytes
+      };
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * GET a URL (following redirects), decompressing and stopping at maxBytes
+   * or the deadline, whichever comes first
+   */
+  download(url, redirects = 0, deadline = Date.now() + this.deadlineMs) {
+    return new Promise((settle, fail) => {
+      let timer = null;
+      const resolve = (value) => { clearTimeout(timer); settle(value); };
+      const reject = (err) => { clearTimeout(timer); fail(err); };
+
+      const { hostname } = new URL(url);
+      const host = hostname.replace(/^\[|\]$/g, '');
+      if (net.isIP(host) && this.isPrivate(host)) {
+        reject(new Error(`Refusing to fetch a private address: ${host}`));
+        return;
+      }
+
+      const client = url.startsWith('https') ? https : http;
+      const req = client.get(url, {
+        timeout: this.timeoutMs,
+        lookup: (name, options, callback) => this.lookup(name, options, callback),
+        headers: {
+          'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
+          'Accept': 'text/html,application/xhtml+xml,text/plain;q=0.9,*/*;q=0.5',
+          'Accept-Language': 'en-US,en;q=0.9',
+          'Accept-Encoding': 'gzip, deflate, br'
+        }
+      }, (res) => {
+        const { statusCode, headers } = res;
+
+        if (statusCode >= 300 && statusCode < 400 && headers.location) {
+          res.resume();
+          if (redirects >= MAX_REDIRECTS) {
+            reject(new Error('Too many redirects'));
+            return;
+          }
+          resolve(this.download(new URL(headers.location, url).href, redirects + 1, deadline));
+          return;
+        }
+
+        const contentType = headers['content-type'] || null;
+        if (statusCode >= 400 || !TEXT_TYPES.test(contentType || '')) {
+          res.resume();
+          resolve({ body: '', status: statusCode, contentType, truncated: false });
+          return;
+        }
+
+        const decoders = { gzip: zlib.createGunzip, deflate: zlib.createInflate, br: zlib.createBrotliDecompress };
+        const decoder = decoders[headers['content-encoding']];
+        const stream = decoder ? res.pipe(decoder()) : res;
+
+        const chunks = [];
+        let size = 0;
+        let truncated = false;
+        const finish = () => resolve({
+          body: Buffer.concat(chunks).subarray(0, this.maxBytes).toString('utf8'),
+          status: statusCode,
+          contentType,
+          truncated
+        });
+
+        stream.on('data', (chunk) => {
+          chunks.push(chunk);
+          size += chunk.length;
+          if (size > this.maxBytes) {
+            truncated = true;
+            req.destroy();
+            stream.removeAllListeners('data');
+            finish();
+          }
+        });
+        stream.on('end', () => { if (!truncated) finish(); });
+        stream.on('error', (err) => { if (!truncated) reject(err); });
+      });
+
+      req.on('timeout', () => req.destroy(new Error(`Timed out after ${this.timeoutMs}ms`)));
+      req.on('error', (err) => reject(err));
+      timer = setTimeout(() => {
+        const err = new Error(`Gave up after ${this.deadlineMs}ms`);
+        req.destroy(err);
+        reject(err);
+      }, Math.max(deadline - Date.now(), 0));
+    });
+  }
+
+  /**
+   * dns.lookup that refuses private addresses, so a public name can't point the fetch inside the network
+   */
+  lookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (err, address, family) => {
+      if (err) {
+        callback(err);
+        return;
+      }
+      const addresses = Array.isArray(address) ? address : [{ address, family }];
+      const blocked = addresses.find(entry => this.isPrivate(entry.address));
+      if (blocked) {
+        callback(new Error(`Refusing to fetch a private address: ${hostname} (${blocked.address})`));
+        return;
+      }
+      callback(null, address, family);
+    });
+  }
+
+  isPrivate(address) {
+    if (this.allowPrivateHosts) return false;
+    return PRIVATE_NETWORKS.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+  }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Readable main text of an HTML page, one paragraph per block
+ * Prefers <article>/<main> and drops navigation, headers, footers and asides.
+ */
+function extractMainText(html) {
+  let body = html.replace(/<!--[\s\S]*?-->/g, ' ');
+  const main = body.match(/<article\b[\s\S]*<\/article>/i) || body.match(/<main\b[\s\S]*<\/main>/i);
+  if (main) body = main[0];
+
+  body = body.replace(/<(nav|header|footer|aside|form|svg|iframe|template)\b[\s\S]*?<\/\1>/gi, ' ');
+  return htmlToText(body)
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Plain/markdown text with paragraphs separated by blank lines
+ */
+function normalizeText(text) {
+  return text
+    .replace(/\r\n/g, '\n')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.replace(/^#+\s*/, '').replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n\n');
+}
+
+/**
+ * Split extracted text into passages: [{ index, start, text }]
+ * Paragraphs longer than maxLength are cut at sentence boundaries.
+ */
+function splitPassages(text, maxLength = 800) {
+  const passages = [];
+  let offset = 0;
+
+  for (const paragraph of (text || '').split('\n\n')) {
+    const start = text.indexOf(paragraph, offset);
+    offset = start + paragraph.length;
+
+    const sentences = paragraph.match(/[^.!?]+[.!?]*\s*/g) || [paragraph];
+    let chunk = '';
+    let chunkStart = start;
+    for (const sentence of sentences) {
+      if (chunk && chunk.length + sentence.length > maxLength) {
+        passages.push({ index: passages.length, start: chunkStart, text: chunk.trim() });
+        chunkStart += chunk.length;
+        chunk = '';
+      }
+      chunk += sentence;
+    }
+    if (chunk.trim()) {
+      passages.push({ index: passages.length, start: chunkStart, text: chunk.trim() });
+    }
+  }
+
+  return passages;
+}
+
+module.exports = { PageFetcher, extractMainText, splitPassages };
@@ -0,0 +1,198 @@
+const fs = require('fs');
+const net = require('net');
+const { domainToASCII } = require('url');
+
+/**
+ * Public Suffix List
+ *
+ * Which part of a hostname anyone can register under: "com", "co.uk",
+ * "github.io". The registrable domain is the public suffix plus one label
+ * ("bbc.co.uk", "alice.github.io"), which is the unit a single organization
+ * controls. Rules follow the format and algorithm of https://publicsuffix.org/list/
+ * (normal rules, "*." wildcards, "!" exceptions, and "*" for unlisted TLDs).
+ *
+ * A built-in subset covers common second-level and hosting suffixes; set
+ * PUBLIC_SUFFIX_LIST to a copy of public_suffix_list.dat for the full list.
+ */
+
+const BUILTIN_RULES = `
+// Second-level country suffixes
+ac.uk
+co.uk
+gov.uk
+ltd.uk
+me.uk
+net.uk
+nhs.uk
+org.uk
+police.uk
+sch.uk
+com.au
+edu.au
+gov.au
+net.au
+org.au
+ac.nz
+co.nz
+govt.nz
+org.nz
+ac.jp
+co.jp
+go.jp
+ne.jp
+or.jp
+ac.in
+co.in
+gov.in
+net.in
+org.in
+ac.za
+co.za
+gov.za
+org.za
+com.br
+gov.br
+org.br
+com.cn
+edu.cn
+gov.cn
+org.cn
+com.mx
+gob.mx
+com.sg
+edu.sg
+gov.sg
+ac.il
+co.il
+gov.il
+ac.kr
+co.kr
+go.kr
+com.tr
+edu.tr
+gov.tr
+*.ck
+!www.ck
+// Hosting and blogging platforms (each subdomain belongs to a different owner)
+appspot.com
+blogspot.com
+cloudfront.net
+github.io
+gitlab.io
+herokuapp.com
+netlify.app
+pages.dev
+substack.com
+tumblr.com
+vercel.app
+wordpress.com
+`;
+
+class PublicSuffixList {
+
+  constructor(options = {}) {
+    this.file = options.file || process.env.PUBLIC_SUFFIX_LIST || null;
+    this.rules = new Map(); // rule (without "!") → 'normal' | 'exception'
+    this.wildcards = new Set(); // "ck" for "*.ck"
+
+    const list = this.file ? this.read() : BUILTIN_RULES;
+    parseRules(list).forEach(rule => this.add(rule));
+    (options.rules || []).forEach(rule => this.add(rule));
+  }
+
+  read() {
+    try {
+      return fs.readFileSync(this.file, 'utf8');
+    } catch (error) {
+      console.log(`⚠️  Could not read public suffix list ${this.file}: ${error.message}; using the built-in rules`);
+      return BUILTIN_RULES;
+    }
+  }
+
+  add(rule) {
+    if (rule.startsWith('!')) {
+      this.rules.set(rule.slice(1), 'exception');
+    } else if (rule.startsWith('*.')) {
+      this.wildcards.add(rule.slice(2));
+    } else {
+      this.rules.set(rule, 'normal');
+    }
+  }
+
+  /**
+   * The public suffix of a hostname ("news.bbc.co.uk" → "co.uk"); null for IPs
+   */
+  publicSuffix(hostname) {
+    const host = normalizeHost(hostname);
+    if (!host || net.isIP(host)) return null;
+
+    const labels = host.split('.');
+    let longest = 1; // Default rule "*": the TLD is a public suffix
+
+    for (let i = 0; i < labels.length; i++) {
+      const candidate = labels.slice(i).join('.');
+      const length = labels.length - i;
+      if (this.rules.get(candidate) === 'exception') {
+        return labels.slice(i + 1).join('.');
+      }
+      if (this.rules.get(candidate) === 'normal') {
+        longest = Math.max(longest, length);
+      }
+      if (i > 0 && this.wildcards.has(candidate)) {
+        longest = Math.max(longest, length + 1);
+      }
+    }
+    return labels.slice(labels.length - longest).join('.');
+  }
+
+  /**
+   * The registrable domain of a hostname ("news.bbc.co.uk" → "bbc.co.uk")
+   * null when the host is itself a public suffix; IPs and single-label hosts
+   * are returned as they are
+   */
+  registrableDomain(hostname) {
+    const host = normalizeHost(hostname);
+    if (!host) return null;
+    if (net.isIP(host) || !host.includes('.')) return host;
+
+    const suffix = this.publicSuffix(host);
+    if (host === suffix) return null;
+    const labels = host.slice(0, -(suffix.length + 1)).split('.');
+    return `${labels[labels.length - 1]}.${suffix}`;
+  }
+
+  isPublicSuffix(hostname) {
+    const host = normalizeHost(hostname);
+    return Boolean(host) && this.publicSuffix(host) === host;
+  }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Lowercase ASCII hostname without a trailing dot ("Bücher.de." → "xn--bcher-kva.de")
+ */
+function normalizeHost(hostname) {
+  const host = String(hostname || '').trim().toLowerCase().replace(/\.$/, '');
+  if (!host) return null;
+  if (net.isIP(host)) return host;
+  return domainToASCII(host) || null;
+}
+
+/**
+ * Rules from public_suffix_list.dat text: one per line, "//" comments
+ */
+function parseRules(text) {
+  return text
+    .split(/\r?\n/)
+    .map(line => line.trim().split(/\s/)[0])
+    .filter(line => line && !line.startsWith('//'))
+    .map(rule => {
+      const prefix = rule.match(/^(!|\*\.)?/)[0];
+      return prefix + (domainToASCII(rule.slice(prefix.length)) || rule.slice(prefix.length));
+    });
+}
+
+module.exports = { PublicSuffixList, normalizeHost };
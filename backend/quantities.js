@@ -0,0 +1,260 @@
+/**
+ * Quantity extraction and comparison
+ *
+ * Pulls numeric figures out of text together with what they measure:
+ * - units:      "384,400 km", "5.5 miles", "3 hours", "-40 °F"
+ * - percentages: "45%", "12.5 percent"
+ * - currency:   "$3.8 billion", "€20m", "1,200 USD"
+ * - counts:     "3.8 million people", "12 astronauts"
+ *
+ * Values are normalized to a base unit per dimension (metres, kilograms,
+ * seconds, ...) with scale words applied, so "3.8 million" and "3,800,000"
+ * or "384,400 km" and "238,855 miles" compare directly.
+ */
+
+const SCALES = {
+  thousand: 1e3,
+  million: 1e6,
+  billion: 1e9,
+  trillion: 1e12
+};
+
+// Short scale suffixes, only trusted after a currency amount ("$20m", "€3.8bn")
+const CURRENCY_SCALES = { k: 1e3, m: 1e6, mn: 1e6, bn: 1e9, b: 1e9, tn: 1e12 };
+
+// alias → [dimension, factor to base unit]; longest aliases are tried first
+const UNITS = {
+  // length → metres
+  'km': ['length', 1000], 'kilometer': ['length', 1000], 'kilometers': ['length', 1000],
+  'kilometre': ['length', 1000], 'kilometres': ['length', 1000],
+  'm': ['length', 1], 'meter': ['length', 1], 'meters': ['length', 1], 'metre': ['length', 1], 'metres': ['length', 1],
+  'cm': ['length', 0.01], 'centimeters': ['length', 0.01], 'centimetres': ['length', 0.01],
+  'mm': ['length', 0.001], 'millimeters': ['length', 0.001], 'millimetres': ['length', 0.001],
+  'mi': ['length', 1609.344], 'mile': ['length', 1609.344], 'miles': ['length', 1609.344],
+  'ft': ['length', 0.3048], 'foot': ['length', 0.3048], 'feet': ['length', 0.3048],
+  // Not a bare "in": "3 in 10 people" is a ratio
+  'in.': ['length', 0.0254], 'inch': ['length', 0.0254], 'inches': ['length', 0.0254],
+  'light year': ['length', 9.4607e15], 'light years': ['length', 9.4607e15], 'light-years': ['length', 9.4607e15],
+  // area → square metres
+  'km2': ['area', 1e6], 'km²': ['area', 1e6], 'sq km': ['area', 1e6],
+  'square kilometers': ['area', 1e6], 'square kilometres': ['area', 1e6],
+  'sq mi': ['area', 2.58999e6], 'square mile': ['area', 2.58999e6], 'square miles': ['area', 2.58999e6],
+  'hectare': ['area', 1e4], 'hectares': ['area', 1e4], 'acre': ['area', 4046.86], 'acres': ['area', 4046.86],
+  // mass → kilograms
+  'kg': ['mass', 1], 'kilogram': ['mass', 1], 'kilograms': ['mass', 1],
+  'g': ['mass', 0.001], 'gram': ['mass', 0.001], 'grams': ['mass', 0.001],
+  'tonne': ['mass', 1000], 'tonnes': ['mass', 1000], 'metric tons': ['mass', 1000],
+  'ton': ['mass', 907.185], 'tons': ['mass', 907.185],
+  'lb': ['mass', 0.453592], 'lbs': ['mass', 0.453592], 'pound': ['mass', 0.453592], 'pounds': ['mass', 0.453592],
+  // duration → seconds
+  'second': ['duration', 1], 'seconds': ['duration', 1], 'minute': ['duration', 60], 'minutes': ['duration', 60],
+  'hour': ['duration', 3600], 'hours': ['duration', 3600], 'day': ['duration', 86400], 'days': ['duration', 86400],
+  'week': ['duration', 604800], 'weeks': ['duration', 604800],
+  'month': ['duration', 2629800], 'months': ['duration', 2629800], 'year': ['duration', 31557600], 'years': ['duration', 31557600],
+  // speed → metres per second
+  'km/h': ['speed', 1 / 3.6], 'kph': ['speed', 1 / 3.6], 'kilometers per hour': ['speed', 1 / 3.6],
+  'mph': ['speed', 0.44704], 'miles per hour': ['speed', 0.44704], 'm/s': ['speed', 1],
+  // temperature → °C (converted separately, not a plain factor)
+  '°c': ['temperature', 'C'], 'degrees celsius': ['temperature', 'C'],
+  '°f': ['temperature', 'F'], 'degrees fahrenheit': ['temperature', 'F']
+};
+
+const UNIT_ALIASES = Object.keys(UNITS).sort((a, b) => b.length - a.length);
+
+const CURRENCY_SYMBOLS = { 'US$': 'USD', '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY' };
+const CURRENCY_WORDS = {
+  usd: 'USD', dollars: 'USD', eur: 'EUR', euros: 'EUR', gbp: 'GBP', jpy: 'JPY', yen: 'JPY'
+};
+
+// Words that follow a number without being what it counts
+const NOT_COUNT_NOUNS = new Set([
+  'and', 'or', 'to', 'of', 'in', 'on', 'at', 'by', 'for', 'from', 'with', 'the', 'a', 'an',
+  'is', 'was', 'were', 'are', 'be', 'as', 'than', 'per', 'each', 'more', 'less', 'about'
+]);
+
+const STOPWORDS = new Set([
+  ...NOT_COUNT_NOUNS, 'it', 'its', 'this', 'that', 'these', 'those', 'has', 'have', 'had',
+  'which', 'who', 'there', 'their', 'his', 'her', 'they', 'he', 'she', 'not', 'no', 'approximately',
+  'around', 'nearly', 'over', 'under', 'some', 'roughly', 'only', 'also', 'into', 'after', 'before'
+]);
+
+const NUMBER = /(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?/g;
+
+/**
+ * Extract quantities from text
+ * Returns [{ raw, value, dimension, unit, precision, index }]
+ * precision is the rounding half-width the figure was stated with (e.g. 0.05e6 for "3.8 million")
+ */
+function extractQuantities(text) {
+  const quantities = [];
+  let match;
+  NUMBER.lastIndex = 0;
+
+  while ((match = NUMBER.exec(text)) !== null) {
+    const start = match.index;
+    const before = text.slice(Math.max(0, start - 4), start);
+    const after = text.slice(start + match[0].length);
+
+    // Part of a longer token ("A380", "3.14.2", "COVID-19")
+    if (/[\w.]$/.test(before) || /\w-$/.test(before)) continue;
+
+    const integer = match[1].replace(/,/g, '');
+    const decimals = match[2] ? match[2].length - 1 : 0;
+    let value = parseFloat(integer + (match[2] || ''));
+    let precision = decimals > 0 ? 0.5 * Math.pow(10, -decimals) : null;
+    let end = start + match[0].length;
+    let rest = after;
+
+    const negative = /(^|\s)[-−]$/.test(before);
+    if (negative) value = -value;
+
+    // Currency before the number
+    const symbolMatch = before.match(/(US\$|[$€£¥])\s?$/);
+    let currency = symbolMatch ? CURRENCY_SYMBOLS[symbolMatch[1]] : null;
+
+    // Scale word ("million") or, after currency, a short suffix ("m", "bn")
+    let scale = 1;
+    const scaleWord = rest.match(/^\s?(thousand|million|billion|trillion)\b/i);
+    const scaleSuffix = currency && rest.match(/^\s?(k|m|mn|bn|b|tn)\b/i);
+    if (scaleWord) {
+      scale = SCALES[scaleWord[1].toLowerCase()];
+    } else if (scaleSuffix) {
+      scale = CURRENCY_SCALES[scaleSuffix[1].toLowerCase()];
+    }
+    const scaleMatch = scaleWord || scaleSuffix;
+    if (scaleMatch) {
+      precision = precision ?? 0.5;
+      end += scaleMatch[0].length;
+      rest = rest.slice(scaleMatch[0].length);
+    }
+    value *= scale;
+    if (precision !== null) precision *= scale;
+
+    let dimension = null;
+    let unit = null;
+
+    const percent = rest.match(/^\s?(%|percent\b|per cent\b|percentage points\b)/i);
+    const currencyWord = !currency && rest.match(/^\s?(usd|dollars|eur|euros|gbp|jpy|yen)\b/i);
+    const unitMatch = !currency && matchUnit(rest);
+
+    if (currency) {
+      dimension = `currency:${currency}`;
+      unit = currency;
+    } else if (percent) {
+      dimension = 'percent';
+      unit = '%';
+      end += percent[0].length;
+    } else if (currencyWord) {
+      currency = CURRENCY_WORDS[currencyWord[1].toLowerCase()];
+      dimension = `currency:${currency}`;
+      unit = currency;
+      end += currencyWord[0].length;
+    } else if (unitMatch) {
+      const [unitDimension, factor] = UNITS[unitMatch.alias];
+      dimension = unitDimension;
+      unit = unitMatch.alias;
+      if (unitDimension === 'temperature') {
+        value = factor === 'F' ? (value - 32) * 5 / 9 : value;
+        if (precision !== null && factor === 'F') precision *= 5 / 9;
+      } else {
+        value *= factor;
+        if (precision !== null) precision *= factor;
+      }
+      end += unitMatch.length;
+    } else {
+      const noun = rest.match(/^\s([a-z]+)\b/);
+      const precededByName = /[A-Z][a-z]*\s$/.test(text.slice(Math.max(0, start - 20), start));
+      const isYear = !match[2] && !scaleMatch && /^\d{4}$/.test(match[0]) && value >= 1000 && value <= 2100;
+
+      if (isYear || (precededByName && !scaleMatch)) continue;
+      if (noun && !NOT_COUNT_NOUNS.has(noun[1])) {
+        dimension = `count:${singular(noun[1])}`;
+        unit = noun[1];
+        end += noun[0].length;
+      } else if (scaleMatch) {
+        dimension = 'count';
+      } else {
+        continue; // A bare number says nothing checkable on its own
+      }
+    }
+
+    quantities.push({
+      raw: text.slice(start - (symbolMatch ? symbolMatch[0].length : negative ? 1 : 0), end).trim(),
+      value,
+      dimension,
+      unit,
+      precision,
+      index: start
+    });
+    NUMBER.lastIndex = end;
+  }
+
+  return quantities;
+}
+
+function matchUnit(rest) {
+  const lower = rest.toLowerCase();
+  for (const alias of UNIT_ALIASES) {
+    const pattern = new RegExp(`^\\s?${escapeRegExp(alias)}(?![a-z0-9²])`);
+    const found = lower.match(pattern);
+    if (found) return { alias, length: found[0].length };
+  }
+  return null;
+}
+
+/**
+ * Do two quantities measure the same kind of thing?
+ * Same dimension; a count without a noun ("3.8 million") is taken to count
+ * whatever the other figure counts ("2.1 million residents").
+ */
+function sameKind(a, b) {
+  if (a.dimension === b.dimension) return true;
+  const counts = [a.dimension, b.dimension];
+  return counts.includes('count') && counts.every(dimension => /^count(:|$)/.test(dimension || ''));
+}
+
+/**
+ * Do two quantities state the same figure?
+ * Same kind, and equal within relative tolerance or the precision the
+ * claim was stated with ("about 4 million" accepts 3.6 million).
+ */
+function sameFigure(claimed, reported, tolerance = 0.02) {
+  if (!sameKind(claimed, reported)) return false;
+
+  const allowed = Math.max(
+    tolerance * Math.max(Math.abs(claimed.value), Math.abs(reported.value)),
+    claimed.precision || 0,
+    reported.precision || 0
+  );
+  return Math.abs(claimed.value - reported.value) <= allowed;
+}
+
+/**
+ * Content words near a position (used to tell which figure a snippet is about)
+ */
+function contextWords(text, index, radius = 80) {
+  const window = text.slice(Math.max(0, index - radius), index + radius);
+  return new Set(keywords(window));
+}
+
+/**
+ * Lowercase content words of a text (no numbers, units or stopwords)
+ */
+function keywords(text) {
+  return text
+    .toLowerCase()
+    .replace(/'s\b/g, '')
+    .split(/[^a-z]+/)
+    .filter(word => word.length > 2 && !STOPWORDS.has(word) && !UNITS[word] && !SCALES[word]);
+}
+
+function singular(word) {
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  return word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+module.exports = { extractQuantities, sameKind, sameFigure, contextWords, keywords };
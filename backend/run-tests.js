@@ -0,0 +1,59 @@
+#!/usr/bin/env node
+
+/**
+ * Offline test runner (npm test)
+ * Runs every test-*.js script in its own process, one after another, and
+ * fails when any of them does. The scripts that call the live Anthropic and
+ * Brave APIs are left to npm run test:live.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// Scripts that need API keys and the network, or aren't tests
+const SKIPPED = ['test-helpers.js', 'test-false.js', 'test-force-false.js', 'test-fraud-proofs.js'];
+
+const TIMEOUT_MS = 5 * 60 * 1000;
+
+function runTests(filter = null) {
+  const scripts = fs.readdirSync(__dirname)
+    .filter(name => /^test-.+\.js$/.test(name) && !SKIPPED.includes(name))
+    .filter(name => !filter || name.includes(filter))
+    .sort();
+
+  const failed = [];
+  for (const script of scripts) {
+    const started = Date.now();
+    const run = spawnSync(process.execPath, [path.join(__dirname, script)], {
+      cwd: __dirname,
+      encoding: 'utf8',
+      timeout: TIMEOUT_MS
+    });
+    const seconds = ((Date.now() - started) / 1000).toFixed(1);
+    const passed = run.status === 0 && /✅/.test(run.stdout);
+
+    console.log(`${passed ? '✓' : '✗'} ${script} (${seconds}s)`);
+    if (!passed) {
+      failed.push(script);
+      // Only a failing script's output is worth reading
+      process.stdout.write(run.stdout || '');
+      process.stderr.write(run.stderr || '');
+      if (run.error) console.error(run.error.message);
+    }
+  }
+
+  console.log('\n' + '━'.repeat(70));
+  console.log(failed.length === 0
+    ? `✅ ${scripts.length} TEST SCRIPTS PASSED`
+    : `❌ ${failed.length} of ${scripts.length} test scripts failed: ${failed.join(', ')}`);
+  console.log('━'.repeat(70));
+
+  if (failed.length > 0) process.exitCode = 1;
+}
+
+if (require.main === module) {
+  runTests(process.argv[2]);
+}
+
+module.exports = { runTests };
@@ -0,0 +1,309 @@
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const axios = require('axios');
+
+/**
+ * Search Providers
+ *
+ * Every evidence lookup goes through a provider with the same contract:
+ *   search(query, { count }) → [{ title, snippet, url }]
+ *
+ * This lets the verifier run against the live web (Brave) or against a
+ * local directory of documents (air-gapped CI, internal documentation).
+ */
+
+// ============================================================================
+// BASE PROVIDER
+// ============================================================================
+
+class SearchProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Return the top results for a query
+   */
+  async search(query, options = {}) {
+    throw new Error(`Search provider "${this.name}" does not implement search()`);
+  }
+}
+
+// ============================================================================
+// BRAVE SEARCH
+// ============================================================================
+
+/**
+ * Live web search via the Brave Search API
+ */
+class BraveSearchProvider extends SearchProvider {
+  constructor(options = {}) {
+    super('brave');
+    this.apiKey = options.apiKey || process.env.BRAVE_API_KEY;
+    this.endpoint = options.endpoint || 'https://api.search.brave.com/res/v1/web/search';
+  }
+
+  async search(query, options = {}) {
+    const response = await axios.get(this.endpoint, {
+      headers: {
+        'Accept': 'application/json',
+        'Accept-Encoding': 'gzip',
+        'X-Subscription-Token': this.apiKey
+      },
+      params: {
+        q: query,
+        count: options.count || 5,
+        text_decorations: false,
+        search_lang: 'en'
+      }
+    });
+
+    return (response.data.web?.results || []).map(result => ({
+      title: result.title,
+      snippet: result.description,
+      url: result.url
+    }));
+  }
+}
+
+// ============================================================================
+// LOCAL CORPUS (BM25)
+// ============================================================================
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'he',
+  'in', 'is', 'it', 'its', 'of', 'on', 'or', 'she', 'that', 'the', 'their',
+  'they', 'this', 'to', 'was', 'were', 'which', 'who', 'with'
+]);
+
+const SUPPORTED_EXTENSIONS = new Set(['.txt', '.md', '.markdown', '.html', '.htm']);
+
+/**
+ * Offline search over a directory of text, Markdown and HTML files
+ * Documents are ranked with Okapi BM25 and the best-matching window
+ * of each document is returned as the snippet.
+ */
+class LocalCorpusSearchProvider extends SearchProvider {
+  constructor(options = {}) {
+    super('local');
+    this.directory = path.resolve(options.directory || process.env.LOCAL_CORPUS_DIR || './corpus');
+    this.k1 = options.k1 ?? 1.2;
+    this.b = options.b ?? 0.75;
+    this.snippetLength = options.snippetLength || 200;
+    this.index = null;
+  }
+
+  async search(query, options = {}) {
+    if (!this.index) {
+      this.buildIndex();
+    }
+
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0 || this.index.documents.length === 0) return [];
+
+    const { documents, documentFrequency, averageLength } = this.index;
+    const totalDocs = documents.length;
+
+    const scored = documents
+      .map(doc => {
+        let score = 0;
+        for (const term of queryTerms) {
+          const tf = doc.termFrequency.get(term) || 0;
+          if (tf === 0) continue;
+          const df = documentFrequency.get(term);
+          const idf = Math.log(1 + (totalDocs - df + 0.5) / (df + 0.5));
+          const norm = tf + this.k1 * (1 - this.b + this.b * (doc.length / averageLength));
+          score += idf * (tf * (this.k1 + 1)) / norm;
+        }
+        return { doc, score };
+      })
+      .filter(s => s.score > 0)
+      .sort((a, b) => b.score - a.score || a.doc.url.localeCompare(b.doc.url))
+      .slice(0, options.count || 5);
+
+    return scored.map(({ doc }) => ({
+      title: doc.title,
+      snippet: this.bestSnippet(doc.text, queryTerms),
+      url: doc.url
+    }));
+  }
+
+  /**
+   * Read and tokenize every supported file under the corpus directory
+   */
+  buildIndex() {
+    const documents = [];
+    const documentFrequency = new Map();
+
+    for (const file of listFiles(this.directory)) {
+      const ext = path.extname(file).toLowerCase();
+      const raw = fs.readFileSync(file, 'utf8');
+      const { title, text } = parseDocument(raw, ext, path.basename(file, ext));
+      const tokens = tokenize(text);
+
+      const termFrequency = new Map();
+      tokens.forEach(t => termFrequency.set(t, (termFrequency.get(t) || 0) + 1));
+      termFrequency.forEach((_, term) => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+
+      documents.push({
+        url: pathToFileURL(file).href,
+        title,
+        text,
+        length: tokens.length,
+        termFrequency
+      });
+    }
+
+    const totalLength = documents.reduce((sum, d) => sum + d.length, 0);
+    this.index = {
+      documents,
+      documentFrequency,
+      averageLength: documents.length > 0 ? totalLength / documents.length : 0
+    };
+
+    console.log(`📚 Indexed ${documents.length} local documents from ${this.directory}`);
+    return this.index;
+  }
+
+  /**
+   * Pick the sentence window with the most query-term hits
+   */
+  bestSnippet(text, queryTerms) {
+    const sentences = text.match(/[^.!?\n]+[.!?]*/g) || [text];
+    const terms = new Set(queryTerms);
+
+    let best = { index: 0, hits: -1 };
+    sentences.forEach((sentence, index) => {
+      const hits = tokenize(sentence).filter(t => terms.has(t)).length;
+      if (hits > best.hits) best = { index, hits };
+    });
+
+    let snippet = '';
+    for (let i = best.index; i < sentences.length && snippet.length < this.snippetLength; i++) {
+      snippet += sentences[i].trim() + ' ';
+    }
+    snippet = snippet.trim();
+    return snippet.length > this.snippetLength
+      ? snippet.substring(0, this.snippetLength).replace(/\s+\S*$/, '') + '...'
+      : snippet;
+  }
+
+  /**
+   * Drop the index so the next search re-reads the directory
+   */
+  reload() {
+    this.index = null;
+  }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function tokenize(text) {
+  return (text.toLowerCase().match(/[a-z0-9]+/g) || [])
+    .filter(t => !STOPWORDS.has(t));
+}
+
+function listFiles(directory) {
+  if (!fs.existsSync(directory)) {
+    console.log(`⚠️  Local corpus directory not found: ${directory}`);
+    return [];
+  }
+
+  const files = [];
+  const walk = (dir) => {
+    fs.readdirSync(dir, { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(entry => {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          walk(full);
+        } else if (SUPPORTED_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) {
+          files.push(full);
+        }
+      });
+  };
+  walk(directory);
+  return files;
+}
+
+function parseDocument(raw, ext, fallbackTitle) {
+  if (ext === '.html' || ext === '.htm') {
+    const titleMatch = raw.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+    return {
+      title: titleMatch ? decodeEntities(titleMatch[1]).trim() : fallbackTitle,
+      text: htmlToText(raw)
+    };
+  }
+
+  if (ext === '.md' || ext === '.markdown') {
+    const headingMatch = raw.match(/^#\s+(.+)$/m);
+    return {
+      title: headingMatch ? headingMatch[1].trim() : fallbackTitle,
+      text: raw
+        .replace(/```[\s\S]*?```/g, ' ')
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/^#+\s*/gm, '')
+        .replace(/[*_`>]/g, '')
+    };
+  }
+
+  return { title: fallbackTitle, text: raw };
+}
+
+function htmlToText(html) {
+  return decodeEntities(
+    html
+      .replace(/<(script|style|noscript)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<head[^>]*>[\s\S]*?<\/head>/i, ' ')
+      .replace(/<\/(p|div|li|h[1-6]|tr|section|article)>/gi, '\n')
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<[^>]+>/g, ' ')
+  ).replace(/[ \t]+/g, ' ');
+}
+
+const NAMED_ENTITIES = {
+  nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+  ndash: '–', mdash: '—', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”',
+  copy: '©', reg: '®', trade: '™', deg: '°', times: '×', middot: '·'
+};
+
+/**
+ * Decode named, decimal and hex entities in one pass, so decoded text is
+ * never decoded again ("&amp;lt;" is "&lt;", not "<"); unknown ones are kept
+ */
+function decodeEntities(text) {
+  return text.replace(/&(?:#(\d+)|#x([\da-f]+)|([a-z]+));/gi, (entity, decimal, hex, name) => {
+    if (name) return NAMED_ENTITIES[name] ?? NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+    const code = decimal ? Number(decimal) : parseInt(hex, 16);
+    return code <= 0x10FFFF ? String.fromCodePoint(code) : entity;
+  });
+}
+
+/**
+ * Build a provider from options or environment
+ * SEARCH_PROVIDER=brave (default) | local
+ */
+function createSearchProvider(options = {}) {
+  if (options instanceof SearchProvider) return options;
+
+  const type = options.type || process.env.SEARCH_PROVIDER || 'brave';
+  switch (type) {
+    case 'brave':
+      return new BraveSearchProvider(options);
+    case 'local':
+      return new LocalCorpusSearchProvider(options);
+    default:
+      throw new Error(`Unknown search provider: ${type}`);
+  }
+}
+
+module.exports = {
+  SearchProvider,
+  BraveSearchProvider,
+  LocalCorpusSearchProvider,
+  createSearchProvider,
+  htmlToText
+};
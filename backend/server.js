@@ -6,7 +6,10 @@
 require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const { VerifiableClaude } = require('./verifiable-claude');
+const { VerifiableClaude, CommitmentNotFoundError } = require('./verifiable-claude');
+const { DisputeError } = require('./dispute-registry');
+const { SnapshotNotFoundError } = require('./snapshot-store');
+const { NAMESPACES } = require('./cache-store');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -30,6 +33,84 @@ if (useDeterministic) {
   console.log('   ✓ Cryptographic fraud proofs');
 }
 
+// ============================================================================
+// SERVER-SENT EVENTS
+// ============================================================================
+
+/**
+ * Switch a response into an SSE stream
+ * Returns send(event, data); the caller ends the stream with res.end()
+ */
+function openEventStream(res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  return (event, data) => {
+    if (res.writableEnded) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+}
+
+/**
+ * Map challenge-period errors to HTTP status codes
+ */
+function sendDisputeError(res, error) {
+  const status = error instanceof CommitmentNotFoundError ? 404
+    : !(error instanceof DisputeError) ? 500
+    : error.code === 'NOT_FOUND' ? 404
+    : error.code === 'INVALID_SUBMISSION' ? 400
+    : 409; // WINDOW_CLOSED, INVALID_STATE
+
+  if (status === 500) {
+    console.error('Dispute error:', error);
+  }
+  res.status(status).json({
+    success: false,
+    error: error.message,
+    code: error.code
+  });
+}
+
+/**
+ * context.strategy, when given, must name a registered verification strategy
+ */
+function knownStrategy(context) {
+  return !context || !context.strategy || vc.deterministicVerifier.strategies.has(context.strategy);
+}
+
+/**
+ * A claim in a request body: an object with non-empty text
+ */
+function isClaim(claim) {
+  return Boolean(claim) && typeof claim === 'object' && typeof claim.text === 'string' && claim.text.trim() !== '';
+}
+
+/**
+ * Admin routes require "Authorization: Bearer <ADMIN_TOKEN>", and are disabled
+ * while ADMIN_TOKEN is unset
+ */
+function requireAdmin(req, res, next) {
+  const token = process.env.ADMIN_TOKEN;
+  if (!token) {
+    return res.status(403).json({
+      success: false,
+      error: 'Admin routes are disabled: set ADMIN_TOKEN to enable them'
+    });
+  }
+  if (req.get('Authorization') !== `Bearer ${token}`) {
+    return res.status(401).json({
+      success: false,
+      error: 'Admin token required'
+    });
+  }
+  next();
+}
+
 // ============================================================================
 // API ROUTES
 // ============================================================================
@@ -42,17 +123,29 @@ app.get('/health', (req, res) => {
   const hasAPIKey = !!(process.env.ANTHROPIC_API_KEY && process.env.ANTHROPIC_API_KEY.length > 0);
   const isDeterministic = process.env.DETERMINISTIC_MODE === 'true';
   // Default model is Sonnet (claude-sonnet-4-20250514)
-  const modelMode = hasAPIKey ? 'sonnet' : 'test';
+  const modelMode = vc.llm.name === 'mock' ? 'mock' : hasAPIKey ? 'sonnet' : 'test';
   res.json({
     status: 'healthy',
     timestamp: new Date().toISOString(),
     mode: modelMode,
     usingOpus: false, // Not using Opus by default, using Sonnet
+    modelProvider: vc.llm.name,
+    models: vc.models,
     verificationMode: isDeterministic ? 'deterministic' : 'llm',
     fraudProofsEnabled: isDeterministic
   });
 });
 
+/**
+ * Public key that signs commitments and verification results
+ * GET /.well-known/verifier-key
+ *
+ * Returns: { algorithm: 'Ed25519', keyId, publicKey (PEM), jwk }
+ */
+app.get('/.well-known/verifier-key', (req, res) => {
+  res.json(vc.signer.getPublicKey());
+});
+
 /**
  * Generate response with verifiable claims
  * POST /api/generate
@@ -91,20 +184,62 @@ app.post('/api/generate', async (req, res) => {
   }
 });
 
+/**
+ * Generate with live progress (Server-Sent Events)
+ * POST /api/generate/stream
+ *
+ * Body: { prompt: string }
+ * Events: `stage` ({ stage, status, data, timestamp }) as search, generation,
+ * claim detection and commitment complete; then `result` or `error`.
+ */
+app.post('/api/generate/stream', async (req, res) => {
+  const { prompt } = req.body;
+
+  if (!prompt) {
+    return res.status(400).json({ error: 'Prompt is required' });
+  }
+
+  console.log(`📥 Generate stream request: "${prompt.substring(0, 50)}..."`);
+  const send = openEventStream(res);
+  const onProgress = (event) => send('stage', event);
+
+  try {
+    onProgress({ stage: 'search', status: 'in-progress', timestamp: new Date().toISOString() });
+    const searchResults = await vc.searchWeb(prompt);
+    onProgress({
+      stage: 'search',
+      status: 'completed',
+      data: { sourcesFound: searchResults?.results?.length || 0 },
+      timestamp: new Date().toISOString()
+    });
+
+    const result = await vc.generate(prompt, { searchContext: searchResults, onProgress });
+    send('result', result);
+  } catch (error) {
+    console.error('Generate stream error:', error);
+    send('error', { error: error.message });
+  } finally {
+    res.end();
+  }
+});
+
 /**
  * Verify a specific claim (run fraud proof)
  * POST /api/verify
  * 
- * Body: { claim: {...}, context?: {...} }
- * Returns: { verdict, confidence, evidence, reasoning }
+ * Body: { claim: {...}, context?: { strategy?: string, ... } }
+ * Returns: { verdict, confidence, evidence, reasoning, strategy }
  */
 app.post('/api/verify', async (req, res) => {
   try {
     const { claim, context } = req.body;
     
-    if (!claim || !claim.text) {
+    if (!isClaim(claim)) {
       return res.status(400).json({ error: 'Claim is required' });
     }
+    if (!knownStrategy(context)) {
+      return res.status(400).json({ error: `Unknown verification strategy: ${context.strategy}` });
+    }
     
     console.log(`🔍 Verify request: "${claim.text.substring(0, 50)}..."`);
     
@@ -124,16 +259,447 @@ app.post('/api/verify', async (req, res) => {
   }
 });
 
+/**
+ * Verify a claim with live fraud-proof stages (Server-Sent Events)
+ * POST /api/verify/stream
+ *
+ * Body: { claim: {...}, context?: { strategy?: string, ... } }
+ * Events: `stage` ({ stage, status, data, timestamp }) for challenge, evidenceGathering,
+ * deterministicChecks (one `check` event per finished check), merkleProofVerification
+ * and verdict; then `result` with the full verification, or `error`.
+ */
+app.post('/api/verify/stream', async (req, res) => {
+  const { claim, context } = req.body;
+
+  if (!isClaim(claim)) {
+    return res.status(400).json({ error: 'Claim is required' });
+  }
+  if (!knownStrategy(context)) {
+    return res.status(400).json({ error: `Unknown verification strategy: ${context.strategy}` });
+  }
+
+  console.log(`🔍 Verify stream request: "${claim.text.substring(0, 50)}..."`);
+  const send = openEventStream(res);
+
+  try {
+    const verification = await vc.verify(claim, context || {}, {
+      onProgress: (event) => send('stage', event)
+    });
+    send('result', verification);
+  } catch (error) {
+    console.error('Verify stream error:', error);
+    send('error', { error: error.message });
+  } finally {
+    res.end();
+  }
+});
+
+/**
+ * Verify every claim of a generated response (audit the whole answer)
+ * POST /api/verify/batch
+ *
+ * Body: { result: { claims: [...], commitment?: {...} }, context?: {...}, concurrency?: number }
+ * Returns: { root, verdicts: { [claimId]: {...} }, summary: { score, verdict, ... } }
+ */
+app.post('/api/verify/batch', async (req, res) => {
+  try {
+    const { result, context, concurrency } = req.body;
+
+    if (!result || !Array.isArray(result.claims) || result.claims.length === 0) {
+      return res.status(400).json({ error: 'A result with claims is required' });
+    }
+    if (!result.claims.every(isClaim)) {
+      return res.status(400).json({ error: 'Every claim needs text' });
+    }
+
+    console.log(`🧾 Batch verify request: ${result.claims.length} claims`);
+
+    const audit = await vc.verifyAll(result, context || {}, {
+      concurrency: Math.min(Number(concurrency) || 3, 8)
+    });
+
+    res.json({
+      success: true,
+      data: audit
+    });
+
+  } catch (error) {
+    console.error('Batch verify error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Look up a commitment issued by this server
+ * GET /api/commitments/:root
+ *
+ * Returns: { root, timestamp, claimCount, prompt, model, text, claims: [...] }
+ */
+app.get('/api/commitments/:root', (req, res) => {
+  const record = vc.commitments.get(req.params.root);
+
+  if (!record) {
+    return res.status(404).json({
+      success: false,
+      error: 'Commitment not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: record
+  });
+});
+
+/**
+ * Challenge a committed claim by root and index
+ * POST /api/commitments/:root/challenge
+ *
+ * Body: { claimIndex: number, context?: {...} }
+ * The claim text and Merkle proof are resolved server-side from the registry.
+ * Returns: same as /api/verify
+ */
+app.post('/api/commitments/:root/challenge', async (req, res) => {
+  try {
+    const { claimIndex, context } = req.body;
+
+    if (!Number.isInteger(claimIndex) || claimIndex < 0) {
+      return res.status(400).json({ error: 'claimIndex must be a non-negative integer' });
+    }
+
+    console.log(`⚔️  Challenge request: ${req.params.root.substring(0, 16)}... claim #${claimIndex}`);
+
+    const verification = await vc.challenge(req.params.root, claimIndex, context || {});
+
+    res.json({
+      success: true,
+      data: verification
+    });
+
+  } catch (error) {
+    if (error instanceof CommitmentNotFoundError) {
+      return res.status(404).json({
+        success: false,
+        error: 'Commitment not found'
+      });
+    }
+    console.error('Challenge error:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * List challenges waiting for a resolution
+ * GET /api/disputes/open
+ *
+ * Returns: [{ root, claimIndex, claim, id, challenger, reason, evidence, counterEvidence, submittedAt, windowClosesAt }, ...]
+ */
+app.get('/api/disputes/open', (req, res) => {
+  res.json({
+    success: true,
+    data: vc.disputes.listOpen()
+  });
+});
+
+/**
+ * Dispute record and resolution history for a commitment
+ * GET /api/disputes/:root
+ *
+ * Returns: { root, openedAt, windowClosesAt, claims: [{ claimIndex, text, status, challenges, resolution }], history: [...] }
+ */
+app.get('/api/disputes/:root', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: vc.getDispute(req.params.root)
+    });
+  } catch (error) {
+    sendDisputeError(res, error);
+  }
+});
+
+/**
+ * Challenge a committed claim during its challenge window
+ * POST /api/disputes/:root/challenges
+ *
+ * Body: { claimIndex: number, challenger: string, evidence?: [{ url, title, snippet }], reason?: string }
+ * Returns: { id, challenger, reason, evidence, submittedAt, counterEvidence: [] }
+ */
+app.post('/api/disputes/:root/challenges', (req, res) => {
+  try {
+    const { claimIndex, challenger, evidence, reason } = req.body;
+
+    if (!Number.isInteger(claimIndex) || claimIndex < 0) {
+      return res.status(400).json({ error: 'claimIndex must be a non-negative integer' });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: vc.submitChallenge(req.params.root, claimIndex, { challenger, evidence, reason })
+    });
+  } catch (error) {
+    sendDisputeError(res, error);
+  }
+});
+
+/**
+ * Submit counter-evidence for an open challenge
+ * POST /api/disputes/:root/challenges/:challengeId/counter-evidence
+ *
+ * Body: { submitter: string, evidence?: [{ url, title, snippet }], note?: string }
+ * Returns: { submitter, note, evidence, submittedAt }
+ */
+app.post('/api/disputes/:root/challenges/:challengeId/counter-evidence', (req, res) => {
+  try {
+    const { submitter, evidence, note } = req.body;
+
+    res.status(201).json({
+      success: true,
+      data: vc.submitCounterEvidence(req.params.root, req.params.challengeId, { submitter, evidence, note })
+    });
+  } catch (error) {
+    sendDisputeError(res, error);
+  }
+});
+
+/**
+ * Resolve a challenged claim with a server-side verification
+ * POST /api/disputes/:root/claims/:claimIndex/resolve
+ *
+ * Body: { context?: {...} }
+ * Returns: { resolution: { outcome: upheld|rejected, verdict, ... }, verification }
+ */
+app.post('/api/disputes/:root/claims/:claimIndex/resolve', async (req, res) => {
+  try {
+    const claimIndex = Number(req.params.claimIndex);
+
+    console.log(`⚖️  Resolve request: ${req.params.root.substring(0, 16)}... claim #${claimIndex}`);
+
+    res.json({
+      success: true,
+      data: await vc.resolveDispute(req.params.root, claimIndex, req.body?.context || {})
+    });
+  } catch (error) {
+    sendDisputeError(res, error);
+  }
+});
+
+/**
+ * Deterministic checks and the active verification profile
+ * GET /api/checks
+ *
+ * Returns: { profile: { name, thresholds, weights, critical, disabled }, checks: [{ name, weight, critical, conditional }],
+ *            strategies: [{ name, description, types, checks, weights, critical }] }
+ */
+app.get('/api/checks', (req, res) => {
+  const verifier = vc.deterministicVerifier;
+  res.json({
+    success: true,
+    data: {
+      profile: verifier.profile,
+      checks: verifier.registry.list(verifier.profile),
+      strategies: verifier.strategies.list()
+    }
+  });
+});
+
+/**
+ * Active source credibility policy
+ * GET /api/admin/credibility-policy
+ *
+ * Returns: { name, version, file, loadedAt, defaultScore, domains, deny, claimTypes }
+ */
+app.get('/api/admin/credibility-policy', requireAdmin, (req, res) => {
+  res.json({
+    success: true,
+    data: vc.deterministicVerifier.credibility.describe()
+  });
+});
+
+/**
+ * Re-read the credibility policy file without restarting
+ * POST /api/admin/credibility-policy/reload
+ *
+ * Returns: the new policy summary; an invalid file is rejected (400) and the current policy stays in force
+ */
+app.post('/api/admin/credibility-policy/reload', requireAdmin, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: vc.deterministicVerifier.credibility.reload()
+    });
+  } catch (error) {
+    console.log(`⚠️  Credibility policy not reloaded: ${error.message}`);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Fetch an evidence snapshot
+ * GET /api/snapshots/:hash
+ *
+ * Returns: { version, claim, evidence: { query, provider, results }, urlChecks, bodies, merkleRoot, capturedAt }
+ */
+app.get('/api/snapshots/:hash', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: vc.snapshots.get(req.params.hash)
+    });
+  } catch (error) {
+    res.status(error instanceof SnapshotNotFoundError ? 404 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Replay a deterministic verification offline from its evidence snapshot
+ * POST /api/snapshots/:hash/replay
+ *
+ * Returns: same as /api/verify (checks, verdict and proofHash match the original)
+ */
+app.post('/api/snapshots/:hash/replay', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await vc.replay(req.params.hash)
+    });
+  } catch (error) {
+    if (!(error instanceof SnapshotNotFoundError)) {
+      console.error('Replay error:', error);
+    }
+    res.status(error instanceof SnapshotNotFoundError ? 404 : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Signed tree head of the commitment transparency log
+ * GET /api/log/sth
+ *
+ * Returns: { payload: { type, treeSize, rootHash, merkleVersion, timestamp }, algorithm, keyId, signature }
+ */
+app.get('/api/log/sth', (req, res) => {
+  res.json({
+    success: true,
+    data: vc.log.getSignedTreeHead()
+  });
+});
+
+/**
+ * List log entries
+ * GET /api/log/entries?start=0&end=100
+ *
+ * Returns: [{ leafIndex, root, timestamp }, ...]
+ */
+app.get('/api/log/entries', (req, res) => {
+  const start = parseInt(req.query.start, 10) || 0;
+  const end = Math.min(req.query.end !== undefined ? parseInt(req.query.end, 10) : vc.log.size, start + 1000);
+
+  res.json({
+    success: true,
+    data: vc.log.getEntries(start, end)
+  });
+});
+
+/**
+ * Inclusion proof for a commitment root
+ * GET /api/log/inclusion/:root?treeSize=n
+ *
+ * Returns: { root, leafIndex, treeSize, leafHash, proof: [...], rootHash }
+ */
+app.get('/api/log/inclusion/:root', (req, res) => {
+  try {
+    const treeSize = req.query.treeSize !== undefined ? Number(req.query.treeSize) : vc.log.size;
+    const inclusion = vc.log.getInclusionProof(req.params.root, treeSize);
+
+    if (!inclusion) {
+      return res.status(404).json({
+        success: false,
+        error: 'Commitment not in log'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: inclusion
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Consistency proof between two log sizes
+ * GET /api/log/consistency?first=m&second=n
+ *
+ * Returns: { first, second, firstRoot, secondRoot, proof: [...] }
+ */
+app.get('/api/log/consistency', (req, res) => {
+  try {
+    const first = Number(req.query.first);
+    const second = req.query.second !== undefined ? Number(req.query.second) : vc.log.size;
+
+    res.json({
+      success: true,
+      data: vc.log.getConsistencyProof(first, second)
+    });
+
+  } catch (error) {
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Cache statistics per namespace
+ * GET /api/cache/stats
+ */
+app.get('/api/cache/stats', (req, res) => {
+  res.json({
+    success: true,
+    data: vc.cache.stats()
+  });
+});
+
 /**
  * Clear cache
  * POST /api/cache/clear
+ * Body (optional): { namespace: "generation" | "verification" | "search" }
  */
 app.post('/api/cache/clear', (req, res) => {
+  const namespace = req.body?.namespace || req.query.namespace;
+  if (namespace && !NAMESPACES.includes(namespace)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown cache namespace: ${namespace} (expected one of ${NAMESPACES.join(', ')})`
+    });
+  }
+
   try {
-    vc.clearCache();
+    vc.clearCache(namespace);
     res.json({
       success: true,
-      message: 'Cache cleared'
+      message: namespace ? `Cache namespace "${namespace}" cleared` : 'Cache cleared'
     });
   } catch (error) {
     res.status(500).json({
@@ -176,11 +742,32 @@ if (!process.env.VERCEL) {
     console.log('='.repeat(60));
     console.log(`Server running on http://localhost:${PORT}`);
     console.log(`Health check: http://localhost:${PORT}/health`);
+    console.log(`Verifier key: http://localhost:${PORT}/.well-known/verifier-key`);
     console.log('');
     console.log('Endpoints:');
     console.log('  POST /api/generate - Generate response with claims');
+    console.log('  POST /api/generate/stream - Same, with SSE progress');
     console.log('  POST /api/verify   - Verify a claim (fraud proof)');
-    console.log('  POST /api/cache/clear - Clear response cache');
+    console.log('  POST /api/verify/stream - Same, with SSE fraud-proof stages');
+    console.log('  POST /api/verify/batch - Verify every claim in a response');
+    console.log('  GET  /api/commitments/:root - Look up a commitment');
+    console.log('  POST /api/commitments/:root/challenge - Challenge a committed claim');
+    console.log('  GET  /api/disputes/open - Challenges awaiting resolution');
+    console.log('  GET  /api/disputes/:root - Dispute status and resolution history');
+    console.log('  POST /api/disputes/:root/challenges - Challenge a claim in its window');
+    console.log('  POST /api/disputes/:root/challenges/:id/counter-evidence - Answer a challenge');
+    console.log('  POST /api/disputes/:root/claims/:index/resolve - Resolve a challenged claim');
+    console.log('  GET  /api/checks - Deterministic checks, verification profile and strategies');
+    console.log('  GET  /api/admin/credibility-policy - Active source credibility policy');
+    console.log('  POST /api/admin/credibility-policy/reload - Reload the credibility policy file');
+    console.log('  GET  /api/snapshots/:hash - Fetch an evidence snapshot');
+    console.log('  POST /api/snapshots/:hash/replay - Replay a verification offline');
+    console.log('  GET  /api/log/sth - Signed tree head of the transparency log');
+    console.log('  GET  /api/log/entries - List logged commitment roots');
+    console.log('  GET  /api/log/inclusion/:root - Inclusion proof for a commitment');
+    console.log('  GET  /api/log/consistency - Consistency proof between log sizes');
+    console.log('  GET  /api/cache/stats - Cache entries, hits and misses per namespace');
+    console.log('  POST /api/cache/clear - Clear the cache (or one namespace)');
     console.log('='.repeat(60));
     console.log('');
   });
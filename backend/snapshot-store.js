@@ -0,0 +1,98 @@
+const fs = require('fs');
+const path = require('path');
+const { digest } = require('./attestation');
+const { persistent, dataPath } = require('./data-dir');
+
+/**
+ * Evidence Snapshot Store
+ *
+ * A snapshot is everything a deterministic verification read from the outside
+ * world or from configuration that may change: the search results, the
+ * outcome of every URL check, any page bodies that were fetched, the entity
+ * and knowledge-base answers, and the check set that ran. Snapshots are content-addressed (SHA-256 of their
+ * canonical JSON), so the hash in a verification result pins exactly what the
+ * checks saw, and replay() can re-run them later without the network.
+ *
+ * Each snapshot is stored as <hash>.json in SNAPSHOT_DIR (default snapshots/
+ * in the data directory). A snapshot that can't be written is kept in memory.
+ */
+class SnapshotNotFoundError extends Error {
+  constructor(hash) {
+    super(`Evidence snapshot not found: ${hash}`);
+    this.name = 'SnapshotNotFoundError';
+    this.hash = hash;
+  }
+}
+
+class SnapshotStore {
+
+  constructor(options = {}) {
+    // persist: false (or dataDir: false) keeps snapshots in memory only (tests, serverless)
+    this.persist = persistent(options, options.directory);
+    this.directory = options.directory || process.env.SNAPSHOT_DIR || dataPath(options, 'snapshots');
+    this.memory = new Map();
+  }
+
+  /**
+   * Store a snapshot and return its content hash (idempotent)
+   */
+  put(snapshot) {
+    const hash = digest(snapshot);
+
+    if (!this.persist) {
+      this.memory.set(hash, JSON.parse(JSON.stringify(snapshot))); // Detached from the caller's objects
+      return hash;
+    }
+
+    try {
+      const file = this.fileFor(hash);
+      if (!fs.existsSync(file)) {
+        fs.mkdirSync(this.directory, { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(snapshot, null, 2));
+      }
+    } catch (error) {
+      // Keep it in memory so the hash returned below can still be replayed by this process
+      console.error('Could not save evidence snapshot, keeping it in memory:', error.message);
+      this.memory.set(hash, JSON.parse(JSON.stringify(snapshot)));
+    }
+    return hash;
+  }
+
+  /**
+   * Load a snapshot by hash; the content is re-hashed so a file edited on
+   * disk can't be replayed under its old hash
+   */
+  get(hash) {
+    let snapshot = this.memory.get(hash);
+
+    if (!snapshot && this.persist && /^[0-9a-f]{64}$/.test(hash)) {
+      const file = this.fileFor(hash);
+      if (fs.existsSync(file)) {
+        snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+      }
+    }
+
+    if (!snapshot) {
+      throw new SnapshotNotFoundError(hash);
+    }
+    if (digest(snapshot) !== hash) {
+      throw new Error(`Evidence snapshot ${hash.substring(0, 16)}... does not match its hash`);
+    }
+    return snapshot;
+  }
+
+  has(hash) {
+    try {
+      this.get(hash);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  fileFor(hash) {
+    return path.join(this.directory, `${hash}.json`);
+  }
+}
+
+module.exports = { SnapshotStore, SnapshotNotFoundError };
@@ -0,0 +1,136 @@
+const { PublicSuffixList } = require('./public-suffix');
+
+/**
+ * Source Independence
+ *
+ * Five results from one site, or five sites running the same wire story, are
+ * one source repeated, not five confirmations. Sources are grouped when they
+ * share a registrable domain (en.example.com and www.example.com), or when
+ * their text is a near-duplicate: the share of 3-word shingles they have in
+ * common (Jaccard resemblance) is at least NEAR_DUPLICATE_RESEMBLANCE. Each
+ * group counts as one independent source.
+ */
+
+// Share of shared shingles above which two texts are copies of each other
+const NEAR_DUPLICATE_RESEMBLANCE = 0.5;
+
+// Words per shingle, and the fewest shingles a text needs to be compared at all
+const SHINGLE_SIZE = 3;
+const MIN_SHINGLES = 8;
+
+// Page text compared per source (the start of the article; syndicated copies share it)
+const MAX_COMPARED_CHARS = 5000;
+
+/**
+ * Group evidence results into independent sources
+ * Returns { independent, groups: [{ group, urls, domains, reasons }], groupOf: [group per result] }
+ * reasons: [{ type: 'same-domain', domain } | { type: 'near-duplicate', urls, resemblance }]
+ */
+function groupSources(results, options = {}) {
+  const suffixes = options.suffixes instanceof PublicSuffixList ? options.suffixes : new PublicSuffixList(options.suffixes);
+  const threshold = options.threshold ?? NEAR_DUPLICATE_RESEMBLANCE;
+
+  const sources = results.map(result => ({
+    url: result.url,
+    domain: registrableDomainOf(result.url, suffixes),
+    shingles: shingles(comparedText(result))
+  }));
+
+  // Union-find over results
+  const parent = sources.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const links = [];
+  const union = (a, b, reason) => {
+    links.push({ a, b, reason });
+    parent[find(b)] = find(a);
+  };
+
+  for (let a = 0; a < sources.length; a++) {
+    for (let b = a + 1; b < sources.length; b++) {
+      if (sources[a].domain && sources[a].domain === sources[b].domain) {
+        union(a, b, { type: 'same-domain', domain: sources[a].domain });
+        continue;
+      }
+      const similarity = resemblance(sources[a].shingles, sources[b].shingles);
+      if (similarity >= threshold) {
+        union(a, b, { type: 'near-duplicate', urls: [sources[a].url, sources[b].url], resemblance: Math.round(similarity * 100) / 100 });
+      }
+    }
+  }
+
+  // Number groups in order of their first result
+  const numbering = new Map();
+  const groupOf = sources.map((_, i) => {
+    const root = find(i);
+    if (!numbering.has(root)) numbering.set(root, numbering.size);
+    return numbering.get(root);
+  });
+
+  const groups = [...numbering.values()].map(group => {
+    const members = sources.filter((_, i) => groupOf[i] === group);
+    const reasons = links.filter(link => groupOf[link.a] === group).map(link => link.reason);
+    return {
+      group,
+      urls: members.map(m => m.url),
+      domains: [...new Set(members.map(m => m.domain).filter(Boolean))],
+      reasons: dedupeReasons(reasons)
+    };
+  });
+
+  return { independent: groups.length, groups, groupOf };
+}
+
+/**
+ * Jaccard resemblance of two shingle sets (0 when either text is too short to judge)
+ */
+function resemblance(a, b) {
+  if (a.size < MIN_SHINGLES || b.size < MIN_SHINGLES) return 0;
+  let shared = 0;
+  a.forEach(shingle => { if (b.has(shingle)) shared++; });
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Overlapping 3-word shingles of lowercased text, punctuation ignored
+ */
+function shingles(text) {
+  const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const set = new Set();
+  for (let i = 0; i + SHINGLE_SIZE <= words.length; i++) {
+    set.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+  }
+  return set;
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Snippet plus the start of the page text, when the page was fetched
+ */
+function comparedText(result) {
+  const page = (result.passages || []).map(p => p.text).join(' ').substring(0, MAX_COMPARED_CHARS);
+  return `${result.snippet || ''} ${page}`;
+}
+
+function registrableDomainOf(url, suffixes) {
+  try {
+    const { hostname } = new URL(url);
+    return hostname ? suffixes.registrableDomain(hostname) : null;
+  } catch {
+    return null;
+  }
+}
+
+function dedupeReasons(reasons) {
+  const seen = new Set();
+  return reasons.filter(reason => {
+    const key = reason.type === 'same-domain' ? `domain:${reason.domain}` : `dup:${reason.urls.join(' ')}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+module.exports = { groupSources, resemblance, shingles, NEAR_DUPLICATE_RESEMBLANCE };
@@ -0,0 +1,233 @@
+const nlp = require('compromise');
+const { extractQuantities } = require('./quantities');
+
+/**
+ * Temporal expressions as intervals
+ *
+ * "July 20, 1969", "20 July 1969" and "1969-07-20" are the same day; "the
+ * summer of 1969", "1969", "the 1960s" and "the 20th century" are intervals
+ * of decreasing precision that contain it. Every expression is normalized to
+ * an inclusive [start, end] day interval plus the precision it was stated
+ * with, so a claim and a source can be compared however each phrases it.
+ *
+ * Supported: ISO dates (1969-07-20, 1969-07), "July 20, 1969", "20 July 1969",
+ * 7/20/1969 (month first), "July 1969", seasons ("summer of 1969",
+ * meteorological: Jun–Aug), "early/mid/late 1969", ranges ("1969–1972",
+ * "1969-72", "from 1969 to 1972", "between 1969 and 1972", "July 16–24, 1969"),
+ * decades ("the 1960s", "the early '60s") and centuries ("the 20th century").
+ * A bare 4-digit number is only a year when it isn't a measurement ("2000 km",
+ * "2000 people") or a reference into a document ("page 1234", "No. 1984").
+ */
+
+const MONTHS = {
+  jan: 1, january: 1, feb: 2, february: 2, mar: 3, march: 3, apr: 4, april: 4, may: 5,
+  jun: 6, june: 6, jul: 7, july: 7, aug: 8, august: 8, sep: 9, sept: 9, september: 9,
+  oct: 10, october: 10, nov: 11, november: 11, dec: 12, december: 12
+};
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\.?';
+const DAY = '(\\d{1,2})(?:st|nd|rd|th)?';
+const YEAR = '(1\\d{3}|20\\d{2})';
+const DASH = '\\s*(?:-|–|—|to|until|through)\\s*';
+
+// Meteorological seasons (northern hemisphere): [first month, last month]
+const SEASONS = { spring: [3, 5], summer: [6, 8], autumn: [9, 11], fall: [9, 11], winter: [12, 14] };
+// early / mid / late thirds of a span
+const PARTS = { early: [0, 1 / 3], mid: [1 / 3, 2 / 3], middle: [1 / 3, 2 / 3], late: [2 / 3, 1] };
+
+const PATTERNS = [
+  // 1969-07-20 / 1969-07
+  { regex: `\\b${YEAR}-(\\d{2})-(\\d{2})\\b`, parse: m => day(+m[1], +m[2], +m[3]) },
+  { regex: `\\b${YEAR}-(0[1-9]|1[0-2])\\b(?!-)`, parse: m => month(+m[1], +m[2]) },
+  // July 16–24, 1969 / 16–24 July 1969
+  {
+    regex: `\\b${MONTH}\\s+${DAY}${DASH}${DAY},?\\s+${YEAR}\\b`,
+    parse: m => range(day(+m[4], MONTHS[m[1].toLowerCase()], +m[2]), day(+m[4], MONTHS[m[1].toLowerCase()], +m[3]))
+  },
+  {
+    regex: `\\b${DAY}${DASH}${DAY}\\s+(?:of\\s+)?${MONTH},?\\s+${YEAR}\\b`,
+    parse: m => range(day(+m[4], MONTHS[m[3].toLowerCase()], +m[1]), day(+m[4], MONTHS[m[3].toLowerCase()], +m[2]))
+  },
+  // July 20, 1969 / 20 July 1969 / 20th of July 1969 / 7/20/1969
+  { regex: `\\b${MONTH}\\s+${DAY},?\\s+${YEAR}\\b`, parse: m => day(+m[3], MONTHS[m[1].toLowerCase()], +m[2]) },
+  { regex: `\\b${DAY}\\s+(?:of\\s+)?${MONTH},?\\s+${YEAR}\\b`, parse: m => day(+m[3], MONTHS[m[2].toLowerCase()], +m[1]) },
+  { regex: `\\b(\\d{1,2})/(\\d{1,2})/${YEAR}\\b`, parse: m => day(+m[3], +m[1], +m[2]) },
+  // July 1969 / July–September 1969
+  {
+    regex: `\\b${MONTH}${DASH}${MONTH},?\\s+${YEAR}\\b`,
+    parse: m => range(month(+m[3], MONTHS[m[1].toLowerCase()]), month(+m[3], MONTHS[m[2].toLowerCase()]))
+  },
+  { regex: `\\b${MONTH},?\\s+(?:of\\s+)?${YEAR}\\b`, parse: m => month(+m[2], MONTHS[m[1].toLowerCase()]) },
+  // summer of 1969
+  { regex: `\\b(spring|summer|autumn|fall|winter)\\s+(?:of\\s+)?${YEAR}\\b`, parse: m => season(+m[2], m[1].toLowerCase()) },
+  // 1969–1972 / 1969-72 / from 1969 to 1972 / between 1969 and 1972
+  {
+    regex: `\\b(?:from\\s+)?${YEAR}(?:\\s*(?:-|–|—)\\s*|\\s+(?:to|until|through)\\s+)(\\d{4}|\\d{2})\\b(?!\\s*(?:-|–|—)?\\d)`,
+    parse: (m, text) => isReference(text, m.index) ? null : yearRange(+m[1], m[2])
+  },
+  { regex: `\\bbetween\\s+${YEAR}\\s+and\\s+${YEAR}\\b`, parse: m => yearRange(+m[1], m[2]) },
+  // the (early) 1960s / the '60s
+  {
+    regex: `\\b(?:(early|mid|middle|late)[\\s-]+)?(1\\d{2}0|20\\d0)['’]?s\\b`,
+    parse: m => part(range(year(+m[2]), year(+m[2] + 9), 'decade'), m[1])
+  },
+  {
+    regex: `(?:\\b(early|mid|middle|late)[\\s-]+)?['’](\\d)0s\\b`,
+    parse: m => part(range(year(1900 + +m[2] * 10), year(1909 + +m[2] * 10), 'decade'), m[1])
+  },
+  // the (early) 20th century
+  {
+    regex: `\\b(?:(early|mid|middle|late)[\\s-]+)?(\\d{1,2})(?:st|nd|rd|th)[\\s-]+century\\b`,
+    parse: m => part(range(year((+m[2] - 1) * 100 + 1), year(+m[2] * 100), 'century'), m[1])
+  },
+  // early / mid / late 1969
+  { regex: `\\b(early|mid|middle|late)[\\s-]+(?:in\\s+)?${YEAR}\\b`, parse: m => part(year(+m[2]), m[1]) },
+  // 1969
+  { regex: `\\b${YEAR}\\b`, parse: (m, text) => isMeasurement(text, m.index) || isReference(text, m.index) ? null : year(+m[1]) }
+].map(({ regex, parse }) => ({ regex: new RegExp(regex, 'gi'), parse }));
+
+/**
+ * Find temporal expressions in text
+ * Returns [{ raw, index, start, end, precision, normalized }] in text order;
+ * start/end are inclusive ISO dates, normalized is a readable ISO form
+ * ("1969-07-20", "1969-07", "1969", "1960/1969", "1969-06-01/1969-08-31").
+ */
+function parseDates(text) {
+  const found = [];
+
+  PATTERNS.forEach(({ regex, parse }) => {
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      const interval = parse(match, text);
+      if (interval) {
+        found.push({ raw: match[0].trim(), index: match.index, length: match[0].length, ...interval });
+      }
+    }
+  });
+
+  // Longest expression wins where matches overlap ("July 20, 1969" over "1969")
+  const taken = [];
+  found
+    .sort((a, b) => b.length - a.length || a.index - b.index)
+    .forEach(candidate => {
+      const overlaps = taken.some(t => candidate.index < t.index + t.length && t.index < candidate.index + candidate.length);
+      if (!overlaps) taken.push(candidate);
+    });
+
+  return taken
+    .sort((a, b) => a.index - b.index)
+    .map(({ raw, index, start, end, precision }) => ({
+      raw, index, start: iso(start), end: iso(end), precision, normalized: label(start, end, precision)
+    }));
+}
+
+/**
+ * How an evidence interval relates to a claimed one
+ * - 'confirms':   the evidence is as precise or more, and falls inside the claim
+ * - 'compatible': they overlap, but the evidence is less precise (or only partly inside)
+ * - 'conflicts':  no overlap
+ */
+function compareDates(claimed, reported) {
+  const [cs, ce, rs, re] = [claimed.start, claimed.end, reported.start, reported.end].map(toDay);
+  if (re < cs || rs > ce) return 'conflicts';
+  if (rs >= cs && re <= ce) return 'confirms';
+  return 'compatible';
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+function day(y, m, d) {
+  if (!m || m > 12 || d < 1 || d > daysIn(y, m)) return null;
+  return { start: [y, m, d], end: [y, m, d], precision: 'day' };
+}
+
+function month(y, m) {
+  if (!m || m > 12) return null;
+  return { start: [y, m, 1], end: [y, m, daysIn(y, m)], precision: 'month' };
+}
+
+function year(y) {
+  return { start: [y, 1, 1], end: [y, 12, 31], precision: 'year' };
+}
+
+function season(y, name) {
+  const [first, last] = SEASONS[name];
+  // Winter 1969 runs December 1969 – February 1970
+  const endYear = y + Math.floor((last - 1) / 12);
+  const endMonth = ((last - 1) % 12) + 1;
+  return { start: [y, first, 1], end: [endYear, endMonth, daysIn(endYear, endMonth)], precision: 'season' };
+}
+
+function range(from, to, precision = 'range') {
+  if (!from || !to) return null;
+  return { start: from.start, end: to.end, precision };
+}
+
+/**
+ * 1969 → "72" / "1972"; null unless the range runs forward
+ */
+function yearRange(first, last) {
+  const end = last.length === 2 ? Math.floor(first / 100) * 100 + Number(last) : Number(last);
+  return end > first ? range(year(first), year(end)) : null;
+}
+
+/**
+ * early / mid / late third of an interval, in whole months
+ */
+function part(interval, which) {
+  if (!interval || !which) return interval;
+  const [from, to] = PARTS[which.toLowerCase()];
+  const months = (interval.end[0] - interval.start[0]) * 12 + interval.end[1] - interval.start[1] + 1;
+  const offset = (fraction) => {
+    const index = (interval.start[0] * 12 + interval.start[1] - 1) + fraction;
+    return [Math.floor(index / 12), (index % 12) + 1];
+  };
+  const [sy, sm] = offset(Math.round(months * from));
+  const [ey, em] = offset(Math.round(months * to) - 1);
+  return { start: [sy, sm, 1], end: [ey, em, daysIn(ey, em)], precision: 'range' };
+}
+
+/**
+ * A 4-digit number that measures something ("2000 km", "2000 people", "$1969")
+ */
+function isMeasurement(text, index) {
+  const after = text.slice(index + 4);
+  if (/^[.,]\d/.test(after) || /[$€£¥#]\s?$/.test(text.slice(Math.max(0, index - 2), index))) return true;
+  if (extractQuantities(text.slice(index, index + 40)).some(q => q.index === 0)) return true;
+
+  const next = after.match(/^\s+([a-z]+)/);
+  return Boolean(next) && nlp(next[1]).has('#Plural') && !nlp(next[1]).has('#Verb');
+}
+
+/**
+ * A number that points into a document rather than at a time ("page 1234",
+ * "pp. 1201–1234", "section 1901", "No. 1984", "#2001")
+ */
+function isReference(text, index) {
+  const before = text.slice(Math.max(0, index - 24), index);
+  return /(?:\b(?:pages?|pp?\.|sections?|chapters?|ch\.|nos?\.)|[#§])\s*(?:\d+\s*(?:-|–|—|to)\s*)?$/i.test(before);
+}
+
+function daysIn(y, m) {
+  return new Date(Date.UTC(y, m, 0)).getUTCDate();
+}
+
+function iso([y, m, d]) {
+  return `${String(y).padStart(4, '0')}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+}
+
+function toDay(isoDate) {
+  return Date.parse(`${isoDate}T00:00:00Z`) / 86400000;
+}
+
+function label(start, end, precision) {
+  if (precision === 'day') return iso(start);
+  if (precision === 'month') return iso(start).slice(0, 7);
+  if (precision === 'year') return String(start[0]);
+  const wholeYears = start[1] === 1 && start[2] === 1 && end[1] === 12 && end[2] === 31;
+  return wholeYears ? `${start[0]}/${end[0]}` : `${iso(start)}/${iso(end)}`;
+}
+
+module.exports = { parseDates, compareDates };
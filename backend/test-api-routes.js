@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the API routes
+ * Request validation on the Express routes, the order of the events on the
+ * streaming routes and admin authorization, served on a random local port
+ * Runs offline (mock model + local corpus, memory cache, data in a temp directory)
+ */
+
+const path = require('path');
+const { MockModelProvider } = require('./model-providers');
+const { startTest, tempDir } = require('./test-helpers');
+
+const directory = tempDir('api', {
+  'corpus/apollo-nasa.md':
+    '# Apollo 11 (NASA)\n\nApollo 11 landed on the Moon on July 20, 1969.',
+  'corpus/apollo-history.md':
+    '# Apollo 11 mission history\n\nOn July 20, 1969 Apollo 11 landed on the Moon.'
+});
+const corpus = path.join(directory, 'corpus');
+
+// The server is configured from the environment when it is required
+Object.assign(process.env, {
+  VERCEL: '1', // Don't listen on PORT
+  MODEL_PROVIDER: 'mock',
+  SEARCH_PROVIDER: 'local',
+  LOCAL_CORPUS_DIR: corpus,
+  CACHE_BACKEND: 'memory',
+  DATA_DIR: path.join(directory, 'data')
+});
+
+async function testApiRoutes() {
+  const { expect, finish } = startTest('🌐 API ROUTES TEST');
+
+  const app = require('./server');
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const post = (route, body) => fetch(`${base}${route}`, {
+    method: 'POST',
+    headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+
+  // Server-Sent Events as [{ event, data }]; stage events are summarized as "stage:status"
+  const readEvents = async (response) => (await response.text())
+    .split('\n\n')
+    .filter(block => block.trim())
+    .map(block => ({ event: block.match(/^event: (.*)$/m)[1], data: JSON.parse(block.match(/^data: (.*)$/m)[1]) }));
+  const stageOf = ({ event, data }) => (event === 'stage' ? `${data.stage}:${data.status}` : event);
+
+  try {
+    console.log('\n🧾 STEP 1: batch verification\n');
+    const withNull = await post('/api/verify/batch', { result: { claims: [{ text: 'x' }, null] } });
+    expect(withNull.status === 400, `a null claim is rejected (${withNull.status})`);
+    const withoutText = await post('/api/verify/batch', { result: { claims: [{ id: 'claim_0' }, { text: ' ' }] } });
+    expect(withoutText.status === 400, `claims without text are rejected (${withoutText.status})`);
+    const wrongType = await post('/api/verify/batch', { result: { claims: [{ text: 42 }] } });
+    expect(wrongType.status === 400, `non-string text is rejected (${wrongType.status})`);
+    const audit = await post('/api/verify/batch', {
+      result: { claims: [{ id: 'claim_0', text: 'Apollo 11 landed on the Moon on July 20, 1969' }] }
+    });
+    const body = await audit.json();
+    expect(audit.status === 200 && body.data.verdicts.claim_0.verdict === 'VERIFIED', 'a valid batch is verified');
+
+    console.log('\n⚖️  STEP 2: dispute resolution\n');
+    const generated = await (await post('/api/generate', { prompt: 'When did Apollo 11 land on the Moon?' })).json();
+    const root = generated.data.commitment.root;
+    const challenged = await post(`/api/disputes/${root}/challenges`, { claimIndex: 0, challenger: 'alice', reason: 'Wrong date' });
+    expect(challenged.status === 201, 'a committed claim can be challenged');
+    const resolved = await post(`/api/disputes/${root}/claims/0/resolve`);
+    const resolution = await resolved.json();
+    expect(resolved.status === 200 && ['upheld', 'rejected'].includes(resolution.data.resolution.outcome),
+      `a resolve request without a body is resolved (${resolved.status})`);
+
+    console.log('\n📡 STEP 3: streaming routes\n');
+    // A claim the batch above didn't cache, so every stage runs
+    const verifyStream = await readEvents(await post('/api/verify/stream', {
+      claim: { id: 'claim_0', text: 'On July 20, 1969 Apollo 11 landed on the Moon' }
+    }));
+    expect(verifyStream.map(stageOf).join() ===
+      'challenge:completed,evidenceGathering:in-progress,evidenceGathering:completed,judging:in-progress,judging:completed,verdict:completed,result',
+    'verify stages arrive in order, then the result');
+    expect(verifyStream[verifyStream.length - 1].data.verdict === 'VERIFIED', 'the result event carries the verification');
+
+    const generateStream = await readEvents(await post('/api/generate/stream', { prompt: 'Tell me about Apollo 11' }));
+    const stages = [...new Set(generateStream.filter(event => event.event === 'stage').map(event => event.data.stage))];
+    expect(stages.join() === 'search,generation,claimDetection,commitment', `generate stages arrive in order (${stages.join()})`);
+    const final = generateStream[generateStream.length - 1];
+    expect(final.event === 'result' && final.data.commitment.root && generateStream.filter(e => e.event === 'result').length === 1,
+      'the stream ends with one result event carrying the commitment');
+
+    // A model outage during generation
+    const { complete } = MockModelProvider.prototype;
+    MockModelProvider.prototype.complete = async function (request) {
+      if (request.role === 'generation') throw new Error('Model unavailable');
+      return complete.call(this, request);
+    };
+    let failedStream;
+    try {
+      failedStream = await readEvents(await post('/api/generate/stream', { prompt: 'Tell me about Apollo 11' }));
+    } finally {
+      MockModelProvider.prototype.complete = complete;
+    }
+    expect(failedStream.map(stageOf).join() === 'search:in-progress,search:completed,generation:in-progress,error',
+      `a failed generation ends the stream with an error event (${failedStream.map(stageOf).join()})`);
+    expect(failedStream[failedStream.length - 1].data.error === 'Model unavailable', 'the error event carries the message');
+
+    console.log('\n🔐 STEP 4: admin routes\n');
+    const policy = (headers = {}) => fetch(`${base}/api/admin/credibility-policy`, { headers });
+    const adminToken = process.env.ADMIN_TOKEN;
+    try {
+      delete process.env.ADMIN_TOKEN;
+      const unset = await policy({ Authorization: 'Bearer ' });
+      expect(unset.status === 403, `admin routes are refused while ADMIN_TOKEN is unset (${unset.status})`);
+      process.env.ADMIN_TOKEN = 'test-token';
+      const wrong = await policy({ Authorization: 'Bearer wrong' });
+      expect(wrong.status === 401, `a wrong admin token is rejected (${wrong.status})`);
+      const allowed = await policy({ Authorization: 'Bearer test-token' });
+      expect(allowed.status === 200, `the admin token is accepted (${allowed.status})`);
+    } finally {
+      if (adminToken === undefined) delete process.env.ADMIN_TOKEN;
+      else process.env.ADMIN_TOKEN = adminToken;
+    }
+  } finally {
+    server.close();
+  }
+
+  finish();
+}
+
+if (require.main === module) {
+  testApiRoutes().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { testApiRoutes };
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for signed commitments and verification attestations
+ * Checks bundles with the standalone verifyAttestation() and the public key only
+ * Runs offline (mock model + local corpus)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createOfflineClaude, startTest, tempDir } = require('./test-helpers');
+const { MockModelProvider } = require('./model-providers');
+const { Signer, verifyAttestation, digest } = require('./attestation');
+
+async function testAttestations() {
+  const { expect, finish } = startTest('🔏 SIGNED ATTESTATION TEST');
+
+  const directory = tempDir('corpus', {
+    'apollo.md':
+      '# Apollo 11\n\nApollo 11 landed on the Moon on July 20, 1969.'
+  });
+
+  const vc = createOfflineClaude({
+    deterministic: true,
+    modelProvider: new MockModelProvider({ responses: { generation: 'Apollo 11 landed on the Moon on July 20, 1969.' } }),
+    searchProvider: { type: 'local', directory }
+  });
+
+  // What a downstream consumer fetches from /.well-known/verifier-key
+  const { publicKey, jwk, keyId } = JSON.parse(JSON.stringify(vc.signer.getPublicKey()));
+
+  console.log('\n🌳 STEP 1: signed commitment\n');
+  const result = JSON.parse(JSON.stringify(await vc.generate('Tell me about Apollo 11')));
+  const commitmentBundle = result.commitment.attestation;
+  expect(commitmentBundle.keyId === keyId, 'bundle names the server key');
+  expect(verifyAttestation(commitmentBundle, publicKey), 'commitment signature verifies with the PEM key');
+  expect(verifyAttestation(commitmentBundle, jwk), 'commitment signature verifies with the JWK');
+  expect(commitmentBundle.payload.root === result.commitment.root, 'signed payload carries the Merkle root');
+
+  console.log('\n🔎 STEP 2: signed verification result\n');
+  const verification = JSON.parse(JSON.stringify(
+    await vc.verify(result.claims[0], { merkleRoot: result.commitment.root })
+  ));
+  const bundle = verification.attestation;
+  expect(verifyAttestation(bundle, publicKey), 'verification signature verifies');
+  expect(bundle.payload.verdict === verification.verdict, 'signed verdict matches the result');
+  expect(bundle.payload.claimHash === verification.claimHash, 'signed claim hash matches the result');
+  expect(bundle.payload.evidenceDigest === digest(verification.evidence), 'evidence digest matches the returned evidence');
+
+  console.log('\n✂️  STEP 3: tampering is detected\n');
+  const edited = JSON.parse(JSON.stringify(bundle));
+  edited.payload.verdict = edited.payload.verdict === 'VERIFIED' ? 'FRAUD_PROVEN' : 'VERIFIED';
+  expect(!verifyAttestation(edited, publicKey), 'edited verdict fails verification');
+
+  const reordered = { ...bundle, payload: Object.fromEntries(Object.entries(bundle.payload).reverse()) };
+  expect(verifyAttestation(reordered, publicKey), 'key order does not matter (canonical JSON)');
+
+  const otherKey = new Signer({ persist: false }).getPublicKey().publicKey;
+  expect(!verifyAttestation(bundle, otherKey), 'another instance\'s key is rejected');
+
+  console.log('\n📂 STEP 4: where the key is kept\n');
+  const dataDir = path.join(directory, 'data');
+  const saved = new Signer({ dataDir });
+  expect(fs.existsSync(path.join(dataDir, 'signing-key.pem')) && new Signer({ dataDir }).keyId === saved.keyId,
+    'dataDir picks (and creates) the directory of the key file, and the key survives a restart');
+  expect(!vc.signer.persist && !new Signer({ dataDir: false }).persist, 'dataDir: false never writes a key');
+
+  finish();
+}
+
+if (require.main === module) {
+  testAttestations().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { testAttestations };
@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the cache stores
+ * Per-namespace TTLs, LRU eviction, stats, atomic file persistence, the
+ * SQLite backend (when node:sqlite is available) and the namespaces used by
+ * generate(), verify() and search
+ * Runs offline with the mock model and a local corpus
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { createOfflineClaude, startTest, tempDir } = require('./test-helpers');
+const { MockModelProvider } = require('./model-providers');
+const { MemoryCacheStore, FileCacheStore, SqliteCacheStore, createCacheStore } = require('./cache-store');
+
+const CORPUS = {
+  'apollo-nasa.md':
+    '# Apollo 11 (NASA)\n\nApollo 11 landed on the Moon on July 20, 1969.',
+  'apollo-history.md':
+    '# Apollo 11 mission history\n\nOn July 20, 1969 Apollo 11 landed on the Moon.'
+};
+
+function throwsWith(fn, pattern) {
+  try {
+    fn();
+    return false;
+  } catch (error) {
+    return pattern.test(error.message);
+  }
+}
+
+async function testCacheStore() {
+  const { expect, finish } = startTest('🗄️  CACHE STORE TEST');
+
+  const directory = tempDir('cache', CORPUS);
+
+  console.log('\n⏱️  STEP 1: TTLs, LRU and stats (memory)\n');
+  let now = 0;
+  const memory = new MemoryCacheStore({ maxEntries: 3, now: () => now, ttls: { search: 1000, verification: 5000, generation: 0 } });
+  memory.set('search', 'apollo', { results: [] });
+  memory.set('verification', 'claim', { verdict: 'VERIFIED' });
+  now = 2000;
+  expect(memory.get('search', 'apollo') === undefined && memory.get('verification', 'claim').verdict === 'VERIFIED',
+    'search results expire before verdicts');
+  memory.set('generation', 'prompt', { text: 'answer' });
+  expect(memory.get('generation', 'prompt') === undefined, 'a TTL of 0 turns a namespace off');
+
+  ['a', 'b', 'c'].forEach(key => memory.set('search', key, key));
+  memory.get('search', 'a');
+  memory.set('search', 'd', 'd');
+  expect(memory.get('search', 'a') === 'a' && memory.get('search', 'b') === undefined && memory.stats().entries === 3,
+    'the least recently used entry is evicted past maxEntries');
+
+  const stats = memory.stats();
+  expect(stats.backend === 'memory' && stats.namespaces.search.expired === 1 && stats.namespaces.search.evictions >= 1 &&
+    stats.namespaces.verification.hits === 1 && stats.namespaces.search.ttlMs === 1000,
+  'stats count hits, misses, expiries and evictions per namespace');
+
+  memory.clear('search');
+  expect(memory.stats().namespaces.search.entries === 0 && memory.stats().namespaces.verification.entries === 0,
+    'clearing a namespace leaves the others alone');
+  expect(throwsWith(() => memory.get('pages', 'x'), /Unknown cache namespace/), 'unknown namespaces are rejected');
+  expect(throwsWith(() => createCacheStore({ backend: 'redis' }), /Unknown cache backend/), 'unknown backends are rejected');
+
+  const verdict = { verdict: 'VERIFIED', sources: ['nasa.gov'] };
+  memory.set('verification', 'copied', verdict);
+  verdict.sources.push('spam.example');
+  const served = memory.get('verification', 'copied');
+  served.verdict = 'FALSE';
+  expect(memory.get('verification', 'copied').verdict === 'VERIFIED' && memory.get('verification', 'copied').sources.length === 1,
+    'cached values are copies: changing what was stored or served leaves the entry alone');
+
+  console.log('\n💾 STEP 2: file backend\n');
+  const file = path.join(directory, 'cache.json');
+  const fileStore = new FileCacheStore({ file, flushDelayMs: 60000 });
+  fileStore.set('verification', 'claim', { verdict: 'FALSE' });
+  expect(!fs.existsSync(file), 'writes are deferred instead of rewriting the file on every call');
+  fileStore.flush();
+  const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+  expect(saved.version === 1 && saved.entries.length === 1, 'flush() writes the entries with a format version');
+  expect(fs.readdirSync(directory).every(name => !name.endsWith('.tmp')), 'the temp file is renamed into place');
+  const reloaded = new FileCacheStore({ file });
+  expect(reloaded.get('verification', 'claim')?.verdict === 'FALSE', 'a new store loads the entries from disk');
+  const later = new FileCacheStore({ file, now: () => Date.now() + 48 * 60 * 60 * 1000 });
+  expect(later.stats().entries === 0, 'expired entries are not loaded');
+  fs.writeFileSync(file, JSON.stringify({
+    'claude-sonnet:old prompt': { text: 'old' },
+    'verify:llm:old claim:{}': { verdict: 'VERIFIED' }
+  }));
+  const migrated = new FileCacheStore({ file, flushDelayMs: 60000 });
+  expect(migrated.get('generation', 'claude-sonnet:old prompt')?.text === 'old',
+    'responses in the old flat format are migrated into the generation namespace');
+  expect(migrated.stats().entries === 1, 'verdicts in the old flat format are dropped');
+  migrated.flush();
+  expect(JSON.parse(fs.readFileSync(file, 'utf8')).version === 1, 'the migrated cache is saved in the current format');
+
+  const listeners = () => ['exit', 'SIGINT', 'SIGTERM'].map(event => process.listenerCount(event));
+  const stores = Array.from({ length: 20 }, (_, i) => new FileCacheStore({ file: path.join(directory, `many-${i}.json`) }));
+  const watching = listeners();
+  [fileStore, reloaded, later, migrated, ...stores].forEach(store => store.close());
+  const closed = listeners();
+  expect(watching.every((count, i) => count === closed[i] + 1),
+    `file stores share one exit and signal listener until closed (${watching} → ${closed})`);
+  const closing = new FileCacheStore({ file: path.join(directory, 'closed.json'), flushDelayMs: 60000 });
+  closing.set('search', 'apollo', { results: [] });
+  closing.close();
+  expect(fs.existsSync(path.join(directory, 'closed.json')), 'close() writes pending changes');
+
+  const signalled = path.join(directory, 'signalled.json');
+  const child = spawnSync(process.execPath, ['-e', `
+    const { FileCacheStore } = require('./cache-store');
+    const store = new FileCacheStore({ file: ${JSON.stringify(signalled)}, flushDelayMs: 60000 });
+    store.set('verification', 'claim', { verdict: 'VERIFIED' });
+    process.kill(process.pid, 'SIGTERM');
+    setTimeout(() => {}, 5000);
+  `], { cwd: __dirname, timeout: 10000 });
+  expect(child.signal === 'SIGTERM' && fs.existsSync(signalled) && JSON.parse(fs.readFileSync(signalled, 'utf8')).entries.length === 1,
+    `SIGTERM writes pending changes before the process ends (${child.signal})`);
+
+  console.log('\n🪶 STEP 3: sqlite backend\n');
+  let sqliteAvailable = true;
+  try {
+    require('node:sqlite');
+  } catch (error) {
+    sqliteAvailable = false;
+  }
+  const database = path.join(directory, 'cache.sqlite');
+  if (sqliteAvailable) {
+    const sqlite = new SqliteCacheStore({ file: database, maxEntries: 2 });
+    sqlite.set('search', 'a', { results: [1] });
+    sqlite.set('search', 'b', { results: [2] });
+    sqlite.get('search', 'a');
+    sqlite.set('verification', 'c', { verdict: 'VERIFIED' });
+    expect(sqlite.get('search', 'a').results[0] === 1 && sqlite.get('search', 'b') === undefined,
+      'the sqlite store evicts the least recently used entry');
+    const reopened = new SqliteCacheStore({ file: database });
+    expect(reopened.get('verification', 'c')?.verdict === 'VERIFIED', 'entries survive reopening the database');
+    reopened.clear('verification');
+    expect(reopened.stats().namespaces.verification.entries === 0 && reopened.stats().namespaces.search.entries === 1,
+      'clearing a namespace deletes only its rows');
+  } else {
+    console.log(`    node:sqlite is not available in ${process.version}, skipping the sqlite store`);
+    expect(throwsWith(() => new SqliteCacheStore({ file: database }), /Node\.js 22\.5/),
+      'the sqlite backend explains which Node.js version it needs');
+  }
+
+  console.log('\n🔌 STEP 4: namespaces in VerifiableClaude\n');
+  const offline = (cache) => createOfflineClaude({
+    cache,
+    modelProvider: new MockModelProvider({ responses: { generation: 'Apollo 11 landed on the Moon on July 20, 1969.' } }),
+    searchProvider: { type: 'local', directory }
+  });
+
+  const vc = offline({ backend: 'memory' });
+  const first = await vc.generate('When did Apollo 11 land?');
+  const second = await vc.generate('When did Apollo 11 land?');
+  expect(!first.metadata.cached && second.metadata.cached, 'a repeated prompt is served from the generation namespace');
+  await vc.verify(first.claims[0]);
+  await vc.verify(first.claims[0]);
+  const used = vc.cache.stats().namespaces;
+  expect(used.verification.hits === 1 && used.search.entries === 1, 'verdicts and search results have their own namespaces');
+  vc.clearCache('verification');
+  const cleared = vc.cache.stats().namespaces;
+  expect(cleared.verification.entries === 0 && cleared.generation.entries === 1 && cleared.search.entries === 1,
+    'clearCache(namespace) clears only that namespace');
+
+  const uncached = offline(false);
+  await uncached.generate('When did Apollo 11 land?');
+  const again = await uncached.generate('When did Apollo 11 land?');
+  expect(!again.metadata.cached && uncached.cache.stats().backend === 'memory', 'cache: false stops caching responses');
+
+  finish();
+}
+
+if (require.main === module) {
+  testCacheStore().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { testCacheStore };
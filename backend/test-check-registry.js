@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the check registry and verification profiles
+ * Registers domain-specific checks and tunes weights/thresholds without
+ * touching the verifier
+ * Runs offline (evidence points at local files)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const DeterministicVerifier = require('./deterministic-verifier');
+const { loadProfile } = require('./check-registry');
+const { SnapshotStore } = require('./snapshot-store');
+const { startTest, tempDir, localSource } = require('./test-helpers');
+
+async function testCheckRegistry() {
+  const { expect, finish } = startTest('🧩 CHECK REGISTRY TEST');
+
+  const directory = tempDir('checks');
+  const source = (name, snippet) => localSource(directory, name, snippet);
+  const evidence = {
+    query: 'apollo 11',
+    provider: 'local',
+    results: [
+      source('nasa', 'Apollo 11 landed on the Moon in 1969.'),
+      source('history', 'The Apollo 11 mission reached the Moon in 1969.')
+    ]
+  };
+
+  console.log('\n⚖️  STEP 1: built-in checks with the default profile\n');
+  const verifier = new DeterministicVerifier({ profile: 'default' });
+  const claim = { text: 'Apollo 11 landed on the Moon in 1969.' };
+  const baseline = await verifier.verifyClaim(claim, evidence);
+  expect(baseline.checks.map(c => c.name).join() ===
+    'URL Validity,Quote Exact Match,Entity Consistency,Source Credibility,Temporal Consistency,Numeric Consistency,Contradiction Detection,Source Independence,KB Agreement',
+  'built-in checks run in registration order');
+  expect(baseline.checks.every(c => c.weight === 1), 'default weights are 1');
+  expect(baseline.profile === 'default' && /Weighted score \d+% \(default profile\)/.test(baseline.reasoning),
+    'reasoning explains the weighted score');
+
+  console.log('\n➕ STEP 2: domain-specific checks\n');
+  const regulated = new DeterministicVerifier({
+    checks: [{
+      name: 'Regulatory Terms',
+      critical: true,
+      run: async (c) => ({
+        passed: !/guaranteed returns/i.test(c.text),
+        reason: 'Claims must not promise guaranteed returns',
+        evidence: []
+      })
+    }, {
+      name: 'Numbers Only',
+      appliesTo: (c) => c.type === 'number',
+      run: async () => ({ passed: false, reason: 'never reached', evidence: [] })
+    }, {
+      name: 'Flaky Rule',
+      critical: true,
+      run: async () => { throw new Error('rule service unavailable'); }
+    }, {
+      name: 'Sanctions List',
+      critical: true,
+      run: async (c) => ({ passed: !/embargoed/i.test(c.text), critical: false, reason: 'Names an embargoed party', evidence: [] })
+    }]
+  });
+  const promise = await regulated.verifyClaim({ text: 'Apollo 11 offered guaranteed returns in 1969.' }, evidence);
+  expect(promise.verdict === 'FRAUD_PROVEN' && promise.fraudProof.failedCheck === 'Regulatory Terms',
+    'a critical custom check proves fraud');
+  const normal = await regulated.verifyClaim(claim, evidence);
+  const numbersOnly = normal.checks.find(c => c.name === 'Numbers Only');
+  expect(numbersOnly.notApplicable === true, 'appliesTo skips checks that do not apply');
+  const flaky = normal.checks.find(c => c.name === 'Flaky Rule');
+  expect(flaky.passed === false && flaky.critical === false && /could not run/.test(flaky.reason),
+    'a check that throws is a non-critical failure, even when registered as critical');
+  const sanctioned = await regulated.verifyClaim({ text: 'Apollo 11 carried embargoed cargo in 1969.' }, evidence);
+  expect(sanctioned.verdict === 'FRAUD_PROVEN' && sanctioned.fraudProof.failedCheck === 'Sanctions List',
+    'an outcome reporting critical: false does not downgrade a critical check');
+
+  console.log('\n🎚️  STEP 3: profiles tune strictness\n');
+  const profileFile = path.join(directory, 'profile.json');
+  fs.writeFileSync(profileFile, JSON.stringify({
+    name: 'newsroom',
+    extends: 'strict',
+    thresholds: { verified: 0.95 },
+    weights: { 'Source Credibility': 0 },
+    disabled: ['Temporal Consistency']
+  }));
+  const newsroom = loadProfile(profileFile);
+  expect(newsroom.thresholds.verified === 0.95 && newsroom.thresholds.uncertain === 0.5, 'file profile extends a built-in');
+  expect(newsroom.weights['Entity Consistency'] === 2, 'inherited weights are kept');
+
+  const strict = await new DeterministicVerifier({ profile: newsroom }).verifyClaim(claim, evidence);
+  expect(!strict.checks.some(c => c.name === 'Temporal Consistency'), 'disabled checks do not run');
+  expect(strict.checks.find(c => c.name === 'Source Credibility').weight === 0, 'profile overrides weights');
+
+  const failsEntities = { ...evidence, results: evidence.results.map(r => ({ ...r, snippet: 'Moon landing in 1969.' })) };
+  const lenientResult = await new DeterministicVerifier({ profile: { thresholds: { verified: 0.5 } } })
+    .verifyClaim({ text: 'Neil Armstrong walked on the Moon in 1969.' }, failsEntities);
+  const strictResult = await new DeterministicVerifier({ profile: 'strict' })
+    .verifyClaim({ text: 'Neil Armstrong walked on the Moon in 1969.' }, failsEntities);
+  expect(lenientResult.verdict === 'VERIFIED' && strictResult.verdict !== 'VERIFIED',
+    `same evidence, different profile: ${lenientResult.verdict} vs ${strictResult.verdict}`);
+
+  let invalid = false;
+  try {
+    loadProfile({ thresholds: { verified: 0.2, uncertain: 0.5 } });
+  } catch (err) {
+    invalid = /Invalid thresholds/.test(err.message);
+  }
+  expect(invalid, 'inconsistent thresholds are rejected');
+
+  console.log('\n⏪ STEP 4: replay uses the recorded profile\n');
+  const snapshots = new SnapshotStore({ persist: false });
+  const recorded = await new DeterministicVerifier({ profile: 'strict', snapshotStore: snapshots })
+    .verifyClaim({ text: 'Neil Armstrong walked on the Moon in 1969.' }, failsEntities);
+  const replayed = await new DeterministicVerifier({ profile: 'lenient', snapshotStore: snapshots })
+    .replay(recorded.snapshotHash);
+  expect(replayed.profile === 'strict' && replayed.verdict === recorded.verdict && replayed.score === recorded.score,
+    'replay on a differently configured server reproduces the verdict');
+
+  finish();
+}
+
+if (require.main === module) {
+  testCheckRegistry().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { testCheckRegistry };
@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for claim anchoring
+ * Claims carry verified character offsets into the response, reworded claims
+ * are reconciled with the response text, unanchorable claims are dropped, and
+ * the offsets are committed in the Merkle leaf
+ * Runs offline with the mock model
+ */
+
+const { createOfflineClaude, startTest, tempDir } = require('./test-helpers');
+const { MockModelProvider } = require('./model-providers');
+const { anchorClaims, sentenceSpans } = require('./claim-anchoring');
+const { normalizeClaimText } = require('./claim-canonicalizer');
+
+const RESPONSE = '## Apollo 11\n\n**Apollo 11** landed on the Moon on July 20, 1969. Neil Armstrong was the commander. ' +
+  'Dr. Ride flew later. Neil Armstrong was the commander.';
+
+async function testClaimAnchoring() {
+  const { expect, finish } = startTest('📍 CLAIM ANCHORING TEST');
+
+  console.log('\n✂️  STEP 1: sentences\n');
+  const sentences = sentenceSpans('Ursula K. Le Guin wrote it. Dr. Ride flew in 1983!\nNext line');
+  expect(sentences.length === 3, 'initials and abbreviations do not end sentences, line breaks do');
+
+  console.log('\n📍 STEP 2: anchoring\n');
+  const { claims, dropped } = anchorClaims(RESPONSE, [
+    { text: 'Neil Armstrong was the commander.', type: 'name' },
+    { text: 'Apollo 11 landed on the Moon on July 20, 1969', type: 'date' },
+    { text: 'Neil Armstrong was the commander.', type: 'name' },
+    { text: 'Buzz Aldrin piloted the lunar module', type: 'name' }
+  ]);
+  const landing = claims[0];
+  expect(RESPONSE.slice(landing.start, landing.end) === landing.text && landing.text.startsWith('Apollo 11**'),
+    'offsets slice the response to the claim text');
+  expect(landing.alignment.method === 'aligned' && landing.extractedText === 'Apollo 11 landed on the Moon on July 20, 1969',
+    'text without the markdown is reconciled with the response');
+  expect(claims[1].start !== claims[2].start && claims[1].text === claims[2].text && claims[1].alignment.method === 'exact',
+    'a claim occurring twice is anchored to both occurrences');
+  expect(claims.map(c => c.sentence).join() === '1,2,4', 'claims carry the index of their sentence');
+  expect(dropped.length === 1 && /Buzz Aldrin/.test(dropped[0].text), 'claims not in the response are dropped');
+
+  const reworded = anchorClaims('Neil Armstrong became the first person to walk on the Moon in 1969.', [
+    { text: 'Neil Armstrong became the first man to walk on the Moon in 1969' },
+    { text: 'Armstrong was an astronaut' }
+  ]);
+  expect(reworded.claims.length === 1 && reworded.claims[0].alignment.score >= 0.9 &&
+    reworded.claims[0].text === 'Neil Armstrong became the first person to walk on the Moon in 1969',
+  'a lightly reworded claim is anchored to the response wording');
+  expect(reworded.dropped.length === 1, 'a paraphrase that shares too few words is not');
+
+  console.log('\n🌳 STEP 3: offsets are committed\n');
+  const vc = createOfflineClaude({
+    modelProvider: new MockModelProvider({
+      responses: {
+        generation: RESPONSE,
+        extraction: JSON.stringify({
+          claims: [
+            { text: 'Apollo 11 landed on the Moon on July 20, 1969', type: 'date' },
+            { text: 'Neil Armstrong was the commander.', type: 'name' },
+            { text: 'Neil Armstrong was the commander.', type: 'name' },
+            { text: 'The Moon is made of cheese', type: 'event' }
+          ]
+        })
+      }
+    })
+  });
+  const result = await vc.generate('Tell me about Apollo 11');
+  expect(result.claims.length === 3 && result.claims.every(c => normalizeClaimText(RESPONSE.slice(c.start, c.end)) === c.text),
+    'generate() returns anchored claims');
+  expect(result.commitment.leafFormat === 'anchored', 'the commitment records its leaf format');
+
+  const second = result.claims[2];
+  const honest = vc.resolveCommittedClaim(second, result.commitment.root);
+  expect(honest.valid && honest.index === 2, 'the second occurrence verifies at its own position');
+  const moved = vc.resolveCommittedClaim({ ...second, merkleIndex: undefined, start: second.start + 1, end: second.end + 1 },
+    result.commitment.root);
+  expect(!moved.valid, 'moving a claim to other offsets breaks its proof');
+
+  console.log('\n💾 STEP 4: cached verdicts keep their anchor\n');
+  const directory = tempDir('corpus', {
+    'apollo-nasa.md':
+      '# Apollo 11 (NASA)\n\nApollo 11 landed on the Moon on July 20, 1969.',
+    'apollo-history.md':
+      '# Apollo 11 mission history\n\nOn July 20, 1969 Apollo 11 landed on the Moon.'
+  });
+  const cached = createOfflineClaude({
+    deterministic: true,
+    cache: { backend: 'memory' },
+    modelProvider: new MockModelProvider({
+      responses: {
+        generation: RESPONSE,
+        extraction: '{"claims": [{"text": "Apollo 11 landed on the Moon on July 20, 1969", "type": "date"}]}'
+      }
+    }),
+    searchProvider: { type: 'local', directory }
+  });
+  const anchored = await cached.generate('Tell me about Apollo 11');
+  const context = { merkleRoot: anchored.commitment.root };
+  const first = await cached.verify(anchored.claims[0], context);
+  const forged = await cached.verify({ ...anchored.claims[0], start: anchored.claims[0].start + 1 }, context);
+  expect(first.merkleProofValid === true, 'the anchored claim verifies against its commitment');
+  expect(forged.merkleProofValid === false && forged.verdict === 'FRAUD_PROVEN',
+    'the same text with forged offsets is not served the cached verdict');
+
+  finish();
+}
+
+if (require.main === module) {
+  testClaimAnchoring().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { testClaimAnchoring };
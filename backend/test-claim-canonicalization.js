@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for claim canonicalization
+ * Claims are normalized, overlapping claims merged, compound claims linked to
+ * their atomic parts before the commitment is built, and verifyAll() derives
+ * compound and repeated claims' verdicts instead of verifying them again
+ * Runs offline with the mock model and a local corpus
+ */
+
+const { createOfflineClaude, startTest, tempDir } = require('./test-helpers');
+const { MockModelProvider } = require('./model-providers');
+const { canonicalizeClaims, normalizeClaimText } = require('./claim-canonicalizer');
+const { claimLeaf } = require('./claim-anchoring');
+const MerkleTree = require('./merkle-tree');
+
+const RESPONSE = '**Apollo 11** landed on the Moon on July 20, 1969, and Neil Armstrong was the mission commander. ' +
+  'Neil Armstrong was the mission commander.';
+
+const CORPUS = {
+  'apollo-nasa.md':
+    '# Apollo 11 (NASA)\n\nApollo 11 landed on the Moon on July 20, 1969. Neil Armstrong was the mission commander.',
+  'apollo-history.md':
+    '# Apollo 11 mission history\n\nApollo 11 landed on the Moon on July 20, 1969, and Neil Armstrong was the mission commander.'
+};
+
+async function testClaimCanonicalization() {
+  const { expect, finish } = startTest('🧹 CLAIM CANONICALIZATION TEST');
+
+  const directory = tempDir('corpus', CORPUS);
+
+  console.log('\n✏️  STEP 1: normalization and merging\n');
+  expect(normalizeClaimText('- **Apollo 11**  landed\n on the Moon') === 'Apollo 11 landed on the Moon',
+    'markdown, list markers and extra whitespace are removed');
+
+  const sentence = 'Vitalik Buterin and Joseph Poon formalized fraud proofs in their Plasma whitepaper in 2017';
+  const fragments = canonicalizeClaims([
+    { text: 'Plasma whitepaper in 2017', start: 63, end: 88 },
+    { text: sentence, start: 0, end: 88 },
+    { text: sentence, start: 0, end: 88 }
+  ]);
+  expect(fragments.claims.length === 1 && fragments.merged === 2 && fragments.claims[0].id === 'claim_0',
+    'a repeated span and a fragment are merged into the full claim');
+  expect(fragments.claims[0].merged.join() === 'Plasma whitepaper in 2017', 'the full claim lists what was merged into it');
+
+  const unanchored = canonicalizeClaims([
+    { text: 'The Eiffel Tower was completed in 1889' },
+    { text: 'the  Eiffel Tower was completed in 1889.' }
+  ]);
+  expect(unanchored.claims.length === 1, 'claims without offsets are compared by their words');
+
+  console.log('\n🧩 STEP 2: compound claims and repeats\n');
+  const compound = 'Paris is the capital of France, while Berlin is the capital of Germany';
+  const related = canonicalizeClaims([
+    { text: 'Berlin is the capital of Germany', start: 38, end: 70 },
+    { text: 'Paris is the capital of France', start: 0, end: 30 },
+    { text: compound, start: 0, end: 70 },
+    { text: 'the capital of France', start: 9, end: 30 },
+    { text: 'Paris is the capital of France', start: 72, end: 102 }
+  ]);
+  const [parent, paris, berlin, repeat] = related.claims;
+  expect(related.claims.map(c => c.id).join() === 'claim_0,claim_1,claim_2,claim_3', 'claims are renumbered in text order');
+  expect(parent.text === compound && parent.children.join() === 'claim_1,claim_2', 'the compound claim lists its parts');
+  expect(paris.parent === 'claim_0' && berlin.parent === 'claim_0', 'each part points to the compound claim');
+  expect(paris.merged && paris.merged[0] === 'the capital of France', 'a fragment of a part is merged into the part');
+  expect(repeat.duplicateOf === 'claim_1' && !repeat.parent, 'the same claim elsewhere is kept as a repeat');
+
+  const partial = canonicalizeClaims([
+    { text: 'Neil Armstrong and Buzz Aldrin walked on the Moon during the Apollo 11 mission in July 1969', start: 0, end: 90 },
+    { text: 'Neil Armstrong', start: 0, end: 14 },
+    { text: 'Buzz Aldrin', start: 19, end: 30 }
+  ]);
+  expect(partial.claims.length === 1, 'parts covering too little of a claim are merged into it');
+
+  console.log('\n🌳 STEP 3: canonical claims are committed\n');
+  const mock = new MockModelProvider({
+    responses: {
+      generation: RESPONSE,
+      extraction: JSON.stringify({
+        claims: [
+          { text: 'Apollo 11 landed on the Moon on July 20, 1969, and Neil Armstrong was the mission commander', type: 'relationship' },
+          { text: 'Apollo 11 landed on the Moon on July 20, 1969', type: 'date' },
+          { text: 'Neil Armstrong was the mission commander', type: 'name' },
+          { text: 'on July 20, 1969', type: 'date' },
+          { text: 'Neil Armstrong was the mission commander', type: 'name' }
+        ]
+      })
+    }
+  });
+  const vc = createOfflineClaude({
+    modelProvider: mock,
+    searchProvider: { type: 'local', directory }
+  });
+  const result = await vc.generate('Tell me about Apollo 11');
+  const claims = result.claims;
+  expect(claims.length === 4 && result.commitment.claimCount === 4, 'the fragment is merged before the tree is built');
+  expect(claims[0].children.join() === 'claim_1,claim_2' && claims[3].duplicateOf === 'claim_2',
+    'relations use the committed claim ids');
+  const span = RESPONSE.slice(claims[1].start, claims[1].end);
+  expect(claims[1].text === 'Apollo 11 landed on the Moon on July 20, 1969' && span.includes('**') && claims[1].sourceText === span,
+    'claim text is normalized while sourceText keeps the response span');
+  const { root, merkleVersion, leafFormat } = result.commitment;
+  const rebuilt = MerkleTree.hashLeaf(claimLeaf({ text: span, start: claims[1].start, end: claims[1].end }, leafFormat), merkleVersion);
+  expect(MerkleTree.verifyProof(rebuilt, claims[1].merkleProof, root, merkleVersion),
+    'the leaf commits the exact response span, so it can be rebuilt from the response and offsets');
+  const record = vc.commitments.get(result.commitment.root);
+  expect(record.claims[1].parent === 'claim_0' && record.claims[3].duplicateOf === 'claim_2',
+    'the commitment record keeps the relations');
+  expect(vc.resolveCommittedClaim(claims[0], result.commitment.root).valid, 'the compound claim verifies against the root');
+
+  console.log('\n🧾 STEP 4: verifyAll() reuses verdicts\n');
+  const callsBefore = mock.calls.length;
+  const audit = await vc.verifyAll(result, { userPrompt: 'Tell me about Apollo 11' });
+  const judged = mock.calls.slice(callsBefore).filter(call => call.role === 'judging').length;
+  const derived = audit.verdicts.claim_0;
+  console.log(`    parts: ${audit.verdicts.claim_1.verdict}, ${audit.verdicts.claim_2.verdict}; compound: ${derived.verdict}`);
+  expect(judged === 2, `only the atomic claims are judged (${judged} judge calls for ${claims.length} claims)`);
+  expect(derived.derivedFrom.join() === 'claim_1,claim_2' && derived.verdict === 'VERIFIED',
+    'the compound claim is VERIFIED from its verified parts');
+  expect(audit.verdicts.claim_3.verdict === audit.verdicts.claim_2.verdict && audit.verdicts.claim_3.derivedFrom[0] === 'claim_2',
+    'the repeat takes its first occurrence\'s verdict');
+  expect(audit.summary.total === 4, 'the summary still counts every committed claim');
+  expect(derived.merkleProofValid === true && derived.attestation && audit.verdicts.claim_3.attestation,
+    'derived verdicts are checked against the commitment and signed');
+
+  const forged = { id: 'claim_9', text: 'The Moon is made of green cheese', children: ['claim_1', 'claim_2'] };
+  const forgedBefore = mock.calls.length;
+  const tampered = await vc.verifyAll({ ...result, claims: [...claims, forged] });
+  const forgedVerdict = tampered.verdicts.claim_9;
+  expect(!forgedVerdict.derivedFrom && forgedVerdict.verdict !== 'VERIFIED' &&
+    mock.calls.slice(forgedBefore).some(call => call.role === 'judging' && call.prompt.includes('green cheese')),
+  'relations sent with an uncommitted claim are ignored and the claim is verified directly');
+  expect(tampered.summary.score < 100, 'a forged claim can\'t raise the score');
+
+  const uncommittedBefore = mock.calls.length;
+  const uncommitted = await vc.verifyAll({ claims: claims.map(claim => ({ ...claim })) });
+  const uncommittedJudged = mock.calls.slice(uncommittedBefore).filter(call => call.role === 'judging').length;
+  expect(uncommittedJudged === 4 && !uncommitted.verdicts.claim_0.derivedFrom,
+    'without a commitment every claim is verified directly');
+
+  finish();
+}
+
+if (require.main === module) {
+  testClaimCanonicalization().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { testClaimCanonicalization };
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the rule-based claim extractor
+ * Scores the extractor against the labeled sentences in claim-corpus.json
+ * (precision, recall, type accuracy), then runs generate() with rules as the
+ * standalone extraction mode and as the fallback when the model's answer is unusable
+ * Runs offline with the mock model
+ */
+
+const { createOfflineClaude, startTest } = require('./test-helpers');
+const { MockModelProvider } = require('./model-providers');
+const { RuleBasedClaimExtractor, CLAIM_TYPES } = require('./claim-extractor');
+const corpus = require('./claim-corpus.json');
+
+const MIN_PRECISION = 0.9;
+const MIN_RECALL = 0.9;
+const MIN_TYPE_ACCURACY = 0.85;
+
+async function testClaimExtraction() {
+  const { expect, finish } = startTest('🧩 RULE-BASED CLAIM EXTRACTION TEST');
+
+  console.log('\n📚 STEP 1: labeled corpus\n');
+  const extractor = new RuleBasedClaimExtractor();
+  let found = 0;
+  let expected = 0;
+  let matched = 0;
+  let typed = 0;
+  let claimsFromNonFacts = 0;
+
+  corpus.sentences.forEach(sentence => {
+    const claims = extractor.extract(sentence.text);
+    found += claims.length;
+    expected += sentence.claims.length;
+    if (sentence.claims.length === 0) claimsFromNonFacts += claims.length;
+
+    claims.forEach(claim => {
+      const label = sentence.claims.find(c => c.text === claim.text);
+      if (!label) {
+        console.log(`    extra: "${claim.text}" [${claim.type}]`);
+        return;
+      }
+      matched++;
+      if (label.type === claim.type) typed++;
+      else console.log(`    type: "${claim.text}" is ${label.type}, extracted as ${claim.type}`);
+    });
+    sentence.claims
+      .filter(label => !claims.some(c => c.text === label.text))
+      .forEach(label => console.log(`    missed: "${label.text}"`));
+  });
+
+  const precision = matched / found;
+  const recall = matched / expected;
+  const typeAccuracy = typed / matched;
+  console.log(`    ${corpus.sentences.length} sentences: precision ${precision.toFixed(2)}, recall ${recall.toFixed(2)}, type accuracy ${typeAccuracy.toFixed(2)}`);
+  expect(precision >= MIN_PRECISION, `precision at least ${MIN_PRECISION}`);
+  expect(recall >= MIN_RECALL, `recall at least ${MIN_RECALL}`);
+  expect(typeAccuracy >= MIN_TYPE_ACCURACY, `type accuracy at least ${MIN_TYPE_ACCURACY}`);
+  expect(claimsFromNonFacts === 0, 'hedges, opinions, questions and first-person sentences give no claims');
+
+  console.log('\n✂️  STEP 2: atomic claims\n');
+  const compound = extractor.extract('Paris is the capital of France, while Berlin is the capital of Germany.');
+  expect(compound.length === 2, 'independent clauses become separate claims');
+  const shared = extractor.extract('Neil Armstrong and Buzz Aldrin walked on the Moon.');
+  expect(shared.length === 1 && shared[0].text.startsWith('Neil Armstrong and Buzz Aldrin'), 'a compound subject is not split');
+  const curie = extractor.extract('Marie Curie won the Nobel Prize in 1903, and she won it again in 1911. She died in 1934.');
+  expect(curie.length === 1 && curie[0].text === 'Marie Curie won the Nobel Prize in 1903, and she won it again in 1911',
+    'a clause that points back with a pronoun keeps the name it points to; a bare pronoun subject gives no claim');
+  const markdown = '## Apollo 11\n\n**Apollo 11** landed on July 20, 1969.\n- Neil Armstrong was the commander.\n- I loved it.';
+  const listed = extractor.extract(markdown);
+  expect(listed.length === 2 && listed.every(c => markdown.slice(c.start, c.end) === c.text), 'claims are copied from the text with their offsets');
+  expect(listed.every(c => CLAIM_TYPES.includes(c.type)), 'every claim has one of the claim types');
+
+  console.log('\n🔌 STEP 3: standalone mode and fallback\n');
+  const mock = new MockModelProvider({ responses: { generation: markdown } });
+  const standalone = createOfflineClaude({ modelProvider: mock, claimExtraction: 'rules' });
+  const result = await standalone.generate('Tell me about Apollo 11');
+  expect(result.claims.length === 2 && result.claims[0].type === 'date' && result.claims[0].alignment.method === 'exact',
+    'rules mode extracts and anchors claims');
+  expect(!mock.calls.some(call => call.role === 'extraction'), 'rules mode never calls the extraction model');
+
+  const broken = createOfflineClaude({
+    modelProvider: new MockModelProvider({ responses: { generation: markdown, extraction: 'Sorry, I cannot help with that.' } })
+  });
+  const fallback = await broken.generate('Tell me about Apollo 11');
+  expect(fallback.claims.length === 2 && fallback.claims.every(c => c.type), 'an unusable model answer falls back to typed rule-based claims');
+
+  let unknown = null;
+  try {
+    createOfflineClaude({ modelProvider: new MockModelProvider(), claimExtraction: 'regex' });
+  } catch (error) {
+    unknown = error;
+  }
+  expect(unknown && /Unknown claim extraction mode/.test(unknown.message), 'unknown extraction modes are rejected');
+
+  finish();
+}
+
+if (require.main === module) {
+  testClaimExtraction().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { testClaimExtraction };
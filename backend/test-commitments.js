@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the commitment registry
+ * Shows that verify() resolves Merkle roots server-side instead of trusting the client
+ * Runs offline (mock model + local corpus)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { CommitmentNotFoundError } = require('./verifiable-claude');
+const { createOfflineClaude, startTest, tempDir } = require('./test-helpers');
+const { MockModelProvider } = require('./model-providers');
+const MerkleTree = require('./merkle-tree');
+const CommitmentStore = require('./commitment-store');
+
+const CORPUS = {
+  'apollo.md':
+    '# Apollo 11\n\nApollo 11 landed on the Moon on July 20, 1969. Neil Armstrong was the mission commander.',
+  'apollo-history.md':
+    '# Apollo program\n\nNeil Armstrong commanded Apollo 11, which landed on July 20, 1969.'
+};
+
+async function testCommitments() {
+  const { expect, finish } = startTest('🗄️  COMMITMENT REGISTRY TEST');
+
+  const directory = tempDir('corpus', CORPUS);
+  const vc = createOfflineClaude({
+    deterministic: true,
+    commitmentStore: { file: path.join(directory, 'commitments.json') },
+    modelProvider: new MockModelProvider({
+      responses: {
+        generation: 'Apollo 11 landed on the Moon on July 20, 1969. Neil Armstrong was the mission commander.'
+      }
+    }),
+    searchProvider: { type: 'local', directory }
+  });
+
+  console.log('\n📝 STEP 1: generate() records the commitment\n');
+  const prompt = 'Tell me about Apollo 11';
+  const result = await vc.generate(prompt);
+  const record = vc.commitments.get(result.commitment.root);
+  expect(record !== null, 'commitment is in the registry');
+  expect(record && record.claims.length === result.claims.length, 'registry keeps every committed claim');
+  expect(record && record.text === result.text && record.prompt === prompt, 'registry keeps response text and prompt');
+
+  const reloaded = createOfflineClaude({
+    commitmentStore: { file: path.join(directory, 'commitments.json') },
+    modelProvider: new MockModelProvider()
+  });
+  expect(reloaded.commitments.has(result.commitment.root), 'registry survives a restart (file-backed)');
+
+  console.log('\n🔎 STEP 2: verify() resolves the root server-side\n');
+  const claim = result.claims[0];
+  const honest = await vc.verify(claim, { merkleRoot: result.commitment.root });
+  expect(honest.merkleProofValid === true, 'committed claim passes the registry check');
+
+  const forgedProof = { ...claim, merkleProof: [{ hash: 'f'.repeat(64), position: 'right' }] };
+  const withForgedProof = await vc.verify(forgedProof, { merkleRoot: result.commitment.root, note: 'forged proof' });
+  expect(withForgedProof.merkleProofValid === true, 'client-supplied proof is ignored in favour of the registry');
+
+  const fabricatedRoot = await vc.verify(claim, { merkleRoot: 'a'.repeat(64) });
+  expect(fabricatedRoot.verdict === 'FRAUD_PROVEN' && /never issued/.test(fabricatedRoot.fraudProof.reason),
+    'fabricated root is rejected');
+
+  const injected = await vc.verify({ text: 'Apollo 11 landed on Mars.' }, { merkleRoot: result.commitment.root });
+  expect(injected.verdict === 'FRAUD_PROVEN' && /not in original commitment/.test(injected.fraudProof.reason),
+    'claim outside the commitment is FRAUD_PROVEN');
+
+  const legacyClaims = [{ id: 'claim_0', text: 'Neil Armstrong was the mission commander.' }];
+  const legacyTree = new MerkleTree(legacyClaims.map(c => c.text), { version: MerkleTree.LEGACY_VERSION });
+  vc.commitments.record({
+    commitment: { root: legacyTree.getRoot(), timestamp: '2025-01-01T00:00:00.000Z', claimCount: 1 },
+    claims: legacyClaims,
+    text: legacyClaims[0].text
+  });
+  const legacy = await vc.verify(legacyClaims[0], { merkleRoot: legacyTree.getRoot() });
+  expect(legacy.merkleProofValid === true, 'pre-versioning (legacy) commitment still verifies');
+
+  console.log('\n⚔️  STEP 3: challenge by root and index\n');
+  const challenged = await vc.challenge(result.commitment.root, 0);
+  expect(challenged.claim === claim.text && challenged.merkleProofValid === true, 'claim is resolved from the registry');
+
+  let notFound = false;
+  try {
+    await vc.challenge('b'.repeat(64), 0);
+  } catch (err) {
+    notFound = err instanceof CommitmentNotFoundError;
+  }
+  expect(notFound, 'unknown root raises CommitmentNotFoundError');
+
+  console.log('\n📂 STEP 4: where the registry is kept\n');
+  const entry = { commitment: result.commitment, claims: result.claims, text: result.text, prompt };
+  const dataDir = path.join(directory, 'data');
+  new CommitmentStore({ dataDir }).record(entry);
+  expect(fs.existsSync(path.join(dataDir, 'commitments.json')), 'dataDir picks (and creates) the directory of the registry file');
+  const inMemory = new CommitmentStore({ dataDir: false });
+  inMemory.record(entry);
+  expect(!inMemory.persist && inMemory.has(result.commitment.root), 'dataDir: false keeps the registry in memory');
+  const unwritable = new CommitmentStore({ file: path.join(directory, 'apollo.md', 'commitments.json') });
+  unwritable.record(entry);
+  expect(unwritable.has(result.commitment.root), 'a commitment that could not be saved still resolves in this process');
+
+  finish();
+}
+
+if (require.main === module) {
+  testCommitments().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { testCommitments };
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for contradiction and negation detection
+ * A snippet that mentions a value while denying it must not count as confirmation
+ * Runs offline (evidence points at local files)
+ */
+
+const DeterministicVerifier = require('./deterministic-verifier');
+const { analyzeClaim, assessSource, affirms } = require('./contradictions');
+const { startTest, tempDir, localSource } = require('./test-helpers');
+
+async function testContradictions() {
+  const { expect, finish } = startTest('🙅 CONTRADICTION DETECTION TEST');
+
+  const stance = (claim, text) => assessSource(analyzeClaim(claim), text);
+
+  console.log('\n🔍 STEP 1: reading a source against a claim\n');
+  const denial = 'Armstrong did NOT land on the Moon in 1972; the landing was in 1969.';
+  const negated = stance('Neil Armstrong landed on the Moon in 1972.', denial);
+  expect(negated.stance === 'contradicts' && negated.contradicting[0].type === 'negation',
+    'a negated statement contradicts the claim');
+  expect(negated.contradicting[0].snippet === 'Armstrong did NOT land on the Moon in 1972',
+    'the contradicting clause is cited');
+
+  const competing = stance('Neil Armstrong landed on the Moon in 1972.', 'Neil Armstrong landed on the Moon in 1969.');
+  expect(competing.stance === 'contradicts' && competing.contradicting[0].slot === 'year'
+    && competing.contradicting[0].reported === '1969', 'a different year for the same event contradicts');
+
+  const place = stance('Marie Curie was born in Warsaw in 1867.', 'Marie Curie was born in Paris in 1867.');
+  expect(place.stance === 'contradicts' && place.contradicting[0].slot === 'place', 'a different place contradicts');
+
+  const figure = stance('The population of the city is 5 million.', 'The population of the city is 9 million.');
+  expect(figure.stance === 'contradicts' && figure.contradicting[0].slot === 'quantity'
+    && figure.contradicting[0].reported === '9 million', 'a different figure for the same quantity contradicts');
+  expect(stance('The population of the city is 3.8 million.', 'The population of the city is 3,794,000.').stance === 'supports',
+    'a rounded figure agrees');
+  expect(stance('The population of the city is 5 million.', 'The population of the city is 5 million, spread over 105 km².').stance === 'supports',
+    'figures of another kind don\'t compete');
+
+  expect(stance('Neil Armstrong landed on the Moon in 1969.', 'Armstrong landed on the Moon in 1969, not in 1972.').stance === 'supports',
+    'negation scope: "1969, not 1972" still supports 1969');
+  expect(stance('The Great Wall of China is visible from space.', 'The Great Wall of China is not visible from space with the naked eye.').stance === 'contradicts',
+    'a negated predicate contradicts a claim without a year');
+  expect(stance('The Great Wall of China is not visible from space.', 'The Great Wall of China is not visible from space with the naked eye.').stance === 'supports',
+    'a negative claim agrees with a negative source');
+  expect(stance('Neil Armstrong landed on the Moon in 1969.', 'The Eiffel Tower opened in 1889.').stance === 'neutral',
+    'unrelated sources are neutral');
+
+  console.log('\n📅 STEP 2: temporal check no longer counts denied dates\n');
+  expect(!affirms(denial, '1972') && affirms(denial, '1969'), 'a denied year is not affirmed');
+
+  const directory = tempDir('contradictions');
+  const source = (name, snippet) => localSource(directory, name, snippet);
+  const verifier = new DeterministicVerifier({ profile: 'default' });
+  const claim = { text: 'Neil Armstrong landed on the Moon in 1972.' };
+
+  const single = { results: [source('denial', denial)] };
+  const temporal = await verifier.checkTemporalConsistency(claim, single);
+  expect(!temporal.passed, 'a snippet denying 1972 does not confirm 1972');
+  const one = await verifier.checkContradictions(claim, single);
+  expect(!one.passed && !one.critical, 'one contradicting source fails without proving fraud');
+
+  console.log('\n⚔️  STEP 3: fraud proof cites the contradicting snippet\n');
+  const evidence = {
+    results: [
+      source('denial', denial),
+      source('nasa', 'Neil Armstrong landed on the Moon in 1969 as commander of Apollo 11.')
+    ]
+  };
+  const result = await verifier.verifyClaim(claim, evidence);
+  const proof = result.fraudProof;
+  expect(result.verdict === 'FRAUD_PROVEN' && proof && proof.failedCheck === 'Contradiction Detection',
+    `two contradicting sources prove fraud (${result.verdict})`);
+  expect(proof && proof.evidence.some(e => e.stance === 'contradicts' && /did NOT land/.test(e.snippet) && e.url === evidence.results[0].url),
+    'the proof cites the snippet and its URL');
+  expect(proof && /contradict the claim: "/.test(proof.reason), 'the reason quotes the snippet');
+
+  const honest = await verifier.verifyClaim({ text: 'Neil Armstrong landed on the Moon in 1969.' }, evidence);
+  const honestCheck = honest.checks.find(c => c.name === 'Contradiction Detection');
+  expect(honestCheck.passed, 'the correct claim is not contradicted');
+
+  const unrelated = await verifier.checkContradictions({ text: 'Mount Everest is 8,849 metres tall.' }, evidence);
+  expect(unrelated.notApplicable === true, 'no statements about the claim: not applicable');
+
+  finish();
+}
+
+if (require.main === module) {
+  testContradictions().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { testContradictions };
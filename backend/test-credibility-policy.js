@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the source credibility policy
+ * Domains match on label boundaries ("edu" never matches reduced.com), deny
+ * rules and claim-type overrides apply, and the policy file reloads safely
+ * Runs offline (no sources are fetched)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const DeterministicVerifier = require('./deterministic-verifier');
+const { CredibilityPolicy } = require('./credibility-policy');
+const { PublicSuffixList } = require('./public-suffix');
+const { SnapshotStore } = require('./snapshot-store');
+const { startTest, tempDir } = require('./test-helpers');
+
+async function testCredibilityPolicy() {
+  const { expect, finish } = startTest('🛂 CREDIBILITY POLICY TEST');
+
+  console.log('\n🌐 STEP 1: public suffixes\n');
+  const suffixes = new PublicSuffixList();
+  expect(suffixes.registrableDomain('news.bbc.co.uk') === 'bbc.co.uk', 'second-level suffixes (co.uk)');
+  expect(suffixes.registrableDomain('alice.github.io') === 'alice.github.io', 'hosting suffixes give each site its own domain');
+  expect(suffixes.registrableDomain('notwikipedia.org.evil.io') === 'evil.io', 'unlisted TLDs fall back to the "*" rule');
+  expect(suffixes.isPublicSuffix('gov.uk') && !suffixes.isPublicSuffix('bbc.co.uk'), 'isPublicSuffix');
+
+  console.log('\n🔎 STEP 2: matching the default policy\n');
+  const policy = new CredibilityPolicy();
+  const score = (url, type) => policy.score(url, type).score;
+  expect(score('https://en.wikipedia.org/wiki/Apollo_11') === 90, 'subdomains match their rule');
+  expect(score('https://notwikipedia.org.evil.io/') === 60, 'a rule domain inside another host does not match');
+  expect(score('https://reduced.com/') === 60 && score('https://web.mit.edu/') === 90, '"edu" matches whole labels only');
+  expect(score('https://alice.blogspot.com/post') === 40, 'a rule on a public suffix covers every site under it');
+  expect(score('https://arxiv.org/abs/1') === 90 && score('https://arxiv.org/abs/1', 'event') === 50,
+    'claim types override base scores');
+  const record = policy.score('https://www.bbc.co.uk/news', 'date');
+  expect(record.rule === 'bbc.co.uk' && record.registrableDomain === 'bbc.co.uk' && record.claimType === null,
+    'results name the rule, registrable domain and claim type');
+
+  console.log('\n📋 STEP 3: deny-lists, exact rules and allow-lists\n');
+  const custom = new CredibilityPolicy({
+    policy: {
+      name: 'compliance',
+      defaultScore: 0,
+      domains: { 'example.com': 80, '=blog.example.com': 30, 'gov': 90 },
+      deny: ['spam.example.com'],
+      claimTypes: { research: { domains: { 'arxiv.org': 95 }, deny: ['example.com'] } }
+    }
+  });
+  expect(custom.score('https://unknown.org/').score === 0, 'defaultScore 0 accepts only listed sources');
+  expect(custom.score('https://blog.example.com/').score === 30 && custom.score('https://a.blog.example.com/').score === 80,
+    '"=host" rules match that host only');
+  const spam = custom.score('https://cdn.spam.example.com/');
+  expect(spam.denied && spam.score === 0, 'deny rules cover subdomains and beat scores');
+  expect(custom.score('https://arxiv.org/', 'research').score === 95 && custom.score('https://example.com/', 'research').denied,
+    'claim types add their own scores and deny rules');
+
+  let invalid = null;
+  try {
+    new CredibilityPolicy({ policy: { domains: { 'wikipedia.org': 900 } } });
+  } catch (error) {
+    invalid = error;
+  }
+  expect(invalid && /0 to 100/.test(invalid.message), 'out-of-range scores are rejected');
+
+  console.log('\n🔄 STEP 4: hot reload\n');
+  const directory = tempDir('credibility');
+  const policyFile = path.join(directory, 'policy.json');
+  fs.writeFileSync(policyFile, JSON.stringify({ name: 'newsroom', domains: { 'example.org': 90 } }));
+
+  const snapshots = new SnapshotStore({ persist: false });
+  const verifier = new DeterministicVerifier({ snapshotStore: snapshots, fetchPages: false, credibilityPolicy: { policyFile } });
+  const evidence = {
+    results: [
+      { title: 'One', snippet: 'Apollo 11 landed in 1969.', url: 'https://news.example.org/apollo' },
+      { title: 'Two', snippet: 'Apollo 11 landed in 1969.', url: 'https://example.net/apollo' }
+    ]
+  };
+  const credibilityOf = (result) => result.checks.find(c => c.name === 'Source Credibility');
+  const before = await verifier.verifyClaim({ text: 'Apollo 11 landed in 1969.' }, evidence);
+  expect(credibilityOf(before).evidence[0].score === 90, 'sources are scored with the policy file');
+
+  fs.writeFileSync(policyFile, JSON.stringify({ name: 'newsroom', deny: ['example.org'] }));
+  const summary = verifier.credibility.reload();
+  expect(summary.deny === 1 && summary.version !== credibilityOf(before).evidence[0].policy.split('@')[1],
+    'reload picks up the edited file with a new version');
+  const after = await verifier.verifyClaim({ text: 'Apollo 11 landed in 1969.' }, evidence);
+  expect(credibilityOf(after).evidence[0].denied && /denied by policy: news\.example\.org/.test(credibilityOf(after).reason),
+    'the reloaded deny-list applies to new verifications');
+
+  fs.writeFileSync(policyFile, '{ "domains": { "example.org": "high" } }');
+  let rejected = null;
+  try {
+    verifier.credibility.reload();
+  } catch (error) {
+    rejected = error;
+  }
+  expect(rejected && verifier.credibility.describe().deny === 1, 'an invalid file is rejected and the policy stays in force');
+
+  const replayed = await verifier.replay(before.snapshotHash);
+  expect(JSON.stringify(credibilityOf(replayed)) === JSON.stringify(credibilityOf(before)),
+    'replays keep the scores recorded at verification time');
+
+  finish();
+}
+
+if (require.main === module) {
+  testCredibilityPolicy().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { testCredibilityPolicy };
@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the challenge period and dispute lifecycle
+ * optimistic → challenged → resolved, and optimistic → finalized when the window closes
+ * Runs offline (mock model + local corpus, injected clock)
+ */
+
+const path = require('path');
+const { CommitmentNotFoundError } = require('./verifiable-claude');
+const { createOfflineClaude, startTest, tempDir } = require('./test-helpers');
+const { MockModelProvider } = require('./model-providers');
+const { DisputeRegistry, DisputeError, STATUS } = require('./dispute-registry');
+
+const HOUR = 60 * 60 * 1000;
+
+async function testDisputes() {
+  const { expect, finish } = startTest('⚖️  DISPUTE LIFECYCLE TEST');
+
+  const directory = tempDir('corpus', {
+    'apollo.md':
+      '# Apollo 11\n\nApollo 11 landed on the Moon on July 20, 1969. Neil Armstrong was the mission commander.'
+  });
+
+  const rejects = (fn, code) => {
+    try {
+      fn();
+      return false;
+    } catch (err) {
+      return err instanceof DisputeError && err.code === code;
+    }
+  };
+
+  let clock = Date.now();
+  const vc = createOfflineClaude({
+    deterministic: true,
+    disputeRegistry: { windowMs: 2 * HOUR, now: () => clock },
+    modelProvider: new MockModelProvider({
+      responses: {
+        generation: 'Apollo 11 landed on the Moon on July 20, 1969. Neil Armstrong was the mission commander. The crew brought back a live penguin.'
+      }
+    }),
+    searchProvider: { type: 'local', directory }
+  });
+
+  console.log('\n🌅 STEP 1: generate() opens the challenge window\n');
+  const result = await vc.generate('Tell me about Apollo 11');
+  const root = result.commitment.root;
+  let dispute = vc.getDispute(root);
+  expect(dispute.claims.length === result.claims.length, 'every committed claim has a dispute entry');
+  expect(dispute.claims.every(c => c.status === STATUS.OPTIMISTIC), 'claims start optimistic');
+  expect(Date.parse(dispute.windowClosesAt) - Date.parse(dispute.openedAt) === 2 * HOUR, 'window length is configurable');
+
+  console.log('\n⚔️  STEP 2: challenges and counter-evidence\n');
+  const penguin = result.claims.findIndex(c => /penguin/.test(c.text));
+  clock += HOUR;
+  const challenge = vc.submitChallenge(root, penguin, {
+    challenger: 'auditor@example.org',
+    reason: 'No source mentions a penguin',
+    evidence: [{ url: 'https://www.nasa.gov/mission/apollo-11/', snippet: 'Crew: Armstrong, Aldrin, Collins' }]
+  });
+  expect(vc.getDispute(root).claims[penguin].status === STATUS.CHALLENGED, 'challenged claim changes status');
+  expect(challenge.challenger === 'auditor@example.org' && challenge.evidence.length === 1, 'challenger and evidence are recorded');
+
+  vc.submitCounterEvidence(root, challenge.id, { submitter: 'author', note: 'Mission log, day 4', evidence: ['https://example.com/log'] });
+  const open = vc.disputes.listOpen();
+  expect(open.length === 1 && open[0].counterEvidence.length === 1, 'open challenge lists its counter-evidence');
+
+  expect(rejects(() => vc.submitChallenge(root, 0, { evidence: [] }), 'INVALID_SUBMISSION'), 'challenge without a challenger is rejected');
+  let unknownRoot = false;
+  try {
+    vc.submitChallenge('b'.repeat(64), 0, { challenger: 'x' });
+  } catch (err) {
+    unknownRoot = err instanceof CommitmentNotFoundError;
+  }
+  expect(unknownRoot, 'challenging an unknown root raises CommitmentNotFoundError');
+
+  console.log('\n🔨 STEP 3: resolution\n');
+  let notChallenged = false;
+  try {
+    await vc.resolveDispute(root, 0);
+  } catch (err) {
+    notChallenged = err instanceof DisputeError && err.code === 'INVALID_STATE';
+  }
+  expect(notChallenged, 'an unchallenged claim cannot be resolved');
+
+  const { resolution, verification } = await vc.resolveDispute(root, penguin);
+  const expectedOutcome = ['FALSE', 'FRAUD_PROVEN'].includes(verification.verdict) ? 'upheld' : 'rejected';
+  expect(resolution.outcome === expectedOutcome, `outcome follows the verdict (${verification.verdict} → ${resolution.outcome})`);
+  expect(resolution.attestation && resolution.attestation.payload.verdict === verification.verdict, 'resolution keeps the signed verdict');
+  expect(vc.disputes.listOpen().length === 0, 'resolved challenge is no longer open');
+  expect(rejects(() => vc.submitCounterEvidence(root, challenge.id, { submitter: 'late' }), 'INVALID_STATE'),
+    'counter-evidence after resolution is rejected');
+  const [challengeItem, counterItem] = resolution.submittedEvidence;
+  expect(challengeItem.side === 'challenge' && challengeItem.considered &&
+    verification.evidence.some(result => result.submitted && result.snippet === challengeItem.snippet),
+  'the challenger\'s snippet is read alongside the search results');
+  expect(counterItem.side === 'counter' && !counterItem.considered, 'a bare URL has no text to check and is not considered');
+
+  // The claim in another answer, challenged with two sources that deny it
+  const retelling = createOfflineClaude({
+    deterministic: true,
+    disputeRegistry: { windowMs: 2 * HOUR, now: () => clock },
+    modelProvider: new MockModelProvider({ responses: { generation: 'The crew brought back a live penguin.' } }),
+    searchProvider: { type: 'local', directory }
+  });
+  const retold = await retelling.generate('What did the Apollo 11 crew bring back?');
+  const denied = retelling.submitChallenge(retold.commitment.root, 0, {
+    challenger: 'auditor@example.org',
+    evidence: [
+      { url: 'https://www.nasa.gov/mission/apollo-11/', snippet: 'The Apollo 11 crew did not bring back a live penguin.' },
+      { url: 'https://history.example.org/apollo-11', snippet: 'The crew of Apollo 11 did not bring back a live penguin.' }
+    ]
+  });
+  const decided = await retelling.resolveDispute(retold.commitment.root, 0);
+  console.log(`    first challenge: ${verification.verdict}; two denials: ${decided.verification.verdict}`);
+  expect(decided.resolution.outcome === 'upheld' && decided.verification.verdict === 'FRAUD_PROVEN',
+    'submitted evidence can decide the outcome');
+  expect(decided.resolution.decidedBy.length === 2 && decided.resolution.decidedBy.every(item => item.challengeId === denied.id),
+    'the resolution records which submitted items decided it');
+
+  console.log('\n⌛ STEP 4: the window closes\n');
+  clock += 2 * HOUR;
+  dispute = vc.getDispute(root);
+  const others = dispute.claims.filter(c => c.claimIndex !== penguin);
+  expect(others.every(c => c.status === STATUS.FINALIZED), 'unchallenged claims finalize automatically');
+  expect(dispute.claims[penguin].status === STATUS.RESOLVED, 'resolved claim stays resolved');
+  expect(rejects(() => vc.submitChallenge(root, 0, { challenger: 'late' }), 'WINDOW_CLOSED'), 'late challenge is rejected');
+
+  const types = dispute.history.map(event => event.type);
+  expect(types[0] === 'opened' && types.includes('challenged') && types.includes('counter-evidence')
+    && types.includes('resolved') && types.filter(t => t === 'finalized').length === others.length,
+  'history records the whole lifecycle');
+
+  console.log('\n📂 STEP 5: where disputes are kept\n');
+  const claims = [{ text: 'Apollo 11 landed on the Moon.' }];
+  expect(!vc.disputes.persist, 'dataDir: false keeps disputes in memory');
+  const dataDir = path.join(directory, 'data');
+  new DisputeRegistry({ dataDir }).open('c'.repeat(64), claims);
+  expect(new DisputeRegistry({ dataDir }).has('c'.repeat(64)),
+    'dataDir picks (and creates) the directory of the dispute file, and disputes survive a restart');
+  const unwritable = new DisputeRegistry({ file: path.join(directory, 'apollo.md', 'disputes.json') });
+  unwritable.open('c'.repeat(64), claims);
+  expect(unwritable.has('c'.repeat(64)), 'a dispute that could not be saved is still tracked by this process');
+
+  finish();
+}
+
+if (require.main === module) {
+  testDisputes().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { testDisputes };
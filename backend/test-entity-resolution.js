@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for entity alias resolution
+ * "Le Guin", "Ursula K. Le Guin" and "Ursula Kroeber Le Guin" resolve to one
+ * canonical ID, and "US" does not match inside "status"
+ * Runs offline (evidence points at local files)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const DeterministicVerifier = require('./deterministic-verifier');
+const { EntityResolver } = require('./entity-resolver');
+const { startTest, tempDir, localSource } = require('./test-helpers');
+
+async function testEntityResolution() {
+  const { expect, finish } = startTest('🏷️  ENTITY RESOLUTION TEST');
+
+  const directory = tempDir('entities');
+  const aliasFile = path.join(directory, 'aliases.csv');
+  fs.writeFileSync(aliasFile, [
+    'id,name,type,aliases',
+    'Q181659,Ursula K. Le Guin,person,Ursula Kroeber Le Guin|"Le Guin, Ursula"',
+    'Q30,United States,place,US|U.S.|USA'
+  ].join('\n'));
+
+  console.log('\n📖 STEP 1: alias dictionary\n');
+  const resolver = new EntityResolver({ aliasFile });
+  expect(resolver.entities.size === 2 && resolver.entities.get('Q181659').aliases.length === 2,
+    'CSV alias file is loaded (quoted cells keep their commas)');
+
+  const ids = (text) => resolver.extract(text).map(entity => entity.id);
+  const leGuin = ['Ursula K. Le Guin wrote it.', 'Ursula Kroeber Le Guin wrote it.', 'Le Guin wrote it.', 'U. K. Le Guin wrote it.'];
+  expect(leGuin.every(text => ids(text).join() === 'Q181659'), 'full name, alias, surname and initials share one ID');
+  expect(resolver.extract('Ursula K. Le Guin was born in 1929; Le Guin died in 2018.')[0].mentions.length === 2,
+    'mentions of one entity are merged');
+
+  console.log('\n🔤 STEP 2: token boundaries and acronyms\n');
+  const us = resolver.extract('The US landed first.')[0] || {};
+  expect(us.id === 'Q30' && us.name === 'United States', 'an acronym resolves to its canonical name');
+  expect(resolver.find('Its status was unclear.', us) === null, '"US" does not match inside "status"');
+  expect(resolver.find('Tell us more.', us) === null, '"US" does not match the word "us"');
+  expect(resolver.find('Launched from the U.S. in 1969.', us).form === 'U.S', 'dotted forms match');
+
+  const derived = new EntityResolver({ aliasFile: path.join(directory, 'none.json') });
+  const armstrong = derived.extract('Neil Armstrong walked on the Moon. Armstrong later taught engineering.');
+  expect(armstrong.length === 1 && armstrong[0].id === 'person:neil-armstrong' && armstrong[0].source === 'derived',
+    'names outside the dictionary get a derived ID, and their surname merges into it');
+
+  const inline = new EntityResolver({ aliasFile, aliases: [{ id: 'Q1', name: 'Example Org', type: 'organization', aliases: ['EO'] }] });
+  expect(inline.extract('EO said so.')[0].id === 'Q1', 'entries can also be passed in code');
+
+  const continents = new EntityResolver();
+  expect(['South America', 'North America', 'Latin America'].every(place =>
+    !continents.extract(`Brazil is a large country in ${place}.`).some(entity => entity.id === 'Q30')),
+  'continents and regions named "... America" are not the United States');
+  const mexico = new EntityResolver({ aliasFile, aliases: [{ id: 'Q96', name: 'Mexico', type: 'place' }] });
+  expect(!mexico.extract('New Mexico borders Texas.').some(entity => entity.id === 'Q96') &&
+    mexico.find('New Mexico borders Texas.', { id: 'Q96' }) === null && mexico.extract('Mexico borders Texas.')[0].id === 'Q96',
+  'a place alias does not match inside a longer place name');
+
+  const unnamed = derived.extract('Le Guin was born in Berkeley.');
+  const known = resolver.extract('Le Guin was born in Berkeley.');
+  expect(unnamed.length === 0 && known.length === 1 && known[0].id === 'Q181659',
+    'names compromise misses without context are found once they are in the dictionary');
+
+  console.log('\n🔎 STEP 3: the check reports canonical IDs\n');
+  const source = (name, snippet) => localSource(directory, name, snippet);
+  const evidence = {
+    results: [
+      source('obituary', 'Le Guin, who died in 2018, wrote The Left Hand of Darkness.'),
+      source('biography', 'Ursula Kroeber Le Guin was an American author.'),
+      source('status', 'Publication status: in print.')
+    ]
+  };
+  const verifier = new DeterministicVerifier({ profile: 'default', entityResolver: resolver });
+  const check = await verifier.checkEntityConsistency({ text: 'Ursula K. Le Guin wrote novels in the US.' }, evidence);
+  const author = check.evidence.find(e => e.id === 'Q181659');
+  expect(author && author.canonical === 'Ursula K. Le Guin' && author.sourcesMentioning === 2,
+    'sources naming the author differently count for the same entity');
+  expect(author.locations.map(l => l.matched).join() === 'Le Guin,Ursula Kroeber Le Guin', 'each location cites the form it matched');
+  expect(check.evidence.find(e => e.id === 'Q30').sourcesMentioning === 0, '"status" is not a mention of the US');
+  expect(check.passed, 'the check passes on resolved entities');
+
+  finish();
+}
+
+if (require.main === module) {
+  testEntityResolution().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { testEntityResolution };
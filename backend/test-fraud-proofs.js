@@ -8,6 +8,7 @@
 require('dotenv').config();
 const { VerifiableClaude } = require('./verifiable-claude');
 const MerkleTree = require('./merkle-tree');
+const { claimLeaf } = require('./claim-anchoring');
 
 async function testFraudProofs() {
   console.log('━'.repeat(70));
@@ -67,8 +68,8 @@ async function testFraudProofs() {
   console.log('🌳 STEP 3: Manually verify Merkle proof\n');
 
   // Demonstrate anyone can verify the Merkle proof
-  const crypto = require('crypto');
-  const leafHash = crypto.createHash('sha256').update(claimToChallenge.text).digest('hex');
+  const version = result.commitment.merkleVersion || MerkleTree.LEGACY_VERSION;
+  const leafHash = MerkleTree.hashLeaf(claimLeaf(claimToChallenge, result.commitment.leafFormat), version);
 
   console.log(`Leaf hash: ${leafHash.substring(0, 32)}...`);
   console.log(`Expected root: ${result.commitment.root.substring(0, 32)}...`);
@@ -76,7 +77,8 @@ async function testFraudProofs() {
   const isValid = MerkleTree.verifyProof(
     leafHash,
     claimToChallenge.merkleProof,
-    result.commitment.root
+    result.commitment.root,
+    version
   );
 
   console.log(`\nMerkle proof verification: ${isValid ? '✓ VALID' : '✗ INVALID'}`);
@@ -0,0 +1,82 @@
+/**
+ * Shared setup for the offline test scripts
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { VerifiableClaude } = require('./verifiable-claude');
+
+/**
+ * A VerifiableClaude that caches nothing and keeps every store in memory,
+ * so a test run leaves no files behind; options are passed through
+ */
+function createOfflineClaude(options = {}) {
+  return new VerifiableClaude({
+    cache: false,
+    dataDir: false,
+    ...options
+  });
+}
+
+// Temp directories not yet removed; whatever a failed run leaves is removed on exit
+const temporary = new Set();
+process.on('exit', () => temporary.forEach(removeTempDir));
+
+/**
+ * A fresh directory under the OS temp dir, with files ({ name: content }) written into it
+ */
+function tempDir(prefix, files = {}) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), `vc-${prefix}-`));
+  temporary.add(directory);
+  Object.entries(files).forEach(([name, content]) => {
+    fs.mkdirSync(path.dirname(path.join(directory, name)), { recursive: true });
+    fs.writeFileSync(path.join(directory, name), content);
+  });
+  return directory;
+}
+
+/**
+ * Write a snippet to <directory>/<name>.md and return it as a search result
+ * whose file:// URL resolves, so URL Validity passes
+ */
+function localSource(directory, name, snippet) {
+  const file = path.join(directory, `${name}.md`);
+  fs.writeFileSync(file, snippet);
+  return { title: name, snippet, url: pathToFileURL(file).href };
+}
+
+function removeTempDir(directory) {
+  fs.rmSync(directory, { recursive: true, force: true });
+  temporary.delete(directory);
+}
+
+/**
+ * Start a test script: prints its banner ('📚 KNOWLEDGE BASE TEST') and returns
+ * - expect(condition, label): prints ✓ / ✗ and counts the failures
+ * - finish(): removes the temp directories, prints the result and sets the exit code
+ */
+function startTest(title) {
+  const name = title.replace(/^[^A-Z]+/, '');
+  console.log('━'.repeat(70));
+  console.log(title);
+  console.log('━'.repeat(70));
+
+  let failures = 0;
+  return {
+    expect(condition, label) {
+      console.log(`  ${condition ? '✓' : '✗'} ${label}`);
+      if (!condition) failures++;
+    },
+    finish() {
+      temporary.forEach(removeTempDir);
+      console.log('\n' + '━'.repeat(70));
+      console.log(failures === 0 ? `✅ ${name} PASSED` : `❌ ${failures} expectation(s) failed`);
+      console.log('━'.repeat(70));
+      if (failures > 0) process.exitCode = 1;
+    }
+  };
+}
+
+module.exports = { createOfflineClaude, startTest, tempDir, localSource };
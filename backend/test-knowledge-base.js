@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the local knowledge-base cross-check
+ * Claims about birth dates, authorship and capitals are mapped to triples and
+ * answered exactly from a local triple store (CSV, JSON or a Wikidata subset)
+ * Runs offline (no search results needed)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const DeterministicVerifier = require('./deterministic-verifier');
+const { KnowledgeBase } = require('./knowledge-base');
+const { SnapshotStore } = require('./snapshot-store');
+const { startTest, tempDir } = require('./test-helpers');
+
+const CSV = [
+  'subject,predicate,object',
+  'The Left Hand of Darkness,author,Ursula K. Le Guin',
+  'Ursula K. Le Guin,birthDate,1929-10-21',
+  'Ursula K. Le Guin,birthPlace,"Berkeley, California"',
+  'Australia,capital,Canberra'
+].join('\n');
+
+// Trimmed to the shape of https://www.wikidata.org/wiki/Special:EntityData/Q42.json
+const WIKIDATA = [
+  {
+    id: 'Q42',
+    labels: { en: { value: 'Douglas Adams' } },
+    aliases: { en: [{ value: 'Douglas Noel Adams' }] },
+    claims: {
+      P31: [{ mainsnak: { datavalue: { value: { id: 'Q5' } } } }],
+      P569: [{ mainsnak: { datavalue: { value: { time: '+1952-03-11T00:00:00Z', precision: 11 } } } }],
+      P570: [{ mainsnak: { datavalue: { value: { time: '+2001-00-00T00:00:00Z', precision: 9 } } } }]
+    }
+  },
+  {
+    id: 'Q25169',
+    labels: { en: { value: "The Hitchhiker's Guide to the Galaxy" } },
+    claims: {
+      P31: [{ mainsnak: { datavalue: { value: { id: 'Q7725634' } } } }],
+      P50: [{ mainsnak: { datavalue: { value: { id: 'Q42' } } } }]
+    }
+  }
+];
+
+async function testKnowledgeBase() {
+  const { expect, finish } = startTest('📚 KNOWLEDGE BASE TEST');
+
+  const directory = tempDir('knowledge');
+  const csvFile = path.join(directory, 'facts.csv');
+  const wikidataFile = path.join(directory, 'wikidata.json');
+  fs.writeFileSync(csvFile, CSV);
+  fs.writeFileSync(wikidataFile, JSON.stringify(WIKIDATA));
+
+  console.log('\n📥 STEP 1: loading\n');
+  const csv = new KnowledgeBase({ file: csvFile });
+  expect(csv.size === 4, 'CSV triples are loaded');
+  const leGuin = csv.entityId('Ursula K. Le Guin');
+  expect(leGuin === 'kb:ursula-k-le-guin' && csv.lookup(leGuin, 'birthDate')[0].normalized === '1929-10-21',
+    'names become knowledge-base entities with their facts');
+  expect(csv.lookup(csv.entityId('The Left Hand of Darkness'), 'author')[0].id === leGuin, 'entity objects point at entity IDs');
+
+  const wikidata = new KnowledgeBase({ file: wikidataFile });
+  expect(wikidata.lookup('Q42', 'birthDate')[0].normalized === '1952-03-11', 'Wikidata timestamps are read at their precision');
+  expect(wikidata.lookup('Q42', 'deathDate')[0].precision === 'year', 'year-precision Wikidata dates stay years');
+  expect(wikidata.lookup('Q25169', 'author')[0].name === 'Douglas Adams', 'Wikidata items keep their labels and IDs');
+
+  let bad = null;
+  try {
+    csv.addTriple({ subject: 'Australia', predicate: 'population', object: '26 million' });
+  } catch (error) {
+    bad = error;
+  }
+  expect(bad && /Unknown predicate/.test(bad.message), 'unknown predicates are rejected');
+
+  console.log('\n⚖️  STEP 2: the KB Agreement check\n');
+  const snapshots = new SnapshotStore({ persist: false });
+  const verifier = new DeterministicVerifier({ profile: 'default', fetchPages: false, snapshotStore: snapshots, knowledgeBase: { file: csvFile } });
+  const check = async (text) => (await verifier.verifyClaim({ text }, { results: [] })).checks.find(c => c.name === 'KB Agreement');
+
+  const born = await check('Ursula K. Le Guin was born on October 21, 1929.');
+  expect(born.passed && !born.notApplicable && born.evidence[0].answer === 'agrees', 'a matching birth date agrees');
+  const bornYear = await check('Le Guin was born in 1929.');
+  expect(bornYear.passed && bornYear.evidence[0].answer === 'agrees', 'a year inside the KB date agrees (aliases resolve)');
+  const wrongBirth = await check('Ursula K. Le Guin was born in 1931.');
+  expect(!wrongBirth.passed && wrongBirth.critical && /birthDate is 1929-10-21, not 1931/.test(wrongBirth.reason),
+    'a conflicting birth date is a critical contradiction');
+
+  const wrote = await check('The Left Hand of Darkness was written by Ursula K. Le Guin.');
+  expect(wrote.passed && wrote.evidence.some(a => a.predicate === 'author' && a.answer === 'agrees'), 'authorship agrees');
+  const capital = await check('Melbourne is the capital of Australia.');
+  expect(!capital.passed && capital.critical && /Australia capital is Canberra, not Melbourne/.test(capital.reason),
+    'a wrong capital contradicts the knowledge base');
+  const capitalOk = await check('Canberra is the capital of Australia.');
+  expect(capitalOk.passed && !capitalOk.notApplicable, 'the right capital agrees');
+  const notCapital = await check('Melbourne is not the capital of Australia.');
+  expect(notCapital.passed && !notCapital.notApplicable && notCapital.evidence[0].answer === 'agrees',
+    'denying a wrong capital agrees with the knowledge base');
+  const deniedCapital = await check('Canberra is not the capital of Australia.');
+  expect(!deniedCapital.passed && /Canberra, which the claim denies/.test(deniedCapital.reason),
+    'denying the right capital contradicts the knowledge base');
+  const correction = await check('Le Guin was born in 1929, not 1931.');
+  expect(correction.passed && correction.evidence[0].claimed.map(c => c.normalized).join() === '1929',
+    'a negated date is not a claimed value');
+
+  const unknown = await check('Isaac Asimov was born in 1920.');
+  expect(unknown.passed && unknown.notApplicable, 'subjects the knowledge base knows nothing about are not applicable');
+
+  const adams = new DeterministicVerifier({ profile: 'default', fetchPages: false, knowledgeBase: { file: wikidataFile } });
+  const died = await adams.checkKnowledgeBase({ text: 'Douglas Adams died in May 2001.' });
+  expect(died.notApplicable && /less precise/.test(died.reason), 'a claim more precise than the knowledge base is left undecided');
+
+  console.log('\n🔁 STEP 3: replay\n');
+  const proof = await verifier.verifyClaim({ text: 'Melbourne is the capital of Australia.' }, { results: [] });
+  const snapshot = snapshots.get(proof.snapshotHash);
+  expect(snapshot.knowledge.length === 1 && snapshot.knowledge[0].answer === 'contradicts', 'the snapshot records the knowledge-base answers');
+
+  const forgetful = new DeterministicVerifier({ profile: 'default', fetchPages: false, snapshotStore: snapshots });
+  const replayed = await forgetful.replay(proof.snapshotHash);
+  expect(replayed.verdict === proof.verdict && replayed.checks.find(c => c.name === 'KB Agreement').critical,
+    'replays use the recorded answers, not the current knowledge base');
+
+  finish();
+}
+
+if (require.main === module) {
+  testKnowledgeBase().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { testKnowledgeBase };
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the local-corpus search provider
+ * Runs the evidence search + deterministic checks with no network access
+ */
+
+const { ClaimVerifier } = require('./verifiable-claude');
+const { htmlToText } = require('./search-providers');
+const DeterministicVerifier = require('./deterministic-verifier');
+const { startTest, tempDir } = require('./test-helpers');
+
+const CORPUS = {
+  'apollo-11.md': `# Apollo 11
+
+Apollo 11 was the first crewed mission to land on the Moon.
+Neil Armstrong and Buzz Aldrin landed the lunar module Eagle on July 20, 1969.
+Michael Collins remained in lunar orbit aboard Columbia.
+`,
+  'eiffel-tower.html': `<html>
+<head><title>Eiffel Tower</title><style>body { color: red; }</style></head>
+<body><p>The Eiffel Tower in Paris was completed in 1889 by Gustave Eiffel&#39;s company.</p></body>
+</html>`,
+  'notes.txt': 'Neil Armstrong was born in Wapakoneta, Ohio in 1930.'
+};
+
+async function testLocalSearch() {
+  const { expect, finish } = startTest('📚 LOCAL CORPUS SEARCH TEST');
+
+  const directory = tempDir('corpus', CORPUS);
+  const verifier = new ClaimVerifier({ searchProvider: { type: 'local', directory } });
+  const deterministic = new DeterministicVerifier();
+
+  console.log('\n🔍 STEP 1: BM25 ranking\n');
+  const evidence = await verifier.searchForEvidence('Neil Armstrong landed on the Moon in 1969', {});
+  evidence.results.forEach((r, i) => console.log(`  ${i + 1}. ${r.title} — ${r.url}`));
+  expect(evidence.provider === 'local', 'results come from the local provider');
+  expect(evidence.results[0]?.title === 'Apollo 11', 'Apollo 11 document ranks first');
+  expect(evidence.results.every(r => !r.url.includes('eiffel')), 'unrelated document is not returned');
+
+  console.log('\n🧾 STEP 2: HTML parsing\n');
+  const html = await verifier.searchForEvidence('Eiffel Tower completed', {});
+  expect(html.results[0]?.title === 'Eiffel Tower', 'HTML <title> is used as the result title');
+  expect(!html.results[0]?.snippet.includes('color'), '<style> content is stripped from the snippet');
+  expect(html.results[0]?.snippet.includes("Gustave Eiffel's company"), 'entities in the page are decoded');
+  expect(htmlToText('&amp;lt;b&amp;gt; &#x27;quoted&#x27; &#8212; &AMP; &bogus; &#1114112;') === "&lt;b&gt; 'quoted' — & &bogus; &#1114112;",
+    'named, decimal and hex entities are decoded once, unknown ones kept');
+
+  console.log('\n⚡ STEP 3: Deterministic checks offline\n');
+  const claim = { text: 'Neil Armstrong landed on July 20, 1969' };
+  const result = await deterministic.verifyClaim(claim, evidence);
+  result.checks.forEach(check => console.log(`    ${check.passed ? '✓' : '✗'} ${check.name}: ${check.reason}`));
+  expect(result.checks.find(c => c.name === 'URL Validity').passed, 'file:// evidence URLs are valid');
+  expect(result.verdict === 'VERIFIED', `verdict is VERIFIED (got ${result.verdict})`);
+
+  finish();
+}
+
+if (require.main === module) {
+  testLocalSearch().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { testLocalSearch };
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for Merkle hashing versions
+ * Checks version 2 against a direct RFC 6962 implementation and that legacy
+ * (version 1) roots still verify
+ */
+
+const crypto = require('crypto');
+const MerkleTree = require('./merkle-tree');
+const { startTest } = require('./test-helpers');
+
+/**
+ * Merkle Tree Hash exactly as written in RFC 6962 section 2.1
+ */
+function rfc6962Root(entries) {
+  const sha = (...parts) => crypto.createHash('sha256').update(Buffer.concat(parts)).digest();
+  const mth = (d) => {
+    if (d.length === 1) return sha(Buffer.from([0x00]), Buffer.from(d[0]));
+    let k = 1;
+    while (k * 2 < d.length) k *= 2;
+    return sha(Buffer.from([0x01]), mth(d.slice(0, k)), mth(d.slice(k)));
+  };
+  return mth(entries).toString('hex');
+}
+
+function testMerkleTree() {
+  const { expect, finish } = startTest('🌳 MERKLE HASHING TEST');
+
+  console.log('\n📐 STEP 1: version 2 matches RFC 6962\n');
+  let rootsMatch = true;
+  let proofsVerify = true;
+  for (let n = 1; n <= 17; n++) {
+    const claims = Array.from({ length: n }, (_, i) => `claim ${i}`);
+    const tree = new MerkleTree(claims);
+    if (tree.getRoot() !== rfc6962Root(claims)) rootsMatch = false;
+    claims.forEach((claim, i) => {
+      if (!MerkleTree.verifyProof(MerkleTree.hashLeaf(claim), tree.getProof(i), tree.getRoot(), tree.version)) {
+        proofsVerify = false;
+      }
+    });
+  }
+  expect(new MerkleTree(['a']).version === MerkleTree.RFC6962_VERSION, 'new trees use version 2');
+  expect(rootsMatch, 'roots equal RFC 6962 Merkle Tree Hash for 1..17 leaves');
+  expect(proofsVerify, 'every inclusion proof verifies');
+
+  console.log('\n🛡️  STEP 2: domain separation\n');
+  const three = new MerkleTree(['x', 'y', 'z']);
+  const duplicated = new MerkleTree(['x', 'y', 'z', 'z']);
+  expect(three.getRoot() !== duplicated.getRoot(), 'duplicating the last claim changes the root');
+
+  const pair = new MerkleTree(['x', 'y']);
+  const forgedLeaf = pair.getLeafHash(0) + pair.getLeafHash(1);
+  expect(!MerkleTree.verifyProof(MerkleTree.hashLeaf(forgedLeaf), [], pair.getRoot(), pair.version),
+    'an internal node cannot be passed off as a leaf');
+
+  console.log('\n🗄️  STEP 3: legacy roots stay verifiable\n');
+  const legacy = new MerkleTree(['x', 'y', 'z'], { version: MerkleTree.LEGACY_VERSION });
+  const legacyDuplicated = new MerkleTree(['x', 'y', 'z', 'z'], { version: MerkleTree.LEGACY_VERSION });
+  const plainSha = crypto.createHash('sha256').update('z').digest('hex');
+  expect(legacy.getLeafHash(2) === plainSha, 'legacy leaf hash is plain SHA-256 of the claim');
+  expect(legacy.getRoot() === legacyDuplicated.getRoot(), 'legacy scheme reproduces its old (colliding) roots');
+  expect(MerkleTree.verifyProof(plainSha, legacy.getProof(2), legacy.getRoot(), MerkleTree.LEGACY_VERSION),
+    'legacy proof verifies with version 1');
+  expect(!MerkleTree.verifyProof(plainSha, legacy.getProof(2), legacy.getRoot(), MerkleTree.RFC6962_VERSION),
+    'legacy proof does not verify under version 2');
+  let unversioned = null;
+  try {
+    MerkleTree.verifyProof(plainSha, legacy.getProof(2), legacy.getRoot());
+  } catch (error) {
+    unversioned = error;
+  }
+  expect(unversioned && /Unsupported Merkle hashing version/.test(unversioned.message),
+    'a proof checked without a version is rejected instead of assuming one');
+
+  finish();
+}
+
+if (require.main === module) {
+  testMerkleTree();
+}
+
+module.exports = { testMerkleTree };
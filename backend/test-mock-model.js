@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the model provider layer
+ * Runs generate() and verify() end-to-end with the mock model and a local corpus:
+ * no Anthropic or Brave API key needed
+ */
+
+const path = require('path');
+const { createOfflineClaude, startTest, tempDir } = require('./test-helpers');
+const { MockModelProvider, FixtureModelProvider } = require('./model-providers');
+
+const CORPUS = {
+  'apollo-nasa.md':
+    '# Apollo 11 (NASA)\n\nApollo 11 landed on the Moon on July 20, 1969. Neil Armstrong was the mission commander.',
+  'apollo-history.md':
+    '# Apollo 11 mission history\n\nOn July 20, 1969 Apollo 11 landed on the Moon with Neil Armstrong and Buzz Aldrin.'
+};
+
+async function testMockModel() {
+  const { expect, finish } = startTest('🧪 MOCK MODEL PROVIDER TEST');
+
+  const directory = tempDir('corpus', CORPUS);
+
+  console.log('\n💬 STEP 1: generate() with the mock model\n');
+  const mock = new MockModelProvider();
+  const vc = createOfflineClaude({
+    modelProvider: mock,
+    models: { judging: 'judge-model' },
+    searchProvider: { type: 'local', directory }
+  });
+
+  const prompt = 'When did Apollo 11 land on the Moon?';
+  const searchContext = await vc.searchWeb(prompt);
+  const result = await vc.generate(prompt, { searchContext });
+  console.log(`\n  Response: ${result.text}`);
+  expect(result.text.includes('July 20, 1969'), 'mock answer is built from the search snippets');
+  expect(result.claims.length > 0, `claims were extracted (${result.claims.length})`);
+  expect(result.commitment && result.commitment.root.length === 64, 'Merkle commitment was built');
+  expect(mock.calls.map(c => c.role).join(',') === 'generation,extraction', 'generation then extraction were called');
+
+  console.log('\n🔎 STEP 2: verify() in LLM mode uses the judging model\n');
+  const verification = await vc.verify(result.claims[0], { userPrompt: prompt });
+  const judgeCall = mock.calls.find(c => c.role === 'judging');
+  expect(judgeCall && judgeCall.model === 'judge-model', 'per-role model selection reached the judge');
+  expect(verification.verdict === 'VERIFIED', `verdict is VERIFIED (got ${verification.verdict})`);
+
+  console.log('\n🧾 STEP 3: verifyAll() audits the whole answer\n');
+  const callsBefore = mock.calls.length;
+  const audit = await vc.verifyAll(result, { userPrompt: prompt }, { concurrency: 2 });
+  expect(Object.keys(audit.verdicts).length === result.claims.length, 'every claim has a verdict');
+  expect(audit.root === result.commitment.root, 'audit is tied to the commitment root');
+  expect(audit.summary.total === result.claims.length && typeof audit.summary.score === 'number',
+    `summary score computed (${audit.summary.verdict}, ${audit.summary.score}/100)`);
+  expect(mock.calls.length - callsBefore <= result.claims.length, 'at most one judge call per claim');
+
+  console.log('\n📝 STEP 4: scripted responses\n');
+  const scripted = createOfflineClaude({
+    modelProvider: new MockModelProvider({
+      responses: {
+        generation: 'Le Guin published The Left Hand of Darkness in 1969.',
+        extraction: '```json\n{"claims": [{"text": "The Left Hand of Darkness in 1969", "type": "date"}]}\n```'
+      }
+    }),
+    searchProvider: { type: 'local', directory }
+  });
+  const scriptedResult = await scripted.generate('Who wrote The Left Hand of Darkness?');
+  expect(scriptedResult.claims.length === 1 && scriptedResult.claims[0].type === 'date', 'scripted extraction is parsed');
+
+  console.log('\n📼 STEP 5: fixture record and replay\n');
+  const fixtureFile = path.join(directory, 'fixtures.json');
+  const recorder = new FixtureModelProvider({ file: fixtureFile, delegate: new MockModelProvider() });
+  const recorded = await recorder.complete({ role: 'generation', prompt: 'hello', metadata: { prompt: 'hello' } });
+  const replayer = new FixtureModelProvider({ file: fixtureFile });
+  const replayed = await replayer.complete({ role: 'generation', prompt: 'hello' });
+  expect(replayed.text === recorded.text, 'replayed response matches the recording');
+  let missed = false;
+  try {
+    await replayer.complete({ role: 'generation', prompt: 'unrecorded' });
+  } catch (err) {
+    missed = true;
+  }
+  expect(missed, 'unrecorded prompt fails loudly in replay-only mode');
+
+  finish();
+}
+
+if (require.main === module) {
+  testMockModel().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { testMockModel };
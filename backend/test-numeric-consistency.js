@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for quantity extraction and the Numeric Consistency check
+ * Wrong numbers are the false claims users catch most often
+ * Runs offline (evidence points at local files)
+ */
+
+const DeterministicVerifier = require('./deterministic-verifier');
+const { extractQuantities, sameFigure } = require('./quantities');
+const { startTest, tempDir, localSource } = require('./test-helpers');
+
+async function testNumericConsistency() {
+  const { expect, finish } = startTest('🔢 NUMERIC CONSISTENCY TEST');
+
+  const first = (text) => extractQuantities(text)[0] || {};
+
+  console.log('\n📏 STEP 1: extraction and normalization\n');
+  expect(first('It is 384,400 km away.').value === 384400000, 'thousands separators and km → metres');
+  expect(first('Population: 3.8 million.').value === 3800000, 'scale words are applied');
+  const budget = first('The budget was $25.4 billion.');
+  expect(budget.dimension === 'currency:USD' && budget.value === 25.4e9, 'currency symbol and scale');
+  expect(first('Costs reached €20m.').value === 20e6, 'short scale suffix after currency');
+  expect(first('Turnout was 45.3 percent.').dimension === 'percent', 'percent words');
+  expect(Math.round(first('Nights fall to -280 °F.').value) === -173, 'Fahrenheit converts to Celsius');
+  expect(first('About 600 million people watched.').dimension === 'count:people', 'counted noun is the unit');
+  expect(extractQuantities('Apollo 11 landed on July 20, 1969.').length === 0,
+    'names, day numbers and years are not quantities');
+  expect(extractQuantities('COVID-19 and the A380').length === 0, 'numbers inside tokens are ignored');
+
+  console.log('\n⚖️  STEP 2: tolerance\n');
+  expect(sameFigure(first('384,400 km'), first('238,855 miles')), 'same distance in different units');
+  expect(sameFigure(first('3.8 million people'), first('3,794,000 people')), 'rounded figure matches');
+  expect(!sameFigure(first('500,000 km'), first('384,400 km')), 'materially different figure does not match');
+  expect(sameFigure(first('The screen is 11 inches wide.'), first('The screen is 27.9 cm wide.')) &&
+    sameFigure(first('a 12 in. ruler'), first('a 1 foot ruler')), 'inches compare with centimetres and feet');
+  expect(first('3 in 10 people agreed.').dimension !== 'length', 'a bare "in" is not read as inches');
+  expect(!sameFigure(first('$20 million'), first('€20 million')), 'different currencies are not compared');
+  expect(sameFigure(first('3.8 million'), first('3.8 million residents')) &&
+    !sameFigure(first('3.8 million km'), first('3.8 million residents')), 'a bare count is the same kind as a counted noun');
+
+  console.log('\n🔎 STEP 3: the check\n');
+  const directory = tempDir('numbers');
+  const source = (name, snippet) => localSource(directory, name, snippet);
+  const evidence = {
+    results: [
+      source('moon', 'The Moon orbits Earth at an average distance of 384,400 km. Its diameter is 3,474 km.'),
+      source('lunar-distance', 'The average distance between Earth and the Moon is about 384,399 kilometres.'),
+      source('apollo', 'Apollo 11 cost $25.4 billion and about 600 million people watched the landing.')
+    ]
+  };
+  const verifier = new DeterministicVerifier({ profile: 'default' });
+  const check = (text) => verifier.checkNumericConsistency({ text }, evidence);
+
+  const right = await check('The Moon is about 240,000 miles from Earth.');
+  expect(right.passed && !right.critical, 'correct figure in other units passes');
+
+  const wrong = await check('The Moon is 500,000 km from Earth.');
+  expect(!wrong.passed && wrong.critical, 'figure contradicted by two sources is a critical failure');
+  expect(/consistently report/.test(wrong.reason), `reason names the conflict (${wrong.reason})`);
+
+  const single = await check('About 900 million people watched Apollo 11.');
+  expect(!single.passed && !single.critical, 'figure contradicted by one source fails without proving fraud');
+
+  const diameter = await check('The Moon has a diameter of 3,474 km.');
+  expect(diameter.passed, 'unrelated figures in the same snippet do not count against a claim');
+
+  const berlin = {
+    results: [
+      source('berlin-city', 'Berlin has a population of 2.1 million residents.'),
+      source('berlin-census', 'The Berlin census counted 2.1 million residents.'),
+      source('berlin-guide', 'About 2.1 million residents live in Berlin.')
+    ]
+  };
+  const bare = await verifier.checkNumericConsistency({ text: 'Berlin population is 3.8 million.' }, berlin);
+  expect(!bare.passed && bare.critical && bare.evidence[0].contradicting.length === 3,
+    `a count without a noun compares with counted figures (${bare.reason})`);
+  const counted = await verifier.checkNumericConsistency({ text: 'Berlin population is 2.1 million.' }, berlin);
+  expect(counted.passed, 'the matching bare count is confirmed');
+
+  const none = await check('Neil Armstrong commanded Apollo 11.');
+  expect(none.notApplicable === true, 'claims without quantities are not applicable');
+
+  const verdict = await verifier.verifyClaim({ text: 'The Moon is 500,000 km from Earth.' }, evidence);
+  expect(verdict.verdict === 'FRAUD_PROVEN' && verdict.fraudProof.failedCheck === 'Numeric Consistency',
+    'a wrong number yields a fraud proof');
+
+  finish();
+}
+
+if (require.main === module) {
+  testNumericConsistency().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { testNumericConsistency };
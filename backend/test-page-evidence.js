@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for full-page evidence retrieval
+ * Quotes and dates in the article body (not the snippet) are found, and the
+ * checks point at the paragraph that matched
+ * Runs offline (pages are served from a local HTTP server)
+ */
+
+const http = require('http');
+const path = require('path');
+const zlib = require('zlib');
+const { pathToFileURL } = require('url');
+const DeterministicVerifier = require('./deterministic-verifier');
+const { PageFetcher, extractMainText, splitPassages } = require('./page-fetcher');
+const { SnapshotStore } = require('./snapshot-store');
+const { startTest, tempDir } = require('./test-helpers');
+
+const ARTICLE = `<!doctype html>
+<html><head><title>Apollo 11</title><script>var tracking = "one small step";</script></head>
+<body>
+  <nav><a href="/">Home</a> <a href="/news">News</a></nav>
+  <article>
+    <h1>Apollo 11</h1>
+    <p>Apollo 11 was the American spaceflight that first landed humans on the Moon.</p>
+    <p>Commander Neil Armstrong and pilot Buzz Aldrin landed the lunar module Eagle on July 20, 1969.</p>
+    <p>Armstrong stepped onto the surface and said: &quot;That's one small step for a man, one giant leap for mankind.&quot;</p>
+  </article>
+  <footer>Copyright 2024 Example News</footer>
+</body></html>`;
+
+async function testPageEvidence() {
+  const { expect, finish } = startTest('📄 FULL-PAGE EVIDENCE TEST');
+
+  console.log('\n🧹 STEP 1: main text extraction\n');
+  const text = extractMainText(ARTICLE);
+  expect(text.includes('one giant leap for mankind') && text.includes('"That\'s one small step'), 'article text is extracted and decoded');
+  expect(!/Home|Copyright|tracking/.test(text), 'navigation, footer and scripts are dropped');
+  const passages = splitPassages(text);
+  expect(passages.length === 4 && passages[3].text.startsWith('Armstrong stepped'), 'one passage per paragraph');
+  expect(text.substring(passages[2].start).startsWith(passages[2].text), 'passage offsets point into the text');
+  const long = splitPassages('One sentence here. '.repeat(100).trim(), 200);
+  expect(long.length > 1 && long.every(p => p.text.length <= 200), 'long paragraphs are cut at sentence boundaries');
+
+  // Local server: /apollo (gzip), /moved → /apollo, /huge, /report.pdf, /slow (never finishes)
+  const hits = {};
+  const server = http.createServer((req, res) => {
+    hits[req.url] = (hits[req.url] || 0) + 1;
+    if (req.url === '/apollo') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Content-Encoding': 'gzip' });
+      res.end(zlib.gzipSync(ARTICLE));
+    } else if (req.url === '/moved') {
+      res.writeHead(301, { Location: '/apollo' });
+      res.end();
+    } else if (req.url === '/huge') {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('Filler text. '.repeat(20000));
+    } else if (req.url === '/slow') {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      const drip = setInterval(() => res.write('Still loading. '), 50);
+      res.on('close', () => clearInterval(drip));
+    } else if (req.url === '/report.pdf') {
+      res.writeHead(200, { 'Content-Type': 'application/pdf' });
+      res.end('%PDF-1.4');
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    console.log('\n🌐 STEP 2: fetching, limits and caching\n');
+    let clock = 0;
+    // The test server is on loopback, which is refused by default (STEP 4)
+    const fetcher = new PageFetcher({ maxBytes: 50000, cacheTtlMs: 1000, now: () => clock, allowPrivateHosts: true });
+
+    const page = await fetcher.fetch(`${base}/apollo`);
+    expect(page.ok && page.text.includes('one giant leap'), 'gzip-encoded page is fetched and extracted');
+    const moved = await fetcher.fetch(`${base}/moved`);
+    expect(moved.ok && moved.text === page.text, 'redirects are followed');
+    const huge = await fetcher.fetch(`${base}/huge`);
+    expect(huge.truncated && huge.text.length <= 50000, 'downloads stop at maxBytes');
+    const pdf = await fetcher.fetch(`${base}/report.pdf`);
+    expect(pdf.ok && pdf.text === '' && /Unsupported content type/.test(pdf.error), 'non-text pages are not parsed');
+    const missing = await fetcher.fetch(`${base}/missing`);
+    expect(!missing.ok && missing.status === 404, 'missing pages report their status');
+
+    await Promise.all([fetcher.fetch(`${base}/apollo`), fetcher.fetch(`${base}/apollo`)]);
+    expect(hits['/apollo'] === 2, 'cached pages are not downloaded again');
+    clock += 2000;
+    await fetcher.fetch(`${base}/apollo`);
+    expect(hits['/apollo'] === 3, 'cache entries expire after the TTL');
+    const fresh = new PageFetcher({ allowPrivateHosts: true });
+    await Promise.all([fresh.fetch(`${base}/report.pdf`), fresh.fetch(`${base}/report.pdf`)]);
+    expect(hits['/report.pdf'] === 2, 'concurrent fetches of one URL share a request');
+
+    console.log('\n🔎 STEP 3: checks read the whole page\n');
+    const evidence = {
+      query: 'apollo 11 armstrong quote',
+      provider: 'test',
+      results: [{ title: 'Apollo 11', snippet: 'Apollo 11 was the American spaceflight that first landed humans on the Moon.', url: `${base}/apollo` }]
+    };
+    const claim = { text: 'Neil Armstrong said "one giant leap for mankind" on July 20, 1969.' };
+
+    const snapshots = new SnapshotStore({ persist: false });
+    const verifier = new DeterministicVerifier({ snapshotStore: snapshots, pageFetcher: { cacheTtlMs: 0, allowPrivateHosts: true } });
+    const before = hits['/apollo'];
+    const result = await verifier.verifyClaim(claim, evidence);
+    const quote = result.checks.find(c => c.name === 'Quote Exact Match');
+    expect(quote.passed, 'a quote from the article body is found');
+    expect(quote.evidence[0].location.location === 'passage' && quote.evidence[0].location.passage === 3
+      && /^Armstrong stepped/.test(quote.evidence[0].location.text), 'the match points at the paragraph');
+    const temporal = result.checks.find(c => c.name === 'Temporal Consistency');
+    expect(temporal.passed && temporal.evidence[0].locations[0].passage === 2, 'a date from the article body is confirmed');
+    expect(hits['/apollo'] - before === 1, 'the URL check reuses the downloaded page');
+
+    const snippetOnly = await new DeterministicVerifier({ fetchPages: false }).verifyClaim(claim, evidence);
+    expect(!snippetOnly.checks.find(c => c.name === 'Quote Exact Match').passed, 'fetchPages: false keeps snippet-only checks');
+
+    console.log('\n🚧 STEP 4: deadlines, local files and private hosts\n');
+    const started = Date.now();
+    const slow = await new PageFetcher({ deadlineMs: 300, timeoutMs: 5000, allowPrivateHosts: true }).fetch(`${base}/slow`);
+    expect(!slow.ok && /Gave up after 300ms/.test(slow.error) && Date.now() - started < 2000,
+      `a page that keeps trickling in is cut off at the deadline, not the idle timeout (${slow.error})`);
+
+    const directory = tempDir('pages', { 'big.txt': 'Filler text. '.repeat(20000) });
+    const local = await new PageFetcher({ maxBytes: 1000 }).fetch(pathToFileURL(path.join(directory, 'big.txt')).href);
+    expect(local.ok && local.truncated && local.text.length <= 1000, 'local files are read up to maxBytes');
+
+    const guarded = new PageFetcher();
+    const contacted = hits['/apollo'];
+    const refused = await Promise.all([
+      `${base}/apollo`,
+      `http://localhost:${server.address().port}/apollo`,
+      'http://169.254.169.254/latest/meta-data/',
+      'http://[::1]/',
+      'http://10.0.0.1/'
+    ].map(url => guarded.fetch(url)));
+    expect(refused.every(result => !result.ok && /Refusing to fetch a private address/.test(result.error)),
+      'loopback, link-local and private hosts are refused');
+    expect(hits['/apollo'] === contacted, 'a refused host is never contacted');
+
+    console.log('\n⏪ STEP 5: page text is part of the snapshot\n');
+    const snapshot = snapshots.get(result.snapshotHash);
+    expect(snapshot.version >= 3 && snapshot.bodies[`${base}/apollo`].text === page.text, 'extracted page text is recorded');
+    await new Promise(resolve => server.close(resolve));
+    const replayed = await verifier.replay(result.snapshotHash);
+    expect(replayed.verdict === result.verdict && JSON.stringify(replayed.checks) === JSON.stringify(result.checks),
+      'replay reads the recorded page with the server gone');
+  } finally {
+    if (server.listening) server.close();
+  }
+
+  finish();
+}
+
+if (require.main === module) {
+  testPageEvidence().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { testPageEvidence };
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for evidence snapshots and replay
+ * Verifies claims, takes the evidence away, and checks that replay() still
+ * reproduces checks, verdict and proofHash exactly
+ * Runs offline (mock model + local corpus)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createOfflineClaude, startTest, tempDir } = require('./test-helpers');
+const { MockModelProvider } = require('./model-providers');
+const { SnapshotStore, SnapshotNotFoundError } = require('./snapshot-store');
+const { canonicalize, verifyAttestation } = require('./attestation');
+
+async function testReplay() {
+  const { expect, finish } = startTest('⏪ SNAPSHOT REPLAY TEST');
+
+  const directory = tempDir('replay', {
+    'corpus/apollo.md':
+      '# Apollo 11\n\nApollo 11 landed on the Moon on July 20, 1969. Neil Armstrong was the mission commander.',
+    'corpus/apollo-history.md':
+      '# Apollo program\n\nNeil Armstrong commanded Apollo 11, which landed on July 20, 1969.'
+  });
+  const corpus = path.join(directory, 'corpus');
+
+  const same = (a, b) => canonicalize(a) === canonicalize(b);
+
+  const snapshotDir = path.join(directory, 'snapshots');
+  const vc = createOfflineClaude({
+    deterministic: true,
+    snapshotStore: { directory: snapshotDir },
+    modelProvider: new MockModelProvider({
+      responses: { generation: 'Apollo 11 landed on the Moon on July 20, 1969. Neil Armstrong was the mission commander.' }
+    }),
+    searchProvider: { type: 'local', directory: corpus }
+  });
+
+  console.log('\n📸 STEP 1: verification captures a snapshot\n');
+  const result = await vc.generate('Tell me about Apollo 11');
+  const verified = await vc.verify(result.claims[0], { merkleRoot: result.commitment.root });
+  const quoted = await vc.verify({ text: 'Armstrong said "one small step for a penguin" on Apollo 11.' });
+  expect(/^[0-9a-f]{64}$/.test(verified.snapshotHash), 'result carries a snapshot hash');
+  expect(fs.existsSync(path.join(snapshotDir, `${verified.snapshotHash}.json`)), 'snapshot is stored under its hash');
+  const snapshot = vc.snapshots.get(verified.snapshotHash);
+  expect(snapshot.evidence.results.length === verified.evidence.length
+    && Object.keys(snapshot.urlChecks).length > 0, 'snapshot holds search results and URL outcomes');
+  expect(quoted.verdict === 'FRAUD_PROVEN' && quoted.fraudProof.proofHash, 'misquote produces a fraud proof');
+
+  console.log('\n🔌 STEP 2: replay without the evidence\n');
+  fs.rmSync(corpus, { recursive: true, force: true }); // Live URL checks would now fail
+
+  const replayed = await vc.replay(verified.snapshotHash);
+  expect(same(replayed.checks, verified.checks), 'checks reproduce exactly');
+  expect(replayed.verdict === verified.verdict && replayed.confidence === verified.confidence, 'verdict reproduces');
+  expect(replayed.merkleProofValid === verified.merkleProofValid, 'commitment check reproduces');
+  expect(replayed.snapshotHash === verified.snapshotHash, 'replay points at the same snapshot');
+  expect(same(replayed.attestation, verified.attestation), 'signed attestation reproduces bit-for-bit');
+
+  const replayedFraud = await vc.replay(quoted.snapshotHash);
+  expect(replayedFraud.fraudProof.proofHash === quoted.fraudProof.proofHash, 'proofHash reproduces');
+  expect(same(replayedFraud.fraudProof, quoted.fraudProof), 'whole fraud proof (with timestamp) reproduces');
+
+  // Later configuration: a new alias, a new critical check, pages read differently
+  const checker = vc.deterministicVerifier;
+  checker.entities.addEntity({ id: 'Q43653', name: 'Apollo 11', type: 'event', aliases: ['Armstrong'] });
+  checker.registerCheck({ name: 'Added Later', critical: true, run: async () => ({ passed: false, reason: 'New rule' }) });
+  checker.fetchPages = !checker.fetchPages;
+  const reconfigured = await vc.replay(verified.snapshotHash);
+  checker.registry.unregister('Added Later');
+  checker.fetchPages = !checker.fetchPages;
+  expect(same(reconfigured.checks, verified.checks) && same(reconfigured.attestation, verified.attestation),
+    'replay uses the recorded entity answers, check set and page settings');
+  expect(snapshot.checks.length === verified.checks.length && snapshot.pages && Object.keys(snapshot.entities.extracted).length > 0,
+    'the snapshot records the check set, page settings and entity answers');
+
+  console.log('\n✂️  STEP 3: snapshots are tamper-evident\n');
+  const file = path.join(snapshotDir, `${quoted.snapshotHash}.json`);
+  const edited = JSON.parse(fs.readFileSync(file, 'utf8'));
+  edited.evidence.results[0].snippet += ' one small step for a penguin';
+  fs.writeFileSync(file, JSON.stringify(edited));
+  let rejected = false;
+  try {
+    await vc.replay(quoted.snapshotHash);
+  } catch (err) {
+    rejected = /does not match its hash/.test(err.message);
+  }
+  expect(rejected, 'an edited snapshot is refused');
+
+  let missing = false;
+  try {
+    await vc.replay('0'.repeat(64));
+  } catch (err) {
+    missing = err instanceof SnapshotNotFoundError;
+  }
+  expect(missing, 'unknown hash raises SnapshotNotFoundError');
+  expect(verifyAttestation(replayed.attestation, vc.signer.getPublicKey().publicKey), 'replayed attestation verifies');
+
+  console.log('\n📂 STEP 4: where snapshots are kept\n');
+  const dataDir = path.join(directory, 'data');
+  const stored = new SnapshotStore({ dataDir }).put(snapshot);
+  expect(fs.existsSync(path.join(dataDir, 'snapshots', `${stored}.json`)), 'dataDir picks the snapshot directory');
+  expect(!new SnapshotStore({ dataDir: false }).persist, 'dataDir: false keeps snapshots in memory');
+  const unwritable = new SnapshotStore({ directory: path.join(file, 'snapshots') });
+  expect(unwritable.get(unwritable.put(snapshot)).claim.text === snapshot.claim.text,
+    'a snapshot that could not be saved can still be replayed by this process');
+
+  finish();
+}
+
+if (require.main === module) {
+  testReplay().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { testReplay };
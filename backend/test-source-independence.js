@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for source independence
+ * Results from one site, or syndicated copies of one wire story, count as a
+ * single source, so a copied error is not "verified" by repetition
+ * Runs offline (evidence points at local files or is checked directly)
+ */
+
+const DeterministicVerifier = require('./deterministic-verifier');
+const { groupSources, resemblance, shingles } = require('./source-independence');
+const { startTest, tempDir, localSource } = require('./test-helpers');
+
+const WIRE = 'The Golden Gate Bridge opened to traffic on May 28, 1937, after four years of construction ' +
+  'led by chief engineer Joseph Strauss, officials said on Tuesday.';
+const REWRITE = 'The Golden Gate Bridge opened to traffic on May 28, 1937 after four years of construction ' +
+  'led by chief engineer Joseph Strauss, city officials said Tuesday. (AP)';
+const OTHER = 'Joseph Strauss was the chief engineer of the Golden Gate Bridge, which opened in 1937 ' +
+  'and was then the longest suspension bridge span in the world.';
+
+async function testSourceIndependence() {
+  const { expect, finish } = startTest('🧬 SOURCE INDEPENDENCE TEST');
+
+  console.log('\n🔁 STEP 1: near-duplicate text\n');
+  expect(resemblance(shingles(WIRE), shingles(REWRITE)) >= 0.5, 'a lightly edited wire copy is a near-duplicate');
+  expect(resemblance(shingles(WIRE), shingles(OTHER)) < 0.2, 'a different article on the same topic is not');
+  expect(resemblance(shingles('Opened in 1937.'), shingles('Opened in 1937.')) === 0, 'texts too short to judge are not grouped');
+
+  console.log('\n🌐 STEP 2: grouping\n');
+  const result = (url, snippet) => ({ title: url, snippet, url });
+  const sameSite = groupSources([
+    result('https://en.example.com/a', 'First article text about one thing entirely.'),
+    result('https://www.example.com/b', 'Second article with unrelated words in it.'),
+    result('https://news.bbc.co.uk/c', 'Something else that shares no wording here.'),
+    result('https://www.bbc.co.uk/d', 'A fourth snippet with its own distinct phrasing.')
+  ]);
+  expect(sameSite.independent === 2 && sameSite.groupOf.join() === '0,0,1,1', 'results are grouped by registrable domain');
+  expect(sameSite.groups[1].reasons[0].domain === 'bbc.co.uk', 'public suffixes decide the registrable domain');
+  const blogs = groupSources([
+    result('https://alice.github.io/post', 'Notes on bridge engineering from Alice.'),
+    result('https://bob.github.io/post', 'A different writeup from Bob entirely.')
+  ]);
+  expect(blogs.independent === 2, 'sites on a hosting suffix are independent of each other');
+
+  const syndicated = [
+    result('https://wire.example.org/story', WIRE),
+    result('https://daily.example.net/story', REWRITE),
+    result('https://gazette.example.info/story', WIRE),
+    result('https://history.example.edu/bridge', OTHER)
+  ];
+  const copies = groupSources(syndicated);
+  expect(copies.independent === 2 && copies.groups[0].urls.length === 3, 'syndicated copies on different domains form one group');
+  expect(copies.groups[0].reasons.every(r => r.type === 'near-duplicate' && r.resemblance >= 0.5), 'groups say why they were merged');
+
+  console.log('\n🔎 STEP 3: checks count independent sources\n');
+  const verifier = new DeterministicVerifier({ profile: 'default', fetchPages: false });
+  const evidence = verifier.attachSourceGroups({ results: syndicated.slice(0, 3) });
+
+  const independence = await verifier.checkSourceIndependence(evidence);
+  expect(!independence.passed && /1 independent source\(s\) of 3 \(3 near-duplicates\)/.test(independence.reason),
+    'three copies of one story fail the independence check');
+  const entities = await verifier.checkEntityConsistency({ text: 'Joseph Strauss built the Golden Gate Bridge.' }, evidence);
+  const strauss = entities.evidence.find(e => e.entity === 'Joseph Strauss');
+  expect(strauss.sourcesMentioning === 3 && strauss.independentSourcesMentioning === 1 && !entities.passed,
+    'an entity repeated by copies is found in one independent source');
+  const contradictions = await verifier.checkContradictions({ text: 'The Golden Gate Bridge opened in 1936.' }, evidence);
+  expect(!contradictions.passed && !contradictions.critical, 'copies of one contradicting story are not proof of fraud');
+
+  const mixed = verifier.attachSourceGroups({ results: syndicated });
+  expect((await verifier.checkSourceIndependence(mixed)).passed, 'a second independent source passes');
+
+  console.log('\n⚖️  STEP 4: the verdict reports the independent count\n');
+  const directory = tempDir('independence');
+  const source = (name, snippet) => localSource(directory, name, snippet);
+  const local = { results: [source('wire', WIRE), source('copy', REWRITE), source('history', OTHER)] };
+  const verdict = await verifier.verifyClaim({ text: 'The Golden Gate Bridge opened in 1937.' }, local);
+  expect(verdict.totalSources === 3 && verdict.independentSources === 2, 'results carry totalSources and independentSources');
+  expect(/2 independent source\(s\) of 3/.test(verdict.reasoning), 'the reasoning states the independent count');
+
+  finish();
+}
+
+if (require.main === module) {
+  testSourceIndependence().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { testSourceIndependence };
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for date normalization and interval matching
+ * "July 20, 1969", "20 July 1969" and "1969-07-20" are the same date, and a
+ * source saying "July 20, 1969" confirms a claim about "the summer of 1969"
+ * Runs offline (evidence points at local files)
+ */
+
+const DeterministicVerifier = require('./deterministic-verifier');
+const { parseDates, compareDates } = require('./temporal');
+const { startTest, tempDir, localSource } = require('./test-helpers');
+
+async function testTemporal() {
+  const { expect, finish } = startTest('📅 TEMPORAL MATCHING TEST');
+
+  const first = (text) => parseDates(text)[0] || {};
+
+  console.log('\n🗓️  STEP 1: normalization\n');
+  const sameDay = ['July 20, 1969', '20 July 1969', '20th of July, 1969', '1969-07-20', '7/20/1969', 'Jul. 20 1969'];
+  expect(sameDay.every(text => first(text).normalized === '1969-07-20' && first(text).precision === 'day'),
+    'day formats normalize to 1969-07-20');
+  expect(first('in July 1969').normalized === '1969-07', 'month and year');
+  expect(first('the summer of 1969').normalized === '1969-06-01/1969-08-31', 'seasons are meteorological');
+  expect(first('late 1969').normalized === '1969-09-01/1969-12-31', 'early / mid / late thirds');
+  expect(first('the 1960s').normalized === '1960/1969' && first("the early '60s").start === '1960-01-01', 'decades');
+  expect(first('the 20th century').normalized === '1901/2000', 'centuries');
+  const ranges = ['1969–1972', '1969-72', 'from 1969 to 1972', 'between 1969 and 1972'];
+  expect(ranges.every(text => first(text).normalized === '1969/1972'), 'year ranges');
+  expect(first('July 16–24, 1969').normalized === '1969-07-16/1969-07-24', 'day ranges');
+  expect(parseDates('It is 2000 km wide, 2000 people live there and it cost $1969.').length === 0,
+    'measurements are not years');
+  expect(parseDates('See page 1234, pp. 1201–1234, section 1901, chapter 1999, No. 1984 and #2001.').length === 0,
+    'page, section, chapter and issue numbers are not years');
+  expect(first('It was published in 1984.').normalized === '1984', 'a year after an ordinary word is still a year');
+  expect(parseDates('Apollo 11 landed on July 20, 1969.').length === 1, 'a full date is one expression, not a day and a year');
+
+  console.log('\n↔️  STEP 2: precision-aware comparison\n');
+  expect(compareDates(first('1969'), first('July 20, 1969')) === 'confirms', 'a precise source confirms a year');
+  expect(compareDates(first('the summer of 1969'), first('20 July 1969')) === 'confirms', 'a day confirms its season');
+  expect(compareDates(first('the 1960s'), first('1969-07-20')) === 'confirms', 'a day confirms its decade');
+  expect(compareDates(first('July 20, 1969'), first('1969')) === 'compatible', 'a vaguer source is only compatible');
+  expect(compareDates(first('July 21, 1969'), first('July 20, 1969')) === 'conflicts', 'different days conflict');
+
+  console.log('\n🔎 STEP 3: the check\n');
+  const directory = tempDir('temporal');
+  const source = (name, snippet) => localSource(directory, name, snippet);
+  const evidence = {
+    results: [
+      source('nasa', 'Apollo 11 landed on the Moon on 20 July 1969.'),
+      source('archive', 'Mission date: 1969-07-20. The Eagle landed in the Sea of Tranquility.')
+    ]
+  };
+  const verifier = new DeterministicVerifier({ profile: 'default' });
+  const check = (text) => verifier.checkTemporalConsistency({ text }, evidence);
+
+  const sameDate = await check('Apollo 11 landed on July 20, 1969.');
+  expect(sameDate.passed && sameDate.evidence[0].sourcesConfirming === 2, 'differently written dates match');
+  expect(sameDate.evidence[0].normalized === '1969-07-20' && /1969-07-20/.test(sameDate.reason),
+    'the result shows the normalized form');
+  expect(sameDate.evidence[0].locations[1].matched === '1969-07-20', 'each confirmation cites what it matched');
+
+  const summer = await check('Apollo 11 landed in the summer of 1969.');
+  expect(summer.passed, 'a season is confirmed by a day inside it');
+
+  const wrongDay = await check('Apollo 11 landed on July 21, 1969.');
+  expect(!wrongDay.passed && wrongDay.evidence[0].sourcesConflicting === 2, 'a different day is not confirmed');
+
+  const vague = await verifier.checkTemporalConsistency({ text: 'Apollo 11 landed on July 20, 1969.' },
+    { results: [source('vague', 'Apollo 11 landed on the Moon in 1969.')] });
+  expect(!vague.passed && vague.evidence[0].sourcesCompatible === 1, 'a year alone does not confirm an exact day');
+
+  const distance = await check('The Moon is 2000 km from the nearest crater.');
+  expect(distance.notApplicable === true, '"2000 km" is not a temporal claim');
+
+  finish();
+}
+
+if (require.main === module) {
+  testTemporal().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { testTemporal };
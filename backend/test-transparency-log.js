@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the commitment transparency log
+ * Checks inclusion and consistency proofs the way an auditor would: with the
+ * signed tree heads and the public key only
+ * Runs offline (mock model + local corpus)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createOfflineClaude, startTest, tempDir } = require('./test-helpers');
+const { MockModelProvider } = require('./model-providers');
+const { verifyAttestation } = require('./attestation');
+const TransparencyLog = require('./transparency-log');
+
+async function testTransparencyLog() {
+  const { expect, finish } = startTest('📜 TRANSPARENCY LOG TEST');
+
+  const directory = tempDir('corpus', {
+    'apollo.md':
+      '# Apollo 11\n\nApollo 11 landed on the Moon on July 20, 1969.'
+  });
+
+  const logFile = path.join(directory, 'transparency-log.json');
+  const vc = createOfflineClaude({
+    deterministic: true,
+    transparencyLog: { file: logFile },
+    modelProvider: new MockModelProvider({
+      responses: { generation: (request) => `Apollo 11 landed on the Moon. ${request.prompt}.` }
+    }),
+    searchProvider: { type: 'local', directory }
+  });
+  const { publicKey } = vc.signer.getPublicKey();
+
+  console.log('\n📝 STEP 1: every commitment is logged\n');
+  const first = await vc.generate('Question one');
+  const oldHead = vc.log.getSignedTreeHead();
+  const results = [first];
+  for (let i = 2; i <= 6; i++) {
+    results.push(await vc.generate(`Question number ${i}`));
+  }
+  expect(vc.log.size === 6, 'six generate() calls give six log entries');
+  expect(results[3].logEntry.leafIndex === 3, 'result carries its log position');
+
+  vc.recordCommitment('Question one', first);
+  expect(vc.log.size === 6, 're-recording a root does not append it twice');
+
+  const newHead = vc.log.getSignedTreeHead();
+  expect(verifyAttestation(newHead, publicKey), 'tree head signature verifies');
+
+  console.log('\n🔎 STEP 2: inclusion proofs\n');
+  const inclusion = vc.log.getInclusionProof(results[4].commitment.root);
+  expect(inclusion.rootHash === newHead.payload.rootHash, 'proof is against the signed tree head');
+  expect(TransparencyLog.verifyInclusion(results[4].commitment.root, inclusion.proof, newHead.payload.rootHash),
+    'inclusion proof verifies');
+  const oldInclusion = vc.log.getInclusionProof(first.commitment.root, 1);
+  expect(TransparencyLog.verifyInclusion(first.commitment.root, oldInclusion.proof, oldHead.payload.rootHash),
+    'inclusion proof against an older tree head verifies');
+  expect(vc.log.getInclusionProof('c'.repeat(64)) === null, 'unknown root has no inclusion proof');
+
+  console.log('\n🔗 STEP 3: consistency proofs\n');
+  const consistency = vc.log.getConsistencyProof(oldHead.payload.treeSize, newHead.payload.treeSize);
+  expect(TransparencyLog.verifyConsistency(1, 6, oldHead.payload.rootHash, newHead.payload.rootHash, consistency.proof),
+    'old head is a prefix of the new head');
+
+  let allSizes = true;
+  for (let n = 1; n <= 6; n++) {
+    for (let m = 1; m <= n; m++) {
+      const { proof } = vc.log.getConsistencyProof(m, n);
+      if (!TransparencyLog.verifyConsistency(m, n, vc.log.rootAt(m), vc.log.rootAt(n), proof)) allSizes = false;
+    }
+  }
+  expect(allSizes, 'consistency proofs verify for every 1 ≤ m ≤ n ≤ 6');
+
+  console.log('\n✂️  STEP 4: equivocation is detected\n');
+  const rewritten = new TransparencyLog({ persist: false });
+  vc.log.getEntries().forEach((entry, i) => rewritten.append(i === 0 ? 'd'.repeat(64) : entry.root));
+  const forked = rewritten.getConsistencyProof(1, 6);
+  expect(!TransparencyLog.verifyConsistency(1, 6, oldHead.payload.rootHash, forked.secondRoot, forked.proof),
+    'a log that rewrote entry #0 fails consistency with the old head');
+  const tampered = consistency.proof.map((hash, i) => (i === 0 ? 'e'.repeat(64) : hash));
+  expect(!TransparencyLog.verifyConsistency(1, 6, oldHead.payload.rootHash, newHead.payload.rootHash, tampered),
+    'a tampered consistency proof is rejected');
+
+  console.log('\n💾 STEP 5: the log survives a restart\n');
+  const reloaded = new TransparencyLog({ file: logFile });
+  expect(reloaded.size === 6 && reloaded.rootAt() === newHead.payload.rootHash, 'reloaded log has the same root');
+
+  console.log('\n📂 STEP 6: where the log is kept\n');
+  const dataDir = path.join(directory, 'data');
+  new TransparencyLog({ dataDir }).append('f'.repeat(64));
+  expect(fs.existsSync(path.join(dataDir, 'transparency-log.json')), 'dataDir picks (and creates) the directory of the log file');
+  expect(!new TransparencyLog({ dataDir: false }).persist, 'dataDir: false keeps the log in memory');
+  const unwritable = new TransparencyLog({ file: path.join(logFile, 'transparency-log.json') });
+  const appended = unwritable.append('f'.repeat(64));
+  expect(appended.treeSize === 1 && unwritable.getInclusionProof('f'.repeat(64)),
+    'an entry that could not be saved is still served by this process');
+
+  finish();
+}
+
+if (require.main === module) {
+  testTransparencyLog().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { testTransparencyLog };
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for type-aware verification strategies
+ * Attribution claims need the author and the work in one source, relationship
+ * claims need both ends in one passage, and date claims fail critically on an
+ * unconfirmed date; the verdict records which strategy ran
+ * Runs offline (evidence points at local files)
+ */
+
+const DeterministicVerifier = require('./deterministic-verifier');
+const { SnapshotStore } = require('./snapshot-store');
+const { startTest, tempDir, localSource } = require('./test-helpers');
+
+async function testVerificationStrategies() {
+  const { expect, finish } = startTest('🧭 VERIFICATION STRATEGIES TEST');
+
+  const directory = tempDir('strategies');
+  const source = (name, snippet) => localSource(directory, name, snippet);
+
+  const snapshots = new SnapshotStore({ persist: false });
+  const verifier = new DeterministicVerifier({
+    profile: 'default',
+    snapshotStore: snapshots,
+    strategies: [{ name: 'number', types: ['number'], weights: { 'Numeric Consistency': 3 } }]
+  });
+
+  console.log('\n🔀 STEP 1: selection\n');
+  const select = (claim, requested) => verifier.strategies.select(claim, requested).name;
+  expect(select({ type: 'attribution' }) === 'attribution' && select({ type: 'date' }) === 'date', 'claim.type picks the strategy');
+  expect(select({ type: 'name' }) === 'default' && select({}) === 'default', 'other and missing types get the default strategy');
+  expect(select({ type: 'date' }, 'relationship') === 'relationship', 'an explicit strategy wins over the type');
+  expect(select({ type: 'number' }) === 'number', 'deployments can register their own strategies');
+  let unknown = null;
+  try {
+    select({}, 'astrology');
+  } catch (error) {
+    unknown = error;
+  }
+  expect(unknown && /Unknown verification strategy/.test(unknown.message), 'unknown strategy names are rejected');
+
+  console.log('\n✍️  STEP 2: attribution\n');
+  const novel = source('novel', 'Le Guin published The Left Hand of Darkness in 1969.');
+  const bio = source('bio', 'Ursula K. Le Guin was an American author of science fiction.');
+  const book = source('book', 'The Left Hand of Darkness won the Hugo and Nebula awards.');
+  const claim = { text: 'Ursula K. Le Guin wrote "The Left Hand of Darkness".', type: 'attribution' };
+
+  const together = await verifier.checkAttribution(claim, { results: [bio, novel] });
+  expect(together.passed && together.evidence[0].locations[0].matched === 'Le Guin', 'author and work named in one source');
+  const apart = await verifier.checkAttribution(claim, { results: [bio, book] });
+  expect(!apart.passed && /No source names Ursula K\. Le Guin together with/.test(apart.reason),
+    'author and work on different pages do not confirm the attribution');
+  const verdict = await verifier.verifyClaim(claim, { results: [bio, novel] });
+  expect(verdict.strategy === 'attribution' && verdict.checks.some(c => c.name === 'Attribution Co-occurrence' && c.weight === 2),
+    'the attribution strategy adds its check and the verdict names it');
+
+  console.log('\n🔗 STEP 3: relationship\n');
+  const mission = source('mission', 'Neil Armstrong commanded the Apollo 11 mission.');
+  const selection = source('selection', 'NASA selected Armstrong as an astronaut in 1962.');
+  const agency = source('agency', 'NASA selected nine new astronauts in 1962.');
+  const hired = { text: 'Neil Armstrong was hired by NASA in 1962.', type: 'relationship' };
+  const linked = await verifier.checkRelationship(hired, { results: [mission, selection] });
+  expect(linked.passed && linked.evidence[0].locations[0].matched.join() === 'Armstrong,NASA', 'both ends in one passage');
+  const unlinked = await verifier.checkRelationship(hired, { results: [mission, agency] });
+  expect(!unlinked.passed, 'each end mentioned only on its own is not a relationship');
+
+  console.log('\n📅 STEP 4: date claims\n');
+  const landing = source('landing', 'Apollo 11 landed on the Moon in July 1969.');
+  const dated = { text: 'Apollo 11 landed on the Moon on July 21, 1969.', type: 'date' };
+  const strict = await verifier.verifyClaim(dated, { results: [landing] });
+  expect(strict.strategy === 'date' && strict.verdict === 'FRAUD_PROVEN' && strict.fraudProof.failedCheck === 'Temporal Consistency',
+    'an unconfirmed date is critical under the date strategy');
+  const lenient = await verifier.verifyClaim(dated, { results: [landing] }, { strategy: 'default' });
+  expect(lenient.strategy === 'default' && !lenient.checks.find(c => c.name === 'Temporal Consistency').critical,
+    'the same claim under the default strategy is not');
+
+  const replayed = await verifier.replay(strict.snapshotHash);
+  expect(replayed.strategy === 'date' && replayed.verdict === strict.verdict, 'replays run the recorded strategy');
+
+  finish();
+}
+
+if (require.main === module) {
+  testVerificationStrategies().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { testVerificationStrategies };
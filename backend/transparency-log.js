@@ -0,0 +1,256 @@
+const fs = require('fs');
+const path = require('path');
+const MerkleTree = require('./merkle-tree');
+const { persistent, dataPath } = require('./data-dir');
+
+/**
+ * Transparency Log (Certificate Transparency style)
+ *
+ * Append-only log of every commitment root issued by generate(). The log is
+ * itself an RFC 6962 Merkle tree (version 2 hashing), so it can serve:
+ * - inclusion proofs: commitment X is entry i of the tree of size n
+ * - consistency proofs: the tree of size m is a prefix of the tree of size n,
+ *   i.e. nothing logged before was dropped or rewritten
+ * - signed tree heads (STH) that auditors fetch periodically and compare
+ */
+class TransparencyLog {
+
+  constructor(options = {}) {
+    // persist: false (or dataDir: false) keeps the log in memory only (tests, serverless)
+    this.persist = persistent(options, options.file);
+    this.file = options.file || process.env.TRANSPARENCY_LOG_FILE || dataPath(options, 'transparency-log.json');
+    this.signer = options.signer || null;
+    this.entries = this.load();
+    this.indexByRoot = new Map(this.entries.map((entry, index) => [entry.root, index]));
+    this.leafHashes = this.entries.map(entry => MerkleTree.hashLeaf(entry.root, MerkleTree.RFC6962_VERSION));
+  }
+
+  /**
+   * Load log entries from disk
+   */
+  load() {
+    if (!this.persist) return [];
+
+    try {
+      if (fs.existsSync(this.file)) {
+        const entries = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        console.log(`📜 Loaded transparency log (${entries.length} entries)`);
+        return entries;
+      }
+    } catch (error) {
+      console.log('⚠️  Could not load transparency log:', error.message);
+    }
+    return [];
+  }
+
+  /**
+   * Save log entries to disk
+   */
+  save() {
+    if (!this.persist) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(this.file, JSON.stringify(this.entries, null, 2));
+    } catch (error) {
+      // The entries stay in memory, so this process still serves heads and proofs for them
+      console.error('Could not save transparency log, keeping it in memory:', error.message);
+    }
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  /**
+   * Append a commitment root (idempotent: a root is logged once)
+   * Returns { leafIndex, treeSize }
+   */
+  append(root, timestamp = new Date().toISOString()) {
+    if (this.indexByRoot.has(root)) {
+      return { leafIndex: this.indexByRoot.get(root), treeSize: this.size };
+    }
+
+    const leafIndex = this.entries.length;
+    this.entries.push({ root, timestamp });
+    this.indexByRoot.set(root, leafIndex);
+    this.leafHashes.push(MerkleTree.hashLeaf(root, MerkleTree.RFC6962_VERSION));
+    this.save();
+
+    console.log(`📜 Logged commitment ${root.substring(0, 16)}... as entry #${leafIndex}`);
+    return { leafIndex, treeSize: this.size };
+  }
+
+  /**
+   * Root hash of the first `treeSize` entries
+   */
+  rootAt(treeSize = this.size) {
+    this.checkTreeSize(treeSize);
+    if (treeSize === 0) return null;
+    return this.subtreeHash(0, treeSize);
+  }
+
+  /**
+   * Signed tree head for the current size
+   */
+  getSignedTreeHead() {
+    const head = {
+      type: 'tree-head',
+      treeSize: this.size,
+      rootHash: this.rootAt(this.size),
+      merkleVersion: MerkleTree.RFC6962_VERSION,
+      timestamp: new Date().toISOString()
+    };
+    return this.signer ? this.signer.sign(head) : { payload: head };
+  }
+
+  /**
+   * Entries in [start, end)
+   */
+  getEntries(start = 0, end = this.size) {
+    return this.entries
+      .slice(start, end)
+      .map((entry, offset) => ({ leafIndex: start + offset, ...entry }));
+  }
+
+  /**
+   * Inclusion proof for a commitment root in the tree of size `treeSize`
+   */
+  getInclusionProof(root, treeSize = this.size) {
+    this.checkTreeSize(treeSize);
+    const leafIndex = this.indexByRoot.get(root);
+    if (leafIndex === undefined || leafIndex >= treeSize) {
+      return null;
+    }
+
+    const tree = new MerkleTree(this.entries.slice(0, treeSize).map(e => e.root), {
+      version: MerkleTree.RFC6962_VERSION
+    });
+
+    return {
+      root,
+      leafIndex,
+      treeSize,
+      leafHash: tree.getLeafHash(leafIndex),
+      proof: tree.getProof(leafIndex),
+      rootHash: tree.getRoot()
+    };
+  }
+
+  /**
+   * Consistency proof between tree sizes `first` and `second` (RFC 6962 2.1.2)
+   */
+  getConsistencyProof(first, second = this.size) {
+    this.checkTreeSize(second);
+    if (!Number.isInteger(first) || first < 1 || first > second) {
+      throw new RangeError(`Invalid consistency range: ${first} → ${second}`);
+    }
+
+    return {
+      first,
+      second,
+      firstRoot: this.rootAt(first),
+      secondRoot: this.rootAt(second),
+      proof: this.subproof(first, 0, second, true)
+    };
+  }
+
+  /**
+   * SUBPROOF(m, D[start:end], b) from RFC 6962
+   */
+  subproof(m, start, end, complete) {
+    const n = end - start;
+    if (m === n) {
+      return complete ? [] : [this.subtreeHash(start, end)];
+    }
+
+    const k = largestPowerOfTwoBelow(n);
+    if (m <= k) {
+      return [...this.subproof(m, start, start + k, complete), this.subtreeHash(start + k, end)];
+    }
+    return [...this.subproof(m - k, start + k, end, false), this.subtreeHash(start, start + k)];
+  }
+
+  /**
+   * Merkle Tree Hash of D[start:end]
+   */
+  subtreeHash(start, end) {
+    const n = end - start;
+    if (n === 1) return this.leafHashes[start];
+
+    const k = largestPowerOfTwoBelow(n);
+    return MerkleTree.hashNode(
+      this.subtreeHash(start, start + k),
+      this.subtreeHash(start + k, end),
+      MerkleTree.RFC6962_VERSION
+    );
+  }
+
+  checkTreeSize(treeSize) {
+    if (!Number.isInteger(treeSize) || treeSize < 0 || treeSize > this.size) {
+      throw new RangeError(`Tree size ${treeSize} is outside the log (size ${this.size})`);
+    }
+  }
+
+  /**
+   * Verify a consistency proof between two tree heads (RFC 9162 2.1.4.2)
+   * Standalone: only needs the two sizes, the two roots and the proof
+   */
+  static verifyConsistency(first, second, firstRoot, secondRoot, proof) {
+    if (first === second) {
+      return proof.length === 0 && firstRoot === secondRoot;
+    }
+    if (first < 1 || first > second || proof.length === 0) {
+      return false;
+    }
+
+    const hash = (left, right) => MerkleTree.hashNode(left, right, MerkleTree.RFC6962_VERSION);
+    const path = (first & (first - 1)) === 0 ? [firstRoot, ...proof] : [...proof];
+
+    let fn = first - 1;
+    let sn = second - 1;
+    while (fn & 1) {
+      fn >>= 1;
+      sn >>= 1;
+    }
+
+    let fr = path[0];
+    let sr = path[0];
+    for (const c of path.slice(1)) {
+      if (sn === 0) return false;
+
+      if ((fn & 1) || fn === sn) {
+        fr = hash(c, fr);
+        sr = hash(c, sr);
+        if (!(fn & 1)) {
+          while (!(fn & 1) && fn !== 0) {
+            fn >>= 1;
+            sn >>= 1;
+          }
+        }
+      } else {
+        sr = hash(sr, c);
+      }
+      fn >>= 1;
+      sn >>= 1;
+    }
+
+    return sn === 0 && fr === firstRoot && sr === secondRoot;
+  }
+
+  /**
+   * Verify an inclusion proof returned by getInclusionProof()
+   */
+  static verifyInclusion(root, proof, rootHash) {
+    const leafHash = MerkleTree.hashLeaf(root, MerkleTree.RFC6962_VERSION);
+    return MerkleTree.verifyProof(leafHash, proof, rootHash, MerkleTree.RFC6962_VERSION);
+  }
+}
+
+function largestPowerOfTwoBelow(n) {
+  let k = 1;
+  while (k * 2 < n) k *= 2;
+  return k;
+}
+
+module.exports = TransparencyLog;
@@ -10,14 +10,24 @@
  */
 
 require('dotenv').config();
-const Anthropic = require('@anthropic-ai/sdk');
-const axios = require('axios');
 const MerkleTree = require('./merkle-tree');
 const DeterministicVerifier = require('./deterministic-verifier');
-
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
+const CommitmentStore = require('./commitment-store');
+const TransparencyLog = require('./transparency-log');
+const { DisputeRegistry } = require('./dispute-registry');
+const { SnapshotStore } = require('./snapshot-store');
+const { Signer, digest } = require('./attestation');
+const { anchorClaims, claimLeaf, ANCHORED_LEAF_FORMAT } = require('./claim-anchoring');
+const { RuleBasedClaimExtractor, CLAIM_TYPES } = require('./claim-extractor');
+const { canonicalizeClaims } = require('./claim-canonicalizer');
+const {
+  wrapUntrusted, scanEvidence, parseModelJson, partitionItems, UNTRUSTED_NOTICE,
+  JUDGE_VERDICT_SCHEMA, CLAIM_EXTRACTION_SCHEMA, EXTRACTED_CLAIM_SCHEMA
+} = require('./prompt-guard');
+const { createSearchProvider } = require('./search-providers');
+const { splitPassages } = require('./page-fetcher');
+const { createModelProvider, resolveModels } = require('./model-providers');
+const { CacheStore, createCacheStore } = require('./cache-store');
 
 // ============================================================================
 // CLAIM DETECTION
@@ -33,19 +43,31 @@ const anthropic = new Anthropic({
  */
 class ClaimDetector {
   
-  constructor() {
-    this.useAdvancedDetection = true; // Toggle for AI-powered detection
+  constructor(options = {}) {
+    // "ai" asks the extraction model (rules are the fallback), "rules" runs offline only
+    const mode = options.mode || process.env.CLAIM_EXTRACTION || 'ai';
+    if (!['ai', 'rules'].includes(mode)) {
+      throw new Error(`Unknown claim extraction mode: ${mode}`);
+    }
+    this.useAdvancedDetection = mode === 'ai'; // Toggle for AI-powered detection
+    this.extractor = new RuleBasedClaimExtractor();
+    this.llm = options.llm || createModelProvider(options.modelProvider);
+    this.model = options.model || resolveModels().extraction;
   }
   
   /**
    * Detect claims using AI classification (more accurate)
+   * Every claim is anchored to its characters in the text (start, end, sentence);
+   * claims that can't be found in the text are dropped.
    */
   async detectClaims(text) {
-    if (this.useAdvancedDetection) {
-      return await this.detectClaimsWithAI(text);
-    } else {
-      return this.detectClaimsWithPatterns(text);
-    }
+    const detected = this.useAdvancedDetection
+      ? await this.detectClaimsWithAI(text)
+      : this.detectClaimsWithRules(text);
+
+    const { claims, dropped } = anchorClaims(text, detected);
+    dropped.forEach(claim => console.log(`⚠️  Dropping claim not found in the response: "${claim.text.substring(0, 60)}"`));
+    return claims.map((claim, index) => ({ ...claim, id: `claim_${index}` }));
   }
   
   /**
@@ -57,7 +79,9 @@ class ClaimDetector {
     const prompt = `Extract individual factual claims from this text. Each claim must be SHORT (under 20 words) and verifiable.
 
 TEXT:
-"${text}"
+${wrapUntrusted(text, { kind: 'response' })}
+
+${UNTRUSTED_NOTICE}
 
 CRITICAL RULES:
 - Extract SHORT, ATOMIC facts - each claim must be ONE specific fact
@@ -90,39 +114,26 @@ Output:
 Extract ONLY short, individual facts. Return many small claims, not one big claim.`;
 
     try {
-      const response = await anthropic.messages.create({
-        model: 'claude-sonnet-4-20250514', // Use Sonnet to save costs
-        max_tokens: 2000,
-        messages: [{
-          role: 'user',
-          content: prompt
-        }]
+      const response = await this.llm.complete({
+        role: 'extraction',
+        model: this.model,
+        maxTokens: 2000,
+        prompt,
+        metadata: { text }
       });
 
-      // Strip markdown code blocks if present (very robust)
-      let jsonText = response.content[0].text.trim();
-
-      // Log what we received
-      console.log('Raw response first 200 chars:', jsonText.substring(0, 200));
-
-      // More aggressive cleaning
-      if (jsonText.includes('```')) {
-        // Find the JSON content between code blocks
-        const match = jsonText.match(/```(?:json)?\s*\n?([\s\S]*?)\n?```/);
-        if (match) {
-          jsonText = match[1].trim();
-        } else {
-          // Fallback: just remove all ```
-          jsonText = jsonText.replace(/```(?:json)?/g, '').trim();
-        }
-      }
+      console.log('Raw response first 200 chars:', response.text.trim().substring(0, 200));
 
-      console.log('Cleaned JSON first 200 chars:', jsonText.substring(0, 200));
+      // One JSON object (optionally fenced) matching the schema, or the rules take over
+      const result = parseModelJson(response.text, CLAIM_EXTRACTION_SCHEMA);
 
-      const result = JSON.parse(jsonText);
+      // A malformed item is dropped on its own instead of discarding the whole answer
+      const { valid, rejected } = partitionItems(result.claims, EXTRACTED_CLAIM_SCHEMA);
+      rejected.forEach(({ errors }) => console.log(`⚠️  Skipping malformed claim: ${errors.join('; ')}`));
 
       // Convert to our claim format and filter out overly long claims
-      const claims = result.claims
+      const claims = valid
+        .filter(claim => claim.text.trim().length > 0)
         .filter(claim => {
           // Reject claims that are too long (likely the entire text)
           const wordCount = claim.text.split(/\s+/).length;
@@ -135,7 +146,7 @@ Extract ONLY short, individual facts. Return many small claims, not one big clai
         .map((claim, index) => ({
           id: `claim_${index}`,
           text: claim.text,  // Keep original text with markdown for matching
-          type: claim.type,
+          type: CLAIM_TYPES.includes(claim.type) ? claim.type : this.extractor.classify(claim.text),
           confidence: 'MEDIUM',
           verified: false,
           evidence: null
@@ -146,84 +157,25 @@ Extract ONLY short, individual facts. Return many small claims, not one big clai
       return claims;
       
     } catch (error) {
-      console.error('AI claim detection failed, falling back to patterns:', error.message);
-      return this.detectClaimsWithPatterns(text);
+      console.error('AI claim detection failed, falling back to rules:', error.message);
+      return this.detectClaimsWithRules(text);
     }
   }
   
   /**
-   * Pattern-based detection (fallback)
+   * Rule-based detection (offline mode and fallback), see claim-extractor.js
    */
-  detectClaimsWithPatterns(text) {
-    const claims = [];
-    
-    // Split into sentences
-    const sentences = text.match(/[^.!?]+[.!?]+/g) || [];
-    
-    sentences.forEach((sentence, index) => {
-      const claim = this.analyzeSentence(sentence, index);
-      if (claim) {
-        claims.push(claim);
-      }
-    });
-    
-    return claims;
-  }
-  
-  /**
-   * Analyze if a sentence is a factual claim
-   */
-  analyzeSentence(sentence, index) {
-    const trimmed = sentence.trim();
-    
-    // Skip if it's clearly opinion/interpretation
-    const opinionMarkers = [
-      'I think', 'I believe', 'In my opinion', 'It seems',
-      'Perhaps', 'Maybe', 'Possibly', 'Could be'
-    ];
-    
-    const isOpinion = opinionMarkers.some(marker => 
-      trimmed.toLowerCase().includes(marker.toLowerCase())
-    );
-    
-    if (isOpinion) return null;
-    
-    // Detect factual claim patterns
-    const factualPatterns = [
-      // Dates and numbers
-      /\b(published|written|released|born|died|launched)\s+(on\s+)?(\w+\s+)?\d{1,2},?\s+\d{4}\b/i,
-      /\b\d{4}\b.*\b(book|novel|work|publication|mission)\b/i,
-      
-      // Definitive statements about entities
-      /\b(is|was|are|were)\s+(a|an|the)\s+\w+/i,
-      
-      // Names and roles
-      /\b[A-Z][a-z]+\s+[A-Z][a-z]+\s+(was|is|served as)\b/i,
-      
-      // Author attributions
-      /\bby\s+[A-Z][a-z]+\s+[A-Z][a-z]+/,
-      /\b(written|authored|created)\s+by\b/i,
-      
-      // Titles and names
-      /["'][^"']+["']/,  // Quoted titles
-      
-      // Locations and places
-      /\b(set|takes place|located|landed)\s+in\s+[A-Z]/i,
-    ];
-    
-    const hasFactualPattern = factualPatterns.some(pattern => 
-      pattern.test(trimmed)
-    );
-    
-    if (!hasFactualPattern) return null;
-
-    return {
+  detectClaimsWithRules(text) {
+    const claims = this.extractor.extract(text).map((claim, index) => ({
       id: `claim_${index}`,
-      text: trimmed,  // Keep original text with markdown for matching
+      text: claim.text,
+      type: claim.type,
       confidence: 'MEDIUM',
       verified: false,
       evidence: null
-    };
+    }));
+    console.log(`✓ Extracted ${claims.length} factual claims (rules)`);
+    return claims;
   }
 }
 
@@ -237,23 +189,36 @@ Extract ONLY short, individual facts. Return many small claims, not one big clai
  */
 class ClaimVerifier {
   
-  constructor() {
-    this.searchCache = new Map();
+  constructor(options = {}) {
+    // Search results live in the "search" namespace of the shared cache store
+    this.cache = options.cache instanceof CacheStore ? options.cache : createCacheStore({ backend: 'memory' });
+    this.pendingSearches = new Map(); // In-flight searches, shared by concurrent claims
+    this.searchProvider = createSearchProvider(options.searchProvider);
+    this.llm = options.llm || createModelProvider(options.modelProvider);
+    this.model = options.model || resolveModels().judging;
   }
   
   /**
    * Verify a claim by searching for evidence
    * Returns: VERIFIED | UNCERTAIN | FALSE
    */
-  async verifyClaim(claim, context = {}) {
+  async verifyClaim(claim, context = {}, options = {}) {
     console.log(`🔍 Verifying claim: "${claim.text}"`);
+    const emit = progressEmitter(options.onProgress);
     
     try {
       // Search for evidence
-      const evidence = await this.searchForEvidence(claim.text, context);
+      emit('evidenceGathering', 'in-progress');
+      const evidence = withSubmittedEvidence(await this.searchForEvidence(claim.text, context), context.submittedEvidence);
+      emit('evidenceGathering', 'completed', {
+        sourcesFound: evidence.results?.length || 0,
+        searchQuery: evidence.query
+      });
       
       // Compare claim to evidence
+      emit('judging', 'in-progress');
       const verdict = await this.compareClaimToEvidence(claim.text, evidence);
+      emit('judging', 'completed', { verdict: verdict.status });
       
       return {
         claim: claim.text,
@@ -276,7 +241,7 @@ class ClaimVerifier {
   }
   
   /**
-   * Search for evidence using Brave Search API
+   * Search for evidence using the configured search provider
    */
   async searchForEvidence(claimText, context) {
     console.log(`📡 Searching for: "${claimText}"`);
@@ -286,41 +251,41 @@ class ClaimVerifier {
     
     // Check cache first
     const cacheKey = query.toLowerCase();
-    if (this.searchCache.has(cacheKey)) {
+    const cached = this.cache.get('search', cacheKey);
+    if (cached) {
       console.log('✓ Using cached results');
-      return this.searchCache.get(cacheKey);
+      return cached;
+    }
+    if (this.pendingSearches.has(cacheKey)) {
+      console.log('✓ Joining in-flight search');
+      return this.pendingSearches.get(cacheKey);
     }
     
+    const pending = this.runSearch(query);
+    this.pendingSearches.set(cacheKey, pending);
+    try {
+      const results = await pending;
+      if (!results.error) {
+        this.cache.set('search', cacheKey, results);
+      }
+      return results;
+    } finally {
+      this.pendingSearches.delete(cacheKey);
+    }
+  }
+  
+  /**
+   * Run a single provider search, never throwing
+   */
+  async runSearch(query) {
     try {
-      // Call Brave Search API
-      const response = await axios.get('https://api.search.brave.com/res/v1/web/search', {
-        headers: {
-          'Accept': 'application/json',
-          'Accept-Encoding': 'gzip',
-          'X-Subscription-Token': process.env.BRAVE_API_KEY
-        },
-        params: {
-          q: query,
-          count: 5, // Get top 5 results
-          text_decorations: false,
-          search_lang: 'en'
-        }
-      });
-      
-      // Extract useful information from results
       const results = {
         query,
-        results: (response.data.web?.results || []).map(result => ({
-          title: result.title,
-          snippet: result.description,
-          url: result.url
-        }))
+        provider: this.searchProvider.name,
+        results: await this.searchProvider.search(query, { count: 5 }) // Get top 5 results
       };
       
-      console.log(`✓ Found ${results.results.length} search results`);
-      
-      // Cache the results
-      this.searchCache.set(cacheKey, results);
+      console.log(`✓ Found ${results.results.length} search results (${this.searchProvider.name})`);
       
       return results;
       
@@ -330,6 +295,7 @@ class ClaimVerifier {
       // Fallback to empty results if search fails
       return {
         query,
+        provider: this.searchProvider.name,
         results: [],
         error: 'Search failed'
       };
@@ -387,20 +353,24 @@ class ClaimVerifier {
     });
     console.log('');
     
-    const contextInfo = evidence.query ? `\n\nORIGINAL CONTEXT: The user asked about "${evidence.query.split(' ').slice(0, 10).join(' ')}"` : '';
+    const contextInfo = evidence.query
+      ? `\n\nORIGINAL CONTEXT: The user asked about:\n${wrapUntrusted(evidence.query.split(' ').slice(0, 10).join(' '), { kind: 'query' })}`
+      : '';
 
     const prompt = `You are a fact-checker. A claim was made, and we found some evidence.
 Your job is to determine if the evidence supports, contradicts, or is uncertain about the claim.${contextInfo}
 
-CLAIM: "${claimText}"
+CLAIM:
+${wrapUntrusted(claimText, { kind: 'claim' })}
 
 EVIDENCE FOUND:
 ${evidence.results.map((r, i) => `
-Source ${i + 1}: ${r.title}
-URL: ${r.url}
-Content: ${r.snippet}
+Source ${i + 1}:
+${wrapUntrusted(`${r.title}\n${r.snippet}`, { kind: 'evidence', source: i + 1, url: r.url })}
 `).join('\n')}
 
+${UNTRUSTED_NOTICE}
+
 Respond in JSON format:
 {
   "status": "VERIFIED" | "FALSE" | "UNCERTAIN",
@@ -416,32 +386,163 @@ Rules:
 Be strict. If multiple sources agree, increase confidence. If sources conflict, mark UNCERTAIN.`;
 
     try {
-      const response = await anthropic.messages.create({
-        model: 'claude-sonnet-4-20250514',
-        max_tokens: 500,
-        messages: [{
-          role: 'user',
-          content: prompt
-        }]
+      const response = await this.llm.complete({
+        role: 'judging',
+        model: this.model,
+        maxTokens: 500,
+        prompt,
+        metadata: { claim: claimText, evidence: evidence.results }
       });
       
-      const result = JSON.parse(response.content[0].text);
+      const result = parseModelJson(response.text, JUDGE_VERDICT_SCHEMA);
       console.log(`✓ Verdict: ${result.status} (${result.confidence}% confidence)`);
       console.log(`  Reasoning: ${result.reasoning}`);
       
       return result;
       
     } catch (error) {
-      console.error('Evidence comparison failed:', error);
+      console.error('⚠️  Evidence comparison failed:', error.message);
       return {
         status: 'UNCERTAIN',
         confidence: 0,
-        reasoning: 'Could not analyze evidence'
+        reasoning: error.name === 'ModelOutputError'
+          ? 'The judge returned an invalid verdict'
+          : 'Could not analyze evidence'
       };
     }
   }
 }
 
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+class CommitmentNotFoundError extends Error {
+  constructor(root) {
+    super(`Commitment not found: ${root}`);
+    this.name = 'CommitmentNotFoundError';
+    this.root = root;
+  }
+}
+
+// ============================================================================
+// PROGRESS + BATCH HELPERS
+// ============================================================================
+
+const DEFAULT_BATCH_CONCURRENCY = 3;
+
+/**
+ * Wrap an optional onProgress callback into emit(stage, status, data)
+ * A failing listener never breaks the verification itself
+ */
+/**
+ * Search results plus the snippets submitted in a dispute, marked with who
+ * submitted them (bare URLs carry no text to check and are left out)
+ */
+function withSubmittedEvidence(evidence, submitted = []) {
+  const items = submitted
+    .filter(item => item.snippet)
+    .map(({ url, title, snippet, side, submittedBy }) => ({ title: title || url || 'Submitted evidence', url, snippet, submitted: { side, submittedBy } }));
+  if (items.length === 0) return evidence;
+  return { ...evidence, results: [...(evidence.results || []), ...items] };
+}
+
+function progressEmitter(onProgress) {
+  if (typeof onProgress !== 'function') return () => {};
+  return (stage, status, data) => {
+    try {
+      onProgress({ stage, status, data, timestamp: new Date().toISOString() });
+    } catch (error) {
+      console.error('Progress listener failed:', error.message);
+    }
+  };
+}
+
+/**
+ * Map over items running at most `limit` async calls at a time (order preserved)
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+/**
+ * Verdict of a repeated or compound committed claim from claims already verified, or null
+ * verdicts are keyed by committed claim id.
+ *
+ * A repeat takes the verdict of its first occurrence. A compound claim is
+ * FALSE / FRAUD_PROVEN when one of its parts is, VERIFIED when all are, else
+ * UNCERTAIN; when a part has no usable verdict the claim is verified itself.
+ */
+function reuseVerdicts(claim, verdicts) {
+  const sources = claim.duplicateOf ? [claim.duplicateOf] : claim.children;
+  const reused = sources.map(id => verdicts[id]);
+  if (reused.some(v => !v || v.verdict === 'ERROR')) return null;
+
+  const failed = reused.find(v => v.verdict === 'FRAUD_PROVEN') || reused.find(v => v.verdict === 'FALSE');
+  let verdict = 'UNCERTAIN';
+  if (failed) {
+    verdict = failed.verdict;
+  } else if (reused.every(v => v.verdict === 'VERIFIED')) {
+    verdict = 'VERIFIED';
+  }
+
+  return {
+    claim: claim.text,
+    verdict,
+    confidence: Math.min(...reused.map(v => v.confidence || 0)),
+    evidence: reused.flatMap(v => v.evidence || []),
+    reasoning: claim.duplicateOf
+      ? `Same claim as ${claim.duplicateOf}: ${reused[0].reasoning || verdict}`
+      : `Derived from its parts: ${sources.map((id, i) => `${id} ${reused[i].verdict}`).join(', ')}`,
+    derivedFrom: sources
+  };
+}
+
+/**
+ * Aggregate per-claim verdicts into a response-level score
+ * VERIFIED counts fully, UNCERTAIN half, FALSE / FRAUD_PROVEN / ERROR not at all
+ */
+function summarizeVerdicts(verifications) {
+  const counts = { VERIFIED: 0, UNCERTAIN: 0, FALSE: 0, FRAUD_PROVEN: 0, ERROR: 0 };
+  verifications.forEach(v => {
+    counts[v.verdict] = (counts[v.verdict] || 0) + 1;
+  });
+
+  const total = verifications.length;
+  const score = total > 0
+    ? Math.round(((counts.VERIFIED + counts.UNCERTAIN * 0.5) / total) * 100)
+    : 0;
+
+  let verdict = 'UNCERTAIN';
+  if (counts.FALSE + counts.FRAUD_PROVEN > 0) {
+    verdict = 'DISPUTED';
+  } else if (total > 0 && counts.VERIFIED === total) {
+    verdict = 'VERIFIED';
+  }
+
+  return {
+    total,
+    verified: counts.VERIFIED,
+    uncertain: counts.UNCERTAIN,
+    false: counts.FALSE,
+    fraudProven: counts.FRAUD_PROVEN,
+    errors: counts.ERROR,
+    score,
+    verdict
+  };
+}
+
 // ============================================================================
 // VERIFIABLE CLAUDE WRAPPER
 // ============================================================================
@@ -452,57 +553,84 @@ Be strict. If multiple sources agree, increase confidence. If sources conflict,
 class VerifiableClaude {
   
   constructor(options = {}) {
-    this.detector = new ClaimDetector();
-    this.verifier = new ClaimVerifier();
-    this.deterministicVerifier = new DeterministicVerifier();
+    // One model provider shared by every role; each role can use its own model
+    this.llm = createModelProvider(options.modelProvider);
+    this.models = resolveModels(options.models);
+
+    // Cache of responses, verdicts and search results (see cache-store.js).
+    // cache: false keeps only an in-memory search cache; an object picks the
+    // backend, TTLs and size; cacheFile is the older way to name the file
+    if (options.cache instanceof CacheStore) {
+      this.cache = options.cache;
+    } else if (options.cache === false) {
+      this.cache = createCacheStore({ backend: 'memory', ttls: { generation: 0, verification: 0 } });
+    } else {
+      this.cache = createCacheStore({
+        ...(options.cacheFile && { file: options.cacheFile }),
+        ...(typeof options.cache === 'object' && options.cache)
+      });
+    }
+
+    this.detector = new ClaimDetector({ llm: this.llm, model: this.models.extraction, mode: options.claimExtraction });
+    this.verifier = new ClaimVerifier({
+      cache: this.cache,
+      searchProvider: options.searchProvider,
+      llm: this.llm,
+      model: this.models.judging
+    });
+
+    // Content-addressed evidence snapshots, so deterministic verdicts can be replayed offline
+    this.snapshots = options.snapshotStore instanceof SnapshotStore
+      ? options.snapshotStore
+      : new SnapshotStore({ dataDir: options.dataDir, ...options.snapshotStore });
+    // options.verificationProfile / options.checks tune and extend the deterministic checks,
+    // options.fetchPages / options.pageFetcher control full-page evidence retrieval,
+    // options.entityResolver the alias dictionary used for entity matching,
+    // options.credibilityPolicy the source credibility policy,
+    // options.strategies extra per-claim-type verification strategies,
+    // options.knowledgeBase the local triple store for the KB Agreement check
+    this.deterministicVerifier = new DeterministicVerifier({
+      snapshotStore: this.snapshots,
+      profile: options.verificationProfile,
+      checks: options.checks,
+      fetchPages: options.fetchPages,
+      pageFetcher: options.pageFetcher,
+      entityResolver: options.entityResolver,
+      credibilityPolicy: options.credibilityPolicy,
+      strategies: options.strategies,
+      knowledgeBase: options.knowledgeBase
+    });
 
     // Toggle between LLM verification (slow, subjective) and deterministic verification (fast, provable)
     this.useDeterministicVerification = options.deterministic || false;
 
-    // Enable caching to save API costs during development
-    this.enableCache = options.cache !== false; // Default: true
-    this.cacheFile = options.cacheFile || './cache.json';
-    this.cache = this.loadCache();
-  }
-  
-  /**
-   * Load cache from disk
-   */
-  loadCache() {
-    if (!this.enableCache) return {};
-    
-    try {
-      const fs = require('fs');
-      if (fs.existsSync(this.cacheFile)) {
-        const data = fs.readFileSync(this.cacheFile, 'utf8');
-        console.log('💾 Loaded cache from disk');
-        return JSON.parse(data);
-      }
-    } catch (error) {
-      console.log('⚠️  Could not load cache:', error.message);
-    }
-    return {};
-  }
-  
-  /**
-   * Save cache to disk
-   */
-  saveCache() {
-    if (!this.enableCache) return;
-    
-    try {
-      const fs = require('fs');
-      fs.writeFileSync(this.cacheFile, JSON.stringify(this.cache, null, 2));
-    } catch (error) {
-      console.error('Could not save cache:', error.message);
-    }
+    // Registry of every commitment this instance issued (verify() resolves roots here)
+    // options.dataDir is where the stores keep their files; false keeps them in memory (see data-dir.js)
+    this.commitments = options.commitmentStore instanceof CommitmentStore
+      ? options.commitmentStore
+      : new CommitmentStore({ dataDir: options.dataDir, ...options.commitmentStore });
+
+    // Ed25519 key that signs commitments and verification results
+    this.signer = options.signer instanceof Signer
+      ? options.signer
+      : new Signer({ dataDir: options.dataDir, ...options.signer });
+
+    // Append-only log of every commitment root; tree heads are signed with the same key
+    this.log = options.transparencyLog instanceof TransparencyLog
+      ? options.transparencyLog
+      : new TransparencyLog({ signer: this.signer, dataDir: options.dataDir, ...options.transparencyLog });
+
+    // Challenge period: claim status, challenges and resolutions per commitment
+    this.disputes = options.disputeRegistry instanceof DisputeRegistry
+      ? options.disputeRegistry
+      : new DisputeRegistry({ dataDir: options.dataDir, ...options.disputeRegistry });
   }
   
   /**
    * Generate cache key from prompt and options
    */
   getCacheKey(prompt, options = {}) {
-    const model = options.model || 'claude-sonnet-4-20250514';
+    const model = options.model || this.models.generation;
     return `${model}:${prompt}`;
   }
 
@@ -531,39 +659,55 @@ class VerifiableClaude {
    */
   async generate(prompt, options = {}) {
     console.log('💬 Generating response...');
+    const emit = progressEmitter(options.onProgress);
     
     // 1. Check cache first (skip cache when search context is provided - we want fresh data)
     const cacheKey = this.getCacheKey(prompt, options);
     const hasSearchContext = options.searchContext && options.searchContext.results && options.searchContext.results.length > 0;
-    if (this.cache[cacheKey] && !hasSearchContext) {
+    const cached = hasSearchContext ? undefined : this.cache.get('generation', cacheKey);
+    if (cached) {
       console.log('💾 Using cached response (saved $0.02)');
-      return this.cache[cacheKey];
+      if (cached.commitment) {
+        this.recordCommitment(prompt, cached);
+      }
+      emit('commitment', 'completed', { ...cached.commitment, cached: true });
+      return cached;
     }
     
     // 2. Get response from Claude (optimistic execution)
+    emit('generation', 'in-progress');
     const response = await this.callClaude(prompt, options);
+    emit('generation', 'completed', { model: response.model, length: response.text.length });
     
     // 3. Detect factual claims (now async with AI)
-    const claims = await this.detector.detectClaims(response.text);
-    console.log(`📋 Detected ${claims.length} factual claims`);
+    emit('claimDetection', 'in-progress');
+    const detected = await this.detector.detectClaims(response.text);
+    // Normalize, merge overlapping claims and link compound claims to their parts
+    const { claims, merged } = canonicalizeClaims(detected);
+    emit('claimDetection', 'completed', { claimCount: claims.length, merged });
+    console.log(`📋 Detected ${claims.length} factual claims${merged > 0 ? ` (${merged} merged)` : ''}`);
     
     if (claims.length > 0) {
       console.log('\nClaims found:');
       claims.forEach((claim, i) => {
-        console.log(`  ${i + 1}. "${claim.text}" [${claim.type || 'unknown'}]`);
+        const relation = claim.parent ? ` (part of ${claim.parent})` : claim.duplicateOf ? ` (repeats ${claim.duplicateOf})` : '';
+        console.log(`  ${i + 1}. "${claim.text}" [${claim.type || 'unknown'}]${relation}`);
       });
     }
     
     // 4. Generate Merkle tree commitment (fraud proof infrastructure)
     let merkleCommitment = null;
     if (claims.length > 0) {
-      const claimTexts = claims.map(c => c.text);
-      const merkleTree = new MerkleTree(claimTexts);
+      // Leaves commit to each claim's text and its offsets in the response
+      const merkleTree = new MerkleTree(claims.map(c => claimLeaf(c, ANCHORED_LEAF_FORMAT)));
       merkleCommitment = {
         root: merkleTree.getRoot(),
+        merkleVersion: merkleTree.version, // Hashing scheme, see merkle-tree.js
+        leafFormat: ANCHORED_LEAF_FORMAT, // Leaf data, see claim-anchoring.js
         timestamp: new Date().toISOString(),
         claimCount: claims.length
       };
+      merkleCommitment.attestation = this.signer.sign({ type: 'commitment', ...merkleCommitment });
       console.log(`🌳 Merkle commitment: ${merkleCommitment.root.substring(0, 16)}...`);
 
       // Attach Merkle proofs to each claim so they can be challenged later
@@ -572,6 +716,7 @@ class VerifiableClaude {
         claim.merkleIndex = index;
       });
     }
+    emit('commitment', 'completed', merkleCommitment);
 
     // 5. Build result
     const result = {
@@ -586,12 +731,156 @@ class VerifiableClaude {
       }
     };
 
-    // 6. Save to cache
-    this.cache[cacheKey] = { ...result, metadata: { ...result.metadata, cached: true } };
-    this.saveCache();
+    // 6. Record the commitment server-side so challenges can't fabricate roots
+    if (merkleCommitment) {
+      this.recordCommitment(prompt, result);
+    }
+
+    // 7. Save to cache
+    this.cache.set('generation', cacheKey, { ...result, metadata: { ...result.metadata, cached: true } });
 
     return result;
   }
+
+  /**
+   * Store a generate() result's commitment in the registry and the transparency log,
+   * and open its challenge window
+   */
+  recordCommitment(prompt, result) {
+    const record = this.commitments.record({
+      commitment: result.commitment,
+      claims: result.claims,
+      text: result.text,
+      model: result.metadata?.model,
+      prompt
+    });
+    result.logEntry = this.log.append(result.commitment.root, result.commitment.timestamp);
+    this.disputes.open(record.root, record.claims, record.timestamp);
+    return record;
+  }
+
+  /**
+   * Dispute record for a commitment issued by this server
+   * Commitments recorded before the dispute registry existed get one on first use.
+   */
+  getDispute(root) {
+    if (!this.disputes.has(root)) {
+      const record = this.commitments.get(root);
+      if (!record) {
+        throw new CommitmentNotFoundError(root);
+      }
+      this.disputes.open(root, record.claims, record.timestamp);
+    }
+    return this.disputes.get(root);
+  }
+
+  /**
+   * Challenge a committed claim during its challenge window
+   * submission: { challenger, evidence: [{ url, title, snippet }], reason }
+   */
+  submitChallenge(root, claimIndex, submission) {
+    this.getDispute(root);
+    return this.disputes.challenge(root, claimIndex, submission);
+  }
+
+  /**
+   * Answer a challenge with counter-evidence
+   * submission: { submitter, evidence: [{ url, title, snippet }], note }
+   */
+  submitCounterEvidence(root, challengeId, submission) {
+    this.getDispute(root);
+    return this.disputes.addCounterEvidence(root, challengeId, submission);
+  }
+
+  /**
+   * Resolve a challenged claim with a server-side verification
+   * The evidence submitted with the challenges and counter-evidence is read
+   * alongside the search results; the challenge is upheld when the claim
+   * verifies as FALSE or FRAUD_PROVEN.
+   */
+  async resolveDispute(root, claimIndex, context = {}, options = {}) {
+    this.getDispute(root);
+    this.disputes.requireChallenged(root, claimIndex);
+    const submittedEvidence = this.disputes.submittedEvidence(root, claimIndex);
+    const verification = await this.challenge(root, claimIndex, { ...context, submittedEvidence }, options);
+    return {
+      resolution: this.disputes.resolve(root, claimIndex, verification),
+      verification
+    };
+  }
+
+  /**
+   * Check a claim against a commitment recorded by this server
+   *
+   * The root, the claim's position and its Merkle proof all come from the
+   * registry; whatever proof the client sent is ignored.
+   */
+  resolveCommittedClaim(claim, root) {
+    const record = this.commitments.get(root);
+
+    if (!record) {
+      return {
+        valid: false,
+        leafHash: MerkleTree.hashLeaf(claim.text),
+        reason: 'Unknown commitment root - it was never issued by this server'
+      };
+    }
+
+    // Commitments recorded before versioned hashing are legacy (version 1),
+    // and before anchoring their leaves are the claim text alone
+    const version = record.merkleVersion || MerkleTree.LEGACY_VERSION;
+    const format = record.leafFormat || null;
+
+    // Offsets sent with the claim must match the committed ones
+    const matches = (committed) => committed && committed.text === claim.text &&
+      (!Number.isInteger(claim.start) || format !== ANCHORED_LEAF_FORMAT || (committed.start === claim.start && committed.end === claim.end));
+    const index = Number.isInteger(claim.merkleIndex) && matches(record.claims[claim.merkleIndex])
+      ? claim.merkleIndex
+      : record.claims.findIndex(matches);
+    const leafHash = MerkleTree.hashLeaf(claimLeaf({ ...record.claims[index], ...claim }, format), version);
+
+    if (index === -1) {
+      return {
+        valid: false,
+        leafHash,
+        reason: 'Merkle proof invalid - claim was not in original commitment'
+      };
+    }
+
+    const tree = new MerkleTree(record.claims.map(c => claimLeaf(c, format)), { version });
+    const proof = tree.getProof(index);
+    const valid = MerkleTree.verifyProof(leafHash, proof, root, version);
+
+    return {
+      valid,
+      leafHash,
+      index,
+      proof,
+      merkleVersion: version,
+      reason: valid ? null : 'Merkle proof invalid - claim was not in original commitment'
+    };
+  }
+
+  /**
+   * Challenge a committed claim by root and index (everything resolved server-side)
+   */
+  async challenge(root, claimIndex, context = {}, options = {}) {
+    const record = this.commitments.get(root);
+    if (!record) {
+      throw new CommitmentNotFoundError(root);
+    }
+
+    const committed = record.claims[claimIndex];
+    if (!committed) {
+      throw new Error(`Commitment ${root.substring(0, 16)}... has no claim at index ${claimIndex}`);
+    }
+
+    return this.verify(
+      { ...committed, merkleIndex: claimIndex },
+      { userPrompt: record.prompt || undefined, ...context, merkleRoot: root },
+      options
+    );
+  }
   
   /**
    * Verify a specific claim (fraud proof)
@@ -599,16 +888,30 @@ class VerifiableClaude {
    * Two modes:
    * - LLM verification: Uses Claude to judge evidence (slower, subjective, not reproducible)
    * - Deterministic verification: Rule-based checks (faster, reproducible, cryptographically provable)
+   *
+   * options.onProgress receives a { stage, status, data, timestamp } event as each
+   * fraud-proof stage actually starts and completes (used by the streaming API).
    */
-  async verify(claim, context = {}) {
+  async verify(claim, context = {}, options = {}) {
     console.log('🔎 Running fraud proof...');
+    const emit = progressEmitter(options.onProgress);
+
+    emit('challenge', 'completed', {
+      claimText: claim.text,
+      claimIndex: claim.merkleIndex,
+      merkleProof: claim.merkleProof
+    });
 
     // Cache verification results too
     const verificationMode = this.useDeterministicVerification ? 'deterministic' : 'llm';
-    const cacheKey = `verify:${verificationMode}:${claim.text}:${JSON.stringify(context)}`;
-    if (this.cache[cacheKey]) {
+    // Offsets and the leaf index are part of the key: a claim moved elsewhere must be checked again
+    const anchor = JSON.stringify([claim.start, claim.end, claim.merkleIndex]);
+    const cacheKey = `${verificationMode}:${claim.text}:${anchor}:${JSON.stringify(context)}`;
+    const cached = this.cache.get('verification', cacheKey);
+    if (cached) {
       console.log('💾 Using cached verification (saved $0.02)');
-      return this.cache[cacheKey];
+      emit('verdict', 'completed', { verdict: cached.verdict, cached: true });
+      return cached;
     }
 
     let result;
@@ -617,50 +920,231 @@ class VerifiableClaude {
       // DETERMINISTIC MODE: Fast, reproducible, provable
       console.log('⚡ Using deterministic verification (fraud proof mode)');
 
-      // First get evidence from search
-      const evidence = await this.verifier.searchForEvidence(claim.text, context);
+      // First get evidence from search, plus any snippets submitted in a dispute
+      emit('evidenceGathering', 'in-progress');
+      const evidence = withSubmittedEvidence(await this.verifier.searchForEvidence(claim.text, context), context.submittedEvidence);
+      emit('evidenceGathering', 'completed', {
+        sourcesFound: evidence.results?.length || 0,
+        searchQuery: evidence.query
+      });
 
       // Then run deterministic checks
-      result = await this.deterministicVerifier.verifyClaim(claim, evidence);
+      // context.strategy picks a verification strategy by name (default: by claim.type)
+      result = await this.deterministicVerifier.verifyClaim(claim, evidence, {
+        onProgress: options.onProgress,
+        merkleRoot: context.merkleRoot,
+        strategy: context.strategy
+      });
 
       // Add evidence to result for frontend display
       result.evidence = evidence.results || [];
 
-      // Add Merkle proof verification if available
-      if (claim.merkleProof && context.merkleRoot) {
-        const leafHash = this.deterministicVerifier.hashClaim(claim.text);
-        const proofValid = MerkleTree.verifyProof(leafHash, claim.merkleProof, context.merkleRoot);
-        result.merkleProofValid = proofValid;
-
-        if (!proofValid) {
-          result.verdict = 'FRAUD_PROVEN';
-          result.fraudProof = {
-            reason: 'Merkle proof invalid - claim was not in original commitment',
-            claimHash: leafHash,
-            expectedRoot: context.merkleRoot
-          };
-        }
-      }
+      // Check the claim against the commitment recorded server-side
+      this.applyCommitmentCheck(claim, result, context.merkleRoot, emit);
     } else {
       // LLM MODE: Slower, subjective, not reproducible (legacy)
       console.log('🤖 Using LLM verification (legacy mode)');
-      result = await this.verifier.verifyClaim(claim, context);
+      result = await this.verifier.verifyClaim(claim, context, { onProgress: options.onProgress });
     }
 
+    this.flagInjectedEvidence(result);
+
+    // Sign the verdict so it can't be edited after it leaves this server
+    result.attestation = this.attestVerification(claim, result, context);
+
+    emit('verdict', 'completed', { verdict: result.verdict, fraudProof: result.fraudProof });
+
     // Cache the result
-    this.cache[cacheKey] = result;
-    this.saveCache();
+    this.cache.set('verification', cacheKey, result);
 
     return result;
   }
   
   /**
-   * Clear cache (useful when you want fresh responses)
+   * Flag a verdict whose evidence tried to instruct the model, in a snippet or
+   * in the page passages the deterministic checks read
+   */
+  flagInjectedEvidence(result) {
+    const injected = scanEvidence(this.withPagePassages(result));
+    if (injected.length > 0) {
+      console.log(`⚠️  ${injected.length} evidence source(s) contain instruction-like text`);
+      result.promptInjection = { detected: true, sources: injected };
+    }
+  }
+
+  /**
+   * The verdict's evidence with the passages of the source pages recorded in its snapshot
+   */
+  withPagePassages(result) {
+    const evidence = result.evidence || [];
+    if (!result.snapshotHash) return evidence;
+
+    const { bodies = {}, pages } = this.snapshots.get(result.snapshotHash);
+    return evidence.map(item => {
+      const page = bodies[item.url];
+      return page && page.text ? { ...item, passages: splitPassages(page.text, pages?.maxPassageLength) } : item;
+    });
+  }
+
+  /**
+   * Resolve the claim against the registry and turn a failed lookup into a fraud proof
+   */
+  applyCommitmentCheck(claim, result, merkleRoot, emit = progressEmitter()) {
+    emit('merkleProofVerification', 'in-progress');
+    if (!merkleRoot) {
+      emit('merkleProofVerification', 'completed', { proofValid: null, skipped: true });
+      return;
+    }
+
+    const committed = this.resolveCommittedClaim(claim, merkleRoot);
+    const proofValid = committed.valid;
+    const leafHash = committed.leafHash;
+    result.merkleProofValid = proofValid;
+    result.merkleProof = committed.proof || null;
+
+    if (!proofValid) {
+      result.verdict = 'FRAUD_PROVEN';
+      result.fraudProof = {
+        reason: committed.reason,
+        claimHash: leafHash,
+        expectedRoot: merkleRoot
+      };
+    }
+    emit('merkleProofVerification', 'completed', { proofValid, leafHash });
+  }
+
+  /**
+   * Re-run a deterministic verification from its evidence snapshot, offline
+   *
+   * Search results and URL check outcomes come from the snapshot, so the
+   * checks, verdict, proofHash and signed attestation match the original.
+   */
+  async replay(snapshotHash, options = {}) {
+    console.log(`⏪ Replaying snapshot ${snapshotHash.substring(0, 16)}...`);
+    const snapshot = this.snapshots.get(snapshotHash);
+
+    const result = await this.deterministicVerifier.replay(snapshotHash, { onProgress: options.onProgress });
+    result.evidence = snapshot.evidence.results;
+    this.applyCommitmentCheck(snapshot.claim, result, snapshot.merkleRoot, progressEmitter(options.onProgress));
+    this.flagInjectedEvidence(result);
+    result.attestation = this.attestVerification(snapshot.claim, result, { merkleRoot: snapshot.merkleRoot });
+    return result;
+  }
+
+  /**
+   * Signed statement of a verification: verdict, checks, claim hash and evidence digest
+   */
+  attestVerification(claim, result, context = {}) {
+    return this.signer.sign({
+      type: 'verification',
+      claim: claim.text,
+      claimHash: result.claimHash || this.deterministicVerifier.hashClaim(claim.text),
+      verificationMode: this.useDeterministicVerification ? 'deterministic' : 'llm',
+      verdict: result.verdict,
+      confidence: result.confidence,
+      checks: result.checks || null,
+      independentSources: result.independentSources ?? null,
+      strategy: result.strategy ?? null,
+      evidenceDigest: digest(result.evidence || []),
+      fraudProof: result.fraudProof || null,
+      merkleRoot: context.merkleRoot || null,
+      merkleProofValid: result.merkleProofValid ?? null,
+      timestamp: result.timestamp || new Date().toISOString()
+    });
+  }
+
+  /**
+   * Verify every claim of a generate() result (audit the whole answer)
+   *
+   * Claims are verified with bounded concurrency; claims that map to the same
+   * search query share one search. Compound claims whose parts all verified,
+   * and repeated claims, reuse those verdicts instead of searching (see
+   * claim-canonicalizer.js). Returns a verdict per claim id plus an aggregate
+   * score for the response.
+   */
+  async verifyAll(result, context = {}, options = {}) {
+    const claims = result.claims || [];
+    const concurrency = Math.max(1, options.concurrency || DEFAULT_BATCH_CONCURRENCY);
+    console.log(`🧾 Auditing ${claims.length} claims (concurrency ${concurrency})...`);
+
+    // Resolve the commitment root from the result unless the caller gave one
+    const claimContext = { ...context };
+    if (!claimContext.merkleRoot && result.commitment?.root) {
+      claimContext.merkleRoot = result.commitment.root;
+    }
+
+    // Atomic claims first; compound claims and repeats then reuse their verdicts
+    const verifyOne = async (claim) => {
+      try {
+        return await this.verify(claim, claimContext);
+      } catch (error) {
+        console.error(`Verification of ${claim.id} failed:`, error.message);
+        return {
+          claim: claim.text,
+          verdict: 'ERROR',
+          confidence: 0,
+          evidence: [],
+          reasoning: `Verification failed: ${error.message}`
+        };
+      }
+    };
+    // Relations come from the commitment recorded server-side, never from the request:
+    // a claim is only derived when it resolves to a committed claim with parts or a first occurrence
+    const root = claimContext.merkleRoot;
+    const record = root ? this.commitments.get(root) : null;
+    const committedOf = claims.map(claim => {
+      if (!record) return null;
+      const resolved = this.resolveCommittedClaim(claim, root);
+      return resolved.valid ? record.claims[resolved.index] : null;
+    });
+    const derived = (index) => Boolean(committedOf[index]?.duplicateOf || committedOf[index]?.children?.length > 0);
+
+    const byCommittedId = {};
+    const verifications = new Array(claims.length);
+    const atomic = claims.map((claim, index) => index).filter(index => !derived(index));
+    (await mapWithConcurrency(atomic, concurrency, index => verifyOne(claims[index]))).forEach((verification, i) => {
+      verifications[atomic[i]] = verification;
+      if (committedOf[atomic[i]]) byCommittedId[committedOf[atomic[i]].id] = verification;
+    });
+
+    const unresolved = [];
+    claims.forEach((claim, index) => {
+      if (!derived(index)) return;
+      const reused = reuseVerdicts(committedOf[index], byCommittedId);
+      if (!reused) {
+        unresolved.push(index);
+        return;
+      }
+      // Derived verdicts get the same commitment check and signature as verified ones
+      this.applyCommitmentCheck(claim, reused, root);
+      reused.attestation = this.attestVerification(claim, reused, claimContext);
+      verifications[index] = reused;
+    });
+    (await mapWithConcurrency(unresolved, concurrency, index => verifyOne(claims[index]))).forEach((verification, i) => {
+      verifications[unresolved[i]] = verification;
+    });
+
+    const verdicts = {};
+    claims.forEach((claim, index) => {
+      verdicts[claim.id || `claim_${index}`] = verifications[index];
+    });
+
+    const summary = summarizeVerdicts(verifications);
+    console.log(`✓ Audit complete: ${summary.verdict} (score ${summary.score}/100)`);
+
+    return {
+      root: result.commitment?.root || null,
+      verdicts,
+      summary
+    };
+  }
+  
+  /**
+   * Clear the cache, or one namespace of it (generation | verification | search)
    */
-  clearCache() {
-    console.log('🗑️  Clearing cache...');
-    this.cache = {};
-    this.saveCache();
+  clearCache(namespace) {
+    console.log(`🗑️  Clearing cache${namespace ? ` (${namespace})` : ''}...`);
+    this.cache.clear(namespace);
   }
   
   /**
@@ -672,14 +1156,15 @@ class VerifiableClaude {
     const constrainedPrompt = `${originalPrompt}
 
 IMPORTANT CONSTRAINT:
-Previous response included this false claim: "${falseClaimText}"
+Previous response included this false claim:
+${wrapUntrusted(falseClaimText, { kind: 'claim' })}
 Do NOT make this claim again. If you're uncertain about facts, say so explicitly.`;
 
     return await this.generate(constrainedPrompt, options);
   }
   
   /**
-   * Call Claude API
+   * Call Claude through the configured model provider
    */
   async callClaude(prompt, options = {}) {
     // Build the user message - include web search results if provided
@@ -687,17 +1172,15 @@ Do NOT make this claim again. If you're uncertain about facts, say so explicitly
 
     if (options.searchContext && options.searchContext.results && options.searchContext.results.length > 0) {
       const searchResults = options.searchContext.results
-        .map((result, i) => {
-          return `[${i + 1}] ${result.title}
-${result.snippet}
-Source: ${result.url}`;
-        })
+        .map((result, i) => `[${i + 1}] ${wrapUntrusted(`${result.title}\n${result.snippet}`, { kind: 'search-result', url: result.url })}`)
         .join('\n\n');
 
       userPrompt = `Here are current web search results for context:
 
 ${searchResults}
 
+${UNTRUSTED_NOTICE}
+
 ---
 
 Based on the above sources and your knowledge, please answer the following question:
@@ -707,9 +1190,10 @@ ${prompt}
 IMPORTANT: Use the web search results above to provide up-to-date, accurate information. If the search results contain current data, use that instead of relying solely on your training data.`;
     }
 
-    const response = await anthropic.messages.create({
-      model: options.model || 'claude-sonnet-4-20250514',
-      max_tokens: options.maxTokens || 2000,
+    const response = await this.llm.complete({
+      role: 'generation',
+      model: options.model || this.models.generation,
+      maxTokens: options.maxTokens || 2000,
       system: `Provide concise, factual responses. Keep answers brief and to the point, focusing on verifiable facts. Use clear paragraphs and bullet points where appropriate.
 
 IMPORTANT: When answering "who invented/created X" questions:
@@ -721,17 +1205,11 @@ IMPORTANT: When answering "who invented/created X" questions:
 When web search results are provided, prioritize information from those sources as they contain the most current data.
 
 Format your response to make individual factual claims easy to extract and verify.`,
-      messages: [{
-        role: 'user',
-        content: userPrompt
-      }]
+      prompt: userPrompt,
+      metadata: { prompt, searchContext: options.searchContext }
     });
 
-    return {
-      text: response.content[0].text,
-      model: response.model,
-      usage: response.usage
-    };
+    return response;
   }
 }
 
@@ -773,7 +1251,7 @@ async function example() {
 }
 
 // Export for use in server
-module.exports = { VerifiableClaude, ClaimDetector, ClaimVerifier };
+module.exports = { VerifiableClaude, ClaimDetector, ClaimVerifier, CommitmentNotFoundError };
 
 // Run example if called directly
 if (require.main === module) {
@@ -0,0 +1,132 @@
+const { tokenize } = require('./entity-resolver');
+
+/**
+ * Verification Strategies
+ *
+ * Claims are typed (date | name | number | event | relationship | attribution)
+ * and each type is best verified differently. A strategy adjusts the check set
+ * for the claims it is selected for:
+ * - name:     recorded in the verdict (results.strategy) and the snapshot
+ * - types:    claim types it is selected for by default
+ * - checks:   extra checks, same contract as the check registry
+ * - weights:  weight overrides by check name (applied on top of the profile)
+ * - critical: criticality overrides by check name (applied on top of the profile)
+ *
+ * An explicit strategy name (options.strategy, context.strategy over HTTP)
+ * wins over the claim type; claims of other types get "default". Registering
+ * a strategy with a type that is already taken makes it the new choice for it.
+ */
+
+// Words that don't identify a work ("The Left Hand of Darkness" → left, hand, darkness)
+const TITLE_STOPWORDS = new Set(['the', 'a', 'an', 'of', 'and', 'in', 'on', 'for', 'to', 'their', 'his', 'her', 'its']);
+
+class StrategyRegistry {
+
+  constructor() {
+    this.strategies = new Map();
+    this.byType = new Map(); // claim type → strategy name
+  }
+
+  /**
+   * Register a strategy (replaces one with the same name)
+   */
+  register({ name, description = '', types = [], checks = [], weights = {}, critical = {} }) {
+    if (!name) {
+      throw new Error('A verification strategy needs a name');
+    }
+    checks.forEach(check => {
+      if (!check.name || typeof check.run !== 'function') {
+        throw new Error(`Strategy ${name}: every check needs a name and a run(claim, evidence, context) function`);
+      }
+    });
+
+    this.strategies.set(name, { name, description, types, checks, weights, critical });
+    types.forEach(type => this.byType.set(type, name));
+    return this;
+  }
+
+  has(name) {
+    return this.strategies.has(name);
+  }
+
+  /**
+   * The strategy for a claim: the requested one, else the one for claim.type, else "default"
+   */
+  select(claim, requested = null) {
+    if (requested) {
+      if (!this.strategies.has(requested)) {
+        throw new Error(`Unknown verification strategy: ${requested}`);
+      }
+      return this.strategies.get(requested);
+    }
+    const name = (claim.type && this.byType.get(claim.type)) || 'default';
+    return this.strategies.get(name) || { name: 'default', types: [], checks: [], weights: {}, critical: {} };
+  }
+
+  list() {
+    return [...this.strategies.values()].map(({ name, description, types, checks, weights, critical }) => ({
+      name,
+      description,
+      types,
+      checks: checks.map(check => check.name),
+      weights,
+      critical
+    }));
+  }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * The work an attribution claim credits, as words to look for: a quoted title
+ * ("The Left Hand of Darkness"), else the capitalized spans outside the
+ * authors' names ("Plasma")
+ * Returns { work, words } (words lowercase, without title stopwords; work null if none)
+ */
+function workOf(text, authorSpans = []) {
+  const quoted = text.match(/["“]([^"”]{2,})["”]/);
+  if (quoted) {
+    return { work: quoted[1], words: titleWords(quoted[1]) };
+  }
+
+  const inAuthor = (token) => authorSpans.some(([start, end]) => token.index >= start && token.end <= end);
+  const tokens = tokenize(text);
+  const spans = [];
+  let current = [];
+  tokens.forEach((token, i) => {
+    const capitalized = /^\p{Lu}/u.test(token.raw) && !inAuthor(token) && !(i === 0 && TITLE_STOPWORDS.has(token.token));
+    const next = tokens[i + 1];
+    const connector = current.length > 0 && TITLE_STOPWORDS.has(token.token) && next && /^\p{Lu}/u.test(next.raw) && !inAuthor(next);
+    if (capitalized || connector) {
+      current.push(token);
+    } else if (current.length > 0) {
+      spans.push(current);
+      current = [];
+    }
+  });
+  if (current.length > 0) spans.push(current);
+
+  if (spans.length > 0) {
+    const work = spans.map(span => text.slice(span[0].index, span[span.length - 1].end)).join(', ');
+    return { work, words: titleWords(work) };
+  }
+  return { work: null, words: [] };
+}
+
+/**
+ * Whether text mentions enough of a work's words (all of up to 2, two thirds of longer titles)
+ */
+function mentionsWork(text, words) {
+  if (words.length === 0) return false;
+  const present = new Set(tokenize(text).map(t => t.token));
+  const found = words.filter(word => present.has(word)).length;
+  return words.length <= 2 ? found === words.length : found >= Math.ceil(words.length * 2 / 3);
+}
+
+function titleWords(title) {
+  return [...new Set(tokenize(title).map(t => t.token).filter(word => !TITLE_STOPWORDS.has(word)))];
+}
+
+module.exports = { StrategyRegistry, workOf, mentionsWork };